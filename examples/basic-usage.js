@@ -214,7 +214,7 @@ async function exemploCache() {
   
   // Informações do cache
   console.log('\n4. Informações do cache:');
-  const cacheInfo = getCacheInfo();
+  const cacheInfo = await getCacheInfo();
   console.log(`   Total de entradas: ${cacheInfo.totalEntries}`);
   console.log(`   Entradas válidas: ${cacheInfo.validEntries}`);
   console.log(`   Entradas expiradas: ${cacheInfo.expiredEntries}`);
@@ -222,7 +222,7 @@ async function exemploCache() {
   
   // Limpar cache expirado
   console.log('\n5. Limpando cache expirado...');
-  const removed = clearExpiredCache();
+  const removed = await clearExpiredCache();
   console.log(`   ${removed} entradas expiradas foram removidas`);
 }
 
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CACHE_FILE_NAME = 'cache.json';
+
+/**
+ * Diretório base do usuário; usa o diretório temporário quando não há home (ex: usuários de serviço)
+ */
+function getBaseDir() {
+  try {
+    return os.homedir() || os.tmpdir();
+  } catch (error) {
+    return os.tmpdir();
+  }
+}
+
+const DEFAULT_CACHE_DIR = path.join(getBaseDir(), '.cep-parallel-search');
+const DEFAULT_CACHE_FILE = path.join(DEFAULT_CACHE_DIR, CACHE_FILE_NAME);
+
+/**
+ * Resolve o caminho do arquivo de cache
+ * Prioridade: options.filePath, options.dir, CEP_PARALLEL_SEARCH_CACHE_FILE,
+ * CEP_PARALLEL_SEARCH_CACHE_DIR e, por fim, ~/.cep-parallel-search/cache.json
+ */
+function resolveCacheFile(options = {}) {
+  if (options.filePath) {
+    return path.resolve(options.filePath);
+  }
+
+  if (options.dir) {
+    return path.resolve(options.dir, CACHE_FILE_NAME);
+  }
+
+  if (process.env.CEP_PARALLEL_SEARCH_CACHE_FILE) {
+    return path.resolve(process.env.CEP_PARALLEL_SEARCH_CACHE_FILE);
+  }
+
+  if (process.env.CEP_PARALLEL_SEARCH_CACHE_DIR) {
+    return path.resolve(process.env.CEP_PARALLEL_SEARCH_CACHE_DIR, CACHE_FILE_NAME);
+  }
+
+  return DEFAULT_CACHE_FILE;
+}
+
+/**
+ * Adapter de cache em arquivo JSON
+ * Mantém uma cópia em memória para evitar múltiplas leituras do arquivo
+ * e enfileira as escritas para que leituras-modificações-escritas não se sobreponham
+ */
+class FileCacheAdapter {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = resolveCacheFile(options);
+    this.memoryCache = null;
+    this.lastModified = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Diretório onde o arquivo de cache é salvo
+   */
+  get dir() {
+    return path.dirname(this.filePath);
+  }
+
+  /**
+   * Carrega o cache do arquivo (usa a cópia em memória se o arquivo não mudou)
+   */
+  async load() {
+    try {
+      const stats = await fs.promises.stat(this.filePath);
+      if (this.memoryCache && stats.mtimeMs === this.lastModified) {
+        return this.memoryCache;
+      }
+
+      const cacheData = await fs.promises.readFile(this.filePath, 'utf8');
+      this.memoryCache = JSON.parse(cacheData);
+      this.lastModified = stats.mtimeMs;
+    } catch (error) {
+      // Se o arquivo não existe ou é inválido, usa cache vazio
+      this.memoryCache = {};
+      this.lastModified = 0;
+    }
+
+    return this.memoryCache;
+  }
+
+  /**
+   * Salva o cache no arquivo
+   */
+  async save(cache) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.filePath, JSON.stringify(cache, null, 2), 'utf8');
+    this.memoryCache = cache;
+    const stats = await fs.promises.stat(this.filePath);
+    this.lastModified = stats.mtimeMs;
+  }
+
+  /**
+   * Enfileira uma alteração no cache (carrega, aplica e salva)
+   */
+  update(mutator) {
+    const run = this.writeQueue.then(async () => {
+      const cache = await this.load();
+      const result = mutator(cache);
+      await this.save(cache);
+      return result;
+    });
+
+    // Um erro de escrita não deve travar as próximas alterações
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async get(key) {
+    const cache = await this.load();
+    return cache[key];
+  }
+
+  set(key, entry) {
+    return this.update(cache => {
+      cache[key] = entry;
+    });
+  }
+
+  /**
+   * Salva várias entradas ([chave, entrada]) com uma única escrita no arquivo
+   */
+  setMany(entries) {
+    return this.update(cache => {
+      entries.forEach(([key, entry]) => {
+        cache[key] = entry;
+      });
+    });
+  }
+
+  delete(key) {
+    return this.deleteMany([key]).then(removed => removed > 0);
+  }
+
+  /**
+   * Remove várias chaves com uma única escrita no arquivo
+   */
+  deleteMany(keys) {
+    return this.update(cache => {
+      let removed = 0;
+      keys.forEach(key => {
+        if (key in cache) {
+          delete cache[key];
+          removed++;
+        }
+      });
+      return removed;
+    });
+  }
+
+  clear() {
+    const run = this.writeQueue.then(async () => {
+      try {
+        await fs.promises.unlink(this.filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+      this.memoryCache = {};
+      this.lastModified = 0;
+    });
+
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async entries() {
+    return Object.entries(await this.load());
+  }
+}
+
+FileCacheAdapter.DEFAULT_CACHE_DIR = DEFAULT_CACHE_DIR;
+FileCacheAdapter.DEFAULT_CACHE_FILE = DEFAULT_CACHE_FILE;
+FileCacheAdapter.resolveCacheFile = resolveCacheFile;
+
+module.exports = FileCacheAdapter;
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileCacheAdapter = require('./fileCacheAdapter');
+
+describe('FileCacheAdapter', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cep-cache-'));
+    filePath = path.join(tmpDir, 'nested', 'cache.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('deve usar ~/.cep-parallel-search/cache.json por padrão', () => {
+    const adapter = new FileCacheAdapter();
+    expect(adapter.filePath).toBe(path.join(os.homedir(), '.cep-parallel-search', 'cache.json'));
+  });
+
+  test('deve aceitar o diretório do cache nas opções', () => {
+    const adapter = new FileCacheAdapter({ dir: tmpDir });
+    expect(adapter.filePath).toBe(path.join(tmpDir, 'cache.json'));
+    expect(adapter.dir).toBe(tmpDir);
+  });
+
+  test('deve usar as variáveis de ambiente quando não há opções', () => {
+    const { CEP_PARALLEL_SEARCH_CACHE_DIR, CEP_PARALLEL_SEARCH_CACHE_FILE } = process.env;
+
+    try {
+      process.env.CEP_PARALLEL_SEARCH_CACHE_DIR = tmpDir;
+      expect(new FileCacheAdapter().filePath).toBe(path.join(tmpDir, 'cache.json'));
+
+      process.env.CEP_PARALLEL_SEARCH_CACHE_FILE = filePath;
+      expect(new FileCacheAdapter().filePath).toBe(filePath);
+      expect(new FileCacheAdapter({ dir: os.tmpdir() }).filePath).toBe(path.join(os.tmpdir(), 'cache.json'));
+    } finally {
+      process.env.CEP_PARALLEL_SEARCH_CACHE_DIR = CEP_PARALLEL_SEARCH_CACHE_DIR;
+      process.env.CEP_PARALLEL_SEARCH_CACHE_FILE = CEP_PARALLEL_SEARCH_CACHE_FILE;
+      if (CEP_PARALLEL_SEARCH_CACHE_DIR === undefined) delete process.env.CEP_PARALLEL_SEARCH_CACHE_DIR;
+      if (CEP_PARALLEL_SEARCH_CACHE_FILE === undefined) delete process.env.CEP_PARALLEL_SEARCH_CACHE_FILE;
+    }
+  });
+
+  test('deve criar o diretório e persistir as entradas no arquivo', async () => {
+    const adapter = new FileCacheAdapter({ filePath });
+    await adapter.set('cep_01310100', { timestamp: 1, data: { city: 'São Paulo' } });
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({
+      cep_01310100: { timestamp: 1, data: { city: 'São Paulo' } }
+    });
+
+    // Outra instância lê o mesmo arquivo
+    const other = new FileCacheAdapter({ filePath });
+    await expect(other.get('cep_01310100')).resolves.toEqual({ timestamp: 1, data: { city: 'São Paulo' } });
+  });
+
+  test('não deve perder escritas concorrentes', async () => {
+    const adapter = new FileCacheAdapter({ filePath });
+
+    await Promise.all(['a', 'b', 'c', 'd'].map(key => adapter.set(key, { timestamp: 1 })));
+
+    await expect(adapter.entries()).resolves.toHaveLength(4);
+  });
+
+  test('deve remover chaves e limpar o arquivo', async () => {
+    const adapter = new FileCacheAdapter({ filePath });
+    await adapter.set('a', { timestamp: 1 });
+    await adapter.set('b', { timestamp: 1 });
+    await adapter.set('c', { timestamp: 1 });
+
+    await expect(adapter.delete('a')).resolves.toBe(true);
+    await expect(adapter.delete('a')).resolves.toBe(false);
+    await expect(adapter.deleteMany(['b', 'x'])).resolves.toBe(1);
+    await expect(adapter.entries()).resolves.toEqual([['c', { timestamp: 1 }]]);
+
+    await adapter.clear();
+    expect(fs.existsSync(filePath)).toBe(false);
+    await expect(adapter.entries()).resolves.toEqual([]);
+  });
+
+  test('deve salvar várias entradas com setMany', async () => {
+    const adapter = new FileCacheAdapter({ filePath });
+    await adapter.set('a', { timestamp: 1 });
+
+    await adapter.setMany([['a', { timestamp: 2 }], ['b', { timestamp: 3 }]]);
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({
+      a: { timestamp: 2 },
+      b: { timestamp: 3 }
+    });
+  });
+
+  test('deve tratar arquivo corrompido como cache vazio', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{ invalido', 'utf8');
+
+    const adapter = new FileCacheAdapter({ filePath });
+    await expect(adapter.entries()).resolves.toEqual([]);
+  });
+});
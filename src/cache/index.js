@@ -0,0 +1,39 @@
+const MemoryCacheAdapter = require('./memoryCacheAdapter');
+const FileCacheAdapter = require('./fileCacheAdapter');
+const KeyValueCacheAdapter = require('./keyValueCacheAdapter');
+const { ValidationError } = require('../errors/CepError');
+
+/**
+ * Métodos que todo adapter de cache deve implementar (todos assíncronos)
+ */
+const CACHE_ADAPTER_METHODS = ['get', 'set', 'delete', 'clear', 'entries'];
+
+/**
+ * Valida se um objeto implementa a interface de adapter de cache
+ */
+function validateCacheAdapter(adapter) {
+  const missingMethods = CACHE_ADAPTER_METHODS.filter(method =>
+    !adapter || typeof adapter[method] !== 'function'
+  );
+
+  if (missingMethods.length > 0) {
+    throw new ValidationError(
+      'Adapter de cache inválido',
+      [{
+        message: `O adapter de cache deve implementar os métodos: ${missingMethods.join(', ')}`,
+        service: 'cache_adapter',
+        missingMethods
+      }]
+    );
+  }
+
+  return true;
+}
+
+module.exports = {
+  MemoryCacheAdapter,
+  FileCacheAdapter,
+  KeyValueCacheAdapter,
+  CACHE_ADAPTER_METHODS,
+  validateCacheAdapter
+};
@@ -0,0 +1,154 @@
+const { ValidationError } = require('../errors/CepError');
+
+/**
+ * Métodos exigidos do cliente key-value (compatível com node-redis e ioredis)
+ */
+const REQUIRED_CLIENT_METHODS = ['get', 'set', 'del'];
+
+/**
+ * Métodos aceitos para listar as chaves, em ordem de preferência
+ * scanIterator (node-redis) e scan (ioredis) percorrem as chaves aos poucos; keys (comando KEYS)
+ * bloqueia o servidor enquanto percorre todas as chaves e só é usado por clientes sem SCAN
+ */
+const LIST_CLIENT_METHODS = ['scanIterator', 'scan', 'keys'];
+
+/**
+ * Quantidade de chaves sugerida ao servidor a cada iteração do SCAN
+ */
+const SCAN_COUNT = 100;
+
+/**
+ * Escapa os caracteres especiais de padrões glob do Redis
+ */
+function escapePattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Adapter de cache para bancos key-value compatíveis com Redis
+ * O cliente é criado e conectado pela aplicação; o adapter apenas o utiliza
+ * Quando o cache informa o TTL, as chaves são gravadas com expiração nativa (PX)
+ *
+ * @example
+ * const { createClient } = require('redis');
+ * const client = createClient();
+ * await client.connect();
+ * setCacheAdapter(new KeyValueCacheAdapter({ client }));
+ */
+class KeyValueCacheAdapter {
+  constructor(options = {}) {
+    const { client, prefix = 'cep-parallel-search:' } = options;
+
+    const missingMethods = REQUIRED_CLIENT_METHODS.filter(method =>
+      !client || typeof client[method] !== 'function'
+    );
+    if (!LIST_CLIENT_METHODS.some(method => client && typeof client[method] === 'function')) {
+      missingMethods.push(LIST_CLIENT_METHODS.join(' ou '));
+    }
+
+    if (missingMethods.length > 0) {
+      throw new ValidationError(
+        'Cliente key-value inválido',
+        [{
+          message: `O cliente deve implementar os métodos: ${missingMethods.join(', ')}`,
+          service: 'cache_adapter',
+          missingMethods
+        }]
+      );
+    }
+
+    this.name = 'keyvalue';
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Verifica se o cliente é do node-redis (opções em objeto) ou segue a interface do ioredis (argumentos)
+   */
+  isNodeRedisClient() {
+    return typeof this.client.scanIterator === 'function';
+  }
+
+  /**
+   * Lista as chaves do cache (sem o prefixo)
+   */
+  async listKeys() {
+    const pattern = `${escapePattern(this.prefix)}*`;
+    const keys = [];
+
+    if (this.isNodeRedisClient()) {
+      // node-redis v4 retorna uma chave por iteração; v5, um lote de chaves
+      for await (const item of this.client.scanIterator({ MATCH: pattern, COUNT: SCAN_COUNT })) {
+        keys.push(...[].concat(item));
+      }
+    } else if (typeof this.client.scan === 'function') {
+      // ioredis: scan(cursor, 'MATCH', padrão, 'COUNT', n) => [próximo cursor, chaves]
+      let cursor = '0';
+      do {
+        const [next, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+        cursor = String(next);
+        keys.push(...batch);
+      } while (cursor !== '0');
+    } else {
+      keys.push(...await this.client.keys(pattern));
+    }
+
+    // O SCAN pode retornar a mesma chave mais de uma vez
+    return [...new Set(keys)].map(key => key.slice(this.prefix.length));
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    if (raw === null || raw === undefined) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      // Valor corrompido é tratado como ausente
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {string} key - Chave (sem o prefixo)
+   * @param {Object} entry - Entrada do cache
+   * @param {Object} [options={}] - { ttl }: expiração nativa da chave em milissegundos
+   */
+  async set(key, entry, options = {}) {
+    const value = JSON.stringify(entry);
+
+    if (!options.ttl) {
+      await this.client.set(this.prefix + key, value);
+      return;
+    }
+
+    const ttl = Math.max(1, Math.ceil(options.ttl));
+    if (this.isNodeRedisClient()) {
+      await this.client.set(this.prefix + key, value, { PX: ttl });
+    } else {
+      await this.client.set(this.prefix + key, value, 'PX', ttl);
+    }
+  }
+
+  async delete(key) {
+    const removed = await this.client.del(this.prefix + key);
+    return removed > 0;
+  }
+
+  async clear() {
+    const keys = await this.listKeys();
+    if (keys.length > 0) {
+      await this.client.del(keys.map(key => this.prefix + key));
+    }
+  }
+
+  async entries() {
+    const keys = await this.listKeys();
+    const entries = await Promise.all(keys.map(async key => [key, await this.get(key)]));
+    return entries.filter(([, entry]) => entry !== undefined);
+  }
+}
+
+module.exports = KeyValueCacheAdapter;
@@ -0,0 +1,133 @@
+const KeyValueCacheAdapter = require('./keyValueCacheAdapter');
+const { ValidationError } = require('../errors/CepError');
+
+/**
+ * Cliente em memória com a mesma interface básica do node-redis/ioredis
+ */
+function createFakeClient() {
+  const data = new Map();
+  return {
+    data,
+    get: jest.fn(async key => (data.has(key) ? data.get(key) : null)),
+    set: jest.fn(async (key, value) => {
+      data.set(key, value);
+      return 'OK';
+    }),
+    del: jest.fn(async keys => [].concat(keys).filter(key => data.delete(key)).length),
+    keys: jest.fn(async pattern => {
+      const prefix = pattern.replace(/\*$/, '');
+      return [...data.keys()].filter(key => key.startsWith(prefix));
+    })
+  };
+}
+
+/**
+ * Cliente com SCAN no formato do ioredis: scan(cursor, 'MATCH', padrão, 'COUNT', n) => [cursor, chaves]
+ * Retorna uma chave por página para exercitar a paginação
+ */
+function createIoredisClient() {
+  const client = createFakeClient();
+  client.scan = jest.fn(async (cursor, match, pattern) => {
+    const prefix = pattern.replace(/\*$/, '');
+    const keys = [...client.data.keys()].filter(key => key.startsWith(prefix));
+    const index = Number(cursor);
+    return [index + 1 < keys.length ? String(index + 1) : '0', keys.slice(index, index + 1)];
+  });
+  return client;
+}
+
+/**
+ * Cliente com scanIterator e opções em objeto, como o node-redis
+ */
+function createNodeRedisClient() {
+  const client = createFakeClient();
+  client.scanIterator = jest.fn(async function* ({ MATCH }) {
+    const prefix = MATCH.replace(/\*$/, '').replace(/\\(.)/g, '$1');
+    yield* [...client.data.keys()].filter(key => key.startsWith(prefix));
+  });
+  return client;
+}
+
+describe('KeyValueCacheAdapter', () => {
+  test('deve rejeitar cliente sem os métodos necessários', () => {
+    expect(() => new KeyValueCacheAdapter()).toThrow(ValidationError);
+    expect(() => new KeyValueCacheAdapter({ client: { get: jest.fn() } })).toThrow(ValidationError);
+    expect(() => new KeyValueCacheAdapter({ client: { get: jest.fn(), set: jest.fn(), del: jest.fn() } }))
+      .toThrow(ValidationError);
+  });
+
+  test('deve listar as chaves com SCAN (ioredis), sem usar KEYS', async () => {
+    const client = createIoredisClient();
+    client.data.set('outra-app:x', '{}');
+    const adapter = new KeyValueCacheAdapter({ client });
+
+    await adapter.set('a', { timestamp: 1 });
+    await adapter.set('b', { timestamp: 2 });
+
+    await expect(adapter.entries()).resolves.toEqual([['a', { timestamp: 1 }], ['b', { timestamp: 2 }]]);
+    expect(client.scan).toHaveBeenCalledWith('0', 'MATCH', 'cep-parallel-search:*', 'COUNT', 100);
+    expect(client.scan).toHaveBeenCalledTimes(2);
+    expect(client.keys).not.toHaveBeenCalled();
+  });
+
+  test('deve listar as chaves com scanIterator (node-redis), sem usar KEYS', async () => {
+    const client = createNodeRedisClient();
+    const adapter = new KeyValueCacheAdapter({ client, prefix: 'app[1]:' });
+
+    await adapter.set('a', { timestamp: 1 });
+    await adapter.clear();
+
+    expect(client.scanIterator).toHaveBeenCalledWith({ MATCH: 'app\\[1\\]:*', COUNT: 100 });
+    expect(client.keys).not.toHaveBeenCalled();
+    expect(client.data.size).toBe(0);
+  });
+
+  test('deve gravar com expiração nativa quando o TTL é informado', async () => {
+    const ioredis = createIoredisClient();
+    await new KeyValueCacheAdapter({ client: ioredis }).set('a', { timestamp: 1 }, { ttl: 1500.2 });
+    expect(ioredis.set).toHaveBeenCalledWith('cep-parallel-search:a', '{"timestamp":1}', 'PX', 1501);
+
+    const nodeRedis = createNodeRedisClient();
+    await new KeyValueCacheAdapter({ client: nodeRedis }).set('a', { timestamp: 1 }, { ttl: 1500 });
+    expect(nodeRedis.set).toHaveBeenCalledWith('cep-parallel-search:a', '{"timestamp":1}', { PX: 1500 });
+
+    await new KeyValueCacheAdapter({ client: nodeRedis }).set('b', { timestamp: 1 });
+    expect(nodeRedis.set).toHaveBeenLastCalledWith('cep-parallel-search:b', '{"timestamp":1}');
+  });
+
+  test('deve serializar entradas com o prefixo configurado', async () => {
+    const client = createFakeClient();
+    const adapter = new KeyValueCacheAdapter({ client, prefix: 'app1:' });
+
+    await adapter.set('cep_01310100', { timestamp: 1, data: { city: 'São Paulo' } });
+
+    expect(client.data.get('app1:cep_01310100')).toBe('{"timestamp":1,"data":{"city":"São Paulo"}}');
+    await expect(adapter.get('cep_01310100')).resolves.toEqual({ timestamp: 1, data: { city: 'São Paulo' } });
+    await expect(adapter.get('cep_20040020')).resolves.toBeUndefined();
+  });
+
+  test('deve listar, remover e limpar apenas as chaves do prefixo', async () => {
+    const client = createFakeClient();
+    client.data.set('outra-app:x', '{}');
+    const adapter = new KeyValueCacheAdapter({ client });
+
+    await adapter.set('a', { timestamp: 1 });
+    await adapter.set('b', { timestamp: 2 });
+
+    await expect(adapter.entries()).resolves.toEqual([['a', { timestamp: 1 }], ['b', { timestamp: 2 }]]);
+    await expect(adapter.delete('a')).resolves.toBe(true);
+
+    await adapter.clear();
+    await expect(adapter.entries()).resolves.toEqual([]);
+    expect(client.data.has('outra-app:x')).toBe(true);
+  });
+
+  test('deve ignorar valores corrompidos', async () => {
+    const client = createFakeClient();
+    client.data.set('cep-parallel-search:a', 'não é json');
+    const adapter = new KeyValueCacheAdapter({ client });
+
+    await expect(adapter.get('a')).resolves.toBeUndefined();
+    await expect(adapter.entries()).resolves.toEqual([]);
+  });
+});
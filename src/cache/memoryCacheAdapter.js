@@ -0,0 +1,32 @@
+/**
+ * Adapter de cache em memória
+ * Os dados ficam apenas no processo atual (ideal para serverless e containers somente leitura)
+ */
+class MemoryCacheAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.store = new Map();
+  }
+
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  async set(key, entry) {
+    this.store.set(key, entry);
+  }
+
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
+  async clear() {
+    this.store.clear();
+  }
+
+  async entries() {
+    return [...this.store.entries()];
+  }
+}
+
+module.exports = MemoryCacheAdapter;
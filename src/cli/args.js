@@ -0,0 +1,106 @@
+/**
+ * Erro de uso da linha de comando (opção desconhecida, valor ausente ou inválido)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Converte os argumentos da linha de comando em { positionals, flags }
+ * Aceita --opcao valor, --opcao=valor, --no-opcao (booleanas) e aliases curtos (-h)
+ *
+ * @param {string[]} argv - Argumentos (sem o executável e o script)
+ * @param {Object} [spec={}] - { string: [], boolean: [], alias: { h: 'help' } }
+ * @returns {{ positionals: string[], flags: Object }}
+ * @throws {UsageError} Se uma opção é desconhecida ou está sem valor
+ */
+function parseArgs(argv, spec = {}) {
+  const stringFlags = spec.string || [];
+  const booleanFlags = spec.boolean || [];
+  const alias = spec.alias || {};
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // '--' encerra as opções; '-' sozinho é um argumento (stdin)
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.startsWith('--')
+      ? splitInline(arg.slice(2))
+      : [alias[arg.slice(1)] || arg.slice(1), undefined];
+
+    if (booleanFlags.includes(rawName)) {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`A opção --${rawName} não aceita valor`);
+      }
+      flags[rawName] = true;
+      continue;
+    }
+
+    if (rawName.startsWith('no-') && booleanFlags.includes(rawName.slice(3))) {
+      flags[rawName.slice(3)] = false;
+      continue;
+    }
+
+    if (stringFlags.includes(rawName)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+        throw new UsageError(`A opção --${rawName} precisa de um valor`);
+      }
+      flags[rawName] = value;
+      continue;
+    }
+
+    throw new UsageError(`Opção desconhecida: ${arg}`);
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Separa "nome=valor" em [nome, valor]
+ */
+function splitInline(arg) {
+  const index = arg.indexOf('=');
+  return index === -1 ? [arg, undefined] : [arg.slice(0, index), arg.slice(index + 1)];
+}
+
+/**
+ * Converte o valor de uma opção numérica, exigindo um inteiro positivo
+ *
+ * @throws {UsageError} Se o valor não é um inteiro positivo
+ */
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new UsageError(`A opção --${name} deve ser um inteiro positivo (recebido: ${value})`);
+  }
+  return number;
+}
+
+/**
+ * Converte uma lista separada por vírgulas em array (ignorando itens vazios)
+ */
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+  parsePositiveInteger,
+  parseList
+};
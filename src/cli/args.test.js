@@ -0,0 +1,31 @@
+const { UsageError, parseArgs, parsePositiveInteger, parseList } = require('./args');
+
+describe('cli args', () => {
+  const spec = {
+    string: ['providers', 'timeout'],
+    boolean: ['cache', 'json', 'help'],
+    alias: { h: 'help' }
+  };
+
+  test('deve separar argumentos e opções', () => {
+    expect(parseArgs(['01310-100', '--providers', 'viacep,brasilapi', '--timeout=5000', '--no-cache', '--json'], spec)).toEqual({
+      positionals: ['01310-100'],
+      flags: { providers: 'viacep,brasilapi', timeout: '5000', cache: false, json: true }
+    });
+    expect(parseArgs(['-h', '--', '--json'], spec)).toEqual({ positionals: ['--json'], flags: { help: true } });
+  });
+
+  test('deve lançar UsageError para opções desconhecidas ou sem valor', () => {
+    expect(() => parseArgs(['--foo'], spec)).toThrow(UsageError);
+    expect(() => parseArgs(['--timeout'], spec)).toThrow(UsageError);
+    expect(() => parseArgs(['--timeout', '--json'], spec)).toThrow(UsageError);
+    expect(() => parseArgs(['--json=1'], spec)).toThrow(UsageError);
+  });
+
+  test('deve converter números e listas', () => {
+    expect(parsePositiveInteger('5000', 'timeout')).toBe(5000);
+    expect(() => parsePositiveInteger('0', 'timeout')).toThrow(UsageError);
+    expect(() => parsePositiveInteger('abc', 'timeout')).toThrow(UsageError);
+    expect(parseList(' viacep, ,brasilapi ')).toEqual(['viacep', 'brasilapi']);
+  });
+});
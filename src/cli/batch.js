@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const { searchCep } = require('../index');
+const { AbortError } = require('../errors/CepError');
+const { mapWithConcurrency } = require('../utils/promiseUtils');
+const { UsageError, parseArgs, parsePositiveInteger, parseList } = require('./args');
+const { detectDelimiter, parseCsv, stringifyCsvRow } = require('./csv');
+const { EXIT_CODES, getErrorKind } = require('./output');
+const { readInput } = require('./io');
+
+const BATCH_USAGE = `Uso: cep-search batch [arquivo|-] [opções]
+
+Consulta uma lista de CEPs (arquivo ou stdin) e grava os endereços em CSV ou NDJSON.
+
+Opções:
+  --format <csv|ndjson|list>         Formato da entrada (padrão: pela extensão ou pelo conteúdo)
+  --column <nome>                    Coluna (CSV) ou campo (NDJSON) com o CEP (padrão: cep)
+  --output <arquivo>                 Arquivo de saída (padrão: stdout)
+  --output-format <csv|ndjson>       Formato da saída (padrão: ndjson para entrada NDJSON, senão csv)
+  --concurrency <n>                  CEPs consultados ao mesmo tempo (padrão: 5)
+  --providers <lista>                Provedores separados por vírgula
+  --timeout <ms>                     Timeout em milissegundos por CEP (padrão: 30000)
+  --no-cache                         Não usa o cache
+  --resume                           Continua uma execução interrompida (exige --output)
+  --quiet                            Não mostra o progresso no stderr
+  -h, --help                         Mostra esta ajuda`;
+
+/**
+ * Colunas adicionadas à saída CSV
+ */
+const RESULT_COLUMNS = ['cep_normalizado', 'logradouro', 'bairro', 'cidade', 'uf', 'provedor', 'error_type', 'error'];
+
+const INPUT_FORMATS = ['csv', 'ndjson', 'list'];
+const OUTPUT_FORMATS = ['csv', 'ndjson'];
+
+/**
+ * Detecta o formato da entrada pela extensão do arquivo ou pela primeira linha
+ */
+function detectFormat(file, text) {
+  const extension = file ? path.extname(file).toLowerCase() : '';
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  if (extension === '.ndjson' || extension === '.jsonl') {
+    return 'ndjson';
+  }
+
+  const firstLine = text.trim().split(/\r?\n/, 1)[0] || '';
+  if (firstLine.startsWith('{')) {
+    return 'ndjson';
+  }
+  return /[,;]/.test(firstLine) ? 'csv' : 'list';
+}
+
+/**
+ * Converte o texto de entrada em registros { cep, values }
+ * values guarda os dados originais da linha (array no CSV, objeto no NDJSON)
+ *
+ * @returns {{ header: string[]|null, delimiter: string, records: Object[] }}
+ * @throws {UsageError} Se a coluna do CEP não existe ou uma linha NDJSON é inválida
+ */
+function parseInput(text, format, column) {
+  if (format === 'ndjson') {
+    const records = text.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line !== '')
+      .map(({ line, number }) => {
+        let values;
+        try {
+          values = JSON.parse(line);
+        } catch (error) {
+          throw new UsageError(`A linha ${number} não é um JSON válido`);
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+          throw new UsageError(`A linha ${number} deve ser um objeto JSON`);
+        }
+        return { cep: values[column], values };
+      });
+
+    return { header: null, delimiter: ',', records };
+  }
+
+  if (format === 'list') {
+    const records = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(cep => ({ cep, values: [cep] }));
+
+    return { header: ['cep'], delimiter: ',', records };
+  }
+
+  const delimiter = detectDelimiter(text);
+  const [header = [], ...rows] = parseCsv(text, delimiter);
+  const columnIndex = header.findIndex(name => name.trim().toLowerCase() === column.toLowerCase());
+
+  if (columnIndex === -1) {
+    throw new UsageError(`Coluna "${column}" não encontrada no CSV (colunas: ${header.join(', ')})`);
+  }
+
+  return {
+    header,
+    delimiter,
+    records: rows.map(values => ({ cep: values[columnIndex], values }))
+  };
+}
+
+/**
+ * Campos de resultado (ou de erro) de um registro
+ */
+function toResultFields(outcome) {
+  if (outcome.error) {
+    return {
+      error_type: getErrorKind(outcome.error),
+      error: outcome.error.message
+    };
+  }
+
+  const { data } = outcome;
+  return {
+    cep_normalizado: data.cep,
+    logradouro: data.street,
+    bairro: data.neighborhood,
+    cidade: data.city,
+    uf: data.state,
+    provedor: data.service
+  };
+}
+
+/**
+ * Cria o formatador de linhas da saída
+ */
+function createFormatter(outputFormat, input) {
+  if (outputFormat === 'ndjson') {
+    return {
+      header: null,
+      format: (record, outcome) => {
+        const values = Array.isArray(record.values)
+          ? Object.fromEntries(input.header.map((name, index) => [name, record.values[index]]))
+          : record.values;
+
+        return JSON.stringify(outcome.error
+          ? { ...values, error: { type: getErrorKind(outcome.error), message: outcome.error.message } }
+          : { ...values, result: outcome.data });
+      }
+    };
+  }
+
+  const header = input.header || [...new Set(input.records.flatMap(record => Object.keys(record.values)))];
+
+  return {
+    header: stringifyCsvRow([...header, ...RESULT_COLUMNS], input.delimiter),
+    format: (record, outcome) => {
+      const values = Array.isArray(record.values)
+        ? header.map((_, index) => record.values[index])
+        : header.map(name => (typeof record.values[name] === 'object' && record.values[name] !== null
+          ? JSON.stringify(record.values[name])
+          : record.values[name]));
+      const fields = toResultFields(outcome);
+
+      return stringifyCsvRow([...values, ...RESULT_COLUMNS.map(name => fields[name])], input.delimiter);
+    }
+  };
+}
+
+/**
+ * Conta os registros já gravados em uma saída anterior (--resume)
+ * Linhas incompletas no fim do arquivo (execução interrompida durante a escrita) são descartadas
+ *
+ * @returns {number} Quantidade de registros já processados
+ */
+function prepareResume(file, outputFormat) {
+  if (!fs.existsSync(file)) {
+    return 0;
+  }
+
+  let text = fs.readFileSync(file, 'utf8');
+  if (text !== '' && !text.endsWith('\n')) {
+    text = text.slice(0, text.lastIndexOf('\n') + 1);
+    fs.writeFileSync(file, text);
+  }
+
+  if (outputFormat === 'ndjson') {
+    return text.split('\n').filter(line => line.trim() !== '').length;
+  }
+
+  // Desconta o cabeçalho
+  return Math.max(0, parseCsv(text, detectDelimiter(text)).length - 1);
+}
+
+/**
+ * Abre o arquivo de saída antes das consultas
+ * Rejeita se o arquivo não puder ser criado (diretório inexistente, sem permissão)
+ */
+function openOutput(file, append) {
+  return new Promise((resolveOpen, reject) => {
+    const stream = fs.createWriteStream(file, { flags: append ? 'a' : 'w' });
+    stream.once('error', error => reject(new Error(`Não foi possível gravar em ${file}: ${error.message}`)));
+    stream.once('open', () => resolveOpen(stream));
+  });
+}
+
+/**
+ * Mostra o progresso no stderr
+ */
+function createProgress(stderr, total, quiet) {
+  const interactive = Boolean(stderr.isTTY);
+
+  return (completed, failed) => {
+    if (quiet) {
+      return;
+    }
+
+    const message = `Processados ${completed}/${total} (${failed} com erro)`;
+    if (interactive) {
+      stderr.write(`\r${message}`);
+      if (completed === total) {
+        stderr.write('\n');
+      }
+    } else if (completed === total || completed % 100 === 0) {
+      stderr.write(`${message}\n`);
+    }
+  };
+}
+
+/**
+ * Subcomando batch: consulta os CEPs de um arquivo (CSV, NDJSON ou lista) ou do stdin
+ * Os registros são gravados na ordem da entrada, assim que cada um e os anteriores terminam,
+ * o que permite continuar uma execução interrompida com --resume
+ *
+ * @param {string[]} argv - Argumentos após "batch"
+ * @param {Object} io - { stdout, stderr, stdin, signal }
+ * @returns {Promise<number>} Código de saída
+ */
+async function runBatch(argv, io) {
+  const { positionals, flags } = parseArgs(argv, {
+    string: ['format', 'column', 'output', 'output-format', 'concurrency', 'providers', 'timeout'],
+    boolean: ['cache', 'resume', 'quiet', 'help'],
+    alias: { h: 'help' }
+  });
+
+  if (flags.help) {
+    io.stdout.write(`${BATCH_USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positionals.length > 1) {
+    throw new UsageError('Informe apenas um arquivo de entrada');
+  }
+  if (flags.format !== undefined && !INPUT_FORMATS.includes(flags.format)) {
+    throw new UsageError(`--format deve ser um dos seguintes: ${INPUT_FORMATS.join(', ')}`);
+  }
+  if (flags['output-format'] !== undefined && !OUTPUT_FORMATS.includes(flags['output-format'])) {
+    throw new UsageError(`--output-format deve ser um dos seguintes: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (flags.resume && !flags.output) {
+    throw new UsageError('--resume exige --output');
+  }
+
+  const concurrency = flags.concurrency !== undefined ? parsePositiveInteger(flags.concurrency, 'concurrency') : 5;
+  const searchOptions = { useCache: flags.cache !== false };
+  if (io.signal) {
+    searchOptions.signal = io.signal;
+  }
+  if (flags.providers !== undefined) {
+    searchOptions.providers = parseList(flags.providers);
+  }
+  if (flags.timeout !== undefined) {
+    searchOptions.timeout = parsePositiveInteger(flags.timeout, 'timeout');
+  }
+
+  const file = positionals[0] && positionals[0] !== '-' ? positionals[0] : null;
+  const text = await readInput(file, io.stdin);
+  const format = flags.format || detectFormat(file, text);
+  const input = parseInput(text, format, flags.column || 'cep');
+  const outputFormat = flags['output-format'] || (format === 'ndjson' ? 'ndjson' : 'csv');
+  const formatter = createFormatter(outputFormat, input);
+
+  const skipped = flags.resume ? prepareResume(flags.output, outputFormat) : 0;
+  const records = input.records.slice(skipped);
+  const output = flags.output ? await openOutput(flags.output, skipped > 0) : io.stdout;
+
+  // Falhas de escrita (ex: disco cheio) interrompem as consultas e encerram com erro
+  let writeError = null;
+  if (output !== io.stdout) {
+    output.on('error', error => {
+      writeError = writeError || new Error(`Não foi possível gravar em ${flags.output}: ${error.message}`);
+    });
+  }
+
+  if (formatter.header && skipped === 0) {
+    output.write(`${formatter.header}\n`);
+  }
+
+  // Grava os registros na ordem da entrada
+  const finished = new Map();
+  let nextToWrite = 0;
+  let completed = 0;
+  let failed = 0;
+  const progress = createProgress(io.stderr, records.length, flags.quiet);
+
+  // CEPs repetidos são consultados uma única vez
+  const lookups = new Map();
+  const resolve = cep => {
+    const key = String(cep === undefined || cep === null ? '' : cep).trim();
+    if (!lookups.has(key)) {
+      lookups.set(key, searchCep(key, searchOptions).then(data => ({ data }), error => ({ error })));
+    }
+    return lookups.get(key);
+  };
+
+  await mapWithConcurrency(records, concurrency, async (record, index) => {
+    if ((io.signal && io.signal.aborted) || writeError) {
+      return;
+    }
+
+    const outcome = await resolve(record.cep);
+    if (outcome.error instanceof AbortError || writeError) {
+      return;
+    }
+
+    completed++;
+    if (outcome.error) {
+      failed++;
+    }
+    finished.set(index, formatter.format(record, outcome));
+    while (finished.has(nextToWrite)) {
+      output.write(`${finished.get(nextToWrite)}\n`);
+      finished.delete(nextToWrite);
+      nextToWrite++;
+    }
+    progress(completed, failed);
+  });
+
+  if (output !== io.stdout) {
+    await new Promise(resolveEnd => {
+      if (output.closed) {
+        resolveEnd();
+        return;
+      }
+      output.once('close', resolveEnd);
+      output.end();
+    });
+  }
+
+  if (writeError) {
+    throw writeError;
+  }
+
+  if (io.signal && io.signal.aborted) {
+    io.stderr.write(`Interrompido após ${skipped + nextToWrite} de ${input.records.length} registros.` +
+      (flags.output ? ' Use --resume para continuar.\n' : '\n'));
+    return EXIT_CODES.ABORTED;
+  }
+
+  if (!flags.quiet) {
+    io.stderr.write(`Concluído: ${completed - failed} encontrados, ${failed} com erro` +
+      (skipped > 0 ? ` (${skipped} já processados anteriormente)` : '') + '\n');
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  BATCH_USAGE,
+  RESULT_COLUMNS,
+  runBatch,
+  parseInput,
+  detectFormat
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { run } = require('./index');
+const { EXIT_CODES } = require('./output');
+const { ValidationError, ServiceError, AbortError } = require('../errors/CepError');
+
+jest.mock('../index', () => ({
+  searchCep: jest.fn()
+}));
+
+const { searchCep } = require('../index');
+
+/**
+ * Cria streams em memória; o stdin recebe o texto informado
+ */
+const createIo = (stdin = '', extra = {}) => {
+  const output = { stdout: '', stderr: '' };
+  return {
+    output,
+    io: {
+      stdout: { write: text => { output.stdout += text; } },
+      stderr: { write: text => { output.stderr += text; } },
+      stdin: Readable.from([Buffer.from(stdin)]),
+      ...extra
+    }
+  };
+};
+
+const addresses = {
+  '01310100': {
+    cep: '01310100',
+    state: 'SP',
+    city: 'São Paulo',
+    street: 'Avenida Paulista',
+    neighborhood: 'Bela Vista',
+    service: 'viacep'
+  },
+  '20040020': {
+    cep: '20040020',
+    state: 'RJ',
+    city: 'Rio de Janeiro',
+    street: 'Avenida Rio Branco',
+    neighborhood: 'Centro',
+    service: 'brasilapi'
+  }
+};
+
+const mockSearch = () => {
+  searchCep.mockImplementation(async cep => {
+    const digits = cep.replace(/\D/g, '');
+    if (digits.length !== 8) {
+      throw new ValidationError('CEP deve conter exatamente 8 dígitos');
+    }
+    if (!addresses[digits]) {
+      throw new ServiceError('CEP não encontrado em nenhum serviço', [
+        { service: 'viacep', status: 404, message: 'não encontrado' }
+      ]);
+    }
+    return addresses[digits];
+  });
+};
+
+describe('cli batch', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSearch();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cep-batch-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('deve enriquecer o CSV do stdin mantendo a ordem e as colunas originais', async () => {
+    const { io, output } = createIo('id;cep\n1;01310-100\n2;99999999\n3;123\n4;20040020\n');
+
+    const code = await run(['batch', '--quiet'], io);
+
+    expect(code).toBe(EXIT_CODES.SUCCESS);
+    expect(output.stdout.split('\n')).toEqual([
+      'id;cep;cep_normalizado;logradouro;bairro;cidade;uf;provedor;error_type;error',
+      '1;01310-100;01310100;Avenida Paulista;Bela Vista;São Paulo;SP;viacep;;',
+      '2;99999999;;;;;;;not_found;CEP não encontrado em nenhum serviço',
+      '3;123;;;;;;;validation;CEP deve conter exatamente 8 dígitos',
+      '4;20040020;20040020;Avenida Rio Branco;Centro;Rio de Janeiro;RJ;brasilapi;;',
+      ''
+    ]);
+    expect(output.stderr).toBe('');
+  });
+
+  test('deve ler a coluna informada em --column', async () => {
+    const { io, output } = createIo('nome,Codigo Postal\n"Silva, João",01310100\n');
+
+    await run(['batch', '--column', 'codigo postal', '--quiet'], io);
+
+    expect(searchCep).toHaveBeenCalledWith('01310100', { useCache: true });
+    expect(output.stdout).toContain('"Silva, João",01310100,01310100,Avenida Paulista');
+  });
+
+  test('deve ler uma lista simples e consultar CEPs repetidos uma única vez', async () => {
+    const file = path.join(tmpDir, 'ceps.txt');
+    fs.writeFileSync(file, '01310100\n\n01310100\n20040020\n');
+    const { io, output } = createIo();
+
+    await run(['batch', file, '--concurrency', '2', '--no-cache', '--quiet'], io);
+
+    expect(searchCep).toHaveBeenCalledTimes(2);
+    expect(searchCep).toHaveBeenCalledWith('01310100', { useCache: false });
+    expect(output.stdout.trim().split('\n')).toHaveLength(4);
+    expect(output.stdout.startsWith('cep,cep_normalizado,')).toBe(true);
+  });
+
+  test('deve gravar NDJSON com o resultado ou o erro de cada linha', async () => {
+    const { io, output } = createIo('{"id":1,"cep":"01310100"}\n{"id":2,"cep":"99999999"}\n');
+
+    await run(['batch', '-', '--quiet'], io);
+
+    const lines = output.stdout.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      { id: 1, cep: '01310100', result: addresses['01310100'] },
+      {
+        id: 2,
+        cep: '99999999',
+        error: { type: 'not_found', message: 'CEP não encontrado em nenhum serviço' }
+      }
+    ]);
+  });
+
+  test('deve rejeitar uma linha NDJSON inválida', async () => {
+    const { io, output } = createIo('{"cep":"01310100"}\n{cep}\n');
+
+    const code = await run(['batch', '--format', 'ndjson'], io);
+
+    expect(code).toBe(EXIT_CODES.USAGE);
+    expect(output.stderr).toContain('A linha 2 não é um JSON válido');
+    expect(searchCep).not.toHaveBeenCalled();
+  });
+
+  test('deve rejeitar coluna inexistente e --resume sem --output', async () => {
+    const first = createIo('id,codigo\n1,01310100\n');
+    expect(await run(['batch'], first.io)).toBe(EXIT_CODES.USAGE);
+    expect(first.output.stderr).toContain('Coluna "cep" não encontrada');
+    expect(first.output.stderr).toContain('cep-search batch');
+
+    const second = createIo('01310100\n');
+    expect(await run(['batch', '--resume'], second.io)).toBe(EXIT_CODES.USAGE);
+    expect(second.output.stderr).toContain('--resume exige --output');
+  });
+
+  test('deve mostrar o progresso e o resumo no stderr', async () => {
+    const { io, output } = createIo('01310100\n99999999\n');
+
+    await run(['batch', '--output-format', 'ndjson'], io);
+
+    expect(output.stderr).toContain('Processados 2/2 (1 com erro)');
+    expect(output.stderr).toContain('Concluído: 1 encontrados, 1 com erro');
+  });
+
+  test('deve continuar uma execução interrompida com --resume', async () => {
+    const input = path.join(tmpDir, 'entrada.csv');
+    const outputFile = path.join(tmpDir, 'saida.csv');
+    fs.writeFileSync(input, 'cep\n01310100\n99999999\n20040020\n');
+    // Execução anterior gravou o cabeçalho, uma linha e parte da seguinte
+    fs.writeFileSync(outputFile,
+      'cep,cep_normalizado,logradouro,bairro,cidade,uf,provedor,error_type,error\n' +
+      '01310100,01310100,Avenida Paulista,Bela Vista,São Paulo,SP,viacep,,\n' +
+      '99999999,,,');
+    const { io, output } = createIo();
+
+    const code = await run(['batch', input, '--output', outputFile, '--resume'], io);
+
+    expect(code).toBe(EXIT_CODES.SUCCESS);
+    expect(searchCep).toHaveBeenCalledTimes(2);
+    expect(searchCep).not.toHaveBeenCalledWith('01310100', expect.anything());
+    expect(fs.readFileSync(outputFile, 'utf8').trim().split('\n')).toEqual([
+      'cep,cep_normalizado,logradouro,bairro,cidade,uf,provedor,error_type,error',
+      '01310100,01310100,Avenida Paulista,Bela Vista,São Paulo,SP,viacep,,',
+      '99999999,,,,,,,not_found,CEP não encontrado em nenhum serviço',
+      '20040020,20040020,Avenida Rio Branco,Centro,Rio de Janeiro,RJ,brasilapi,,'
+    ]);
+    expect(output.stderr).toContain('(1 já processados anteriormente)');
+  });
+
+  test('deve sair com erro, sem consultar, quando o arquivo de saída não pode ser criado', async () => {
+    const outputFile = path.join(tmpDir, 'inexistente', 'saida.csv');
+    const { io, output } = createIo('01310100\n');
+
+    const code = await run(['batch', '--output', outputFile], io);
+
+    expect(code).toBe(EXIT_CODES.ERROR);
+    expect(output.stderr).toContain(`Não foi possível gravar em ${outputFile}`);
+    expect(output.stderr).not.toContain('Concluído');
+    expect(searchCep).not.toHaveBeenCalled();
+  });
+
+  test('deve parar ao ser interrompido, gravando apenas as linhas concluídas', async () => {
+    const controller = new AbortController();
+    const outputFile = path.join(tmpDir, 'saida.ndjson');
+    searchCep.mockImplementation(async cep => {
+      if (cep === '01310100') {
+        return addresses[cep];
+      }
+      controller.abort();
+      throw new AbortError('A busca foi cancelada');
+    });
+    const { io, output } = createIo('01310100\n20040020\n99999999\n', { signal: controller.signal });
+
+    const code = await run(['batch', '--output', outputFile, '--output-format', 'ndjson', '--concurrency', '1'], io);
+
+    expect(code).toBe(EXIT_CODES.ABORTED);
+    expect(searchCep).toHaveBeenCalledTimes(2);
+    expect(fs.readFileSync(outputFile, 'utf8').trim().split('\n')).toHaveLength(1);
+    expect(output.stderr).toContain('Interrompido após 1 de 3 registros. Use --resume para continuar.');
+  });
+});
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const {
+  configureCache,
+  getCacheAdapter,
+  getCacheInfo,
+  listCacheEntries,
+  deleteCachedEntry,
+  clearExpiredCache,
+  clearCache,
+  exportCache,
+  importCache
+} = require('../utils/cache');
+const { isValidCep } = require('../utils/cepValidator');
+const { normalizeText } = require('../utils/textUtils');
+const { UsageError, parseArgs } = require('./args');
+const { EXIT_CODES, formatCepValue } = require('./output');
+const { readInput } = require('./io');
+
+const CACHE_USAGE = `Uso: cep-search cache <comando> [opções]
+
+Gerencia o cache de CEPs (o mesmo usado por searchCep).
+
+Comandos:
+  stats                  Mostra o arquivo, a configuração e a contagem de entradas
+  list                   Lista as entradas
+  grep <texto>           Lista as entradas cujo CEP ou endereço contém o texto
+  delete <cep>           Remove a entrada de um CEP
+  purge                  Remove as entradas expiradas
+  clear                  Remove as entradas do namespace
+  export [arquivo|-]     Exporta as entradas em JSON (padrão: stdout)
+  import <arquivo|->     Importa entradas exportadas (mantém as mais recentes)
+
+Opções:
+  --cache-file <arquivo> Arquivo de cache (padrão: CEP_PARALLEL_SEARCH_CACHE_FILE,
+                         CEP_PARALLEL_SEARCH_CACHE_DIR ou ~/.cep-parallel-search/cache.json)
+  --cache-dir <dir>      Diretório do arquivo cache.json
+  --namespace <nome>     Namespace das chaves (padrão: sem namespace)
+  --status <situação>    Filtra list/grep por valid, notFound ou expired
+  --json                 Imprime stats, list e grep em JSON
+  -h, --help             Mostra esta ajuda`;
+
+const ENTRY_STATUSES = ['valid', 'notFound', 'expired'];
+
+/**
+ * Número de argumentos de cada comando (além do nome do comando)
+ */
+const COMMAND_ARGUMENTS = {
+  stats: [0, 0],
+  list: [0, 0],
+  grep: [1, 1],
+  delete: [1, 1],
+  purge: [0, 0],
+  clear: [0, 0],
+  export: [0, 1],
+  import: [1, 1]
+};
+
+/**
+ * Formata uma duração em milissegundos (ex: 15 dias, 2 h)
+ */
+function formatDuration(ms) {
+  const units = [[24 * 60 * 60 * 1000, 'dia', 'dias'], [60 * 60 * 1000, 'h', 'h'], [60 * 1000, 'min', 'min']];
+  const unit = units.find(([size]) => ms > 0 && ms % size === 0);
+  if (!unit) {
+    return `${ms} ms`;
+  }
+
+  const [size, singular, plural] = unit;
+  const count = ms / size;
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Formata as informações de getCacheInfo para leitura humana
+ */
+function formatInfo(info) {
+  return [
+    `Adapter: ${info.adapter}`,
+    info.cacheFile ? `Arquivo: ${info.cacheFile}` : null,
+    `Namespace: ${info.namespace || '(nenhum)'}`,
+    `TTL: ${formatDuration(info.ttl)} (não encontrado: ${formatDuration(info.notFoundTtl)}, stale: ${formatDuration(info.maxStale)})`,
+    `Entradas: ${info.totalEntries} (válidas: ${info.validEntries}, não encontrado: ${info.notFoundEntries}, expiradas: ${info.expiredEntries})`,
+    `Tamanho estimado: ${info.estimatedSize} bytes`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Resumo do endereço de uma entrada (ou "não encontrado")
+ */
+function describeEntry(entry) {
+  if (!entry.data) {
+    return 'não encontrado';
+  }
+
+  const { street, neighborhood, city, state } = entry.data;
+  return [street, neighborhood, [city, state].filter(Boolean).join(' - ')].filter(Boolean).join(', ');
+}
+
+/**
+ * Formata uma entrada em uma linha: CEP, situação, data de gravação e endereço
+ */
+function formatEntry(entry) {
+  return [
+    formatCepValue(entry.cep),
+    entry.status.padEnd(8),
+    new Date(entry.timestamp).toISOString(),
+    describeEntry(entry)
+  ].join('  ');
+}
+
+/**
+ * Verifica se o CEP ou o endereço da entrada contém o texto (sem diferenciar acentos e maiúsculas)
+ */
+function matchesEntry(entry, text) {
+  const digits = text.replace(/\D/g, '');
+  if (digits && digits.length === text.replace(/[\s.-]/g, '').length) {
+    return entry.cep.includes(digits);
+  }
+
+  return normalizeText(describeEntry(entry)).includes(normalizeText(text));
+}
+
+/**
+ * Subcomando cache: consulta e manutenção do cache pelas funções de src/utils/cache.js
+ *
+ * @param {string[]} argv - Argumentos após "cache"
+ * @param {Object} io - { stdout, stderr, stdin }
+ * @returns {Promise<number>} Código de saída
+ */
+async function runCache(argv, io) {
+  const { positionals, flags } = parseArgs(argv, {
+    string: ['cache-file', 'cache-dir', 'namespace', 'status'],
+    boolean: ['json', 'help'],
+    alias: { h: 'help' }
+  });
+
+  if (flags.help) {
+    io.stdout.write(`${CACHE_USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const [command, ...args] = positionals;
+  if (!command) {
+    throw new UsageError('Informe o comando do cache');
+  }
+  if (!COMMAND_ARGUMENTS[command]) {
+    throw new UsageError(`Comando do cache desconhecido: ${command}`);
+  }
+
+  const [min, max] = COMMAND_ARGUMENTS[command];
+  if (args.length < min) {
+    throw new UsageError(`Informe o argumento do comando ${command}`);
+  }
+  if (args.length > max) {
+    throw new UsageError(`Argumentos demais para o comando ${command}`);
+  }
+  if (flags.status !== undefined && !ENTRY_STATUSES.includes(flags.status)) {
+    throw new UsageError(`--status deve ser um dos seguintes: ${ENTRY_STATUSES.join(', ')}`);
+  }
+
+  // Sem --cache-file/--cache-dir, usa a mesma localização do cache de searchCep (variáveis de ambiente)
+  configureCache({
+    filePath: flags['cache-file'],
+    dir: flags['cache-dir'],
+    namespace: flags.namespace || ''
+  });
+  const adapter = getCacheAdapter();
+  const write = text => io.stdout.write(`${text}\n`);
+
+  switch (command) {
+  case 'stats': {
+    const info = await getCacheInfo(adapter);
+    write(flags.json ? JSON.stringify(info, null, 2) : formatInfo(info));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  case 'list':
+  case 'grep': {
+    const entries = (await listCacheEntries(adapter))
+      .filter(entry => !flags.status || entry.status === flags.status)
+      .filter(entry => command === 'list' || matchesEntry(entry, args[0]));
+
+    if (flags.json) {
+      write(JSON.stringify(entries, null, 2));
+    } else if (entries.length > 0) {
+      write(entries.map(formatEntry).join('\n'));
+    }
+    return command === 'grep' && entries.length === 0 ? EXIT_CODES.NOT_FOUND : EXIT_CODES.SUCCESS;
+  }
+
+  case 'delete': {
+    if (!isValidCep(args[0])) {
+      throw new UsageError(`CEP inválido: ${args[0]}`);
+    }
+    const removed = await deleteCachedEntry(args[0], adapter);
+    io.stderr.write(removed
+      ? `Entrada do CEP ${formatCepValue(args[0])} removida\n`
+      : `O CEP ${formatCepValue(args[0])} não está no cache\n`);
+    return removed ? EXIT_CODES.SUCCESS : EXIT_CODES.NOT_FOUND;
+  }
+
+  case 'purge': {
+    const removed = await clearExpiredCache(adapter);
+    io.stderr.write(`${removed} entradas expiradas removidas\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  case 'clear': {
+    if (!(await clearCache(adapter))) {
+      io.stderr.write('Não foi possível limpar o cache\n');
+      return EXIT_CODES.ERROR;
+    }
+    io.stderr.write('Cache limpo\n');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  case 'export': {
+    const content = JSON.stringify(await exportCache(adapter), null, 2);
+    if (args[0] && args[0] !== '-') {
+      fs.writeFileSync(args[0], `${content}\n`);
+    } else {
+      write(content);
+    }
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // import
+  default: {
+    let dump;
+    try {
+      dump = JSON.parse(await readInput(args[0], io.stdin));
+    } catch (error) {
+      if (error.code) {
+        throw error;
+      }
+      throw new UsageError('O arquivo de importação não é um JSON válido');
+    }
+    const { imported, skipped } = await importCache(dump, adapter);
+    io.stderr.write(`${imported} entradas importadas, ${skipped} ignoradas\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+  }
+}
+
+module.exports = {
+  CACHE_USAGE,
+  runCache
+};
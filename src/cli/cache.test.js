@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { run } = require('./index');
+const { EXIT_CODES } = require('./output');
+const { resetCacheConfig, CACHE_DURATION_MS } = require('../utils/cache');
+
+jest.mock('../index', () => ({
+  searchCep: jest.fn()
+}));
+
+/**
+ * Cria streams em memória; o stdin recebe o texto informado
+ */
+const createIo = (stdin = '') => {
+  const output = { stdout: '', stderr: '' };
+  return {
+    output,
+    io: {
+      stdout: { write: text => { output.stdout += text; } },
+      stderr: { write: text => { output.stderr += text; } },
+      stdin: Readable.from([Buffer.from(stdin)])
+    }
+  };
+};
+
+const address = {
+  cep: '01310100',
+  state: 'SP',
+  city: 'São Paulo',
+  street: 'Avenida Paulista',
+  neighborhood: 'Bela Vista',
+  service: 'viacep'
+};
+
+describe('cli cache', () => {
+  let tmpDir;
+  let cacheFile;
+
+  /**
+   * Executa o subcomando cache sobre o arquivo temporário
+   */
+  const runCache = async (args, stdin) => {
+    const { io, output } = createIo(stdin);
+    const code = await run(['cache', ...args, '--cache-file', cacheFile], io);
+    return { code, ...output };
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cep-cache-cli-'));
+    cacheFile = path.join(tmpDir, 'cache.json');
+    const now = Date.now();
+    fs.writeFileSync(cacheFile, JSON.stringify({
+      cep_01310100: { timestamp: now, data: address },
+      cep_20040020: {
+        timestamp: now - CACHE_DURATION_MS - 1,
+        data: { ...address, cep: '20040020', city: 'Rio de Janeiro', state: 'RJ', street: 'Avenida Rio Branco' }
+      },
+      cep_99999999: { timestamp: now, notFound: true, errors: [] },
+      'outro:cep_30140071': { timestamp: now, data: address }
+    }));
+  });
+
+  afterEach(() => {
+    resetCacheConfig();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('deve mostrar as informações do cache configurado', async () => {
+    const { code, stdout } = await runCache(['stats']);
+
+    expect(code).toBe(EXIT_CODES.SUCCESS);
+    expect(stdout).toContain(`Arquivo: ${cacheFile}`);
+    expect(stdout).toContain('TTL: 15 dias (não encontrado: 1 dia, stale: 15 dias)');
+    expect(stdout).toContain('Entradas: 3 (válidas: 1, não encontrado: 1, expiradas: 1)');
+
+    const json = await runCache(['stats', '--json', '--namespace', 'outro']);
+    expect(JSON.parse(json.stdout)).toMatchObject({ namespace: 'outro', totalEntries: 1 });
+  });
+
+  test('deve listar e filtrar as entradas', async () => {
+    const { stdout } = await runCache(['list']);
+    const lines = stdout.trim().split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^01310-100 {2}valid {5}\S+ {2}Avenida Paulista, Bela Vista, São Paulo - SP$/);
+    expect(lines[2]).toContain('não encontrado');
+
+    const expired = await runCache(['list', '--status', 'expired', '--json']);
+    expect(JSON.parse(expired.stdout).map(entry => entry.cep)).toEqual(['20040020']);
+  });
+
+  test('deve buscar entradas pelo CEP ou pelo endereço', async () => {
+    await expect(runCache(['grep', 'rio de janeiro'])).resolves.toMatchObject({
+      code: EXIT_CODES.SUCCESS,
+      stdout: expect.stringContaining('20040-020')
+    });
+    await expect(runCache(['grep', 'SAO PAULO'])).resolves.toMatchObject({
+      stdout: expect.stringContaining('01310-100')
+    });
+    await expect(runCache(['grep', '01310-1'])).resolves.toMatchObject({
+      stdout: expect.stringContaining('01310-100')
+    });
+    await expect(runCache(['grep', 'Curitiba'])).resolves.toMatchObject({
+      code: EXIT_CODES.NOT_FOUND,
+      stdout: ''
+    });
+  });
+
+  test('deve remover um CEP, as entradas expiradas e todo o cache', async () => {
+    await expect(runCache(['delete', '01310-100'])).resolves.toMatchObject({ code: EXIT_CODES.SUCCESS });
+    await expect(runCache(['delete', '01310100'])).resolves.toMatchObject({
+      code: EXIT_CODES.NOT_FOUND,
+      stderr: 'O CEP 01310-100 não está no cache\n'
+    });
+
+    await expect(runCache(['purge'])).resolves.toMatchObject({ stderr: '1 entradas expiradas removidas\n' });
+    expect(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).sort())
+      .toEqual(['cep_99999999', 'outro:cep_30140071']);
+
+    // Sem --namespace, as entradas dos outros namespaces do mesmo arquivo são preservadas
+    await expect(runCache(['clear'])).resolves.toMatchObject({ code: EXIT_CODES.SUCCESS });
+    expect(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8')))).toEqual(['outro:cep_30140071']);
+
+    await expect(runCache(['clear', '--namespace', 'outro'])).resolves.toMatchObject({ code: EXIT_CODES.SUCCESS });
+    expect(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).toEqual({});
+  });
+
+  test('deve exportar e importar o cache', async () => {
+    const exportFile = path.join(tmpDir, 'export.json');
+    await expect(runCache(['export', exportFile])).resolves.toMatchObject({ code: EXIT_CODES.SUCCESS });
+    const dump = JSON.parse(fs.readFileSync(exportFile, 'utf8'));
+    expect(Object.keys(dump.entries).sort()).toEqual(['01310100', '20040020', '99999999']);
+
+    fs.unlinkSync(cacheFile);
+    const imported = await runCache(['import', '-'], JSON.stringify(dump));
+
+    expect(imported).toMatchObject({ code: EXIT_CODES.SUCCESS, stderr: '3 entradas importadas, 0 ignoradas\n' });
+    expect(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).sort())
+      .toEqual(['cep_01310100', 'cep_20040020', 'cep_99999999']);
+  });
+
+  test('deve rejeitar comandos e importações inválidos', async () => {
+    await expect(runCache([])).resolves.toMatchObject({
+      code: EXIT_CODES.USAGE,
+      stderr: expect.stringContaining('cep-search cache <comando>')
+    });
+    await expect(runCache(['compact'])).resolves.toMatchObject({ code: EXIT_CODES.USAGE });
+    await expect(runCache(['delete'])).resolves.toMatchObject({ code: EXIT_CODES.USAGE });
+    await expect(runCache(['list', '--status', 'old'])).resolves.toMatchObject({ code: EXIT_CODES.USAGE });
+    await expect(runCache(['import', '-'], '{ invalido')).resolves.toMatchObject({ code: EXIT_CODES.USAGE });
+    await expect(runCache(['import', '-'], '{"cep_01310100":{}}')).resolves.toMatchObject({
+      code: EXIT_CODES.VALIDATION
+    });
+  });
+});
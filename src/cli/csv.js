@@ -0,0 +1,86 @@
+/**
+ * Detecta o separador do CSV pela linha de cabeçalho (',' ou ';', comum em planilhas brasileiras)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const commas = (firstLine.match(/,/g) || []).length;
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Converte o texto CSV em linhas (arrays de valores)
+ * Suporta campos entre aspas com separadores, quebras de linha e aspas duplicadas ("")
+ *
+ * @param {string} text - Conteúdo do CSV
+ * @param {string} [delimiter=','] - Separador de campos
+ * @returns {string[][]} Linhas não vazias
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Linhas em branco não são registros
+  return rows.filter(values => values.length > 1 || values[0] !== '');
+}
+
+/**
+ * Converte uma linha (array de valores) em texto CSV, com aspas quando necessário
+ *
+ * @param {Array} values - Valores da linha
+ * @param {string} [delimiter=','] - Separador de campos
+ */
+function stringifyCsvRow(values, delimiter = ',') {
+  return values.map(value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }).join(delimiter);
+}
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  stringifyCsvRow
+};
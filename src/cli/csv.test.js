@@ -0,0 +1,33 @@
+const { detectDelimiter, parseCsv, stringifyCsvRow } = require('./csv');
+
+describe('csv', () => {
+  test('deve detectar o separador pelo cabeçalho', () => {
+    expect(detectDelimiter('id,cep\n1,01310100')).toBe(',');
+    expect(detectDelimiter('id;cep;nome\n1;01310100;a,b')).toBe(';');
+  });
+
+  test('deve ler campos entre aspas, aspas duplicadas e CRLF', () => {
+    const text = 'id,nome\r\n1,"Silva, João"\r\n2,"Disse ""oi""\nde novo"\r\n\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['id', 'nome'],
+      ['1', 'Silva, João'],
+      ['2', 'Disse "oi"\nde novo']
+    ]);
+  });
+
+  test('deve ler a última linha sem quebra de linha final', () => {
+    expect(parseCsv('cep;uf\n01310100;SP', ';')).toEqual([['cep', 'uf'], ['01310100', 'SP']]);
+  });
+
+  test('deve escrever a linha com aspas apenas quando necessário', () => {
+    expect(stringifyCsvRow(['1', 'Silva, João', 'Disse "oi"', null, undefined]))
+      .toBe('1,"Silva, João","Disse ""oi""",,');
+    expect(stringifyCsvRow(['a,b', 'c;d'], ';')).toBe('a,b;"c;d"');
+  });
+
+  test('deve preservar os valores em uma ida e volta', () => {
+    const row = ['01310-100', 'Rua "A", 10', 'linha\nquebrada'];
+    expect(parseCsv(`${stringifyCsvRow(row)}\n`)).toEqual([row]);
+  });
+});
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+const { searchCep } = require('../index');
+const { UsageError, parseArgs, parsePositiveInteger, parseList } = require('./args');
+const {
+  EXIT_CODES,
+  getExitCode,
+  formatResult,
+  formatError,
+  toErrorJson
+} = require('./output');
+const { BATCH_USAGE, runBatch } = require('./batch');
+const { CACHE_USAGE, runCache } = require('./cache');
+
+const USAGE = `Uso: cep-search <cep> [opções]
+       cep-search batch [arquivo|-] [opções]
+       cep-search cache <comando> [opções]
+
+Busca um CEP consultando os provedores em paralelo.
+Use "cep-search batch --help" para consultar vários CEPs de um arquivo
+e "cep-search cache --help" para consultar e manter o cache.
+
+Opções:
+  --providers <lista>  Provedores separados por vírgula (ex: viacep,brasilapi)
+  --timeout <ms>       Timeout em milissegundos (padrão: 30000)
+  --no-cache           Não usa o cache
+  --json               Imprime o resultado (ou o erro) em JSON
+  -h, --help           Mostra esta ajuda
+  -v, --version        Mostra a versão
+
+Códigos de saída:
+  0  sucesso              4  CEP não encontrado
+  1  erro inesperado      5  erro dos provedores (ServiceError)
+  2  uso incorreto        6  timeout (TimeoutError)
+  3  CEP inválido (ValidationError)   130  interrompido`;
+
+/**
+ * Subcomandos (cep-search <subcomando> ...) e a sua ajuda
+ */
+const SUBCOMMANDS = new Map([
+  ['batch', { run: runBatch, usage: BATCH_USAGE }],
+  ['cache', { run: runCache, usage: CACHE_USAGE }]
+]);
+
+/**
+ * Escreve uma linha na saída informada
+ */
+function writeLine(stream, text) {
+  stream.write(`${text}\n`);
+}
+
+/**
+ * Consulta um único CEP e imprime o endereço
+ *
+ * @param {string[]} argv - Argumentos da linha de comando
+ * @param {Object} io - { stdout, stderr }
+ * @returns {Promise<number>} Código de saída
+ */
+async function lookup(argv, io) {
+  const { positionals, flags } = parseArgs(argv, {
+    string: ['providers', 'timeout'],
+    boolean: ['cache', 'json', 'help', 'version'],
+    alias: { h: 'help', v: 'version' }
+  });
+
+  if (flags.help) {
+    writeLine(io.stdout, USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (flags.version) {
+    writeLine(io.stdout, require('../../package.json').version);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (positionals.length !== 1) {
+    throw new UsageError(positionals.length === 0
+      ? 'Informe o CEP a ser consultado'
+      : 'Informe apenas um CEP');
+  }
+
+  const options = { useCache: flags.cache !== false };
+  if (io.signal) {
+    options.signal = io.signal;
+  }
+  if (flags.providers !== undefined) {
+    options.providers = parseList(flags.providers);
+  }
+  if (flags.timeout !== undefined) {
+    options.timeout = parsePositiveInteger(flags.timeout, 'timeout');
+  }
+
+  try {
+    const result = await searchCep(positionals[0], options);
+    writeLine(io.stdout, flags.json ? JSON.stringify(result, null, 2) : formatResult(result));
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    if (flags.json) {
+      writeLine(io.stdout, JSON.stringify(toErrorJson(error), null, 2));
+    } else {
+      writeLine(io.stderr, formatError(error));
+    }
+    return getExitCode(error);
+  }
+}
+
+/**
+ * Executa a linha de comando
+ *
+ * @param {string[]} argv - Argumentos (sem o executável e o script)
+ * @param {Object} [io] - { stdout, stderr, stdin, signal } (padrão: streams do processo)
+ * @returns {Promise<number>} Código de saída
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr, stdin: process.stdin }) {
+  const subcommand = SUBCOMMANDS.get(argv[0]);
+
+  try {
+    return subcommand ? await subcommand.run(argv.slice(1), io) : await lookup(argv, io);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      writeLine(io.stderr, `${error.message}\n\n${subcommand ? subcommand.usage : USAGE}`);
+    } else {
+      writeLine(io.stderr, formatError(error));
+    }
+    return getExitCode(error);
+  }
+}
+
+if (require.main === module) {
+  // Ctrl+C interrompe as consultas em andamento (o modo batch grava o que já terminou)
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  run(process.argv.slice(2), {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    stdin: process.stdin,
+    signal: controller.signal
+  }).then(code => {
+    process.exitCode = code;
+    process.removeAllListeners('SIGINT');
+  });
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,108 @@
+const { run } = require('./index');
+const { EXIT_CODES } = require('./output');
+const { ValidationError, ServiceError, TimeoutError } = require('../errors/CepError');
+
+jest.mock('../index', () => ({
+  searchCep: jest.fn()
+}));
+
+const { searchCep } = require('../index');
+
+/**
+ * Cria streams em memória para capturar a saída da linha de comando
+ */
+const createIo = () => {
+  const output = { stdout: '', stderr: '' };
+  return {
+    output,
+    io: {
+      stdout: { write: text => { output.stdout += text; } },
+      stderr: { write: text => { output.stderr += text; } }
+    }
+  };
+};
+
+const address = {
+  cep: '01310100',
+  state: 'SP',
+  city: 'São Paulo',
+  street: 'Avenida Paulista',
+  neighborhood: 'Bela Vista',
+  service: 'viacep'
+};
+
+describe('cli', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('deve imprimir o endereço legível', async () => {
+    searchCep.mockResolvedValue(address);
+    const { io, output } = createIo();
+
+    await expect(run(['01310-100'], io)).resolves.toBe(EXIT_CODES.SUCCESS);
+
+    expect(searchCep).toHaveBeenCalledWith('01310-100', { useCache: true });
+    expect(output.stdout).toBe([
+      'CEP: 01310-100',
+      'Logradouro: Avenida Paulista',
+      'Bairro: Bela Vista',
+      'Cidade: São Paulo - SP',
+      'Fonte: viacep',
+      ''
+    ].join('\n'));
+  });
+
+  test('deve repassar as opções e imprimir JSON', async () => {
+    searchCep.mockResolvedValue(address);
+    const { io, output } = createIo();
+
+    await run(['01310100', '--providers', 'viacep,brasilapi', '--timeout', '5000', '--no-cache', '--json'], io);
+
+    expect(searchCep).toHaveBeenCalledWith('01310100', {
+      useCache: false,
+      providers: ['viacep', 'brasilapi'],
+      timeout: 5000
+    });
+    expect(JSON.parse(output.stdout)).toEqual(address);
+  });
+
+  test.each([
+    ['validação', new ValidationError('CEP inválido', [{ message: 'CEP inválido', service: 'cep_validation' }]), EXIT_CODES.VALIDATION],
+    ['não encontrado', new ServiceError('CEP não encontrado', [{ message: 'CEP não encontrado', service: 'viacep', status: 404 }]), EXIT_CODES.NOT_FOUND],
+    ['serviço', new ServiceError('Erro', [{ message: 'Status 500', service: 'viacep', status: 500 }]), EXIT_CODES.SERVICE],
+    ['timeout', new TimeoutError('Timeout', [{ message: 'Requisição excedeu o timeout', service: 'viacep' }]), EXIT_CODES.TIMEOUT],
+    ['inesperado', new Error('falha'), EXIT_CODES.ERROR]
+  ])('deve sair com o código de erro de %s', async (_, error, code) => {
+    searchCep.mockRejectedValue(error);
+    const { io, output } = createIo();
+
+    await expect(run(['01310100'], io)).resolves.toBe(code);
+    expect(output.stderr).toContain(error.message);
+  });
+
+  test('deve imprimir o erro em JSON com --json', async () => {
+    searchCep.mockRejectedValue(new ServiceError('CEP não encontrado', [{ message: 'CEP não encontrado', service: 'viacep', status: 404 }]));
+    const { io, output } = createIo();
+
+    await run(['99999999', '--json'], io);
+
+    expect(JSON.parse(output.stdout)).toEqual({
+      error: {
+        name: 'ServiceError',
+        type: 'service_error',
+        message: 'CEP não encontrado',
+        errors: [{ message: 'CEP não encontrado', service: 'viacep', status: 404 }]
+      }
+    });
+  });
+
+  test('deve sair com o código de uso incorreto', async () => {
+    const { io, output } = createIo();
+
+    await expect(run([], io)).resolves.toBe(EXIT_CODES.USAGE);
+    await expect(run(['01310100', '--timeout', '-1'], io)).resolves.toBe(EXIT_CODES.USAGE);
+    expect(output.stderr).toContain('Uso: cep-search');
+    expect(searchCep).not.toHaveBeenCalled();
+  });
+});
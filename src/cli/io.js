@@ -0,0 +1,34 @@
+const fs = require('fs');
+
+/**
+ * Lê todo o conteúdo de um stream como texto
+ */
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      data += chunk;
+    });
+    stream.on('end', () => resolve(data));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Lê um arquivo ou, sem arquivo (ou com '-'), o stdin
+ * Remove o BOM do início do texto (arquivos salvos por planilhas)
+ *
+ * @param {string} [file] - Caminho do arquivo
+ * @param {Object} stdin - Stream de entrada padrão
+ * @returns {Promise<string>} Conteúdo do arquivo
+ */
+async function readInput(file, stdin) {
+  const text = file && file !== '-' ? fs.readFileSync(file, 'utf8') : await readStream(stdin);
+  return text.replace(/^\uFEFF/, '');
+}
+
+module.exports = {
+  readStream,
+  readInput
+};
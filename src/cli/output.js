@@ -0,0 +1,143 @@
+const {
+  ValidationError,
+  ServiceError,
+  TimeoutError,
+  AbortError
+} = require('../errors/CepError');
+const { UsageError } = require('./args');
+const { isValidCep } = require('../utils/cepValidator');
+const { formatCep } = require('../utils/cepFormatter');
+
+/**
+ * Códigos de saída da linha de comando
+ * Cada classe de CepError tem o seu código; "não encontrado" é um ServiceError em que
+ * todos os provedores responderam status 404
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  VALIDATION: 3,
+  NOT_FOUND: 4,
+  SERVICE: 5,
+  TIMEOUT: 6,
+  ABORTED: 130
+};
+
+/**
+ * Verifica se todos os provedores responderam "não encontrado" (status 404)
+ */
+function isNotFound(error) {
+  return error instanceof ServiceError &&
+    Array.isArray(error.errors) &&
+    error.errors.length > 0 &&
+    error.errors.every(detail => detail && detail.status === 404);
+}
+
+/**
+ * Retorna o código de saída correspondente ao erro
+ */
+function getExitCode(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof ValidationError) {
+    return EXIT_CODES.VALIDATION;
+  }
+  if (isNotFound(error)) {
+    return EXIT_CODES.NOT_FOUND;
+  }
+  if (error instanceof ServiceError) {
+    return EXIT_CODES.SERVICE;
+  }
+  if (error instanceof TimeoutError) {
+    return EXIT_CODES.TIMEOUT;
+  }
+  if (error instanceof AbortError) {
+    return EXIT_CODES.ABORTED;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Tipo do erro de uma linha no modo batch (coluna error_type)
+ */
+function getErrorKind(error) {
+  switch (getExitCode(error)) {
+  case EXIT_CODES.VALIDATION:
+    return 'validation';
+  case EXIT_CODES.NOT_FOUND:
+    return 'not_found';
+  case EXIT_CODES.SERVICE:
+    return 'service';
+  case EXIT_CODES.TIMEOUT:
+    return 'timeout';
+  default:
+    return 'error';
+  }
+}
+
+/**
+ * Formata o CEP com hífen (01310100 -> 01310-100)
+ */
+function formatCepValue(cep) {
+  return isValidCep(cep) ? formatCep(cep) : String(cep || '');
+}
+
+/**
+ * Formata o resultado de searchCep para leitura humana (uma informação por linha)
+ */
+function formatResult(result) {
+  const lines = [
+    ['CEP', formatCepValue(result.cep)],
+    ['Logradouro', result.street],
+    ['Bairro', result.neighborhood],
+    ['Cidade', [result.city, result.state].filter(Boolean).join(' - ')],
+    ['Fonte', result.service]
+  ];
+
+  return lines
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Formata o erro para leitura humana: mensagem e o detalhe de cada provedor
+ */
+function formatError(error) {
+  const lines = [`Erro: ${error.message}`];
+
+  if (Array.isArray(error.errors)) {
+    error.errors.forEach(detail => {
+      lines.push(`  - ${detail.service || 'desconhecido'}: ${detail.message}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Representação JSON do erro para a opção --json
+ */
+function toErrorJson(error) {
+  return {
+    error: {
+      name: error.name,
+      type: error.type || null,
+      message: error.message,
+      errors: Array.isArray(error.errors) ? error.errors : []
+    }
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  isNotFound,
+  getExitCode,
+  getErrorKind,
+  formatCepValue,
+  formatResult,
+  formatError,
+  toErrorJson
+};
@@ -41,11 +41,22 @@ class TimeoutError extends CepError {
   }
 }
 
+/**
+ * Erro de cancelamento - quando a busca foi cancelada pelo AbortSignal do chamador
+ */
+class AbortError extends CepError {
+  constructor(message, errors = []) {
+    super(message, 'abort_error', errors);
+    this.name = 'AbortError';
+  }
+}
+
 module.exports = {
   CepError,
   ValidationError,
   ServiceError,
-  TimeoutError
+  TimeoutError,
+  AbortError
 };
 
 
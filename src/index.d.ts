@@ -33,19 +33,137 @@ export interface CepResult {
   ddd?: string;
   /** Código SIAFI */
   siafi?: string;
+
+  /**
+   * Provider que forneceu cada campo (apenas com strategy: 'merge')
+   * Ex: { city: 'brasilapi', ibge: 'viacep' }
+   */
+  sources?: { [field: string]: string };
+
+  /** Divergências entre providers (apenas com strategy: 'consensus') */
+  discrepancies?: CepDiscrepancy[];
+
+  /**
+   * Confiança do resultado, de 0 a 1 (apenas com strategy: 'consensus')
+   * Média da proporção de providers que concordam em cada campo básico
+   * (providers consultados que falharam contam como discordantes)
+   */
+  confidence?: number;
+
+  /**
+   * true quando o resultado veio de uma entrada expirada do cache
+   * (apenas com cacheMode: 'staleWhileRevalidate' ou 'staleIfError')
+   */
+  stale?: boolean;
+
+  /**
+   * true quando todos os provedores falharam e o resultado contém apenas o estado inferido
+   * pela faixa do CEP (apenas com degraded: true; service é 'offline' e city, street e neighborhood são vazios)
+   */
+  degraded?: boolean;
+  /** Nome do estado inferido pela faixa do CEP (apenas com degraded: true) */
+  stateName?: string;
+  /** Região do Brasil inferida pela faixa do CEP (apenas com degraded: true) */
+  region?: CepRegion;
+}
+
+/**
+ * Regiões do Brasil
+ */
+export type CepRegion = 'Norte' | 'Nordeste' | 'Centro-Oeste' | 'Sudeste' | 'Sul';
+
+/**
+ * Estado inferido pela faixa do CEP (getStateFromCep)
+ */
+export interface CepStateInfo {
+  /** Sigla do estado (UF) */
+  uf: string;
+  /** Nome do estado */
+  state: string;
+  region: CepRegion;
+}
+
+/**
+ * Divergência entre providers em um campo
+ */
+export interface CepDiscrepancy {
+  /** Campo com divergência (cep, state, city, street ou neighborhood) */
+  field: string;
+  /** Valor retornado por cada provider */
+  values: { [provider: string]: string };
+  /** Valor escolhido (maioria) */
+  chosen: string;
 }
 
+/**
+ * Registro de tipos dos providers customizados
+ * Use declaration merging para incluir seus providers em CepProvider:
+ *
+ * @example
+ * ```typescript
+ * declare module 'cep-parallel-search' {
+ *   interface CustomProviderRegistry {
+ *     interno: true;
+ *   }
+ * }
+ * ```
+ */
+export interface CustomProviderRegistry {}
+
 /**
  * Providers disponíveis para busca de CEP
- * Nota: widenet e correios serão adicionados em atualizações futuras
+ * Inclui os providers nativos e os registrados em CustomProviderRegistry
  */
-export type CepProvider = 'brasilapi' | 'viacep';
+export type CepProvider =
+  | 'brasilapi'
+  | 'viacep'
+  | 'widenet'
+  | 'correios'
+  | Extract<keyof CustomProviderRegistry, string>;
 
 /**
  * Lista de providers válidos
  */
 export const VALID_PROVIDERS: readonly CepProvider[];
 
+/**
+ * Estratégia de busca
+ * - race: retorna a primeira resposta bem-sucedida
+ * - merge: aguarda todos os providers (dentro do timeout) e combina os campos
+ * - consensus: aguarda todos os providers e usa o valor da maioria em cada campo
+ */
+export type SearchStrategy = 'race' | 'merge' | 'consensus';
+
+/**
+ * Lista de estratégias válidas
+ */
+export const VALID_STRATEGIES: readonly SearchStrategy[];
+
+/**
+ * Seleção de providers
+ * - all: consulta todos os providers selecionados
+ * - adaptive: consulta os providers com melhor desempenho recente e mantém os demais como fallback
+ */
+export type ProviderSelection = 'all' | 'adaptive';
+
+/**
+ * Lista de modos de seleção válidos
+ */
+export const VALID_SELECTIONS: readonly ProviderSelection[];
+
+/**
+ * Uso de resultados expirados do cache
+ * - 'default': usa apenas resultados válidos
+ * - 'staleWhileRevalidate': responde com o resultado expirado e atualiza o cache em background
+ * - 'staleIfError': usa o resultado expirado apenas se todos os provedores falharem
+ */
+export type CacheMode = 'default' | 'staleWhileRevalidate' | 'staleIfError';
+
+/**
+ * Lista de modos de cache válidos
+ */
+export const VALID_CACHE_MODES: readonly CacheMode[];
+
 /**
  * Opções de configuração para busca de CEP
  */
@@ -54,8 +172,74 @@ export interface SearchCepOptions {
   timeout?: number;
   /** Lista de provedores a usar. Se vazio ou não fornecido, usa todos disponíveis */
   providers?: CepProvider[];
-  /** Se deve usar cache (padrão: true). Cache tem duração de 30 dias */
+  /** Se deve usar cache (padrão: true). Cache tem duração de 15 dias (configurável via configureCache) */
   useCache?: boolean;
+  /** Adapter de cache para esta chamada (padrão: adapter global) */
+  cache?: CacheAdapter;
+  /** Duração do cache em milissegundos para esta chamada (padrão: configuração global) */
+  cacheTtl?: number;
+  /** Namespace do cache para esta chamada (padrão: configuração global) */
+  cacheNamespace?: string;
+  /** Uso de resultados expirados do cache (padrão: 'default') */
+  cacheMode?: CacheMode;
+  /** Estratégia de busca (padrão: 'race') */
+  strategy?: SearchStrategy;
+  /**
+   * Política de retry por provider, dentro do timeout (padrão: false - sem retry)
+   * true usa a política padrão (3 tentativas)
+   */
+  retry?: boolean | RetryPolicy;
+  /**
+   * Modo hedging (apenas strategy 'race'): consulta um provider por vez, na ordem de prioridade,
+   * e só inicia o próximo após este intervalo em milissegundos sem resposta ou após uma falha
+   */
+  hedgeDelay?: number;
+  /**
+   * Seleção de providers (padrão: 'all'). 'adaptive' consulta apenas os providers com melhor
+   * desempenho recente e usa os demais como fallback (apenas strategy 'race')
+   */
+  selection?: ProviderSelection;
+  /**
+   * Prioridade das requisições desta busca na fila do agendador de requisições
+   * (maior é atendida primeiro; padrão: 0)
+   */
+  priority?: number;
+  /** Rejeita CEPs fora das faixas atribuídas pelos Correios com ValidationError (padrão: false) */
+  strictValidation?: boolean;
+  /**
+   * Se todos os provedores falharem, responde com o estado inferido pela faixa do CEP
+   * (degraded: true) em vez de lançar o erro (padrão: false)
+   */
+  degraded?: boolean;
+  /**
+   * Cancela a busca: aborta as requisições em andamento, não salva no cache
+   * e rejeita com AbortError
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Política de retry por provider
+ * Cada tentativa que falhou é registrada no array errors do erro final (com o campo attempt)
+ */
+export interface RetryPolicy {
+  /** Número máximo de tentativas por provider, incluindo a primeira (padrão: 3) */
+  maxAttempts?: number;
+  /** Espera antes da segunda tentativa em milissegundos; dobra a cada tentativa (padrão: 100) */
+  baseDelay?: number;
+  /** Espera máxima entre tentativas em milissegundos (padrão: 2000) */
+  maxDelay?: number;
+  /** Fração aleatória, de 0 a 1, removida de cada espera (padrão: 0.5) */
+  jitter?: number;
+  /** Códigos de erro que permitem nova tentativa; 'timeout' para timeouts (padrão: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'timeout']) */
+  retryableErrors?: string[];
+  /** Status HTTP que permitem nova tentativa (padrão: [500, 502, 503, 504]) */
+  retryableStatuses?: number[];
+  /**
+   * Timeout de cada tentativa em milissegundos, limitado ao timeout da busca.
+   * Sem ele, uma tentativa pode usar todo o timeout da busca e, se excedê-lo, não é repetida
+   */
+  attemptTimeout?: number;
 }
 
 /**
@@ -95,6 +279,14 @@ export class TimeoutError extends CepError {
   type: 'timeout_error';
 }
 
+/**
+ * Erro de cancelamento - quando a busca foi cancelada pelo AbortSignal do chamador
+ */
+export class AbortError extends CepError {
+  name: 'AbortError';
+  type: 'abort_error';
+}
+
 /**
  * Busca informações de CEP usando múltiplos serviços em paralelo
  *
@@ -119,6 +311,551 @@ export function searchCep(
   options?: SearchCepOptions
 ): Promise<CepResult>;
 
+/**
+ * Opções para busca de vários CEPs
+ * Aceita todas as opções de searchCep
+ */
+export interface SearchCepsOptions extends SearchCepOptions {
+  /** Número máximo de CEPs consultados simultaneamente (padrão: 5) */
+  concurrency?: number;
+  /** Callback chamado a cada CEP concluído */
+  onProgress?: (progress: SearchCepsProgress) => void;
+}
+
+/**
+ * Progresso da busca de vários CEPs
+ */
+export interface SearchCepsProgress {
+  /** Número de CEPs únicos já concluídos */
+  completed: number;
+  /** Número total de CEPs únicos válidos */
+  total: number;
+  /** CEP normalizado que acabou de ser concluído */
+  cep: string;
+  /** Situação do CEP concluído */
+  status: 'fulfilled' | 'rejected';
+}
+
+/**
+ * Resultado individual da busca de vários CEPs
+ */
+export type SearchCepsResult =
+  | {
+      /** Valor original informado */
+      input: string | number;
+      /** CEP normalizado (8 dígitos) */
+      cep: string;
+      status: 'fulfilled';
+      data: CepResult;
+      /** Se o resultado veio do cache */
+      fromCache: boolean;
+    }
+  | {
+      /** Valor original informado */
+      input: string | number;
+      /** CEP normalizado, ou null se o CEP é inválido */
+      cep: string | null;
+      status: 'rejected';
+      error: ValidationError | ServiceError | TimeoutError;
+      /** Se o erro veio do cache de CEPs não encontrados */
+      fromCache: boolean;
+    };
+
+/**
+ * Busca vários CEPs com limite de concorrência
+ * CEPs repetidos são consultados uma única vez e o cache é verificado primeiro
+ *
+ * @param ceps - Lista de CEPs a serem consultados
+ * @param options - Opções de configuração
+ * @returns Promise que resolve com um resultado por CEP de entrada, na mesma ordem
+ *
+ * @example
+ * ```typescript
+ * const results = await searchCeps(['01310100', '20040020'], { concurrency: 10 });
+ * ```
+ */
+export function searchCeps(
+  ceps: Array<string | number>,
+  options?: SearchCepsOptions
+): Promise<SearchCepsResult[]>;
+
+/**
+ * Endereço para busca reversa de CEP
+ */
+export interface AddressQuery {
+  /** Sigla da UF (ex: 'SP') */
+  state: string;
+  /** Nome da cidade (mínimo 3 caracteres) */
+  city: string;
+  /** Logradouro ou parte dele (mínimo 3 caracteres) */
+  street: string;
+}
+
+/**
+ * Opções de configuração para busca por endereço
+ */
+export interface SearchAddressOptions {
+  /** Timeout em milissegundos para a requisição (padrão: 30000) */
+  timeout?: number;
+}
+
+/**
+ * Lista de UFs aceitas na busca por endereço
+ */
+export const VALID_STATES: readonly string[];
+
+/**
+ * Busca CEPs a partir do endereço (UF, cidade e logradouro) usando o ViaCEP
+ *
+ * @param address - Endereço a ser consultado
+ * @param options - Opções de configuração
+ * @returns Promise que resolve com a lista de resultados (vazia se nada for encontrado)
+ *
+ * @example
+ * ```typescript
+ * const results = await searchAddress({
+ *   state: 'SP',
+ *   city: 'São Paulo',
+ *   street: 'Avenida Paulista'
+ * });
+ * ```
+ */
+export function searchAddress(
+  address: AddressQuery,
+  options?: SearchAddressOptions
+): Promise<CepResult[]>;
+
+/**
+ * Endereço informado pelo usuário para verificação (ao menos um campo)
+ */
+export interface AddressToVerify {
+  /** UF ou nome do estado */
+  state?: string;
+  city?: string;
+  neighborhood?: string;
+  street?: string;
+}
+
+export interface VerifyAddressOptions extends SearchCepOptions {
+  /** Similaridade mínima (0 a 1) para um campo ser considerado igual (padrão: 0.8) */
+  threshold?: number;
+}
+
+/**
+ * Comparação de um campo do endereço
+ */
+export interface AddressFieldMatch {
+  /** Valor informado */
+  input: string;
+  /** Valor retornado para o CEP ('' se o provider não informou o campo) */
+  found: string;
+  /** Similaridade de 0 a 1 (ignora acentos, maiúsculas, pontuação e abreviações) */
+  score: number;
+  /** true se score >= threshold */
+  match: boolean;
+}
+
+export interface AddressVerification {
+  /** CEP normalizado */
+  cep: string;
+  /** true se todos os campos informados correspondem ao CEP */
+  match: boolean;
+  /** Média das similaridades dos campos informados, de 0 a 1 */
+  score: number;
+  /** Comparação de cada campo informado */
+  fields: Partial<Record<keyof AddressToVerify, AddressFieldMatch>>;
+  /** Resultado da busca do CEP */
+  result: CepResult;
+}
+
+/**
+ * Verifica se um endereço informado corresponde ao CEP
+ * Busca o CEP com searchCep e compara cada campo com tolerância a acentos, abreviações e erros de digitação
+ *
+ * @param cep - CEP do endereço
+ * @param address - Endereço informado (ao menos um campo)
+ * @param options - Opções de searchCep e threshold da comparação
+ *
+ * @example
+ * ```typescript
+ * const verification = await verifyAddress('01310100', { city: 'Sao Paulo', street: 'Av. Paulista' });
+ * if (!verification.match) {
+ *   console.log(verification.fields);
+ * }
+ * ```
+ */
+export function verifyAddress(
+  cep: string | number,
+  address: AddressToVerify,
+  options?: VerifyAddressOptions
+): Promise<AddressVerification>;
+
+/**
+ * Classe base para serviços de CEP
+ * Estenda esta classe para criar providers customizados
+ */
+export class BaseCepService {
+  constructor(name: string, defaultTimeout?: number);
+  name: string;
+  defaultTimeout: number;
+  /** Requisição HTTP com timeout e suporte a cancelamento */
+  fetch(url: string, options?: { [key: string]: any }): Promise<any>;
+  /** Normaliza a resposta do serviço para o formato padrão */
+  normalizeResponse(data: { [key: string]: any }): CepResult;
+  /** Busca o CEP (deve ser implementado pela classe filha) */
+  search(cep: string): Promise<CepResult>;
+}
+
+/**
+ * Contexto recebido por providers simples
+ */
+export interface ProviderContext {
+  /** Timeout em milissegundos configurado para a busca */
+  timeout: number;
+  /** Requisição HTTP com timeout e cancelamento automático */
+  fetch(url: string, options?: { [key: string]: any }): Promise<any>;
+}
+
+/**
+ * Provider simples (sem herdar de BaseCepService)
+ */
+export interface CepProviderPlugin {
+  /** Busca o CEP e retorna os dados (ou null se não encontrado) */
+  search(cep: string, ctx: ProviderContext): Promise<Partial<CepResult> | null | undefined>;
+}
+
+/**
+ * Opções de registro de provider
+ */
+export interface RegisterProviderOptions {
+  /** Se deve ser consultado quando options.providers está vazio (padrão: false) */
+  includeInDefault?: boolean;
+  /** Se pode substituir um provider já registrado (padrão: false) */
+  override?: boolean;
+}
+
+/**
+ * Registra um provider de CEP customizado
+ *
+ * @param name - Nome do provider (usado em options.providers)
+ * @param provider - Subclasse de BaseCepService ou objeto com search(cep, ctx)
+ * @param options - Opções de registro
+ * @returns Nome normalizado do provider
+ *
+ * @example
+ * ```typescript
+ * registerProvider('interno', {
+ *   async search(cep, ctx) {
+ *     const response = await ctx.fetch(`https://enderecos.exemplo.com/${cep}`);
+ *     return response.ok ? response.json() : null;
+ *   }
+ * }, { includeInDefault: true });
+ * ```
+ */
+export function registerProvider(
+  name: string,
+  provider: (new (timeout?: number) => BaseCepService) | CepProviderPlugin,
+  options?: RegisterProviderOptions
+): string;
+
+/**
+ * Remove um provider registrado
+ * @returns true se o provider existia e foi removido
+ */
+export function unregisterProvider(name: string): boolean;
+
+/**
+ * Opções do circuit breaker dos providers
+ */
+export interface CircuitBreakerOptions {
+  /** Falhas consecutivas (erros ou timeouts) para abrir o circuito (padrão: 5) */
+  failureThreshold?: number;
+  /** Tempo em milissegundos com o circuito aberto antes da requisição de teste (padrão: 30000) */
+  cooldown?: number;
+  /** Se o circuit breaker está ativo (padrão: true) */
+  enabled?: boolean;
+}
+
+/**
+ * Estado do circuito de um provider
+ * - 'closed': provider consultado normalmente
+ * - 'open': provider ignorado até retryAt
+ * - 'half-open': a próxima busca faz uma requisição de teste
+ */
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerState {
+  provider: string;
+  state: CircuitState;
+  /** Falhas consecutivas */
+  failures: number;
+  /** Timestamp em que o circuito abriu (null se nunca abriu ou foi fechado) */
+  openedAt: number | null;
+  /** Timestamp a partir do qual o provider volta a ser testado (apenas com state 'open') */
+  retryAt: number | null;
+}
+
+/**
+ * Limites do agendador de requisições para um provider
+ */
+export interface SchedulerProviderLimits {
+  /** Requisições simultâneas ao provider */
+  maxConcurrent?: number;
+  /** Taxa do token bucket em requisições por segundo (null = sem limite) */
+  requestsPerSecond?: number | null;
+  /** Capacidade do token bucket (padrão: requestsPerSecond) */
+  burst?: number | null;
+}
+
+/**
+ * Opções do agendador de requisições, compartilhado por todo o processo
+ */
+export interface SchedulerOptions {
+  /** Requisições simultâneas no total (padrão: 20) */
+  maxConcurrent?: number;
+  /** Requisições simultâneas por provider (padrão: 6) */
+  maxConcurrentPerProvider?: number;
+  /** Taxa do token bucket por provider em requisições por segundo (padrão: null - sem limite) */
+  requestsPerSecond?: number | null;
+  /** Capacidade do token bucket (padrão: requestsPerSecond) */
+  burst?: number | null;
+  /** Pausa em milissegundos após um 429 sem o header Retry-After (padrão: 1000) */
+  defaultRetryAfter?: number;
+  /** Pausa máxima em milissegundos após um 429 (padrão: 60000) */
+  maxRetryAfter?: number;
+  /** Limites por provider, que substituem os globais */
+  providers?: Record<string, SchedulerProviderLimits>;
+  /**
+   * Se o agendador está ativo (padrão: false)
+   * Desativado, as requisições são enviadas diretamente; um provider pausado após 429 falha imediatamente
+   */
+  enabled?: boolean;
+}
+
+/**
+ * Estado do agendador para um provider
+ */
+export interface SchedulerProviderState {
+  /** Requisições em andamento */
+  active: number;
+  /** Requisições aguardando na fila */
+  queued: number;
+  /** Tokens disponíveis (null sem limite de taxa) */
+  tokens: number | null;
+  /** Timestamp do fim da pausa após um 429 (null se o provider não está pausado) */
+  pausedUntil: number | null;
+}
+
+export interface SchedulerState {
+  /** Requisições em andamento no total */
+  active: number;
+  /** Requisições aguardando na fila no total */
+  queued: number;
+  providers: Record<string, SchedulerProviderState>;
+}
+
+/**
+ * Opções da seleção adaptativa de providers (selection: 'adaptive')
+ */
+export interface AdaptiveSelectionOptions {
+  /** Providers consultados na corrida; os demais ficam como fallback (padrão: 2) */
+  topN?: number;
+  /** Requisições recentes consideradas por provider (padrão: 50) */
+  windowSize?: number;
+  /** Requisições necessárias para o provider entrar no ranking (padrão: 5) */
+  minSamples?: number;
+  /** Probabilidade (0 a 1) de consultar um provider ainda sem dados suficientes (padrão: 0.1) */
+  explorationRate?: number;
+}
+
+/**
+ * Configura a seleção adaptativa de providers
+ */
+export function configureAdaptiveSelection(options?: AdaptiveSelectionOptions): Required<AdaptiveSelectionOptions>;
+
+/**
+ * Falhas de um provider por tipo de erro
+ */
+export interface ProviderFailures {
+  /** CEP não encontrado (status 404) */
+  notFound: number;
+  /** Limite de requisições excedido (status 429); o provider fica pausado pelo agendador */
+  rateLimited: number;
+  /** Outros status HTTP de erro */
+  http: number;
+  timeout: number;
+  /** Erros de conexão (ECONNREFUSED, ENOTFOUND, ...) */
+  connection: number;
+  /** Requisições canceladas porque outro provider respondeu primeiro */
+  aborted: number;
+  other: number;
+}
+
+/**
+ * Percentis de latência em milissegundos (null se não há requisições concluídas)
+ */
+export interface LatencyPercentiles {
+  p50: number | null;
+  p90: number | null;
+  p95: number | null;
+  p99: number | null;
+}
+
+export interface ProviderStats {
+  provider: string;
+  /** Requisições feitas ao provider (inclusive as canceladas) */
+  requests: number;
+  /** Requisições que retornaram dados */
+  successes: number;
+  /** Buscas em que o resultado retornado veio deste provider */
+  wins: number;
+  failures: ProviderFailures;
+  /** Calculados sobre as últimas 1000 requisições (exceto as canceladas) */
+  latency: LatencyPercentiles;
+}
+
+export interface ProviderStatsReport {
+  providers: Record<string, ProviderStats>;
+  /** Acertos e falhas na consulta ao cache de resultados */
+  cache: {
+    hits: number;
+    misses: number;
+  };
+}
+
+/**
+ * Retorna as estatísticas dos providers consultados e os contadores do cache
+ */
+export function getProviderStats(): ProviderStatsReport;
+
+/**
+ * Zera as estatísticas de um provider (ou de todos os providers e do cache, se nenhum for informado)
+ */
+export function resetProviderStats(provider?: CepProvider): void;
+
+/**
+ * Eventos do ciclo de vida da busca
+ */
+export type HookEvent =
+  | 'request:start'
+  | 'provider:success'
+  | 'provider:error'
+  | 'provider:aborted'
+  | 'cache:hit'
+  | 'cache:miss'
+  | 'cache:write'
+  | 'search:complete';
+
+/**
+ * Lista de eventos válidos para addHook
+ */
+export const HOOK_EVENTS: readonly HookEvent[];
+
+interface HookPayloadBase {
+  event: HookEvent;
+  /** Timestamp em que o evento foi emitido */
+  timestamp: number;
+  /** CEP normalizado (ou o valor informado, se a validação falhou) */
+  cep: string | number;
+}
+
+/** Requisição a um provider ('request:start', 'provider:success', 'provider:error', 'provider:aborted') */
+export interface ProviderHookPayload extends HookPayloadBase {
+  provider: string;
+  /** Número da tentativa (com retry) */
+  attempt: number;
+  /** Duração da requisição em milissegundos (ausente em 'request:start') */
+  duration?: number;
+  /** Detalhe do erro (apenas em 'provider:error') */
+  error?: CepError['errors'][number];
+}
+
+/** Consulta e escrita do cache ('cache:hit', 'cache:miss', 'cache:write') */
+export interface CacheHookPayload extends HookPayloadBase {
+  /** Se a entrada é de CEP não encontrado (ausente em 'cache:miss') */
+  notFound?: boolean;
+  /** Provider do resultado salvo (apenas em 'cache:write') */
+  service?: string;
+}
+
+/** Fim da busca ('search:complete') */
+export interface SearchCompleteHookPayload extends HookPayloadBase {
+  status: 'fulfilled' | 'rejected';
+  /** Duração da busca em milissegundos */
+  duration: number;
+  fromCache: boolean;
+  /** Provider do resultado (apenas com status 'fulfilled') */
+  service?: string;
+  /** Erro da busca (apenas com status 'rejected') */
+  error?: {
+    name: string;
+    message: string;
+    errors?: CepError['errors'];
+  };
+}
+
+export interface HookPayloadMap {
+  'request:start': ProviderHookPayload;
+  'provider:success': ProviderHookPayload;
+  'provider:error': ProviderHookPayload;
+  'provider:aborted': ProviderHookPayload;
+  'cache:hit': CacheHookPayload;
+  'cache:miss': CacheHookPayload;
+  'cache:write': CacheHookPayload;
+  'search:complete': SearchCompleteHookPayload;
+}
+
+/**
+ * Registra um hook para um evento do ciclo de vida da busca
+ * Exceções lançadas pelo hook são ignoradas e nunca interrompem a busca
+ * @returns Função que remove o hook
+ */
+export function addHook<E extends HookEvent>(event: E, handler: (payload: HookPayloadMap[E]) => void | Promise<void>): () => void;
+
+/**
+ * Remove um hook registrado. Retorna true se o hook existia
+ */
+export function removeHook<E extends HookEvent>(event: E, handler: (payload: HookPayloadMap[E]) => void | Promise<void>): boolean;
+
+/**
+ * Remove todos os hooks de um evento (ou de todos os eventos, se nenhum for informado)
+ */
+export function clearHooks(event?: HookEvent): void;
+
+/**
+ * Configura o circuit breaker de todos os providers
+ */
+export function configureCircuitBreaker(options?: CircuitBreakerOptions): Required<CircuitBreakerOptions>;
+
+/**
+ * Retorna o estado do circuito de um provider
+ */
+export function getCircuitBreakerState(provider: CepProvider): CircuitBreakerState;
+/**
+ * Retorna o estado do circuito de todos os providers já consultados
+ */
+export function getCircuitBreakerState(): CircuitBreakerState[];
+
+/**
+ * Fecha o circuito de um provider (ou de todos, se nenhum for informado)
+ */
+export function resetCircuitBreaker(provider?: CepProvider): void;
+
+/**
+ * Configura o agendador de requisições de todos os providers
+ */
+export function configureScheduler(options?: SchedulerOptions): Required<SchedulerOptions>;
+
+/**
+ * Retorna as requisições ativas e na fila, no total e por provider
+ */
+export function getSchedulerState(): SchedulerState;
+
+/**
+ * Remove a pausa após 429 e restaura os tokens de um provider (ou de todos, se nenhum for informado)
+ */
+export function resetScheduler(provider?: CepProvider): void;
+
 /**
  * Valida se um provider é válido
  */
@@ -130,6 +867,7 @@ export function isValidProvider(provider: string): provider is CepProvider;
  * Não lança erros, apenas retorna boolean
  * 
  * @param cep - CEP a ser validado (pode ser string ou número)
+ * @param options.strict - Também exige que o CEP pertença a alguma faixa atribuída (padrão: false)
  * @returns true se o CEP tem formato válido, false caso contrário
  * 
  * @example
@@ -138,34 +876,337 @@ export function isValidProvider(provider: string): provider is CepProvider;
  * isValidCep('92500-000'); // true
  * isValidCep('8434850001'); // false
  * isValidCep('12345'); // false
+ * isValidCep('00000000', { strict: true }); // false (fora das faixas)
+ * ```
+ */
+export function isValidCep(cep: string | number, options?: { strict?: boolean }): boolean;
+
+/**
+ * Identifica o estado de um CEP pelas faixas atribuídas pelos Correios, sem consultar os provedores
+ *
+ * @param cep - CEP a ser consultado (pode ser string ou número)
+ * @returns Estado, ou null se o CEP está fora das faixas atribuídas
+ * @throws {ValidationError} Se o CEP tem formato inválido
+ *
+ * @example
+ * ```typescript
+ * getStateFromCep('01310-100'); // { uf: 'SP', state: 'São Paulo', region: 'Sudeste' }
+ * ```
+ */
+export function getStateFromCep(cep: string | number): CepStateInfo | null;
+
+/**
+ * Máscara do CEP: true usa '#####-###', false retorna apenas os dígitos,
+ * ou uma máscara própria com 8 caracteres '#' (ex: '##.###-###')
+ */
+export type CepMask = boolean | string;
+
+/**
+ * Formata um CEP completo com a máscara
+ *
+ * @throws {ValidationError} Se o CEP ou a máscara são inválidos
+ *
+ * @example
+ * ```typescript
+ * formatCep('01310100'); // '01310-100'
+ * formatCep('01310-100', { mask: false }); // '01310100'
+ * ```
+ */
+export function formatCep(cep: string | number, options?: { mask?: CepMask }): string;
+
+/**
+ * Formata progressivamente um CEP parcialmente digitado (não lança erros)
+ * Números são tratados como CEPs completos e preenchidos com zeros à esquerda
+ *
+ * @example
+ * ```typescript
+ * maskCepInput('013101'); // '01310-1'
+ * maskCepInput(1310100); // '01310-100'
+ * ```
+ */
+export function maskCepInput(value: string | number, options?: { mask?: CepMask }): string;
+
+/**
+ * Templates de endereço prontos: 'singleLine' (uma linha) e 'multiLine' (etiqueta postal)
+ */
+export const ADDRESS_TEMPLATES: { readonly singleLine: string; readonly multiLine: string };
+
+export type AddressTemplate = 'singleLine' | 'multiLine';
+
+/**
+ * Endereço para formatAddress: resultado de searchCep com número e complemento opcionais
+ */
+export interface FormattableAddress extends Partial<CepResult> {
+  number?: string | number;
+  complement?: string;
+}
+
+/**
+ * Formata um resultado de searchCep como endereço em uma linha ou etiqueta postal
+ *
+ * @param address - Resultado de searchCep, opcionalmente com number e complement
+ * @param template - 'singleLine' (padrão), 'multiLine' ou um template com {cep}, {street}, {number},
+ *   {complement}, {neighborhood}, {city} e {state}; trechos entre colchetes são omitidos se algum campo estiver vazio
+ * @throws {ValidationError} Se o endereço, o template ou o CEP são inválidos
+ *
+ * @example
+ * ```typescript
+ * formatAddress({ ...result, number: '1000' }, 'multiLine');
+ * // 'Avenida Paulista, 1000\nBela Vista\n01310-100 São Paulo/SP'
  * ```
  */
-export function isValidCep(cep: string | number): boolean;
+export function formatAddress(
+  address: FormattableAddress,
+  template?: AddressTemplate | (string & {}),
+  options?: { mask?: CepMask }
+): string;
+
+/**
+ * Entrada armazenada no cache
+ */
+export interface CacheEntry {
+  /** Momento em que a entrada foi salva (ms desde epoch) */
+  timestamp: number;
+  /** Resultado da busca */
+  data: CepResult;
+}
+
+/**
+ * Opções de gravação repassadas ao adapter
+ */
+export interface CacheSetOptions {
+  /** Tempo, em milissegundos, até a entrada poder ser descartada (para adapters com expiração nativa) */
+  ttl?: number;
+}
+
+/**
+ * Interface de adapter de cache (todos os métodos são assíncronos)
+ */
+export interface CacheAdapter {
+  /** Nome do adapter (exibido em getCacheInfo) */
+  name?: string;
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry, options?: CacheSetOptions): Promise<unknown>;
+  delete(key: string): Promise<boolean | unknown>;
+  clear(): Promise<unknown>;
+  entries(): Promise<Array<[string, CacheEntry]>>;
+  /** Remoção em lote (opcional) */
+  deleteMany?(keys: string[]): Promise<unknown>;
+  /** Gravação em lote (opcional, usada por importCache) */
+  setMany?(entries: Array<[string, CacheEntry]>): Promise<unknown>;
+}
+
+/**
+ * Adapter de cache em memória (apenas no processo atual)
+ */
+export class MemoryCacheAdapter implements CacheAdapter {
+  name: 'memory';
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry, options?: CacheSetOptions): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  clear(): Promise<void>;
+  entries(): Promise<Array<[string, CacheEntry]>>;
+}
+
+/**
+ * Adapter de cache em arquivo JSON (padrão)
+ */
+export class FileCacheAdapter implements CacheAdapter {
+  constructor(options?: {
+    /**
+     * Caminho do arquivo (padrão: CEP_PARALLEL_SEARCH_CACHE_FILE,
+     * CEP_PARALLEL_SEARCH_CACHE_DIR ou ~/.cep-parallel-search/cache.json)
+     */
+    filePath?: string;
+    /** Diretório do arquivo cache.json (ignorado se filePath for informado) */
+    dir?: string;
+  });
+  name: 'file';
+  filePath: string;
+  readonly dir: string;
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry, options?: CacheSetOptions): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  deleteMany(keys: string[]): Promise<number>;
+  setMany(entries: Array<[string, CacheEntry]>): Promise<void>;
+  clear(): Promise<void>;
+  entries(): Promise<Array<[string, CacheEntry]>>;
+}
+
+/**
+ * Cliente key-value compatível com Redis (node-redis, ioredis, etc.)
+ */
+export interface KeyValueClient {
+  get(key: string): Promise<string | null>;
+  set(key: string, value: string, ...args: any[]): Promise<unknown>;
+  del(keys: string | string[]): Promise<number>;
+  /** SCAN do node-redis (preferido) */
+  scanIterator?(options: { MATCH: string; COUNT: number }): AsyncIterable<string | string[]>;
+  /** SCAN do ioredis: scan(cursor, 'MATCH', padrão, 'COUNT', n) */
+  scan?(cursor: string, ...args: Array<string | number>): Promise<[string, string[]]>;
+  /** KEYS: usado apenas por clientes sem SCAN (bloqueia o servidor) */
+  keys?(pattern: string): Promise<string[]>;
+}
+
+/**
+ * Adapter de cache para bancos key-value compatíveis com Redis
+ */
+export class KeyValueCacheAdapter implements CacheAdapter {
+  constructor(options: {
+    /** Cliente já conectado */
+    client: KeyValueClient;
+    /** Prefixo das chaves (padrão: 'cep-parallel-search:') */
+    prefix?: string;
+  });
+  name: 'keyvalue';
+  client: KeyValueClient;
+  prefix: string;
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry, options?: CacheSetOptions): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  clear(): Promise<void>;
+  entries(): Promise<Array<[string, CacheEntry]>>;
+}
+
+/**
+ * Define o adapter de cache global
+ */
+export function setCacheAdapter<T extends CacheAdapter>(adapter: T): T;
+
+/**
+ * Retorna o adapter de cache global
+ */
+export function getCacheAdapter(): CacheAdapter;
+
+/**
+ * Opções de configuração global do cache
+ */
+export interface CacheConfigOptions {
+  /** Duração das entradas em milissegundos (padrão: 15 dias) */
+  ttl?: number;
+  /** Duração das entradas de CEP não encontrado em milissegundos (padrão: 1 dia) */
+  notFoundTtl?: number;
+  /** Por quanto tempo um resultado expirado é mantido para os modos stale, em milissegundos (padrão: 15 dias) */
+  maxStale?: number;
+  /** Prefixo das chaves, sem ':' (padrão: '' - sem namespace) */
+  namespace?: string;
+  /** Diretório do arquivo de cache (substitui o adapter global por um FileCacheAdapter) */
+  dir?: string;
+  /** Caminho completo do arquivo de cache (substitui o adapter global por um FileCacheAdapter) */
+  filePath?: string;
+}
+
+/**
+ * Configuração efetiva do cache
+ */
+export interface CacheConfig {
+  ttl: number;
+  notFoundTtl: number;
+  maxStale: number;
+  namespace: string;
+}
 
 /**
- * Limpa todo o cache
+ * Configura o cache globalmente (TTL, namespace e local do arquivo)
  */
-export function clearCache(): boolean;
+export function configureCache(options?: CacheConfigOptions): CacheConfig;
+
+/**
+ * Remove as entradas do namespace configurado (sem namespace, as chaves sem prefixo)
+ * @param adapter - Adapter a limpar (padrão: adapter global)
+ */
+export function clearCache(adapter?: CacheAdapter): Promise<boolean>;
 
 /**
  * Limpa apenas entradas expiradas do cache
+ * @param adapter - Adapter a limpar (padrão: adapter global)
  * @returns Número de entradas removidas
  */
-export function clearExpiredCache(): number;
+export function clearExpiredCache(adapter?: CacheAdapter): Promise<number>;
 
 /**
  * Retorna informações sobre o cache
  */
 export interface CacheInfo {
+  /** Nome do adapter ('file', 'memory', 'keyvalue' ou 'custom') */
+  adapter: string;
+  /** Duração das entradas em milissegundos */
+  ttl: number;
+  /** Duração das entradas de CEP não encontrado em milissegundos */
+  notFoundTtl: number;
+  /** Por quanto tempo um resultado expirado é mantido para os modos stale */
+  maxStale: number;
+  /** Namespace configurado ('' se não houver) */
+  namespace: string;
   totalEntries: number;
+  /** Resultados válidos (não expirados) */
   validEntries: number;
+  /** CEPs em cache como não encontrados (não expirados) */
+  notFoundEntries: number;
   expiredEntries: number;
-  cacheFile: string;
-  cacheDir: string;
+  /** Caminho do arquivo de cache (null se o adapter não usa arquivo) */
+  cacheFile: string | null;
+  /** Diretório do cache (null se o adapter não usa arquivo) */
+  cacheDir: string | null;
   estimatedSize: number;
 }
 
-export function getCacheInfo(): CacheInfo;
+export function getCacheInfo(adapter?: CacheAdapter): Promise<CacheInfo>;
+
+/**
+ * Situação de uma entrada do cache
+ */
+export type CacheEntryStatus = 'valid' | 'notFound' | 'expired';
+
+/**
+ * Entrada retornada por listCacheEntries
+ */
+export interface CacheListEntry {
+  /** CEP (8 dígitos, sem o namespace) */
+  cep: string;
+  status: CacheEntryStatus;
+  /** Momento em que a entrada foi salva (ms desde epoch) */
+  timestamp: number;
+  /** Resultado salvo (null para CEP não encontrado) */
+  data: CepResult | null;
+  /** Erros dos provedores (apenas para CEP não encontrado) */
+  errors: Array<{ message: string; service?: string; status?: number }> | null;
+}
+
+/**
+ * Lista as entradas do namespace configurado, ordenadas pelo CEP
+ * @param adapter - Adapter a consultar (padrão: adapter global)
+ */
+export function listCacheEntries(adapter?: CacheAdapter): Promise<CacheListEntry[]>;
+
+/**
+ * Remove a entrada de um CEP do namespace configurado
+ * @returns true se a entrada existia
+ */
+export function deleteCachedEntry(cep: string | number, adapter?: CacheAdapter): Promise<boolean>;
+
+/**
+ * Conteúdo gerado por exportCache (chaves sem o namespace)
+ */
+export interface CacheExport {
+  version: 1;
+  /** Data da exportação (ISO 8601) */
+  exportedAt: string;
+  /** Entradas por CEP */
+  entries: Record<string, CacheEntry>;
+}
+
+/**
+ * Exporta as entradas do namespace configurado
+ */
+export function exportCache(adapter?: CacheAdapter): Promise<CacheExport>;
+
+/**
+ * Importa entradas geradas por exportCache no namespace configurado
+ * Entradas inválidas, já descartáveis ou mais antigas que a atual do mesmo CEP são ignoradas
+ * @throws {ValidationError} Se o conteúdo não foi gerado por exportCache
+ */
+export function importCache(dump: CacheExport, adapter?: CacheAdapter): Promise<{ imported: number; skipped: number }>;
 
 /**
  * Exportação padrão
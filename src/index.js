@@ -1,29 +1,900 @@
-const { normalizeAndValidateCep } = require('./utils/cepValidator');
-const { parallelWithTimeout, promiseAny } = require('./utils/promiseUtils');
+const { normalizeAndValidateCep, getStateFromCep } = require('./utils/cepValidator');
+const { parallelWithTimeout, settleWithTimeout, mapWithConcurrency } = require('./utils/promiseUtils');
 const { validateProviders, normalizeProviders } = require('./utils/providerValidator');
-const { getCachedResult, setCachedResult } = require('./utils/cache');
-const { getServicesByNames } = require('./services');
-const { ValidationError, ServiceError, TimeoutError } = require('./errors/CepError');
+const { validateStrategy, validateSelection } = require('./utils/strategyValidator');
+const { mergeResults, buildConsensus } = require('./utils/resultMerger');
+const {
+  NO_RETRY,
+  normalizeRetryPolicy,
+  isRetryable,
+  getRetryDelay
+} = require('./utils/retryPolicy');
+const {
+  getCachedResult,
+  setCachedResult,
+  getCachedNotFound,
+  setCachedNotFound,
+  getStaleResult,
+  validateTtl,
+  validateNamespace,
+  validateCacheMode
+} = require('./utils/cache');
+const { validateCacheAdapter } = require('./cache');
+const { validateAddressQuery } = require('./utils/addressValidator');
+const { validateVerification, matchAddress, DEFAULT_MATCH_THRESHOLD } = require('./utils/addressMatcher');
+const { getServicesByNames, createService } = require('./services');
+const { selectAdaptiveServices } = require('./services/providerPerformance');
+const { recordWin } = require('./services/providerStats');
+const { emitHook } = require('./utils/hooks');
+const { joinInFlight } = require('./utils/inFlight');
+const { ValidationError, ServiceError, TimeoutError, AbortError } = require('./errors/CepError');
 
 /**
- * @typedef {'brasilapi'|'viacep'} CepProvider
- * Provider válido para busca de CEP
- * Nota: widenet e correios serão adicionados em atualizações futuras
+ * @typedef {'brasilapi'|'viacep'|'widenet'|'correios'|string} CepProvider
+ * Provider válido para busca de CEP (nativo ou registrado com registerProvider)
  */
 
+/**
+ * @typedef {'race'|'merge'|'consensus'} SearchStrategy
+ * Estratégia de busca: 'race' retorna a primeira resposta, 'merge' combina todas,
+ * 'consensus' usa o valor da maioria e reporta divergências
+ */
+
+/**
+ * @typedef {'all'|'adaptive'} ProviderSelection
+ * Seleção de providers: 'all' consulta todos, 'adaptive' consulta os de melhor desempenho recente
+ * e mantém os demais como fallback
+ */
+
+/**
+ * @typedef {'default'|'staleWhileRevalidate'|'staleIfError'} CacheMode
+ * Uso de resultados expirados do cache: 'staleWhileRevalidate' responde com o resultado expirado
+ * e atualiza em background, 'staleIfError' usa o resultado expirado apenas se todos os provedores falharem
+ */
+
+/**
+ * Conecta cada serviço a um AbortController para permitir cancelamento
+ * Temporariamente modifica o método fetch de cada serviço para usar o signal do controller
+ * (a prioridade da busca na fila do agendador e o timeout de cada tentativa, se informados)
+ * Retorna os controllers (um por serviço) e uma função que restaura os fetch originais
+ */
+function attachAbortControllers(services, { priority, retryPolicy = NO_RETRY } = {}) {
+  const { attemptTimeout } = retryPolicy;
+
+  const abortControllers = services.map(() => new AbortController());
+
+  // Armazena os métodos fetch originais para restaurar depois
+  const originalFetches = services.map(service => service.fetch.bind(service));
+
+  services.forEach((service, index) => {
+    const originalFetch = originalFetches[index];
+    service.fetch = function(url, options = {}) {
+      const fetchOptions = { ...options, signal: abortControllers[index].signal };
+      if (priority !== undefined) {
+        fetchOptions.priority = priority;
+      }
+      if (attemptTimeout !== undefined) {
+        fetchOptions.timeout = Math.min(options.timeout || service.defaultTimeout, attemptTimeout);
+      }
+      return originalFetch(url, fetchOptions);
+    };
+  });
+
+  const restore = () => {
+    services.forEach((service, index) => {
+      service.fetch = originalFetches[index];
+    });
+  };
+
+  return { abortControllers, restore };
+}
+
+/**
+ * Verifica se o erro é um cancelamento (outra requisição resolveu primeiro ou a busca terminou)
+ */
+function isCancellation(error) {
+  return error.name === 'AbortError' || error.type === 'aborted' ||
+    (error instanceof ServiceError && error.message && error.message.includes('cancelada'));
+}
+
+/**
+ * Converte o erro de um serviço no detalhe padrão ({ message, service, ... })
+ */
+function toErrorDetail(error, service) {
+  // Se for um ServiceError, extrai informações
+  if (error instanceof ServiceError && error.errors && error.errors.length > 0) {
+    return error.errors[0];
+  }
+
+  // Captura erros de cada serviço individualmente
+  return {
+    message: error.message || 'Erro desconhecido',
+    service: service.name || 'unknown',
+    type: error.type || 'service_error'
+  };
+}
+
+/**
+ * Aguarda a espera entre tentativas; termina antes se a busca for cancelada
+ */
+function waitForRetry(delay, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, delay);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Inicia a busca em um serviço, com novas tentativas conforme a política de retry
+ * A promise rejeita com o detalhe do erro (objeto { message, service, ... }) quando o serviço falha
+ * Cada tentativa que falhou é registrada em errorLog (com o número da tentativa, se houver retry)
+ *
+ * @param {Object} service - Serviço de CEP
+ * @param {string} cep - CEP normalizado
+ * @param {Object} [context={}] - { retryPolicy, deadline, signal, errorLog }
+ */
+async function searchService(service, cep, context = {}) {
+  const {
+    retryPolicy = NO_RETRY,
+    deadline = Infinity,
+    signal,
+    errorLog = []
+  } = context;
+
+  for (let attempt = 1; ; attempt++) {
+    let detail;
+    const startedAt = Date.now();
+    const event = { cep, provider: service.name, attempt };
+
+    emitHook('request:start', event);
+
+    try {
+      // service.search() retorna uma Promise (operação assíncrona HTTP)
+      const result = await service.search(cep);
+      emitHook('provider:success', { ...event, duration: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      // Se a requisição foi cancelada (abortada), não trata como erro
+      // Re-lança o erro para que seja ignorado pelo promiseAny
+      if (isCancellation(error)) {
+        // Cancelamentos após o fim do prazo são o timeout da busca
+        const timedOut = Date.now() >= deadline;
+        emitHook(timedOut ? 'provider:error' : 'provider:aborted', {
+          ...event,
+          duration: Date.now() - startedAt,
+          ...(timedOut && { error: { message: 'Requisição excedeu o timeout da busca', service: service.name } })
+        });
+        throw error;
+      }
+
+      detail = toErrorDetail(error, service);
+    }
+
+    if (retryPolicy.maxAttempts > 1) {
+      detail = { ...detail, attempt };
+    }
+    errorLog.push(detail);
+    emitHook('provider:error', { ...event, duration: Date.now() - startedAt, error: detail });
+
+    // Nova tentativa apenas se o erro permite e se a espera cabe no timeout da busca
+    const delay = getRetryDelay(attempt, retryPolicy);
+    const canRetry = attempt < retryPolicy.maxAttempts &&
+      isRetryable(detail, retryPolicy) &&
+      Date.now() + delay < deadline &&
+      !(signal && signal.aborted);
+
+    // Os detalhes são relançados para que o serviço não "vença" a corrida com um erro
+    if (!canRetry) {
+      throw detail;
+    }
+
+    await waitForRetry(delay, signal);
+
+    if (signal && signal.aborted) {
+      throw detail;
+    }
+  }
+}
+
+/**
+ * Prepara a busca em todos os serviços, cada um com o seu signal de cancelamento e registro de erros
+ * Retorna funções que iniciam cada busca (para o modo hedging) e os registros de erros
+ */
+function prepareSearches(services, cep, abortControllers, context) {
+  const deadline = Date.now() + context.timeout;
+  const errorLogs = services.map(() => []);
+  const tasks = services.map((service, index) => () => searchService(service, cep, {
+    retryPolicy: context.retryPolicy,
+    deadline,
+    signal: abortControllers[index].signal,
+    errorLog: errorLogs[index]
+  }));
+
+  return { tasks, errorLogs };
+}
+
+/**
+ * Inicia a busca em todos os serviços ao mesmo tempo
+ */
+function startSearches(services, cep, abortControllers, context) {
+  const { tasks, errorLogs } = prepareSearches(services, cep, abortControllers, context);
+  return { promises: tasks.map(task => task()), errorLogs };
+}
+
+/**
+ * Monta a lista final de erros: todas as tentativas de cada serviço, na ordem de prioridade
+ * Motivos que não foram registrados (ex: timeout do wrapper) entram como erro do serviço
+ */
+function collectErrors(services, errorLogs, reasons) {
+  reasons.forEach((reason, index) => {
+    if (!reason || errorLogs[index].includes(reason)) {
+      return;
+    }
+
+    // Timeouts do wrapper chegam como Error sem o nome do serviço
+    errorLogs[index].push(reason.service ? reason : {
+      message: reason.message || 'Erro desconhecido',
+      service: services[index].name || 'unknown',
+      originalError: reason.message
+    });
+  });
+
+  return errorLogs.flat();
+}
+
+/**
+ * Converte a lista de erros dos serviços no erro final
+ * Lança TimeoutError se todas as requisições excederam o timeout, senão ServiceError
+ */
+function createFailureError(allErrors) {
+  // Verifica se foi timeout
+  const timeoutErrors = allErrors.filter(e => 
+    e.message && e.message.includes('timeout')
+  );
+
+  if (allErrors.length > 0 && timeoutErrors.length === allErrors.length) {
+    return new TimeoutError(
+      'Todas as requisições excederam o tempo limite',
+      allErrors
+    );
+  }
+
+  return new ServiceError(
+    'Todos os serviços de CEP retornaram erro',
+    allErrors
+  );
+}
+
+/**
+ * Valida o AbortSignal informado pelo chamador
+ */
+function validateSignal(signal) {
+  if (signal === undefined) {
+    return;
+  }
+
+  if (!signal || typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function') {
+    throw new ValidationError(
+      'signal deve ser um AbortSignal',
+      [{
+        message: 'O parâmetro signal deve ser um AbortSignal (ex: new AbortController().signal)',
+        service: 'signal_validation',
+        received: typeof signal
+      }]
+    );
+  }
+}
+
+/**
+ * Cria o erro de quando a busca foi cancelada pelo AbortSignal do chamador
+ */
+function createAbortError() {
+  return new AbortError(
+    'Busca de CEP cancelada',
+    [{
+      message: 'A busca foi cancelada pelo AbortSignal informado',
+      service: 'abort'
+    }]
+  );
+}
+
+/**
+ * Lança AbortError se o signal do chamador já foi abortado
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Estratégia 'race': retorna a primeira resposta bem-sucedida e cancela as demais
+ * Com hedgeDelay, os serviços são iniciados um a um, em ordem de prioridade
+ */
+async function raceServices(services, cep, context) {
+  const { abortControllers, restore } = attachAbortControllers(services, context);
+
+  // Cria callbacks de cancelamento que abortam as requisições HTTP
+  const cancelCallbacks = abortControllers.map((controller) => () => {
+    controller.abort();
+  });
+
+  let errorLogs;
+  try {
+    if (context.hedgeDelay !== undefined) {
+      const prepared = prepareSearches(services, cep, abortControllers, context);
+      errorLogs = prepared.errorLogs;
+      return await parallelWithTimeout(prepared.tasks, context.timeout, cancelCallbacks, {
+        hedgeDelay: context.hedgeDelay,
+        signal: context.signal
+      });
+    }
+
+    // NOTA: .map() executa de forma síncrona, mas retorna um array de Promises
+    // As requisições HTTP são iniciadas imediatamente e executadas em paralelo
+    const started = startSearches(services, cep, abortControllers, context);
+    errorLogs = started.errorLogs;
+    return await parallelWithTimeout(started.promises, context.timeout, cancelCallbacks, {
+      signal: context.signal
+    });
+  } catch (error) {
+    // Cancelamento pelo chamador: as requisições e os timeouts já foram interrompidos
+    throwIfAborted(context.signal);
+
+    // Se todas as promises falharam, coleta todos os erros
+    // No AggregateError, cada erro está na posição do seu serviço
+    if (error.errors && Array.isArray(error.errors)) {
+      throw createFailureError(collectErrors(services, errorLogs, error.errors));
+    }
+
+    throw createFailureError([{
+      message: error.message || 'Erro desconhecido',
+      service: 'unknown',
+      originalError: error.message
+    }]);
+  } finally {
+    // Restaura os métodos fetch originais
+    restore();
+  }
+}
+
+/**
+ * Seleção adaptativa: corrida entre os providers com melhor desempenho recente
+ * Se todos falharem, os fallbacks são consultados no tempo restante do timeout
+ * Com hedgeDelay, todos os providers são consultados um a um, na ordem do ranking
+ */
+async function raceAdaptive(services, cep, context) {
+  const { primary, fallbacks } = selectAdaptiveServices(services);
+
+  if (context.hedgeDelay !== undefined) {
+    return raceServices([...primary, ...fallbacks], cep, context);
+  }
+
+  const startedAt = Date.now();
+  try {
+    return await raceServices(primary, cep, context);
+  } catch (error) {
+    const remaining = context.timeout - (Date.now() - startedAt);
+    if (fallbacks.length === 0 || remaining <= 0 || error instanceof AbortError) {
+      throw error;
+    }
+
+    try {
+      return await raceServices(fallbacks, cep, { ...context, timeout: remaining });
+    } catch (fallbackError) {
+      throw createFailureError([...error.errors, ...fallbackError.errors]);
+    }
+  }
+}
+
+/**
+ * Consulta todos os serviços e aguarda cada um responder (ou exceder o timeout)
+ * Retorna as respostas bem-sucedidas (na ordem de prioridade) e os erros
+ */
+async function settleServices(services, cep, context) {
+  const { abortControllers, restore } = attachAbortControllers(services, context);
+  const { promises, errorLogs } = startSearches(services, cep, abortControllers, context);
+
+  // Ao final, aborta requisições que ainda estejam pendentes (ex: após timeout)
+  const cancelCallbacks = abortControllers.map((controller) => () => {
+    controller.abort();
+  });
+
+  try {
+    const settled = await settleWithTimeout(promises, context.timeout, cancelCallbacks, context.signal);
+    const results = settled
+      .filter(item => item.status === 'fulfilled')
+      .map(item => item.value);
+    const errors = collectErrors(services, errorLogs, settled.map(item => item.reason));
+
+    return { results, errors };
+  } catch (error) {
+    throwIfAborted(context.signal);
+    throw error;
+  } finally {
+    restore();
+  }
+}
+
+/**
+ * Estratégias 'merge' e 'consensus': aguardam todos os serviços e combinam as respostas
+ */
+async function combineServices(services, cep, context, strategy) {
+  const { results, errors } = await settleServices(services, cep, context);
+
+  if (results.length === 0) {
+    throw createFailureError(errors);
+  }
+
+  return strategy === 'consensus'
+    ? buildConsensus(results, services.length)
+    : mergeResults(results);
+}
+
+/**
+ * Valida a espera do modo hedging
+ * O hedging só se aplica à estratégia 'race': 'merge' e 'consensus' precisam de todos os providers
+ */
+function validateHedgeDelay(hedgeDelay, strategy) {
+  if (hedgeDelay === undefined) {
+    return;
+  }
+
+  if (typeof hedgeDelay !== 'number' || !Number.isFinite(hedgeDelay) || hedgeDelay < 0) {
+    throw new ValidationError(
+      'hedgeDelay deve ser um número maior ou igual a zero (em milissegundos)',
+      [{
+        message: 'O parâmetro hedgeDelay deve ser um número não negativo',
+        service: 'hedge_validation',
+        received: hedgeDelay
+      }]
+    );
+  }
+
+  if (strategy !== 'race') {
+    throw new ValidationError(
+      `hedgeDelay não é suportado com a estratégia "${strategy}"`,
+      [{
+        message: 'O modo hedging só pode ser usado com a estratégia race',
+        service: 'hedge_validation',
+        received: strategy
+      }]
+    );
+  }
+}
+
+/**
+ * Valida a prioridade da busca na fila do agendador de requisições
+ */
+function validatePriority(priority) {
+  if (priority !== undefined && (typeof priority !== 'number' || !Number.isFinite(priority))) {
+    throw new ValidationError(
+      'priority deve ser um número',
+      [{
+        message: 'O parâmetro priority deve ser um número finito (maior é atendido primeiro)',
+        service: 'priority_validation',
+        received: priority
+      }]
+    );
+  }
+}
+
+/**
+ * Valida as opções de cache de uma chamada e monta as opções repassadas ao cache
+ */
+function resolveCacheOptions({ cache, cacheTtl, cacheNamespace, cacheMode = 'default' }) {
+  validateCacheMode(cacheMode);
+  if (cache) {
+    validateCacheAdapter(cache);
+  }
+  if (cacheTtl !== undefined) {
+    validateTtl(cacheTtl);
+  }
+  if (cacheNamespace !== undefined) {
+    validateNamespace(cacheNamespace);
+  }
+
+  return { adapter: cache, ttl: cacheTtl, namespace: cacheNamespace };
+}
+
+/**
+ * Verifica se um resultado em cache atende à estratégia solicitada
+ * Resultados combinados (com `sources`) servem para 'race' e 'merge';
+ * 'consensus' exige um resultado que já tenha passado pela votação
+ */
+function isCacheCompatible(cachedResult, strategy) {
+  if (!cachedResult || !cachedResult.city) {
+    return false;
+  }
+
+  if (strategy === 'consensus') {
+    return Array.isArray(cachedResult.discrepancies);
+  }
+
+  return strategy === 'race' || Boolean(cachedResult.sources);
+}
+
+/**
+ * Consulta o cache de um CEP
+ * Retorna { data } para um resultado compatível com a estratégia,
+ * { error } para um CEP em cache como não encontrado, ou null
+ */
+async function lookupCache(cep, strategy, cacheOptions) {
+  const cached = await readCache(cep, strategy, cacheOptions);
+
+  if (cached) {
+    emitHook('cache:hit', { cep, notFound: Boolean(cached.error) });
+  } else {
+    emitHook('cache:miss', { cep });
+  }
+
+  return cached;
+}
+
+/**
+ * Lê o resultado ou o cache negativo de um CEP (usado por lookupCache)
+ */
+async function readCache(cep, strategy, cacheOptions) {
+  const cachedResult = await getCachedResult(cep, cacheOptions);
+  if (isCacheCompatible(cachedResult, strategy)) {
+    return { data: cachedResult };
+  }
+
+  // Existe resultado em cache (apenas incompatível com a estratégia): o CEP existe
+  if (cachedResult) {
+    return null;
+  }
+
+  const notFoundErrors = await getCachedNotFound(cep, cacheOptions);
+  if (notFoundErrors) {
+    return { error: createFailureError(notFoundErrors) };
+  }
+
+  return null;
+}
+
+/**
+ * Verifica se todos os erros da falha são "não encontrado" (status 404)
+ */
+function isNotFoundError(error) {
+  return error instanceof ServiceError &&
+    error.errors.length > 0 &&
+    error.errors.every(detail => detail && detail.status === 404);
+}
+
+/**
+ * Verifica se a falha indica que o CEP não existe
+ * Todos os provedores consultados precisam ter respondido "não encontrado" (status 404);
+ * timeouts e erros de conexão não contam
+ */
+function isNotFoundFailure(error, services) {
+  const answered = new Set(error.errors.map(detail => detail && detail.service));
+  return isNotFoundError(error) && answered.size === services.length;
+}
+
+/**
+ * Marca um resultado servido a partir de um cache expirado
+ */
+function markStale(result) {
+  return { ...result, stale: true };
+}
+
+/**
+ * Cria o resultado degradado (apenas o estado inferido pela faixa do CEP) usado quando todos os provedores falharam
+ * Retorna null se o CEP está fora das faixas atribuídas
+ */
+function createDegradedResult(cep) {
+  const inferred = getStateFromCep(cep);
+  if (!inferred) {
+    return null;
+  }
+
+  return {
+    cep,
+    state: inferred.uf,
+    city: '',
+    street: '',
+    neighborhood: '',
+    service: 'offline',
+    stateName: inferred.state,
+    region: inferred.region,
+    degraded: true
+  };
+}
+
+/**
+ * Consulta os provedores e atualiza o cache com o resultado
+ * Falhas em que todos os provedores responderam "não encontrado" são salvas no cache negativo
+ */
+async function queryProviders(cep, {
+  providers,
+  timeout,
+  retryPolicy,
+  hedgeDelay,
+  priority,
+  strategy,
+  selection,
+  signal,
+  useCache,
+  cacheOptions
+}) {
+  // Obtém os serviços a serem usados
+  const services = getServicesByNames(providers, timeout);
+
+  if (services.length === 0) {
+    throw new ValidationError(
+      'Nenhum serviço disponível para consulta',
+      [{
+        message: 'Lista de serviços está vazia',
+        service: 'service_validation'
+      }]
+    );
+  }
+
+  let result;
+  try {
+    const context = { timeout, retryPolicy, hedgeDelay, priority, signal };
+    if (strategy !== 'race') {
+      result = await combineServices(services, cep, context, strategy);
+    } else if (selection === 'adaptive') {
+      result = await raceAdaptive(services, cep, context);
+    } else {
+      result = await raceServices(services, cep, context);
+    }
+  } catch (error) {
+    // Cache negativo: evita consultar novamente os provedores para CEPs que não existem
+    if (useCache && isNotFoundFailure(error, services)) {
+      setCachedNotFound(cep, error.errors, cacheOptions);
+      emitHook('cache:write', { cep, notFound: true });
+    }
+    throw error;
+  }
+
+  // Cancelada pelo chamador após a resposta: o resultado não é retornado nem salvo no cache
+  throwIfAborted(signal);
+
+  // Registra o provider cujo resultado foi retornado
+  recordWin(result.service);
+
+  // Salva no cache após sucesso (apenas se cache estiver habilitado)
+  if (useCache) {
+    // A escrita não é aguardada para não atrasar a resposta
+    setCachedResult(cep, result, cacheOptions);
+    emitHook('cache:write', { cep, notFound: false, service: result.service });
+  }
+
+  return result;
+}
+
+/**
+ * Identificadores dos adapters de cache informados por chamada (para a chave das buscas em andamento)
+ */
+const adapterIds = new WeakMap();
+
+/**
+ * Retorna o identificador de um adapter de cache (0 para o adapter global)
+ */
+function getAdapterId(adapter) {
+  if (!adapter) {
+    return 0;
+  }
+  if (!adapterIds.has(adapter)) {
+    adapterIds.set(adapter, adapterIds.size + 1);
+  }
+  return adapterIds.get(adapter);
+}
+
+/**
+ * Chave de uma consulta aos provedores: buscas com a mesma chave compartilham as requisições
+ * Inclui o CEP normalizado, os provedores (a ordem define a prioridade em merge, hedging e seleção adaptativa)
+ * e todas as opções que alteram o resultado ou o cache
+ */
+function getQueryKey(cep, { providers, timeout, retryPolicy, hedgeDelay, strategy, selection, useCache, cacheOptions }) {
+  return JSON.stringify([
+    cep,
+    providers,
+    strategy,
+    selection,
+    timeout,
+    retryPolicy,
+    hedgeDelay,
+    useCache,
+    getAdapterId(cacheOptions.adapter),
+    cacheOptions.ttl,
+    cacheOptions.namespace
+  ]);
+}
+
+/**
+ * Consulta os provedores compartilhando a busca com chamadas simultâneas para o mesmo CEP
+ * Cada chamador pode cancelar com o próprio signal; as requisições só são canceladas
+ * quando todos os chamadores que aguardam a busca cancelaram
+ */
+function queryProvidersShared(cep, query, signal) {
+  return joinInFlight(
+    getQueryKey(cep, query),
+    sharedSignal => queryProviders(cep, { ...query, signal: sharedSignal }),
+    signal
+  );
+}
+
+/**
+ * Executa a busca de searchCep
+ * trace recebe o CEP normalizado e se o resultado veio do cache (usados no evento search:complete)
+ * Com cacheChecked, o cache já foi consultado pelo chamador (searchCeps) e não é lido de novo
+ */
+async function resolveCep(cep, options, trace, { cacheChecked = false } = {}) {
+  const {
+    timeout = 30000,
+    providers = [],
+    useCache = true,
+    cacheMode = 'default',
+    strategy = 'race',
+    retry,
+    hedgeDelay,
+    selection = 'all',
+    priority,
+    strictValidation = false,
+    degraded = false,
+    signal
+  } = options;
+  
+  try {
+    // Valida a lista de providers
+    validateProviders(providers);
+    // Normaliza os providers (remove duplicatas, converte para lowercase)
+    const normalizedProviders = normalizeProviders(providers);
+    // Valida a estratégia de busca e o modo de seleção de providers
+    validateStrategy(strategy);
+    validateSelection(selection, strategy);
+    // Valida a política de retry
+    const retryPolicy = normalizeRetryPolicy(retry);
+    // Valida o modo hedging (apenas na estratégia 'race')
+    validateHedgeDelay(hedgeDelay, strategy);
+    // Valida as opções de cache informadas para esta chamada
+    const cacheOptions = resolveCacheOptions(options);
+    // Valida o AbortSignal do chamador
+    validateSignal(signal);
+    // Valida a prioridade na fila do agendador
+    validatePriority(priority);
+    
+    // Valida e normaliza o CEP
+    // No modo estrito, CEPs fora das faixas atribuídas pelos Correios são rejeitados
+    const normalizedCep = await normalizeAndValidateCep(cep, { strict: strictValidation });
+    trace.cep = normalizedCep;
+    throwIfAborted(signal);
+    
+    // Verifica cache antes de fazer requisição
+    // CEPs em cache como não encontrados lançam o mesmo erro sem consultar os provedores
+    let staleResult = null;
+    if (useCache) {
+      const cached = cacheChecked ? null : await lookupCache(normalizedCep, strategy, cacheOptions);
+      throwIfAborted(signal);
+      if (cached) {
+        trace.fromCache = true;
+      }
+      if (cached && cached.error) {
+        throw cached.error;
+      }
+      if (cached) {
+        return cached.data;
+      }
+
+      if (cacheMode !== 'default') {
+        const stale = await getStaleResult(normalizedCep, cacheOptions);
+        staleResult = isCacheCompatible(stale, strategy) ? stale : null;
+      }
+    }
+
+    const query = {
+      providers: normalizedProviders,
+      timeout,
+      retryPolicy,
+      hedgeDelay,
+      priority,
+      strategy,
+      selection,
+      useCache,
+      cacheOptions
+    };
+
+    // staleWhileRevalidate: responde com o resultado expirado e atualiza o cache em background
+    // (a atualização não é interrompida pelo signal, pois a busca do chamador já terminou)
+    if (staleResult && cacheMode === 'staleWhileRevalidate') {
+      queryProvidersShared(normalizedCep, query).catch(() => {
+        // Se a atualização falhar, o resultado expirado continua no cache
+      });
+      trace.fromCache = true;
+      return markStale(staleResult);
+    }
+
+    try {
+      return await queryProvidersShared(normalizedCep, query, signal);
+    } catch (error) {
+      // Cancelada pelo signal do chamador (a busca compartilhada continua para as demais chamadas)
+      throwIfAborted(signal);
+
+      // staleIfError: usa o resultado expirado apenas quando os provedores falharam
+      // (erros de validação e CEPs que deixaram de existir não usam o cache expirado)
+      const isProviderFailure = (error instanceof ServiceError || error instanceof TimeoutError) &&
+        !isNotFoundError(error);
+      if (staleResult && isProviderFailure) {
+        trace.fromCache = true;
+        return markStale(staleResult);
+      }
+
+      // degraded: responde apenas com o estado inferido pela faixa do CEP (não é salvo no cache)
+      const degradedResult = degraded && isProviderFailure ? createDegradedResult(normalizedCep) : null;
+      if (degradedResult) {
+        return degradedResult;
+      }
+      throw error;
+    }
+  } catch (error) {
+    // Re-lança erros de validação e serviço
+    if (error instanceof ValidationError || 
+        error instanceof ServiceError || 
+        error instanceof TimeoutError ||
+        error instanceof AbortError) {
+      throw error;
+    }
+
+    // Converte outros erros em ValidationError
+    throw new ValidationError(
+      `Erro ao processar CEP: ${error.message}`,
+      [{
+        message: error.message,
+        service: 'cep_processing',
+        originalError: error.message
+      }]
+    );
+  }
+}
+
 /**
  * Busca informações de CEP usando múltiplos serviços em paralelo
- * Utiliza cache automático de 30 dias para melhor performance
+ * Utiliza cache automático (15 dias por padrão, configurável via configureCache) para melhor performance
  *
  * @param {string|number} cep - CEP a ser consultado (pode ser string ou número)
  * @param {Object} [options={}] - Opções de configuração
  * @param {number} [options.timeout=30000] - Timeout em milissegundos para cada requisição
  * @param {CepProvider[]} [options.providers=[]] - Lista de provedores a usar. Se vazio, usa todos disponíveis
  * @param {boolean} [options.useCache=true] - Se deve usar cache (padrão: true)
+ * @param {Object} [options.cache] - Adapter de cache para esta chamada (padrão: adapter global)
+ * @param {number} [options.cacheTtl] - Duração do cache em milissegundos para esta chamada (padrão: configuração global)
+ * @param {string} [options.cacheNamespace] - Namespace do cache para esta chamada (padrão: configuração global)
+ * @param {CacheMode} [options.cacheMode='default'] - Uso de resultados expirados do cache (padrão: 'default')
+ * @param {SearchStrategy} [options.strategy='race'] - Estratégia de busca (padrão: 'race')
+ * @param {boolean|Object} [options.retry=false] - Política de retry por provider, dentro do timeout (true usa a política padrão)
+ * @param {number} [options.retry.maxAttempts=3] - Número máximo de tentativas por provider
+ * @param {number} [options.retry.baseDelay=100] - Espera antes da segunda tentativa em milissegundos (dobra a cada tentativa)
+ * @param {number} [options.retry.maxDelay=2000] - Espera máxima entre tentativas em milissegundos
+ * @param {number} [options.retry.jitter=0.5] - Fração aleatória (0 a 1) removida de cada espera
+ * @param {string[]} [options.retry.retryableErrors] - Códigos de erro que permitem nova tentativa ('timeout' para timeouts)
+ * @param {number[]} [options.retry.retryableStatuses] - Status HTTP que permitem nova tentativa
+ * @param {number} [options.retry.attemptTimeout] - Timeout de cada tentativa em milissegundos (sem ele, uma tentativa
+ *   pode usar todo o timeout da busca e, se excedê-lo, não é repetida)
+ * @param {number} [options.hedgeDelay] - Modo hedging: consulta os providers um a um, iniciando o próximo
+ *   só se não houver resposta em hedgeDelay ms (ou se o anterior falhar). Apenas com strategy 'race'
+ * @param {ProviderSelection} [options.selection='all'] - 'adaptive' consulta apenas os providers com melhor desempenho
+ *   recente (configurável via configureAdaptiveSelection) e usa os demais como fallback. Apenas com strategy 'race'
+ * @param {number} [options.priority=0] - Prioridade das requisições na fila do agendador (maior é atendida primeiro)
+ * @param {boolean} [options.strictValidation=false] - Rejeita CEPs fora das faixas atribuídas pelos Correios
+ * @param {boolean} [options.degraded=false] - Se todos os provedores falharem, responde com o estado inferido
+ *   pela faixa do CEP (degraded: true, sem cidade, bairro e logradouro) em vez de lançar o erro
+ * @param {AbortSignal} [options.signal] - Cancela a busca: aborta as requisições em andamento e não salva no cache
+ *   (chamadas simultâneas para o mesmo CEP e opções compartilham as requisições, que só são abortadas
+ *   quando todas as chamadas cancelaram)
  * @returns {Promise<Object>} Promise que resolve com os dados do CEP
- * @throws {ValidationError} Se o CEP ou providers são inválidos
- * @throws {ServiceError} Se todos os serviços falharam
+ * @throws {ValidationError} Se o CEP, providers, estratégia, seleção, retry, hedgeDelay, priority, signal ou opções de cache são inválidos
+ * @throws {ServiceError} Se todos os serviços falharam (ou se o CEP está em cache como não encontrado)
  * @throws {TimeoutError} Se todas as requisições excederam o timeout
+ * @throws {AbortError} Se a busca foi cancelada pelo signal
  *
  * @example
  * // Busca básica (usa cache automaticamente)
@@ -42,173 +913,328 @@ const { ValidationError, ServiceError, TimeoutError } = require('./errors/CepErr
  * const result = await searchCep('01310100', {
  *   useCache: false
  * });
+ *
+ * @example
+ * // Combinar os campos de todos os providers
+ * const result = await searchCep('01310100', { strategy: 'merge' });
+ * console.log(result.sources); // { city: 'brasilapi', ibge: 'viacep', ... }
+ *
+ * @example
+ * // Consenso entre providers (valor da maioria e divergências)
+ * const result = await searchCep('01310100', { strategy: 'consensus' });
+ * console.log(result.confidence, result.discrepancies);
+ *
+ * @example
+ * // Cancela a busca quando o cliente desconecta
+ * const controller = new AbortController();
+ * req.on('close', () => controller.abort());
+ * const result = await searchCep('01310100', { signal: controller.signal });
+ *
+ * @example
+ * // Responde com o cache expirado se todos os provedores estiverem fora do ar
+ * const result = await searchCep('01310100', { cacheMode: 'staleIfError' });
+ * console.log(result.stale); // true quando veio do cache expirado
+ *
+ * @example
+ * // Responde apenas com o estado se todos os provedores estiverem fora do ar
+ * const result = await searchCep('01310100', { degraded: true });
+ * console.log(result.degraded, result.state); // true, 'SP'
  */
 async function searchCep(cep, options = {}) {
+  return runSearch(cep, options);
+}
+
+/**
+ * Emite o evento search:complete com o resultado ({ status: 'fulfilled', data }) ou o erro
+ * ({ status: 'rejected', error }) da busca
+ */
+function emitSearchComplete(cep, startedAt, fromCache, outcome) {
+  const { status, data, error } = outcome;
+
+  emitHook('search:complete', {
+    cep,
+    duration: Date.now() - startedAt,
+    status,
+    fromCache,
+    ...(status === 'fulfilled'
+      ? { service: data.service }
+      : { error: { name: error.name, message: error.message, errors: error.errors } })
+  });
+}
+
+/**
+ * Executa resolveCep emitindo o evento search:complete (usado por searchCep e searchCeps)
+ */
+async function runSearch(cep, options, resolveOptions) {
+  const startedAt = Date.now();
+  const trace = { cep, fromCache: false };
+
+  try {
+    const data = await resolveCep(cep, options, trace, resolveOptions);
+    emitSearchComplete(trace.cep, startedAt, trace.fromCache, { status: 'fulfilled', data });
+    return data;
+  } catch (error) {
+    emitSearchComplete(trace.cep, startedAt, trace.fromCache, { status: 'rejected', error });
+    throw error;
+  }
+}
+
+/**
+ * Busca vários CEPs de uma vez, com limite de concorrência
+ * CEPs repetidos são consultados uma única vez e o cache é verificado
+ * antes de qualquer requisição aos provedores
+ *
+ * @param {Array<string|number>} ceps - Lista de CEPs a serem consultados
+ * @param {Object} [options={}] - Opções de configuração (aceita as mesmas opções de searchCep)
+ * @param {number} [options.concurrency=5] - Número máximo de CEPs consultados simultaneamente
+ * @param {Function} [options.onProgress] - Callback chamado a cada CEP concluído
+ * @returns {Promise<Object[]>} Promise que resolve com um resultado por CEP de entrada, na mesma ordem
+ * @throws {ValidationError} Se a lista de CEPs, a concorrência ou os providers são inválidos
+ * @throws {AbortError} Se o signal foi abortado antes do fim da consulta ao cache
+ *
+ * @example
+ * const results = await searchCeps(['01310100', '20040-020', '01310100'], {
+ *   concurrency: 10,
+ *   onProgress: ({ completed, total }) => console.log(`${completed}/${total}`)
+ * });
+ *
+ * results.forEach(result => {
+ *   if (result.status === 'fulfilled') {
+ *     console.log(result.cep, result.data.city);
+ *   } else {
+ *     console.error(result.input, result.error.message);
+ *   }
+ * });
+ */
+async function searchCeps(ceps, options = {}) {
   const {
-    timeout = 30000,
-    providers = [],
-    useCache = true
+    concurrency = 5,
+    onProgress,
+    ...searchOptions
   } = options;
-  
-  try {
-    // Valida a lista de providers
-    validateProviders(providers);
-    // Normaliza os providers (remove duplicatas, converte para lowercase)
-    const normalizedProviders = normalizeProviders(providers);
-    
-    // Valida e normaliza o CEP
-    const normalizedCep = await normalizeAndValidateCep(cep);
-    
-    // Verifica cache antes de fazer requisição
-    if (useCache) {
-      const cachedResult = getCachedResult(normalizedCep);
-      if (cachedResult?.city) {
-        return cachedResult;
+  const {
+    providers = [],
+    useCache = true,
+    strategy = 'race',
+    retry,
+    hedgeDelay,
+    selection = 'all',
+    priority,
+    strictValidation = false,
+    signal
+  } = searchOptions;
+
+  if (!Array.isArray(ceps)) {
+    throw new ValidationError(
+      'CEPs deve ser um array',
+      [{
+        message: 'O parâmetro ceps deve ser uma lista (array)',
+        service: 'batch_validation',
+        received: typeof ceps
+      }]
+    );
+  }
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ValidationError(
+      'Concorrência deve ser um número inteiro maior que zero',
+      [{
+        message: 'O parâmetro concurrency deve ser um inteiro positivo',
+        service: 'batch_validation',
+        received: concurrency
+      }]
+    );
+  }
+
+  // Valida os providers, a estratégia, a seleção, o retry, a prioridade e o cache uma única vez para todo o lote
+  validateProviders(providers);
+  validateStrategy(strategy);
+  validateSelection(selection, strategy);
+  normalizeRetryPolicy(retry);
+  validateHedgeDelay(hedgeDelay, strategy);
+  validateSignal(signal);
+  validatePriority(priority);
+  const cacheOptions = resolveCacheOptions(searchOptions);
+  throwIfAborted(signal);
+
+  // Normaliza cada entrada; entradas inválidas já ficam com o erro de validação
+  // No modo estrito, CEPs fora das faixas atribuídas pelos Correios são rejeitados, como em searchCep
+  const normalized = await Promise.all(ceps.map(cep =>
+    normalizeAndValidateCep(cep, { strict: strictValidation }).then(
+      value => ({ value }),
+      error => ({ error })
+    )
+  ));
+
+  // Remove duplicatas para consultar cada CEP apenas uma vez
+  const uniqueCeps = [...new Set(
+    normalized.filter(item => item.value).map(item => item.value)
+  )];
+  const total = uniqueCeps.length;
+  const outcomes = new Map();
+  let completed = 0;
+
+  const settle = (cep, outcome) => {
+    outcomes.set(cep, outcome);
+    completed++;
+
+    if (typeof onProgress === 'function') {
+      try {
+        onProgress({ completed, total, cep, status: outcome.status });
+      } catch (error) {
+        // Erros no callback de progresso não interrompem o lote
       }
     }
-    
-    // Obtém os serviços a serem usados
-    const services = getServicesByNames(normalizedProviders, timeout);
-
-    if (services.length === 0) {
-      throw new ValidationError(
-        'Nenhum serviço disponível para consulta',
-        [{
-          message: 'Lista de serviços está vazia',
-          service: 'service_validation'
-        }]
-      );
+  };
+
+  // Consulta o cache primeiro para não ocupar vagas de concorrência
+  const cacheStartedAt = Date.now();
+  const pendingCeps = [];
+  const cachedLookups = await Promise.all(uniqueCeps.map(cep =>
+    (useCache ? lookupCache(cep, strategy, cacheOptions) : null)
+  ));
+  // Resultados do cache não são entregues se o lote foi cancelado durante a consulta
+  throwIfAborted(signal);
+  uniqueCeps.forEach((cep, index) => {
+    const cached = cachedLookups[index];
+    if (!cached) {
+      pendingCeps.push(cep);
+      return;
     }
-    
-    // Cria promises para cada serviço com AbortController para cancelamento
-    // NOTA: .map() executa de forma síncrona, mas retorna um array de Promises
-    // Isso é correto porque service.search() retorna uma Promise (operação assíncrona)
-    // As requisições HTTP são iniciadas imediatamente e executadas em paralelo
-    
-    // Cria AbortControllers para cada serviço para permitir cancelamento
-    const abortControllers = services.map(() => new AbortController());
-    
-    // Armazena os métodos fetch originais para restaurar depois
-    const originalFetches = services.map(service => service.fetch.bind(service));
-    
-    // Temporariamente modifica o método fetch de cada serviço para usar o AbortController
-    services.forEach((service, index) => {
-      const originalFetch = originalFetches[index];
-      service.fetch = function(url, options = {}) {
-        return originalFetch(url, { ...options, signal: abortControllers[index].signal });
-      };
-    });
-    
-    const promises = services.map((service, index) => {
-      // service.search() retorna uma Promise (operação assíncrona HTTP)
-      return service.search(normalizedCep)
-        .then(result => {
-          return result;
-        })
-        .catch(error => {
-          // Se a requisição foi cancelada (abortada), não trata como erro
-          // Isso acontece quando outra requisição resolve primeiro
-          if (error.name === 'AbortError' || error.type === 'aborted' || 
-              (error instanceof ServiceError && error.message && error.message.includes('cancelada'))) {
-            // Re-lança o erro para que seja ignorado pelo promiseAny
-            throw error;
-          }
-          
-          // Captura erros de cada serviço individualmente
-          const serviceError = {
-            message: error.message || 'Erro desconhecido',
-            service: service.name || 'unknown',
-            type: error.type || 'service_error'
-          };
-
-          // Se for um ServiceError, extrai informações
-          if (error instanceof ServiceError && error.errors && error.errors.length > 0) {
-            return error.errors[0];
-          }
-
-          return serviceError;
-        });
-    });
-    
-    // Executa todas as requisições em paralelo com timeout
-    // Cria callbacks de cancelamento que abortam as requisições HTTP
-    const cancelCallbacks = abortControllers.map((controller) => () => {
-      controller.abort();
-    });
-    
-    try {
-      // parallelWithTimeout agora aceita callbacks de cancelamento adicionais
-      const result = await parallelWithTimeout(promises, timeout, cancelCallbacks);
-      
-      // Restaura os métodos fetch originais
-      services.forEach((service, index) => {
-        service.fetch = originalFetches[index];
-      });
-      
-      // Salva no cache após sucesso (apenas se cache estiver habilitado)
-      if (useCache) {
-        setCachedResult(normalizedCep, result);
-      }
-      
-      return result;
-    } catch (error) {
-      // Restaura os métodos fetch originais mesmo em caso de erro
-      services.forEach((service, index) => {
-        service.fetch = originalFetches[index];
-      });
-      
-      // Se todas as promises falharam, coleta todos os erros
-      let allErrors = [];
-      // Se for um AggregateError, extrai os erros
-      if (error.errors && Array.isArray(error.errors)) {
-        allErrors = error.errors;
-      } else if (Array.isArray(error)) {
-        allErrors = error;
-      } else {
-        allErrors = [{
-          message: error.message || 'Erro desconhecido',
-          service: 'unknown',
-          originalError: error.message
-        }];
-      }
-      
-      // Verifica se foi timeout
-      const timeoutErrors = allErrors.filter(e => 
-        e.message && e.message.includes('timeout')
-      );
-      
-      if (timeoutErrors.length === allErrors.length) {
+
+    // Respostas do cache emitem search:complete como em searchCep
+    const outcome = cached.error
+      ? { status: 'rejected', error: cached.error, fromCache: true }
+      : { status: 'fulfilled', data: cached.data, fromCache: true };
+    emitSearchComplete(cep, cacheStartedAt, true, outcome);
+    settle(cep, outcome);
+  });
+
+  // O cache desses CEPs já foi consultado acima
+  await mapWithConcurrency(pendingCeps, concurrency, cep =>
+    runSearch(cep, searchOptions, { cacheChecked: useCache }).then(
+      data => settle(cep, { status: 'fulfilled', data, fromCache: Boolean(data.stale) }),
+      error => settle(cep, { status: 'rejected', error, fromCache: false })
+    )
+  );
+
+  // Monta um resultado por entrada, preservando a ordem original
+  return ceps.map((input, index) => {
+    const { value, error } = normalized[index];
+
+    if (error) {
+      return { input, cep: null, status: 'rejected', error, fromCache: false };
+    }
+
+    return { input, cep: value, ...outcomes.get(value) };
+  });
+}
+
+/**
+ * Busca CEPs a partir do endereço (UF, cidade e logradouro)
+ * Utiliza o endpoint de busca por endereço do ViaCEP
+ *
+ * @param {Object} address - Endereço a ser consultado
+ * @param {string} address.state - Sigla da UF (ex: 'SP')
+ * @param {string} address.city - Nome da cidade (mínimo 3 caracteres)
+ * @param {string} address.street - Logradouro ou parte dele (mínimo 3 caracteres)
+ * @param {Object} [options={}] - Opções de configuração
+ * @param {number} [options.timeout=30000] - Timeout em milissegundos para a requisição
+ * @returns {Promise<Object[]>} Promise que resolve com a lista de resultados (vazia se nada for encontrado)
+ * @throws {ValidationError} Se o endereço é inválido
+ * @throws {ServiceError} Se o serviço retornou erro
+ * @throws {TimeoutError} Se a requisição excedeu o timeout
+ *
+ * @example
+ * const results = await searchAddress({
+ *   state: 'SP',
+ *   city: 'São Paulo',
+ *   street: 'Avenida Paulista'
+ * });
+ * console.log(results.map(result => result.cep));
+ */
+async function searchAddress(address, options = {}) {
+  const { timeout = 30000 } = options;
+
+  try {
+    const { state, city, street } = validateAddressQuery(address);
+    const service = createService('viacep', timeout);
+
+    return await service.searchByAddress(state, city, street);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    if (error instanceof ServiceError) {
+      const allErrors = error.errors || [];
+      const isTimeout = allErrors.length > 0 &&
+        allErrors.every(e => e.message && e.message.includes('timeout'));
+
+      if (isTimeout) {
         throw new TimeoutError(
-          'Todas as requisições excederam o tempo limite',
+          'A busca por endereço excedeu o tempo limite',
           allErrors
         );
       }
-      
-      throw new ServiceError(
-        'Todos os serviços de CEP retornaram erro',
-        allErrors
-      );
-    }
-  } catch (error) {
-    // Re-lança erros de validação e serviço
-    if (error instanceof ValidationError || 
-        error instanceof ServiceError || 
-        error instanceof TimeoutError) {
+
       throw error;
     }
 
-    // Converte outros erros em ValidationError
     throw new ValidationError(
-      `Erro ao processar CEP: ${error.message}`,
+      `Erro ao processar endereço: ${error.message}`,
       [{
         message: error.message,
-        service: 'cep_processing',
+        service: 'address_processing',
         originalError: error.message
       }]
     );
   }
 }
 
+/**
+ * Verifica se um endereço informado pelo usuário corresponde ao CEP
+ * Busca o CEP com searchCep e compara cada campo informado ignorando acentos, maiúsculas,
+ * pontuação e abreviações ("Av." = "Avenida"), com tolerância a erros de digitação
+ *
+ * @param {string|number} cep - CEP do endereço
+ * @param {Object} address - Endereço informado (ao menos um campo)
+ * @param {string} [address.state] - UF ou nome do estado
+ * @param {string} [address.city] - Cidade
+ * @param {string} [address.neighborhood] - Bairro
+ * @param {string} [address.street] - Logradouro
+ * @param {Object} [options={}] - Opções de searchCep e da comparação
+ * @param {number} [options.threshold=0.8] - Similaridade mínima (0 a 1) para um campo ser considerado igual
+ * @returns {Promise<Object>} { cep, match, score, fields: { [campo]: { input, found, score, match } }, result }
+ * @throws {ValidationError} Se o CEP, o endereço ou as opções são inválidos
+ * @throws {ServiceError} Se o CEP não foi encontrado ou todos os serviços falharam
+ * @throws {TimeoutError} Se todas as requisições excederam o timeout
+ * @throws {AbortError} Se a verificação foi cancelada pelo signal
+ *
+ * @example
+ * const verification = await verifyAddress('01310100', {
+ *   state: 'SP',
+ *   city: 'Sao Paulo',
+ *   street: 'Av. Paulsta'
+ * });
+ * console.log(verification.match, verification.score); // true 0.96
+ * console.log(verification.fields.street); // { input: 'Av. Paulsta', found: 'Avenida Paulista', score: 0.88, match: true }
+ */
+async function verifyAddress(cep, address, options = {}) {
+  const { threshold = DEFAULT_MATCH_THRESHOLD, ...searchOptions } = options;
+
+  // Valida o endereço antes de consultar os provedores
+  validateVerification(address, threshold);
+
+  const result = await searchCep(cep, searchOptions);
+
+  return {
+    cep: result.cep,
+    ...matchAddress(address, result, { threshold }),
+    result
+  };
+}
+
 /**
  * Busca CEP de forma síncrona (não recomendado, use searchCep)
  * Mantido apenas para compatibilidade
@@ -219,21 +1245,70 @@ function searchCepSync(cep, options = {}) {
 
 module.exports = {
   searchCep,
+  searchCeps,
+  searchAddress,
+  verifyAddress,
   searchCepSync,
   // Exporta classes de erro para uso externo
   CepError: require('./errors/CepError').CepError,
   ValidationError: require('./errors/CepError').ValidationError,
   ServiceError: require('./errors/CepError').ServiceError,
   TimeoutError: require('./errors/CepError').TimeoutError,
+  AbortError: require('./errors/CepError').AbortError,
   // Exporta utilitários de provider
   VALID_PROVIDERS: require('./utils/providerValidator').VALID_PROVIDERS,
   isValidProvider: require('./utils/providerValidator').isValidProvider,
+  // Exporta estratégias de busca válidas
+  VALID_STRATEGIES: require('./utils/strategyValidator').VALID_STRATEGIES,
+  VALID_SELECTIONS: require('./utils/strategyValidator').VALID_SELECTIONS,
+  VALID_CACHE_MODES: require('./utils/cache').VALID_CACHE_MODES,
+  // Exporta API de registro de providers customizados
+  registerProvider: require('./services').registerProvider,
+  unregisterProvider: require('./services').unregisterProvider,
+  BaseCepService: require('./services').BaseCepService,
+  // Exporta o circuit breaker dos providers
+  configureCircuitBreaker: require('./services').configureCircuitBreaker,
+  getCircuitBreakerState: require('./services').getCircuitBreakerState,
+  resetCircuitBreaker: require('./services').resetCircuitBreaker,
+  // Exporta a configuração da seleção adaptativa de providers
+  configureAdaptiveSelection: require('./services').configureAdaptiveSelection,
+  // Exporta o agendador de requisições dos providers
+  configureScheduler: require('./services').configureScheduler,
+  getSchedulerState: require('./services').getSchedulerState,
+  resetScheduler: require('./services').resetScheduler,
+  // Exporta as estatísticas dos providers
+  getProviderStats: require('./services').getProviderStats,
+  resetProviderStats: require('./services').resetProviderStats,
+  // Exporta os hooks do ciclo de vida da busca
+  HOOK_EVENTS: require('./utils/hooks').HOOK_EVENTS,
+  addHook: require('./utils/hooks').addHook,
+  removeHook: require('./utils/hooks').removeHook,
+  clearHooks: require('./utils/hooks').clearHooks,
   // Exporta utilitários de cache
   clearCache: require('./utils/cache').clearCache,
   clearExpiredCache: require('./utils/cache').clearExpiredCache,
   getCacheInfo: require('./utils/cache').getCacheInfo,
+  listCacheEntries: require('./utils/cache').listCacheEntries,
+  deleteCachedEntry: require('./utils/cache').deleteCachedEntry,
+  exportCache: require('./utils/cache').exportCache,
+  importCache: require('./utils/cache').importCache,
+  setCacheAdapter: require('./utils/cache').setCacheAdapter,
+  getCacheAdapter: require('./utils/cache').getCacheAdapter,
+  configureCache: require('./utils/cache').configureCache,
+  // Exporta adapters de cache
+  MemoryCacheAdapter: require('./cache').MemoryCacheAdapter,
+  FileCacheAdapter: require('./cache').FileCacheAdapter,
+  KeyValueCacheAdapter: require('./cache').KeyValueCacheAdapter,
   // Exporta utilitário de validação de CEP
-  isValidCep: require('./utils/cepValidator').isValidCep
+  isValidCep: require('./utils/cepValidator').isValidCep,
+  getStateFromCep,
+  // Exporta utilitários de formatação de CEP e endereço
+  formatCep: require('./utils/cepFormatter').formatCep,
+  maskCepInput: require('./utils/cepFormatter').maskCepInput,
+  formatAddress: require('./utils/cepFormatter').formatAddress,
+  ADDRESS_TEMPLATES: require('./utils/cepFormatter').ADDRESS_TEMPLATES,
+  // Exporta lista de UFs aceitas na busca por endereço
+  VALID_STATES: require('./utils/addressValidator').VALID_STATES
 };
 
 // Exporta como default também
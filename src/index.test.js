@@ -1,17 +1,65 @@
-const { searchCep, ValidationError, ServiceError } = require('./index');
+const {
+  searchCep,
+  searchCeps,
+  searchAddress,
+  verifyAddress,
+  ValidationError,
+  ServiceError,
+  TimeoutError
+} = require('./index');
 
 // Mock dos serviços para testes
 jest.mock('./services', () => {
   const mockService = {
     name: 'test',
+    fetch: jest.fn(),
     search: jest.fn()
   };
 
   return {
-    getServicesByNames: jest.fn(() => [mockService])
+    getServicesByNames: jest.fn(() => [mockService]),
+    createService: jest.fn(() => mockService)
   };
 });
 
+// Mock do cache para não gravar no diretório do usuário durante os testes
+jest.mock('./utils/cache', () => {
+  const {
+    validateTtl,
+    validateNamespace,
+    validateCacheMode,
+    VALID_CACHE_MODES
+  } = jest.requireActual('./utils/cache');
+  return {
+    getCachedResult: jest.fn(() => null),
+    setCachedResult: jest.fn(() => true),
+    getCachedNotFound: jest.fn(() => null),
+    setCachedNotFound: jest.fn(() => true),
+    getStaleResult: jest.fn(() => null),
+    getCacheStats: jest.fn(() => ({ hits: 0, misses: 0 })),
+    resetCacheStats: jest.fn(),
+    validateTtl,
+    validateNamespace,
+    validateCacheMode,
+    VALID_CACHE_MODES
+  };
+});
+
+const createMockService = (search) => ({
+  name: 'test',
+  fetch: jest.fn(),
+  search: jest.fn(search)
+});
+
+const mockAddress = (cep) => ({
+  cep,
+  state: 'SP',
+  city: 'São Paulo',
+  street: 'Avenida Paulista',
+  neighborhood: 'Bela Vista',
+  service: 'test'
+});
+
 describe('searchCep', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -64,4 +112,1200 @@ describe('searchCep', () => {
   // });
 });
 
+describe('searchCep strategies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const createNamedService = (name, search) => ({ ...createMockService(search), name });
+
+  test('deve rejeitar estratégia inválida', async () => {
+    await expect(searchCep('01310100', { strategy: 'fastest' })).rejects.toThrow(ValidationError);
+  });
+
+  test('race: deve ignorar um serviço que falha e retornar o que responde', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([
+      createNamedService('brasilapi', () => Promise.reject(new ServiceError('falhou', [{
+        message: 'Status 500',
+        service: 'brasilapi',
+        status: 500
+      }]))),
+      createNamedService('viacep', cep => new Promise(resolve => setTimeout(() => resolve({ ...mockAddress(cep), service: 'viacep' }), 5)))
+    ]);
+
+    const result = await searchCep('01310100', { useCache: false });
+    expect(result.service).toBe('viacep');
+  });
+
+  test('merge: deve combinar os campos de todos os providers com o mapa sources', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([
+      createNamedService('brasilapi', cep => Promise.resolve({ ...mockAddress(cep), street: '', service: 'brasilapi' })),
+      createNamedService('viacep', cep => new Promise(resolve => setTimeout(() => resolve({
+        ...mockAddress(cep),
+        ibge: '3550308',
+        service: 'viacep'
+      }), 5)))
+    ]);
+
+    const result = await searchCep('01310100', { strategy: 'merge', useCache: false });
+
+    expect(result).toMatchObject({
+      cep: '01310100',
+      street: 'Avenida Paulista',
+      ibge: '3550308',
+      service: 'brasilapi'
+    });
+    expect(result.sources).toMatchObject({ city: 'brasilapi', street: 'viacep', ibge: 'viacep' });
+  });
+
+  test('merge: deve combinar apenas os providers que responderam dentro do timeout', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([
+      createNamedService('brasilapi', () => new Promise(() => {})),
+      createNamedService('viacep', cep => Promise.resolve({ ...mockAddress(cep), service: 'viacep' }))
+    ]);
+
+    const result = await searchCep('01310100', { strategy: 'merge', timeout: 20, useCache: false });
+
+    expect(result.service).toBe('viacep');
+    expect(Object.values(result.sources)).toEqual(expect.arrayContaining(['viacep']));
+  });
+
+  test('merge: deve lançar TimeoutError se nenhum provider responder', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([
+      createNamedService('brasilapi', () => new Promise(() => {}))
+    ]);
+
+    await expect(searchCep('01310100', { strategy: 'merge', timeout: 10, useCache: false }))
+      .rejects.toThrow(TimeoutError);
+  });
+
+  test('merge: deve ignorar cache sem sources e salvar o resultado combinado', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult, setCachedResult } = require('./utils/cache');
+    const service = createNamedService('viacep', cep => Promise.resolve({ ...mockAddress(cep), service: 'viacep' }));
+    getServicesByNames.mockReturnValue([service]);
+    getCachedResult.mockReturnValueOnce(mockAddress('01310100'));
+
+    const result = await searchCep('01310100', { strategy: 'merge' });
+
+    expect(service.search).toHaveBeenCalled();
+    expect(setCachedResult).toHaveBeenCalledWith('01310100', result, expect.objectContaining({ adapter: undefined }));
+  });
+});
+
+describe('searchCep cache adapter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('deve rejeitar adapter de cache inválido', async () => {
+    await expect(searchCep('01310100', { cache: { get: jest.fn() } })).rejects.toThrow(ValidationError);
+  });
+
+  test('deve usar o adapter informado na chamada', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult, setCachedResult } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([createMockService(cep => Promise.resolve(mockAddress(cep)))]);
+    const cache = {
+      get: jest.fn(),
+      set: jest.fn(),
+      delete: jest.fn(),
+      clear: jest.fn(),
+      entries: jest.fn()
+    };
+
+    const result = await searchCep('01310100', { cache });
+
+    expect(getCachedResult).toHaveBeenCalledWith('01310100', expect.objectContaining({ adapter: cache }));
+    expect(setCachedResult).toHaveBeenCalledWith('01310100', result, expect.objectContaining({ adapter: cache }));
+  });
+
+  test('deve repassar TTL e namespace informados na chamada', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([createMockService(cep => Promise.resolve(mockAddress(cep)))]);
+
+    await searchCep('01310100', { cacheTtl: 60000, cacheNamespace: 'app' });
+
+    expect(getCachedResult).toHaveBeenCalledWith('01310100', { adapter: undefined, ttl: 60000, namespace: 'app' });
+  });
+
+  test('deve rejeitar TTL de cache inválido', async () => {
+    await expect(searchCep('01310100', { cacheTtl: -1 })).rejects.toThrow(ValidationError);
+    await expect(searchCeps(['01310100'], { cacheTtl: 'abc' })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('searchCep cache de CEP não encontrado', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const notFound = (service) => ({
+    ...createMockService(() => Promise.reject(new ServiceError('CEP não encontrado', [{
+      message: 'CEP não encontrado',
+      service,
+      status: 404
+    }]))),
+    name: service
+  });
+
+  test('deve salvar o CEP como não encontrado quando todos os providers respondem 404', async () => {
+    const { getServicesByNames } = require('./services');
+    const { setCachedNotFound } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([notFound('brasilapi'), notFound('viacep')]);
+
+    await expect(searchCep('99999999')).rejects.toThrow(ServiceError);
+
+    expect(setCachedNotFound).toHaveBeenCalledWith(
+      '99999999',
+      [expect.objectContaining({ service: 'brasilapi' }), expect.objectContaining({ service: 'viacep' })],
+      expect.any(Object)
+    );
+  });
+
+  test('não deve salvar quando algum provider falhou por erro de conexão', async () => {
+    const { getServicesByNames } = require('./services');
+    const { setCachedNotFound } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([
+      notFound('brasilapi'),
+      { ...createMockService(() => Promise.reject(new ServiceError('Erro de conexão', [{
+        message: 'Não foi possível conectar ao serviço viacep',
+        service: 'viacep',
+        code: 'ECONNREFUSED'
+      }]))), name: 'viacep' }
+    ]);
+
+    await expect(searchCep('99999999')).rejects.toThrow(ServiceError);
+    await expect(searchCep('99999999', { strategy: 'merge' })).rejects.toThrow(ServiceError);
+
+    expect(setCachedNotFound).not.toHaveBeenCalled();
+  });
+
+  test('deve retornar os erros de cada provider na ordem, sem campos internos', async () => {
+    const { getServicesByNames } = require('./services');
+    const failing = (name, status) => ({
+      ...createMockService(() => Promise.reject(new ServiceError('falhou', [{ message: `Erro ${status}`, service: name, status }]))),
+      name
+    });
+    getServicesByNames.mockReturnValue([failing('brasilapi', 500), failing('viacep', 503)]);
+
+    const expected = [
+      { message: 'Erro 500', service: 'brasilapi', status: 500 },
+      { message: 'Erro 503', service: 'viacep', status: 503 }
+    ];
+    const raced = await searchCep('01310100', { useCache: false }).catch(e => e);
+    const hedged = await searchCep('01310100', { useCache: false, hedgeDelay: 10 }).catch(e => e);
+
+    expect(raced.errors).toEqual(expected);
+    expect(hedged.errors).toEqual(expected);
+    expect(raced.errors.some(detail => 'requestIndex' in detail)).toBe(false);
+  });
+
+  test('deve lançar o erro em cache sem consultar os providers', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedNotFound } = require('./utils/cache');
+    const service = notFound('brasilapi');
+    getServicesByNames.mockReturnValue([service]);
+    getCachedNotFound.mockReturnValueOnce([{ message: 'CEP não encontrado', service: 'brasilapi', status: 404 }]);
+
+    const error = await searchCep('99999999').catch(e => e);
+
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors).toEqual([{ message: 'CEP não encontrado', service: 'brasilapi', status: 404 }]);
+    expect(service.search).not.toHaveBeenCalled();
+  });
+
+  test('searchCeps deve rejeitar CEPs em cache como não encontrados', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedNotFound } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([createMockService(cep => Promise.resolve(mockAddress(cep)))]);
+    getCachedNotFound.mockImplementation(cep => (cep === '99999999' ? [{ message: 'CEP não encontrado', service: 'viacep', status: 404 }] : null));
+
+    const results = await searchCeps(['99999999', '01310100']);
+
+    expect(results[0]).toMatchObject({ status: 'rejected', fromCache: true });
+    expect(results[0].error).toBeInstanceOf(ServiceError);
+    expect(results[1]).toMatchObject({ status: 'fulfilled', fromCache: false });
+    getCachedNotFound.mockImplementation(() => null);
+  });
+});
+
+describe('searchCep retry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const unavailable = (attempt) => new ServiceError('Erro HTTP 503', [{
+    message: 'Status 503',
+    service: 'test',
+    status: 503,
+    call: attempt
+  }]);
+
+  test('deve tentar novamente um erro temporário e retornar o resultado', async () => {
+    const { getServicesByNames } = require('./services');
+    let calls = 0;
+    const service = createMockService(cep => (++calls === 1
+      ? Promise.reject(unavailable(calls))
+      : Promise.resolve(mockAddress(cep))));
+    getServicesByNames.mockReturnValue([service]);
+
+    const result = await searchCep('01310100', { useCache: false, retry: { baseDelay: 1 } });
+
+    expect(result.city).toBe('São Paulo');
+    expect(service.search).toHaveBeenCalledTimes(2);
+  });
+
+  test('deve registrar cada tentativa no array errors', async () => {
+    const { getServicesByNames } = require('./services');
+    let calls = 0;
+    getServicesByNames.mockReturnValue([createMockService(() => Promise.reject(unavailable(++calls)))]);
+
+    const error = await searchCep('01310100', {
+      useCache: false,
+      retry: { maxAttempts: 3, baseDelay: 1 }
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors.map(e => [e.attempt, e.call])).toEqual([[1, 1], [2, 2], [3, 3]]);
+  });
+
+  test('deve tentar novamente cada provider com strategy merge', async () => {
+    const { getServicesByNames } = require('./services');
+    const failing = createMockService(() => Promise.reject(unavailable(1)));
+    getServicesByNames.mockReturnValue([
+      failing,
+      { ...createMockService(cep => Promise.resolve(mockAddress(cep))), name: 'viacep' }
+    ]);
+
+    const result = await searchCep('01310100', {
+      strategy: 'merge',
+      useCache: false,
+      retry: { maxAttempts: 2, baseDelay: 1 }
+    });
+
+    expect(result.city).toBe('São Paulo');
+    expect(failing.search).toHaveBeenCalledTimes(2);
+  });
+
+  test('não deve tentar novamente erros que não são temporários', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(() => Promise.reject(new ServiceError('CEP não encontrado', [{
+      message: 'CEP não encontrado',
+      service: 'test',
+      status: 404
+    }])));
+    getServicesByNames.mockReturnValue([service]);
+
+    await expect(searchCep('01310100', { useCache: false, retry: true })).rejects.toThrow(ServiceError);
+    expect(service.search).toHaveBeenCalledTimes(1);
+  });
+
+  test('não deve esperar além do timeout da busca', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(() => Promise.reject(unavailable(1)));
+    getServicesByNames.mockReturnValue([service]);
+
+    const error = await searchCep('01310100', {
+      useCache: false,
+      timeout: 50,
+      retry: { baseDelay: 1000, jitter: 0 }
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors).toHaveLength(1);
+    expect(service.search).toHaveBeenCalledTimes(1);
+  });
+
+  test('deve tentar novamente após o timeout de uma tentativa com attemptTimeout', async () => {
+    const { getServicesByNames } = require('./services');
+    const timeouts = [];
+    // Simula o fetch de BaseCepService: a primeira requisição excede o timeout recebido
+    const fetch = jest.fn((url, options) => {
+      timeouts.push(options.timeout);
+      if (timeouts.length > 1) {
+        return Promise.resolve(mockAddress('01310100'));
+      }
+      return new Promise((_, reject) => setTimeout(() => reject(new ServiceError('Timeout ao conectar com test', [{
+        message: `Requisição excedeu o timeout de ${options.timeout}ms`,
+        service: 'test',
+        timeout: options.timeout
+      }])), options.timeout));
+    });
+    const service = {
+      name: 'test',
+      defaultTimeout: 1000,
+      fetch,
+      search: jest.fn(function(cep) {
+        return this.fetch(`https://example.com/${cep}`, { timeout: this.defaultTimeout });
+      })
+    };
+    getServicesByNames.mockReturnValue([service]);
+
+    const result = await searchCep('01310100', {
+      useCache: false,
+      timeout: 1000,
+      retry: { baseDelay: 1, attemptTimeout: 50 }
+    });
+
+    expect(result.city).toBe('São Paulo');
+    expect(service.search).toHaveBeenCalledTimes(2);
+    expect(timeouts).toEqual([50, 50]);
+  });
+
+  test('deve rejeitar política de retry inválida', async () => {
+    await expect(searchCep('01310100', { retry: { maxAttempts: 0 } })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('searchCep hedging', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const delayed = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+  test('não deve consultar o próximo provider se o primeiro responder dentro do hedgeDelay', async () => {
+    const { getServicesByNames } = require('./services');
+    const first = createMockService(cep => delayed(5, mockAddress(cep)));
+    const second = { ...createMockService(cep => Promise.resolve(mockAddress(cep))), name: 'viacep' };
+    getServicesByNames.mockReturnValue([first, second]);
+
+    const result = await searchCep('01310100', { useCache: false, hedgeDelay: 100 });
+
+    expect(result.service).toBe('test');
+    expect(second.search).not.toHaveBeenCalled();
+  });
+
+  test('deve consultar o próximo provider após o hedgeDelay', async () => {
+    const { getServicesByNames } = require('./services');
+    const first = createMockService(cep => delayed(200, mockAddress(cep)));
+    const second = {
+      ...createMockService(cep => Promise.resolve({ ...mockAddress(cep), service: 'viacep' })),
+      name: 'viacep'
+    };
+    getServicesByNames.mockReturnValue([first, second]);
+
+    const result = await searchCep('01310100', { useCache: false, hedgeDelay: 10 });
+
+    expect(result.service).toBe('viacep');
+    expect(first.search).toHaveBeenCalledTimes(1);
+  });
+
+  test('deve agregar os erros de todos os providers', async () => {
+    const { getServicesByNames } = require('./services');
+    const failing = (name) => ({
+      ...createMockService(() => Promise.reject(new ServiceError('Erro HTTP 500', [{
+        message: 'Status 500',
+        service: name,
+        status: 500
+      }]))),
+      name
+    });
+    getServicesByNames.mockReturnValue([failing('test'), failing('viacep')]);
+
+    const error = await searchCep('01310100', { useCache: false, hedgeDelay: 1000 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors.map(e => e.service)).toEqual(['test', 'viacep']);
+  });
+
+  test('deve rejeitar hedgeDelay inválido ou com estratégia diferente de race', async () => {
+    await expect(searchCep('01310100', { hedgeDelay: -1 })).rejects.toThrow(ValidationError);
+    await expect(searchCep('01310100', { hedgeDelay: 50, strategy: 'merge' })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('searchCep prioridade', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('deve repassar a prioridade ao fetch dos providers', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(async cep => {
+      await service.fetch('https://example.com');
+      return mockAddress(cep);
+    });
+    const fetch = service.fetch;
+    getServicesByNames.mockReturnValue([service]);
+
+    await searchCep('01310100', { useCache: false, priority: 5 });
+
+    expect(fetch.mock.calls[0][1]).toMatchObject({ priority: 5 });
+  });
+
+  test('deve rejeitar prioridade inválida', async () => {
+    await expect(searchCep('01310100', { priority: '1' })).rejects.toThrow(ValidationError);
+    await expect(searchCep('01310100', { priority: Infinity })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('searchCep faixas de CEP', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const unavailable = () => createMockService(() => Promise.reject(new ServiceError('Erro HTTP 503', [{
+    message: 'Status 503',
+    service: 'test',
+    status: 503
+  }])));
+
+  test('strictValidation deve rejeitar CEP fora das faixas sem consultar os provedores', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+
+    const error = await searchCep('00000-000', { useCache: false, strictValidation: true }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors[0]).toMatchObject({ service: 'cep_validation', cep: '00000000' });
+    expect(service.search).not.toHaveBeenCalled();
+  });
+
+  test('degraded deve retornar o estado inferido quando todos os provedores falham', async () => {
+    const { getServicesByNames } = require('./services');
+    const { setCachedResult } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([unavailable()]);
+
+    const result = await searchCep('01310100', { degraded: true });
+
+    expect(result).toEqual({
+      cep: '01310100',
+      state: 'SP',
+      city: '',
+      street: '',
+      neighborhood: '',
+      service: 'offline',
+      stateName: 'São Paulo',
+      region: 'Sudeste',
+      degraded: true
+    });
+    expect(setCachedResult).not.toHaveBeenCalled();
+  });
+
+  test('degraded não deve ser usado sem a opção, para CEP inexistente ou fora das faixas', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([unavailable()]);
+
+    await expect(searchCep('01310100', { useCache: false })).rejects.toThrow(ServiceError);
+    await expect(searchCep('00000000', { useCache: false, degraded: true })).rejects.toThrow(ServiceError);
+
+    getServicesByNames.mockReturnValue([createMockService(() => Promise.reject(new ServiceError('CEP não encontrado', [{
+      message: 'CEP não encontrado',
+      service: 'test',
+      status: 404
+    }])))]);
+    await expect(searchCep('01310199', { useCache: false, degraded: true })).rejects.toThrow(ServiceError);
+  });
+});
+
+describe('searchCep seleção adaptativa', () => {
+  const {
+    recordSample,
+    configureAdaptiveSelection,
+    resetAdaptiveSelectionConfig
+  } = require('./services/providerPerformance');
+
+  const namedService = (name, search) => ({ ...createMockService(search), name });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configureAdaptiveSelection({ topN: 1, minSamples: 1, explorationRate: 0 });
+  });
+
+  afterEach(() => {
+    resetAdaptiveSelectionConfig();
+  });
+
+  test('deve consultar apenas o provider com melhor desempenho recente', async () => {
+    const { getServicesByNames } = require('./services');
+    const slow = namedService('test', cep => Promise.resolve(mockAddress(cep)));
+    const fast = namedService('viacep', cep => Promise.resolve({ ...mockAddress(cep), service: 'viacep' }));
+    getServicesByNames.mockReturnValue([slow, fast]);
+    recordSample('test', { latency: 900, success: true });
+    recordSample('viacep', { latency: 100, success: true });
+
+    const result = await searchCep('01310100', { useCache: false, selection: 'adaptive' });
+
+    expect(result.service).toBe('viacep');
+    expect(slow.search).not.toHaveBeenCalled();
+  });
+
+  test('deve consultar os fallbacks se os providers da corrida falharem', async () => {
+    const { getServicesByNames } = require('./services');
+    const failing = namedService('viacep', () => Promise.reject(new ServiceError('Erro HTTP 500', [{
+      message: 'Status 500',
+      service: 'viacep',
+      status: 500
+    }])));
+    const fallback = namedService('test', cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([fallback, failing]);
+    recordSample('test', { latency: 900, success: true });
+    recordSample('viacep', { latency: 100, success: true });
+
+    const result = await searchCep('01310100', { useCache: false, selection: 'adaptive' });
+
+    expect(result.service).toBe('test');
+    expect(failing.search).toHaveBeenCalledTimes(1);
+  });
+
+  test('deve agregar os erros da corrida e dos fallbacks', async () => {
+    const { getServicesByNames } = require('./services');
+    const failing = (name) => namedService(name, () => Promise.reject(new ServiceError('Erro HTTP 500', [{
+      message: 'Status 500',
+      service: name,
+      status: 500
+    }])));
+    getServicesByNames.mockReturnValue([failing('test'), failing('viacep')]);
+
+    const error = await searchCep('01310100', { useCache: false, selection: 'adaptive' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors.map(e => e.service)).toEqual(['test', 'viacep']);
+  });
+
+  test('deve rejeitar seleção inválida ou com estratégia diferente de race', async () => {
+    await expect(searchCep('01310100', { selection: 'fastest' })).rejects.toThrow(ValidationError);
+    await expect(searchCep('01310100', { selection: 'adaptive', strategy: 'merge' })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('searchCep estatísticas', () => {
+  const { getProviderStats, resetProviderStats } = require('./services/providerStats');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetProviderStats();
+  });
+
+  test('deve registrar a vitória do provider cujo resultado foi retornado', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([createMockService(cep => Promise.resolve(mockAddress(cep)))]);
 
+    await searchCep('01310100', { useCache: false });
+    await searchCep('01310100', { useCache: false });
+
+    expect(getProviderStats().providers.test.wins).toBe(2);
+  });
+});
+
+describe('searchCep hooks', () => {
+  const { addHook, clearHooks } = require('./utils/hooks');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    clearHooks();
+  });
+
+  const recordEvents = () => {
+    const events = [];
+    ['request:start', 'provider:success', 'provider:error', 'cache:miss', 'cache:write', 'search:complete']
+      .forEach(event => addHook(event, payload => events.push(payload)));
+    return events;
+  };
+
+  test('deve emitir os eventos do ciclo de vida da busca', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([
+      createMockService(cep => Promise.resolve(mockAddress(cep))),
+      { ...createMockService(() => Promise.reject(new ServiceError('Erro HTTP 500', [{
+        message: 'Status 500',
+        service: 'viacep',
+        status: 500
+      }]))), name: 'viacep' }
+    ]);
+    const events = recordEvents();
+
+    await searchCep('01310-100');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events.map(e => e.event)).toEqual(expect.arrayContaining([
+      'cache:miss', 'request:start', 'provider:success', 'provider:error', 'cache:write', 'search:complete'
+    ]));
+    expect(events.find(e => e.event === 'provider:success')).toMatchObject({
+      cep: '01310100',
+      provider: 'test',
+      duration: expect.any(Number)
+    });
+    expect(events.find(e => e.event === 'provider:error')).toMatchObject({
+      provider: 'viacep',
+      error: { message: 'Status 500', status: 500 }
+    });
+    expect(events.find(e => e.event === 'search:complete')).toMatchObject({
+      cep: '01310100',
+      status: 'fulfilled',
+      fromCache: false,
+      service: 'test'
+    });
+  });
+
+  test('deve emitir search:complete com os detalhes do erro', async () => {
+    const events = recordEvents();
+
+    await expect(searchCep('123456789')).rejects.toThrow(ValidationError);
+
+    expect(events).toEqual([expect.objectContaining({
+      event: 'search:complete',
+      cep: '123456789',
+      status: 'rejected',
+      error: expect.objectContaining({ name: 'ValidationError' })
+    })]);
+  });
+
+  test('exceções dos hooks não devem interromper a busca', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([createMockService(cep => Promise.resolve(mockAddress(cep)))]);
+    ['request:start', 'provider:success', 'cache:miss', 'search:complete'].forEach(event => addHook(event, () => {
+      throw new Error('falha no hook');
+    }));
+
+    await expect(searchCep('01310100')).resolves.toMatchObject({ city: 'São Paulo' });
+  });
+});
+
+describe('searchCep signal', () => {
+  const { setCachedResult } = require('./utils/cache');
+  const { AbortError } = require('./index');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Serviço cuja requisição só termina quando o signal repassado ao fetch é abortado
+  const createPendingService = (name = 'test') => {
+    const service = { ...createMockService(() => service.fetch('https://example.com')), name };
+    service.fetch = jest.fn((url, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    return service;
+  };
+
+  test('deve rejeitar com AbortError sem consultar os providers se o signal já foi abortado', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await searchCep('01310100', { signal: controller.signal }).catch(e => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error).not.toBeInstanceOf(ServiceError);
+    expect(service.search).not.toHaveBeenCalled();
+  });
+
+  test('deve abortar as requisições em andamento e não salvar no cache', async () => {
+    const { getServicesByNames } = require('./services');
+    const services = [createPendingService('test'), createPendingService('viacep')];
+    const fetches = services.map(service => service.fetch);
+    getServicesByNames.mockReturnValue(services);
+    const controller = new AbortController();
+
+    const search = searchCep('01310100', { signal: controller.signal, timeout: 5000 });
+    setTimeout(() => controller.abort(), 10);
+    const error = await search.catch(e => e);
+
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.errors[0]).toMatchObject({ service: 'abort' });
+    fetches.forEach(fetch => expect(fetch.mock.calls[0][1].signal.aborted).toBe(true));
+    expect(setCachedResult).not.toHaveBeenCalled();
+  });
+
+  test('deve cancelar as estratégias merge e hedging', async () => {
+    const { getServicesByNames } = require('./services');
+    const hedged = [createPendingService('test'), createPendingService('viacep')];
+    getServicesByNames.mockReturnValue(hedged);
+    const controller = new AbortController();
+
+    const search = searchCep('01310100', { signal: controller.signal, timeout: 5000, hedgeDelay: 1000 });
+    setTimeout(() => controller.abort(), 10);
+    await expect(search).rejects.toThrow(AbortError);
+    expect(hedged[1].search).not.toHaveBeenCalled();
+
+    getServicesByNames.mockReturnValue([createPendingService('test')]);
+    const mergeController = new AbortController();
+    const merge = searchCep('01310100', { signal: mergeController.signal, timeout: 5000, strategy: 'merge' });
+    setTimeout(() => mergeController.abort(), 10);
+    await expect(merge).rejects.toThrow(AbortError);
+  });
+
+  test('deve rejeitar signal inválido', async () => {
+    await expect(searchCep('01310100', { signal: {} })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('searchCep buscas simultâneas', () => {
+  const { AbortError } = require('./index');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Serviço cuja resposta é liberada pelo teste; o fetch registra o signal de cancelamento
+  const createDeferredService = () => {
+    const deferred = {};
+    const service = createMockService(cep => {
+      service.fetch('https://example.com');
+      return new Promise(resolve => {
+        deferred.resolve = () => resolve(mockAddress(cep));
+      });
+    });
+    service.fetch = jest.fn((url, options = {}) => {
+      deferred.signal = options.signal;
+      return new Promise(() => {});
+    });
+    return { service, deferred };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('deve compartilhar a consulta entre chamadas simultâneas para o mesmo CEP', async () => {
+    const { getServicesByNames } = require('./services');
+    const { service, deferred } = createDeferredService();
+    getServicesByNames.mockReturnValue([service]);
+
+    const searches = [searchCep('01310100'), searchCep('01310-100'), searchCep(1310100)];
+    await flush();
+    deferred.resolve();
+    const results = await Promise.all(searches);
+
+    expect(service.search).toHaveBeenCalledTimes(1);
+    expect(getServicesByNames).toHaveBeenCalledTimes(1);
+    results.forEach(result => expect(result).toEqual(mockAddress('01310100')));
+
+    // Após terminar, uma nova chamada consulta os provedores novamente
+    service.search.mockResolvedValueOnce(mockAddress('01310100'));
+    await searchCep('01310100');
+    expect(service.search).toHaveBeenCalledTimes(2);
+  });
+
+  test('não deve compartilhar consultas com provedores ou opções diferentes', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+
+    await Promise.all([
+      searchCep('01310100', { providers: ['viacep', 'brasilapi'] }),
+      searchCep('01310100', { providers: ['brasilapi', 'viacep'] }),
+      searchCep('01310100', { providers: ['viacep'] }),
+      searchCep('01310100', { providers: ['viacep'], strategy: 'merge' })
+    ]);
+
+    // A ordem dos provedores define a prioridade, então ordens diferentes não são compartilhadas
+    expect(service.search).toHaveBeenCalledTimes(4);
+  });
+
+  test('deve cancelar apenas a chamada cujo signal foi abortado', async () => {
+    const { getServicesByNames } = require('./services');
+    const { service, deferred } = createDeferredService();
+    getServicesByNames.mockReturnValue([service]);
+    const controller = new AbortController();
+
+    const cancelled = searchCep('01310100', { signal: controller.signal });
+    const other = searchCep('01310100');
+    await flush();
+    controller.abort();
+
+    await expect(cancelled).rejects.toThrow(AbortError);
+    expect(deferred.signal.aborted).toBe(false);
+
+    deferred.resolve();
+    await expect(other).resolves.toEqual(mockAddress('01310100'));
+    expect(service.search).toHaveBeenCalledTimes(1);
+  });
+
+  test('deve abortar as requisições quando todas as chamadas cancelaram', async () => {
+    const { getServicesByNames } = require('./services');
+    const { setCachedResult } = require('./utils/cache');
+    const { service, deferred } = createDeferredService();
+    getServicesByNames.mockReturnValue([service]);
+    const controllers = [new AbortController(), new AbortController()];
+
+    const searches = controllers.map(controller => searchCep('01310100', { signal: controller.signal }));
+    await flush();
+    controllers[0].abort();
+    expect(deferred.signal.aborted).toBe(false);
+    controllers[1].abort();
+
+    await Promise.all(searches.map(search => expect(search).rejects.toThrow(AbortError)));
+    expect(deferred.signal.aborted).toBe(true);
+    deferred.resolve();
+    await flush();
+    expect(setCachedResult).not.toHaveBeenCalled();
+  });
+});
+
+describe('searchCep cache expirado', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const failing = () => createMockService(() => Promise.reject(new ServiceError('Erro de conexão', [{
+    message: 'Não foi possível conectar ao serviço test',
+    service: 'test',
+    code: 'ECONNREFUSED'
+  }])));
+
+  test('deve rejeitar modo de cache inválido', async () => {
+    await expect(searchCep('01310100', { cacheMode: 'stale' })).rejects.toThrow(ValidationError);
+  });
+
+  test('não deve consultar resultados expirados no modo padrão', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getStaleResult } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([failing()]);
+
+    await expect(searchCep('01310100')).rejects.toThrow(ServiceError);
+    expect(getStaleResult).not.toHaveBeenCalled();
+  });
+
+  test('staleIfError: deve retornar o resultado expirado quando todos os provedores falham', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getStaleResult } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([failing()]);
+    getStaleResult.mockReturnValueOnce(mockAddress('01310100'));
+
+    const result = await searchCep('01310100', { cacheMode: 'staleIfError' });
+
+    expect(result).toEqual({ ...mockAddress('01310100'), stale: true });
+  });
+
+  test('staleIfError: deve preferir a resposta dos provedores', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getStaleResult } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([createMockService(cep => Promise.resolve({ ...mockAddress(cep), street: 'Nova' }))]);
+    getStaleResult.mockReturnValueOnce(mockAddress('01310100'));
+
+    const result = await searchCep('01310100', { cacheMode: 'staleIfError' });
+
+    expect(result.street).toBe('Nova');
+    expect(result.stale).toBeUndefined();
+  });
+
+  test('staleIfError: não deve usar o cache expirado quando o CEP não existe mais', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getStaleResult } = require('./utils/cache');
+    getServicesByNames.mockReturnValue([createMockService(() => Promise.reject(new ServiceError('CEP não encontrado', [{
+      message: 'CEP não encontrado',
+      service: 'test',
+      status: 404
+    }])))]);
+    getStaleResult.mockReturnValueOnce(mockAddress('01310100'));
+
+    await expect(searchCep('01310100', { cacheMode: 'staleIfError' })).rejects.toThrow(ServiceError);
+  });
+
+  test('staleWhileRevalidate: deve responder com o resultado expirado e atualizar em background', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getStaleResult, setCachedResult } = require('./utils/cache');
+    const service = createMockService(cep => Promise.resolve({ ...mockAddress(cep), street: 'Nova' }));
+    getServicesByNames.mockReturnValue([service]);
+    getStaleResult.mockReturnValueOnce(mockAddress('01310100'));
+
+    const result = await searchCep('01310100', { cacheMode: 'staleWhileRevalidate' });
+
+    expect(result).toEqual({ ...mockAddress('01310100'), stale: true });
+    expect(service.search).toHaveBeenCalled();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(setCachedResult).toHaveBeenCalledWith('01310100', expect.objectContaining({ street: 'Nova' }), expect.any(Object));
+  });
+});
+
+describe('searchCep consensus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('deve consultar todos os providers e anexar divergências e confiança', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([
+      { ...createMockService(cep => Promise.resolve({ ...mockAddress(cep), street: 'Rua Antiga', service: 'brasilapi' })), name: 'brasilapi' },
+      { ...createMockService(cep => Promise.resolve({ ...mockAddress(cep), service: 'viacep' })), name: 'viacep' },
+      { ...createMockService(cep => Promise.resolve({ ...mockAddress(cep), street: 'AVENIDA PAULISTA', service: 'widenet' })), name: 'widenet' }
+    ]);
+
+    const result = await searchCep('01310100', { strategy: 'consensus', useCache: false });
+
+    expect(result.street).toBe('Avenida Paulista');
+    expect(result.sources.street).toBe('viacep');
+    expect(result.discrepancies).toHaveLength(1);
+    expect(result.discrepancies[0]).toMatchObject({ field: 'street', chosen: 'Avenida Paulista' });
+    expect(result.confidence).toBeLessThan(1);
+  });
+
+  test('não deve ter confiança 1 com uma única resposta', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([
+      { ...createMockService(cep => Promise.resolve({ ...mockAddress(cep), service: 'brasilapi' })), name: 'brasilapi' },
+      { ...createMockService(() => Promise.reject(new ServiceError('falhou', [{ message: 'Erro 500', service: 'viacep', status: 500 }]))), name: 'viacep' }
+    ]);
+
+    const result = await searchCep('01310100', { strategy: 'consensus', useCache: false });
+
+    expect(result.discrepancies).toEqual([]);
+    expect(result.confidence).toBe(0.5);
+  });
+
+  test('deve ignorar cache que não passou pela votação', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult } = require('./utils/cache');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+    getCachedResult.mockReturnValueOnce({ ...mockAddress('01310100'), sources: {} });
+
+    const result = await searchCep('01310100', { strategy: 'consensus' });
+
+    expect(service.search).toHaveBeenCalled();
+    expect(result.confidence).toBe(1);
+  });
+});
+
+describe('searchCeps', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('deve rejeitar entrada que não é array', async () => {
+    await expect(searchCeps('01310100')).rejects.toThrow(ValidationError);
+  });
+
+  test('deve rejeitar concorrência inválida', async () => {
+    await expect(searchCeps(['01310100'], { concurrency: 0 })).rejects.toThrow(ValidationError);
+  });
+
+  test('deve retornar um resultado por entrada, consultando CEPs repetidos uma única vez', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+
+    const results = await searchCeps(['01310100', '01310-100', '123456789']);
+
+    expect(service.search).toHaveBeenCalledTimes(1);
+    expect(results).toHaveLength(3);
+    expect(results[0]).toMatchObject({ input: '01310100', cep: '01310100', status: 'fulfilled', fromCache: false });
+    expect(results[1].data).toBe(results[0].data);
+    expect(results[2].status).toBe('rejected');
+    expect(results[2].error).toBeInstanceOf(ValidationError);
+  });
+
+  test('deve usar o cache antes de consultar os provedores', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult } = require('./utils/cache');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+    getCachedResult.mockImplementation(cep => (cep === '01310100' ? mockAddress(cep) : null));
+
+    const results = await searchCeps(['01310100', '20040020']);
+
+    expect(results[0].fromCache).toBe(true);
+    expect(results[1].fromCache).toBe(false);
+    expect(service.search).toHaveBeenCalledTimes(1);
+    expect(service.search).toHaveBeenCalledWith('20040020');
+    getCachedResult.mockImplementation(() => null);
+  });
+
+  test('deve emitir search:complete também para os CEPs em cache', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult } = require('./utils/cache');
+    const { addHook, clearHooks } = require('./utils/hooks');
+    getServicesByNames.mockReturnValue([createMockService(cep => Promise.resolve(mockAddress(cep)))]);
+    getCachedResult.mockImplementation(cep => (cep === '01310100' ? mockAddress(cep) : null));
+    const events = [];
+    addHook('search:complete', event => events.push(event));
+
+    try {
+      await searchCeps(['01310100', '20040020']);
+    } finally {
+      clearHooks();
+      getCachedResult.mockImplementation(() => null);
+    }
+
+    expect(events.map(({ cep, status, fromCache }) => `${cep}:${status}:${fromCache}`))
+      .toEqual(['01310100:fulfilled:true', '20040020:fulfilled:false']);
+    expect(events[0]).toMatchObject({ service: 'test', duration: expect.any(Number) });
+  });
+
+  test('deve consultar o cache uma única vez por CEP', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult } = require('./utils/cache');
+    const { addHook, clearHooks } = require('./utils/hooks');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+    const misses = [];
+    addHook('cache:miss', ({ cep }) => misses.push(cep));
+
+    try {
+      await searchCeps(['01310100', '20040020']);
+    } finally {
+      clearHooks();
+    }
+
+    expect(getCachedResult).toHaveBeenCalledTimes(2);
+    expect(misses).toEqual(['01310100', '20040020']);
+    expect(service.search).toHaveBeenCalledTimes(2);
+  });
+
+  test('deve aplicar strictValidation, priority e signal também aos CEPs em cache', async () => {
+    const { getServicesByNames } = require('./services');
+    const { getCachedResult } = require('./utils/cache');
+    const { AbortError } = require('./index');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+    getCachedResult.mockImplementation(cep => mockAddress(cep));
+    const controller = new AbortController();
+    controller.abort();
+
+    try {
+      const results = await searchCeps(['00000001', '01310100'], { strictValidation: true });
+      expect(results[0].status).toBe('rejected');
+      expect(results[0].error).toBeInstanceOf(ValidationError);
+      expect(results[1]).toMatchObject({ status: 'fulfilled', fromCache: true });
+
+      await expect(searchCeps(['01310100'], { priority: 'alta' })).rejects.toThrow(ValidationError);
+      await expect(searchCeps(['01310100'], { signal: controller.signal })).rejects.toThrow(AbortError);
+    } finally {
+      getCachedResult.mockImplementation(() => null);
+    }
+
+    expect(service.search).not.toHaveBeenCalled();
+  });
+
+  test('deve respeitar o limite de concorrência', async () => {
+    const { getServicesByNames } = require('./services');
+    let active = 0;
+    let maxActive = 0;
+    const service = createMockService(async cep => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return mockAddress(cep);
+    });
+    getServicesByNames.mockReturnValue([service]);
+
+    await searchCeps(['01310100', '20040020', '30130100', '40010000', '50010000'], {
+      concurrency: 2,
+      useCache: false
+    });
+
+    expect(maxActive).toBe(2);
+    expect(service.search).toHaveBeenCalledTimes(5);
+  });
+
+  test('deve retornar ServiceError por item e reportar o progresso', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(() => Promise.reject(new ServiceError('falhou', [{
+      message: 'CEP não encontrado',
+      service: 'test'
+    }])));
+    getServicesByNames.mockReturnValue([service]);
+    const onProgress = jest.fn();
+
+    const results = await searchCeps(['01310100', '20040020'], { onProgress, useCache: false });
+
+    expect(results.every(result => result.status === 'rejected')).toBe(true);
+    expect(results[0].error).toBeInstanceOf(ServiceError);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ completed: 2, total: 2 }));
+  });
+});
+
+describe('verifyAddress', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('deve buscar o CEP e comparar cada campo informado', async () => {
+    const { getServicesByNames } = require('./services');
+    const service = createMockService(cep => Promise.resolve(mockAddress(cep)));
+    getServicesByNames.mockReturnValue([service]);
+
+    const verification = await verifyAddress('01310-100', {
+      state: 'SP',
+      city: 'Sao Paulo',
+      street: 'Av. Paulsta'
+    }, { useCache: false });
+
+    expect(verification).toMatchObject({
+      cep: '01310100',
+      match: true,
+      score: 0.96,
+      fields: {
+        state: { score: 1, match: true },
+        city: { found: 'São Paulo', score: 1, match: true },
+        street: { input: 'Av. Paulsta', found: 'Avenida Paulista', score: 0.88, match: true }
+      },
+      result: mockAddress('01310100')
+    });
+    expect(verification.fields.neighborhood).toBeUndefined();
+  });
+
+  test('deve validar o endereço e o threshold antes de consultar', async () => {
+    const { getServicesByNames } = require('./services');
+
+    await expect(verifyAddress('01310100', {})).rejects.toThrow(ValidationError);
+    await expect(verifyAddress('01310100', { city: 'São Paulo' }, { threshold: -1 })).rejects.toThrow(ValidationError);
+    expect(getServicesByNames).not.toHaveBeenCalled();
+  });
+
+  test('deve propagar o erro da busca do CEP', async () => {
+    const { getServicesByNames } = require('./services');
+    getServicesByNames.mockReturnValue([createMockService(() => Promise.reject(new ServiceError('CEP não encontrado', [{
+      message: 'CEP não encontrado',
+      service: 'test',
+      status: 404
+    }])))]);
+
+    await expect(verifyAddress('99999999', { city: 'São Paulo' }, { useCache: false })).rejects.toThrow(ServiceError);
+  });
+});
+
+describe('searchAddress', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('deve validar o endereço antes de consultar', async () => {
+    const { createService } = require('./services');
+
+    await expect(searchAddress({ state: 'XX', city: 'São Paulo', street: 'Paulista' }))
+      .rejects.toThrow(ValidationError);
+    expect(createService).not.toHaveBeenCalled();
+  });
+
+  test('deve consultar o ViaCEP com o endereço normalizado', async () => {
+    const { createService } = require('./services');
+    const service = { searchByAddress: jest.fn().mockResolvedValue([mockAddress('01310100')]) };
+    createService.mockReturnValue(service);
+
+    const results = await searchAddress({ state: 'sp', city: 'São Paulo', street: ' Paulista ' });
+
+    expect(createService).toHaveBeenCalledWith('viacep', 30000);
+    expect(service.searchByAddress).toHaveBeenCalledWith('SP', 'São Paulo', 'Paulista');
+    expect(results).toHaveLength(1);
+  });
+
+  test('deve converter timeout do serviço em TimeoutError', async () => {
+    const { createService } = require('./services');
+    createService.mockReturnValue({
+      searchByAddress: jest.fn().mockRejectedValue(new ServiceError('Timeout ao conectar com viacep', [{
+        message: 'Requisição excedeu o timeout de 100ms',
+        service: 'viacep',
+        timeout: 100
+      }]))
+    });
+
+    await expect(searchAddress({ state: 'SP', city: 'São Paulo', street: 'Paulista' }, { timeout: 100 }))
+      .rejects.toThrow(TimeoutError);
+  });
+});
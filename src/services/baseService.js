@@ -1,5 +1,6 @@
 const fetch = require('node-fetch');
 const { ServiceError } = require('../errors/CepError');
+const { scheduleRequest, pauseProvider, createRateLimitError } = require('./scheduler');
 
 /**
  * Classe base para serviços de CEP
@@ -13,12 +14,23 @@ class BaseCepService {
   /**
    * Faz uma requisição HTTP com tratamento de erros
    * Suporta cancelamento via AbortController
+   * A requisição passa pelo agendador do processo (limites de concorrência e de taxa, prioridade em
+   * options.priority); uma resposta 429 pausa o provider pelo tempo do header Retry-After
    */
   async fetch(url, options = {}) {
     const timeout = options.timeout || this.defaultTimeout;
+    const deadline = Date.now() + timeout;
     
     // Cria AbortController para permitir cancelamento
-    const abortController = options.signal || new AbortController();
+    // Se um signal externo foi informado, o cancelamento dele é repassado ao controller interno
+    const abortController = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        abortController.abort();
+      } else {
+        options.signal.addEventListener('abort', () => abortController.abort(), { once: true });
+      }
+    }
     let timeoutId = null;
     
     // Cria uma promise de timeout que cancela a requisição
@@ -47,8 +59,14 @@ class BaseCepService {
 
       // Remove timeout do options para evitar conflito (node-fetch usa signal)
       delete fetchOptions.timeout;
+      delete fetchOptions.priority;
 
-      const fetchPromise = fetch(url, fetchOptions);
+      // O timeout inclui o tempo de espera na fila do agendador
+      const fetchPromise = scheduleRequest(this.name, () => fetch(url, fetchOptions), {
+        priority: options.priority,
+        signal: abortController.signal,
+        deadline
+      });
       const response = await Promise.race([fetchPromise, timeoutPromise]);
       
       // Limpa o timeout se a requisição completou antes do timeout
@@ -56,6 +74,14 @@ class BaseCepService {
         clearTimeout(timeoutId);
       }
 
+      // Limite de requisições do provider: pausa o provider em vez de consultá-lo novamente
+      if (response && response.status === 429) {
+        const retryAfter = response.headers && typeof response.headers.get === 'function'
+          ? response.headers.get('retry-after')
+          : null;
+        throw createRateLimitError(this.name, pauseProvider(this.name, retryAfter));
+      }
+
       return response;
     } catch (error) {
       // Limpa o timeout em caso de erro
@@ -95,6 +121,7 @@ class BaseCepService {
       // Erros de conexão
       if (error.code === 'ENOTFOUND' || 
           error.code === 'ECONNREFUSED' || 
+          error.code === 'ECONNRESET' || 
           error.code === 'ETIMEDOUT') {
         throw new ServiceError(
           `Erro de conexão com ${this.name}`,
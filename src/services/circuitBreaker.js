@@ -0,0 +1,309 @@
+const { ValidationError, ServiceError } = require('../errors/CepError');
+
+/**
+ * Configuração padrão do circuit breaker
+ * - failureThreshold: falhas consecutivas (erros ou timeouts) para abrir o circuito
+ * - cooldown: tempo em milissegundos que o provider fica fora das buscas antes do teste (half-open)
+ * - enabled: se o circuit breaker está ativo
+ */
+const DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  cooldown: 30000,
+  enabled: true
+};
+
+const breakerConfig = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS };
+
+/**
+ * Circuit breakers por provider
+ */
+const breakers = new Map();
+
+/**
+ * Circuit breaker de um provider
+ * Estados: 'closed' (normal), 'open' (provider ignorado) e 'half-open' (uma requisição de teste)
+ */
+class CircuitBreaker {
+  constructor(provider) {
+    this.provider = provider;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.probeStartedAt = null;
+  }
+
+  /**
+   * Passa para 'half-open' quando o cooldown do circuito aberto terminou
+   */
+  refresh(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= breakerConfig.cooldown) {
+      this.state = 'half-open';
+      this.probing = false;
+    }
+    return this.state;
+  }
+
+  /**
+   * Verifica se o provider pode ser consultado e reserva a requisição de teste no estado 'half-open'
+   */
+  tryAcquire(now = Date.now()) {
+    if (!breakerConfig.enabled) {
+      return true;
+    }
+
+    const state = this.refresh(now);
+
+    if (state === 'closed') {
+      return true;
+    }
+
+    // A reserva expira após um cooldown, caso a requisição de teste nunca tenha sido iniciada
+    // (ex: provider não chegou a ser consultado no modo hedging)
+    if (state === 'half-open' && (!this.probing || now - this.probeStartedAt >= breakerConfig.cooldown)) {
+      this.probing = true;
+      this.probeStartedAt = now;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * O provider respondeu (com dados ou "não encontrado"): fecha o circuito
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * O provider falhou: abre o circuito ao atingir o limite ou se a requisição de teste falhou
+   */
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    this.probing = false;
+
+    if (this.state === 'half-open' || this.failures >= breakerConfig.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  /**
+   * A requisição foi cancelada sem resultado (outro provider respondeu primeiro)
+   * Libera a requisição de teste sem alterar o estado
+   */
+  release() {
+    this.probing = false;
+  }
+
+  /**
+   * Estado atual do circuito para inspeção
+   */
+  getState(now = Date.now()) {
+    const state = this.refresh(now);
+
+    return {
+      provider: this.provider,
+      state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAt: state === 'open' ? this.openedAt + breakerConfig.cooldown : null
+    };
+  }
+}
+
+/**
+ * Retorna (criando se necessário) o circuit breaker de um provider
+ */
+function getBreaker(provider) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, new CircuitBreaker(provider));
+  }
+  return breakers.get(provider);
+}
+
+/**
+ * Verifica se o erro é um cancelamento (abort) da requisição
+ */
+function isCancellation(error) {
+  return Boolean(error) && (
+    error.name === 'AbortError' ||
+    error.type === 'aborted' ||
+    (error instanceof ServiceError && typeof error.message === 'string' && error.message.includes('cancelada'))
+  );
+}
+
+/**
+ * Verifica se o provider respondeu, mesmo que sem dados (CEP não encontrado ou inválido)
+ */
+function isProviderAnswer(error) {
+  const detail = error && Array.isArray(error.errors) ? error.errors[0] : null;
+  return Boolean(detail) && (detail.status === 404 || detail.status === 400);
+}
+
+/**
+ * Verifica se o provider recusou a requisição por limite de taxa (status 429)
+ * O provider está pausado pelo agendador; a recusa não indica que ele está fora do ar
+ */
+function isRateLimited(error) {
+  const detail = error && Array.isArray(error.errors) ? error.errors[0] : null;
+  return Boolean(detail) && detail.status === 429;
+}
+
+/**
+ * Conecta o método search do serviço ao circuit breaker do provider
+ * Respostas (inclusive "não encontrado") fecham o circuito; erros e timeouts contam como falha;
+ * cancelamentos antes do timeout (outro provider venceu a corrida) e respostas 429 são ignorados
+ */
+function withCircuitBreaker(service) {
+  const breaker = getBreaker(service.name);
+  const search = service.search.bind(service);
+
+  service.search = async function(cep) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await search(cep);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isProviderAnswer(error)) {
+        breaker.recordSuccess();
+      } else if (isRateLimited(error) || (isCancellation(error) && Date.now() - startedAt < service.defaultTimeout)) {
+        breaker.release();
+      } else {
+        breaker.recordFailure();
+      }
+      throw error;
+    }
+  };
+
+  return service;
+}
+
+/**
+ * Filtra os serviços cujo circuito permite consulta
+ * Lança ServiceError se todos os serviços estão com o circuito aberto
+ */
+function filterAvailableServices(services) {
+  const available = services.filter(service => getBreaker(service.name).tryAcquire());
+
+  if (services.length > 0 && available.length === 0) {
+    throw new ServiceError(
+      'Todos os provedores estão temporariamente indisponíveis (circuit breaker aberto)',
+      services.map(service => {
+        const { state, retryAt } = getBreaker(service.name).getState();
+        return {
+          message: 'Circuito aberto após falhas consecutivas',
+          service: service.name,
+          circuit: state,
+          retryAt
+        };
+      })
+    );
+  }
+
+  return available;
+}
+
+/**
+ * Configura o circuit breaker de todos os providers
+ *
+ * @param {Object} [options={}] - Opções de configuração
+ * @param {number} [options.failureThreshold] - Falhas consecutivas para abrir o circuito (padrão: 5)
+ * @param {number} [options.cooldown] - Tempo em milissegundos com o circuito aberto (padrão: 30000)
+ * @param {boolean} [options.enabled] - Se o circuit breaker está ativo (padrão: true)
+ * @returns {Object} Configuração efetiva
+ * @throws {ValidationError} Se alguma opção é inválida
+ */
+function configureCircuitBreaker(options = {}) {
+  const { failureThreshold, cooldown, enabled } = options;
+
+  if (failureThreshold !== undefined && (!Number.isInteger(failureThreshold) || failureThreshold < 1)) {
+    throw new ValidationError(
+      'failureThreshold deve ser um número inteiro maior que zero',
+      [{
+        message: 'O parâmetro failureThreshold deve ser um inteiro positivo',
+        service: 'circuit_breaker_config',
+        received: failureThreshold
+      }]
+    );
+  }
+
+  if (cooldown !== undefined && (typeof cooldown !== 'number' || !Number.isFinite(cooldown) || cooldown <= 0)) {
+    throw new ValidationError(
+      'cooldown deve ser um número positivo (em milissegundos)',
+      [{
+        message: 'O parâmetro cooldown deve ser um número maior que zero',
+        service: 'circuit_breaker_config',
+        received: cooldown
+      }]
+    );
+  }
+
+  if (failureThreshold !== undefined) {
+    breakerConfig.failureThreshold = failureThreshold;
+  }
+  if (cooldown !== undefined) {
+    breakerConfig.cooldown = cooldown;
+  }
+  if (enabled !== undefined) {
+    breakerConfig.enabled = Boolean(enabled);
+  }
+
+  return { ...breakerConfig };
+}
+
+/**
+ * Retorna o estado do circuit breaker de um provider, ou de todos os providers já consultados
+ *
+ * @param {string} [provider] - Nome do provider
+ * @returns {Object|Object[]} Estado ({ provider, state, failures, openedAt, retryAt })
+ */
+function getCircuitBreakerState(provider) {
+  if (provider !== undefined) {
+    return getBreaker(String(provider).trim().toLowerCase()).getState();
+  }
+
+  return [...breakers.values()].map(breaker => breaker.getState());
+}
+
+/**
+ * Fecha o circuito de um provider, ou de todos os providers
+ *
+ * @param {string} [provider] - Nome do provider
+ */
+function resetCircuitBreaker(provider) {
+  if (provider !== undefined) {
+    breakers.delete(String(provider).trim().toLowerCase());
+    return;
+  }
+
+  breakers.clear();
+}
+
+/**
+ * Restaura a configuração padrão e fecha todos os circuitos
+ */
+function resetCircuitBreakerConfig() {
+  Object.assign(breakerConfig, DEFAULT_CIRCUIT_BREAKER_OPTIONS);
+  breakers.clear();
+}
+
+module.exports = {
+  CircuitBreaker,
+  withCircuitBreaker,
+  filterAvailableServices,
+  configureCircuitBreaker,
+  getCircuitBreakerState,
+  resetCircuitBreaker,
+  resetCircuitBreakerConfig,
+  isCancellation,
+  isProviderAnswer,
+  isRateLimited,
+  DEFAULT_CIRCUIT_BREAKER_OPTIONS
+};
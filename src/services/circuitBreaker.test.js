@@ -0,0 +1,194 @@
+const {
+  CircuitBreaker,
+  withCircuitBreaker,
+  configureCircuitBreaker,
+  getCircuitBreakerState,
+  resetCircuitBreaker,
+  resetCircuitBreakerConfig
+} = require('./circuitBreaker');
+const { registerProvider, unregisterProvider } = require('./registry');
+const { getServicesByNames } = require('./index');
+const { ValidationError, ServiceError } = require('../errors/CepError');
+
+const address = {
+  cep: '01310100',
+  state: 'SP',
+  city: 'São Paulo',
+  street: 'Avenida Paulista',
+  neighborhood: 'Bela Vista'
+};
+
+const failure = (service) => new ServiceError('Erro de conexão', [{
+  message: 'Não foi possível conectar',
+  service,
+  code: 'ECONNREFUSED'
+}]);
+
+describe('circuitBreaker', () => {
+  beforeEach(() => {
+    configureCircuitBreaker({ failureThreshold: 2, cooldown: 1000 });
+  });
+
+  afterEach(() => {
+    resetCircuitBreakerConfig();
+    unregisterProvider('instavel');
+    unregisterProvider('estavel');
+  });
+
+  describe('CircuitBreaker', () => {
+    test('deve abrir após falhas consecutivas e testar depois do cooldown', () => {
+      const breaker = new CircuitBreaker('viacep');
+
+      breaker.recordFailure(0);
+      expect(breaker.tryAcquire(0)).toBe(true);
+      breaker.recordFailure(0);
+
+      expect(breaker.getState(500)).toMatchObject({ state: 'open', failures: 2, retryAt: 1000 });
+      expect(breaker.tryAcquire(500)).toBe(false);
+
+      // Apenas uma requisição de teste no estado half-open
+      expect(breaker.tryAcquire(1000)).toBe(true);
+      expect(breaker.tryAcquire(1000)).toBe(false);
+      expect(breaker.getState(1000).state).toBe('half-open');
+
+      breaker.recordSuccess();
+      expect(breaker.getState(1000)).toMatchObject({ state: 'closed', failures: 0, retryAt: null });
+    });
+
+    test('deve reabrir se a requisição de teste falhar', () => {
+      const breaker = new CircuitBreaker('viacep');
+      breaker.recordFailure(0);
+      breaker.recordFailure(0);
+
+      expect(breaker.tryAcquire(1000)).toBe(true);
+      breaker.recordFailure(1000);
+
+      expect(breaker.getState(1500)).toMatchObject({ state: 'open', retryAt: 2000 });
+    });
+
+    test('deve liberar a requisição de teste que nunca foi iniciada', () => {
+      const breaker = new CircuitBreaker('viacep');
+      breaker.recordFailure(0);
+      breaker.recordFailure(0);
+
+      expect(breaker.tryAcquire(1000)).toBe(true);
+      expect(breaker.tryAcquire(1500)).toBe(false);
+      expect(breaker.tryAcquire(2000)).toBe(true);
+    });
+
+    test('sucesso deve zerar as falhas consecutivas', () => {
+      const breaker = new CircuitBreaker('viacep');
+      breaker.recordFailure(0);
+      breaker.recordSuccess();
+      breaker.recordFailure(0);
+
+      expect(breaker.getState(0).state).toBe('closed');
+    });
+  });
+
+  describe('withCircuitBreaker', () => {
+    const createService = (search) => withCircuitBreaker({
+      name: 'viacep',
+      defaultTimeout: 1000,
+      search: jest.fn(search)
+    });
+
+    test('deve contar erros como falha', async () => {
+      const service = createService(() => Promise.reject(failure('viacep')));
+
+      await expect(service.search('01310100')).rejects.toThrow(ServiceError);
+      await expect(service.search('01310100')).rejects.toThrow(ServiceError);
+
+      expect(getCircuitBreakerState('viacep').state).toBe('open');
+    });
+
+    test('não deve contar "CEP não encontrado" nem cancelamentos como falha', async () => {
+      const notFound = createService(() => Promise.reject(new ServiceError('CEP não encontrado', [{
+        message: 'CEP não encontrado',
+        service: 'viacep',
+        status: 404
+      }])));
+      const cancelled = createService(() => Promise.reject(new ServiceError('Requisição cancelada para viacep', [{
+        message: 'Requisição foi cancelada',
+        service: 'viacep'
+      }])));
+
+      await expect(notFound.search('99999999')).rejects.toThrow(ServiceError);
+      await expect(cancelled.search('01310100')).rejects.toThrow(ServiceError);
+      await expect(cancelled.search('01310100')).rejects.toThrow(ServiceError);
+
+      expect(getCircuitBreakerState('viacep')).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    test('não deve contar respostas 429 como falha', async () => {
+      const rateLimited = createService(() => Promise.reject(new ServiceError('Limite de requisições excedido em viacep', [{
+        message: 'O provider pediu para aguardar 1000ms antes de novas requisições',
+        service: 'viacep',
+        status: 429,
+        retryAfter: 1000
+      }])));
+
+      await expect(rateLimited.search('01310100')).rejects.toThrow(ServiceError);
+      await expect(rateLimited.search('01310100')).rejects.toThrow(ServiceError);
+
+      expect(getCircuitBreakerState('viacep')).toMatchObject({ state: 'closed', failures: 0 });
+    });
+  });
+
+  describe('getServicesByNames', () => {
+    test('deve ignorar providers com o circuito aberto', async () => {
+      registerProvider('instavel', { search: () => Promise.reject(new Error('fora do ar')) });
+      registerProvider('estavel', { search: () => Promise.resolve(address) });
+
+      for (let i = 0; i < 2; i++) {
+        const [service] = getServicesByNames(['instavel'], 1000);
+        await expect(service.search('01310100')).rejects.toThrow(ServiceError);
+      }
+
+      const services = getServicesByNames(['instavel', 'estavel'], 1000);
+      expect(services.map(service => service.name)).toEqual(['estavel']);
+      expect(getCircuitBreakerState()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ provider: 'instavel', state: 'open' })
+      ]));
+    });
+
+    test('deve lançar ServiceError se todos os providers estão com o circuito aberto', async () => {
+      registerProvider('instavel', { search: () => Promise.reject(new Error('fora do ar')) });
+
+      for (let i = 0; i < 2; i++) {
+        const [service] = getServicesByNames(['instavel'], 1000);
+        await expect(service.search('01310100')).rejects.toThrow(ServiceError);
+      }
+
+      const error = (() => {
+        try {
+          return getServicesByNames(['instavel'], 1000);
+        } catch (e) {
+          return e;
+        }
+      })();
+      expect(error).toBeInstanceOf(ServiceError);
+      expect(error.errors[0]).toMatchObject({ service: 'instavel', circuit: 'open' });
+
+      resetCircuitBreaker('instavel');
+      expect(getServicesByNames(['instavel'], 1000)).toHaveLength(1);
+    });
+
+    test('deve permitir desativar o circuit breaker', async () => {
+      registerProvider('instavel', { search: () => Promise.reject(new Error('fora do ar')) });
+      configureCircuitBreaker({ enabled: false });
+
+      for (let i = 0; i < 3; i++) {
+        const [service] = getServicesByNames(['instavel'], 1000);
+        await expect(service.search('01310100')).rejects.toThrow(ServiceError);
+      }
+
+      expect(getServicesByNames(['instavel'], 1000)).toHaveLength(1);
+    });
+  });
+
+  test('deve validar a configuração', () => {
+    expect(() => configureCircuitBreaker({ failureThreshold: 0 })).toThrow(ValidationError);
+    expect(() => configureCircuitBreaker({ cooldown: -1 })).toThrow(ValidationError);
+  });
+});
@@ -1,17 +1,40 @@
 const BaseCepService = require('./baseService');
 const { ServiceError } = require('../errors/CepError');
 
+/**
+ * Entidades XML que podem aparecer nos campos de texto da resposta
+ */
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': '\''
+};
+
 class CorreiosService extends BaseCepService {
   constructor(timeout = 30000) {
     super('correios', timeout);
     this.baseUrl = 'https://apps.correios.com.br/SigepMasterJPA/AtendeClienteService/AtendeCliente';
   }
 
+  /**
+   * Decodifica entidades XML de um valor de texto
+   */
+  decodeXMLEntities(value) {
+    return value.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+  }
+
   /**
    * Faz o parse do XML de resposta dos Correios
+   * Retorna null quando o elemento <return> está vazio (CEP não encontrado)
    */
   parseXMLResponse(xmlString) {
     try {
+      if (/<return\s*\/>/.test(xmlString)) {
+        return null;
+      }
+
       const returnMatch = xmlString.match(/<return>(.*?)<\/return>/s);
       if (!returnMatch) {
         throw new Error('Formato XML inválido');
@@ -23,10 +46,10 @@ class CorreiosService extends BaseCepService {
       // Extrai campos do XML
       const fields = ['cep', 'uf', 'cidade', 'bairro', 'end'];
       fields.forEach(field => {
-        const regex = new RegExp(`<${field}>(.*?)<\/${field}>`, 's');
+        const regex = new RegExp(`<${field}>(.*?)</${field}>`, 's');
         const match = returnContent.match(regex);
         if (match) {
-          parsed[field] = match[1].trim();
+          parsed[field] = this.decodeXMLEntities(match[1].trim());
         }
       });
 
@@ -43,7 +66,7 @@ class CorreiosService extends BaseCepService {
     try {
       const faultMatch = xmlString.match(/<faultstring>(.*?)<\/faultstring>/s);
       if (faultMatch) {
-        return faultMatch[1].trim();
+        return this.decodeXMLEntities(faultMatch[1].trim());
       }
       return 'Erro desconhecido dos Correios';
     } catch (error) {
@@ -51,6 +74,55 @@ class CorreiosService extends BaseCepService {
     }
   }
 
+  /**
+   * Verifica se a resposta é um SOAP Fault
+   * O serviço pode retornar o fault com HTTP 500 ou, em alguns casos, com HTTP 200
+   */
+  isSOAPFault(xmlString) {
+    return /<(\w+:)?Fault>/.test(xmlString) || /<faultstring>/.test(xmlString);
+  }
+
+  /**
+   * Converte um SOAP Fault no ServiceError correspondente
+   */
+  createFaultError(faultMessage, status) {
+    // Ex: "CEP NAO ENCONTRADO"
+    if (/CEP\s+N[AÃ]O\s+ENCONTRADO/i.test(faultMessage)) {
+      return new ServiceError(
+        'CEP não encontrado na base dos Correios',
+        [{
+          message: 'CEP não encontrado',
+          service: this.name,
+          status: 404,
+          fault: faultMessage
+        }]
+      );
+    }
+
+    // Ex: "BUSCA DEFINIDA COMO EXATA, 0 CEP DEVE TER 8 DIGITOS" ou "CEP INVÁLIDO"
+    if (/8\s+D[IÍ]GITOS|CEP\s+INV[AÁ]LIDO/i.test(faultMessage)) {
+      return new ServiceError(
+        'CEP inválido para os Correios',
+        [{
+          message: faultMessage,
+          service: this.name,
+          status: 400,
+          fault: faultMessage
+        }]
+      );
+    }
+
+    return new ServiceError(
+      `Erro ao consultar Correios: ${faultMessage}`,
+      [{
+        message: faultMessage,
+        service: this.name,
+        status: status,
+        fault: faultMessage
+      }]
+    );
+  }
+
   async search(cep) {
     try {
       const soapBody = `<?xml version="1.0"?>
@@ -76,12 +148,15 @@ class CorreiosService extends BaseCepService {
 
       const xmlText = await response.text();
 
+      if (this.isSOAPFault(xmlText)) {
+        throw this.createFaultError(this.parseXMLError(xmlText), response.status);
+      }
+
       if (!response.ok) {
-        const errorMessage = this.parseXMLError(xmlText);
         throw new ServiceError(
-          `Erro ao consultar Correios: ${errorMessage}`,
+          `Erro HTTP ${response.status} ao consultar Correios`,
           [{
-            message: errorMessage,
+            message: `Status ${response.status}`,
             service: this.name,
             status: response.status
           }]
@@ -90,23 +165,24 @@ class CorreiosService extends BaseCepService {
 
       const parsedData = this.parseXMLResponse(xmlText);
 
-      if (!parsedData.cep) {
+      if (!parsedData || !parsedData.cep) {
         throw new ServiceError(
           'CEP não encontrado na base dos Correios',
           [{
             message: 'CEP não encontrado',
-            service: this.name
+            service: this.name,
+            status: 404
           }]
         );
       }
 
       // Mapeia campos dos Correios para formato padrão
       const normalizedData = {
-        cep: parsedData.cep,
+        cep: parsedData.cep.replace(/\D/g, ''),
         uf: parsedData.uf,
         cidade: parsedData.cidade,
-        bairro: parsedData.bairro,
-        end: parsedData.end
+        bairro: parsedData.bairro || '',
+        end: parsedData.end || ''
       };
 
       return this.normalizeResponse(normalizedData);
@@ -128,5 +204,3 @@ class CorreiosService extends BaseCepService {
 }
 
 module.exports = CorreiosService;
-
-
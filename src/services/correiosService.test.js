@@ -0,0 +1,114 @@
+const fetch = require('node-fetch');
+const CorreiosService = require('./correiosService');
+const { ServiceError } = require('../errors/CepError');
+
+jest.mock('node-fetch', () => jest.fn());
+
+const mockResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: jest.fn().mockResolvedValue(body)
+});
+
+const soapEnvelope = (content) => `<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>${content}</soap:Body>
+</soap:Envelope>`;
+
+const soapFault = (message) => soapEnvelope(`<soap:Fault>
+  <faultcode>soap:Server</faultcode>
+  <faultstring>${message}</faultstring>
+</soap:Fault>`);
+
+const searchError = (cep = '01310100') =>
+  new CorreiosService().search(cep).catch(error => error);
+
+describe('CorreiosService', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('deve enviar o envelope SOAP e normalizar a resposta', async () => {
+    fetch.mockResolvedValue(mockResponse(soapEnvelope(`<ns2:consultaCEPResponse xmlns:ns2="http://cliente.bean.master.sigep.bsb.correios.com.br/">
+  <return>
+    <bairro>Bela Vista</bairro>
+    <cep>01310100</cep>
+    <cidade>São Paulo</cidade>
+    <end>Avenida Paulista - até 610 - lado par</end>
+    <uf>SP</uf>
+  </return>
+</ns2:consultaCEPResponse>`)));
+
+    const result = await new CorreiosService().search('01310100');
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://apps.correios.com.br/SigepMasterJPA/AtendeClienteService/AtendeCliente');
+    expect(options.method).toBe('POST');
+    expect(options.body).toContain('<cep>01310100</cep>');
+    expect(result).toEqual({
+      cep: '01310100',
+      state: 'SP',
+      city: 'São Paulo',
+      street: 'Avenida Paulista - até 610 - lado par',
+      neighborhood: 'Bela Vista',
+      service: 'correios'
+    });
+  });
+
+  test('deve decodificar entidades XML', async () => {
+    fetch.mockResolvedValue(mockResponse(soapEnvelope(`<return>
+  <bairro>Centro</bairro><cep>20040020</cep><cidade>Rio de Janeiro</cidade>
+  <end>Rua Sete &amp; Ouvidor</end><uf>RJ</uf>
+</return>`)));
+
+    const result = await new CorreiosService().search('20040020');
+    expect(result.street).toBe('Rua Sete & Ouvidor');
+  });
+
+  test('deve mapear o fault "CEP NAO ENCONTRADO" para CEP não encontrado', async () => {
+    fetch.mockResolvedValue(mockResponse(soapFault('CEP NAO ENCONTRADO'), 500));
+
+    const error = await searchError('99999999');
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.message).toBe('CEP não encontrado na base dos Correios');
+    expect(error.errors[0]).toMatchObject({ service: 'correios', status: 404, fault: 'CEP NAO ENCONTRADO' });
+  });
+
+  test('deve mapear o fault de CEP inválido', async () => {
+    fetch.mockResolvedValue(mockResponse(soapFault('BUSCA DEFINIDA COMO EXATA, 0 CEP DEVE TER 8 DIGITOS'), 500));
+
+    const error = await searchError();
+    expect(error.message).toBe('CEP inválido para os Correios');
+    expect(error.errors[0].status).toBe(400);
+  });
+
+  test('deve tratar fault retornado com HTTP 200', async () => {
+    fetch.mockResolvedValue(mockResponse(soapFault('Serviço indisponível'), 200));
+
+    const error = await searchError();
+    expect(error.message).toBe('Erro ao consultar Correios: Serviço indisponível');
+    expect(error.errors[0]).toMatchObject({ status: 200, fault: 'Serviço indisponível' });
+  });
+
+  test('deve mapear erro HTTP sem fault', async () => {
+    fetch.mockResolvedValue(mockResponse('<html>Bad Gateway</html>', 502));
+
+    const error = await searchError();
+    expect(error.message).toBe('Erro HTTP 502 ao consultar Correios');
+    expect(error.errors[0].status).toBe(502);
+  });
+
+  test('deve tratar <return/> vazio como CEP não encontrado', async () => {
+    fetch.mockResolvedValue(mockResponse(soapEnvelope('<ns2:consultaCEPResponse><return/></ns2:consultaCEPResponse>')));
+
+    const error = await searchError();
+    expect(error.message).toBe('CEP não encontrado na base dos Correios');
+  });
+
+  test('deve rejeitar XML sem elemento return', async () => {
+    fetch.mockResolvedValue(mockResponse(soapEnvelope('<outro/>')));
+
+    const error = await searchError();
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.message).toContain('Formato XML inválido');
+  });
+});
@@ -2,43 +2,69 @@ const BrasilApiService = require('./brasilApiService');
 const ViaCepService = require('./viaCepService');
 const WideNetService = require('./wideNetService');
 const CorreiosService = require('./correiosService');
+const BaseCepService = require('./baseService');
+const {
+  PROVIDER_NAMES,
+  registerProvider,
+  unregisterProvider,
+  hasProvider,
+  getDefaultProviderNames,
+  createRegisteredService
+} = require('./registry');
+const {
+  withCircuitBreaker,
+  filterAvailableServices,
+  configureCircuitBreaker,
+  getCircuitBreakerState,
+  resetCircuitBreaker
+} = require('./circuitBreaker');
+const {
+  withPerformanceTracking,
+  selectAdaptiveServices,
+  configureAdaptiveSelection,
+  resetProviderPerformance
+} = require('./providerPerformance');
+const {
+  configureScheduler,
+  getSchedulerState,
+  resetScheduler
+} = require('./scheduler');
+const {
+  withStatsTracking,
+  getProviderStats,
+  resetProviderStats
+} = require('./providerStats');
 
 /**
  * Factory para criar instâncias de serviços
+ * O método search de cada instância alimenta o circuit breaker, as estatísticas e a janela de desempenho do provider
  */
 function createService(serviceName, timeout) {
-  const services = {
-    brasilapi: () => new BrasilApiService(timeout),
-    viacep: () => new ViaCepService(timeout),
-    widenet: () => new WideNetService(timeout),
-    correios: () => new CorreiosService(timeout)
-  };
+  const service = createRegisteredService(serviceName, timeout);
 
-  if (!services[serviceName]) {
-    throw new Error(`Serviço "${serviceName}" não encontrado. Serviços disponíveis: ${Object.keys(services).join(', ')}`);
+  if (!service) {
+    throw new Error(`Serviço "${serviceName}" não encontrado. Serviços disponíveis: ${PROVIDER_NAMES.join(', ')}`);
   }
 
-  return services[serviceName]();
+  return withCircuitBreaker(withStatsTracking(withPerformanceTracking(service)));
 }
 
 /**
- * Retorna todos os serviços disponíveis
- * Nota: widenet e correios estão temporariamente desabilitados
+ * Retorna todos os serviços consultados por padrão
+ * Inclui os providers nativos e os providers registrados com includeInDefault
  */
 function getAllServices(timeout) {
-  return [
-    new BrasilApiService(timeout),
-    new ViaCepService(timeout)
-    // WideNetService e CorreiosService serão adicionados em atualizações futuras
-  ];
+  return getDefaultProviderNames().map(name => createService(name, timeout));
 }
 
 /**
  * Retorna serviços disponíveis por nome
+ * Providers com o circuito aberto (falhas consecutivas recentes) são ignorados
+ * @throws {ServiceError} Se todos os providers estão com o circuito aberto
  */
 function getServicesByNames(serviceNames, timeout) {
   if (!Array.isArray(serviceNames) || serviceNames.length === 0) {
-    return getAllServices(timeout);
+    return filterAvailableServices(getAllServices(timeout));
   }
 
   // Valida cada nome de serviço antes de criar
@@ -55,17 +81,32 @@ function getServicesByNames(serviceNames, timeout) {
     }
   }).filter(service => service !== null);
 
-  return validServices;
+  return filterAvailableServices(validServices);
 }
 
 module.exports = {
+  BaseCepService,
   BrasilApiService,
   ViaCepService,
   WideNetService,
   CorreiosService,
   createService,
   getAllServices,
-  getServicesByNames
+  getServicesByNames,
+  registerProvider,
+  unregisterProvider,
+  hasProvider,
+  configureCircuitBreaker,
+  getCircuitBreakerState,
+  resetCircuitBreaker,
+  selectAdaptiveServices,
+  configureAdaptiveSelection,
+  resetProviderPerformance,
+  getProviderStats,
+  resetProviderStats,
+  configureScheduler,
+  getSchedulerState,
+  resetScheduler
 };
 
 
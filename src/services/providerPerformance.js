@@ -0,0 +1,239 @@
+const { ValidationError } = require('../errors/CepError');
+const { isCancellation, isProviderAnswer, isRateLimited } = require('./circuitBreaker');
+
+/**
+ * Configuração padrão da seleção adaptativa
+ * - topN: quantidade de providers consultados na corrida; os demais ficam como fallback
+ * - windowSize: quantidade de requisições recentes consideradas por provider (janela móvel)
+ * - minSamples: requisições necessárias para o provider entrar no ranking
+ * - explorationRate: probabilidade (0 a 1) de incluir na corrida um provider ainda sem dados suficientes
+ */
+const DEFAULT_ADAPTIVE_OPTIONS = {
+  topN: 2,
+  windowSize: 50,
+  minSamples: 5,
+  explorationRate: 0.1
+};
+
+const adaptiveConfig = { ...DEFAULT_ADAPTIVE_OPTIONS };
+
+/**
+ * Janela móvel de requisições por provider ({ latency, success, censored })
+ */
+const windows = new Map();
+
+/**
+ * Registra o resultado de uma requisição na janela do provider
+ * Amostras censuradas são requisições canceladas antes de terminar: a latência real é
+ * pelo menos a registrada, e o resultado (sucesso ou falha) é desconhecido
+ *
+ * @param {string} provider - Nome do provider
+ * @param {Object} sample - { latency, success, censored }
+ */
+function recordSample(provider, { latency, success, censored = false }) {
+  if (!windows.has(provider)) {
+    windows.set(provider, []);
+  }
+
+  const samples = windows.get(provider);
+  samples.push({ latency, success: !censored && Boolean(success), censored: Boolean(censored) });
+
+  if (samples.length > adaptiveConfig.windowSize) {
+    samples.splice(0, samples.length - adaptiveConfig.windowSize);
+  }
+}
+
+/**
+ * Desempenho recente de um provider
+ * score = latência média / taxa de sucesso (quanto menor, melhor); Infinity se nenhuma requisição teve sucesso
+ *
+ * A taxa de sucesso considera apenas as requisições concluídas. A latência média é o tempo total
+ * observado (inclusive o das amostras censuradas) dividido pelas requisições concluídas, o que penaliza
+ * o provider que costuma ser cancelado por perder a corrida; Infinity se nenhuma requisição terminou
+ *
+ * @param {string} provider - Nome do provider
+ * @returns {Object} { provider, samples, censored, successRate, averageLatency, score }
+ */
+function getProviderPerformance(provider) {
+  const samples = windows.get(provider) || [];
+
+  if (samples.length === 0) {
+    return { provider, samples: 0, censored: 0, successRate: null, averageLatency: null, score: null };
+  }
+
+  const completed = samples.filter(sample => !sample.censored).length;
+  const successes = samples.filter(sample => sample.success).length;
+  const totalLatency = samples.reduce((total, sample) => total + sample.latency, 0);
+  const successRate = completed > 0 ? successes / completed : null;
+  const averageLatency = completed > 0 ? totalLatency / completed : Infinity;
+
+  return {
+    provider,
+    samples: samples.length,
+    censored: samples.length - completed,
+    successRate,
+    averageLatency,
+    score: successRate > 0 ? averageLatency / successRate : Infinity
+  };
+}
+
+/**
+ * Conecta o método search do serviço à janela de desempenho do provider
+ * Respostas (inclusive "não encontrado") contam como sucesso; erros e timeouts como falha;
+ * cancelamentos antes do timeout (outro provider venceu a corrida) são amostras censuradas;
+ * respostas 429 não são registradas
+ */
+function withPerformanceTracking(service) {
+  const search = service.search.bind(service);
+
+  service.search = async function(cep) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await search(cep);
+      recordSample(service.name, { latency: Date.now() - startedAt, success: true });
+      return result;
+    } catch (error) {
+      const latency = Date.now() - startedAt;
+
+      if (isProviderAnswer(error)) {
+        recordSample(service.name, { latency, success: true });
+      } else if (isCancellation(error) && latency < service.defaultTimeout) {
+        recordSample(service.name, { latency, censored: true });
+      } else if (!isRateLimited(error)) {
+        recordSample(service.name, { latency, success: false });
+      }
+      throw error;
+    }
+  };
+
+  return service;
+}
+
+/**
+ * Separa os serviços entre a corrida (top N por desempenho recente) e os fallbacks
+ * Providers sem requisições suficientes mantêm a ordem original e completam a corrida se faltarem
+ * providers no ranking; com probabilidade explorationRate, um deles é incluído na corrida
+ *
+ * @param {Object[]} services - Serviços na ordem de prioridade
+ * @param {Function} [random=Math.random] - Gerador de números aleatórios
+ * @returns {{ primary: Object[], fallbacks: Object[] }}
+ */
+function selectAdaptiveServices(services, random = Math.random) {
+  const { topN, minSamples, explorationRate } = adaptiveConfig;
+
+  const ranked = [];
+  const unexplored = [];
+  services.forEach((service, index) => {
+    const performance = getProviderPerformance(service.name);
+    if (performance.samples >= minSamples) {
+      ranked.push({ service, index, score: performance.score });
+    } else {
+      unexplored.push(service);
+    }
+  });
+
+  // Empates mantêm a ordem de prioridade original
+  ranked.sort((a, b) => (a.score - b.score) || (a.index - b.index));
+
+  const candidates = [...ranked.map(item => item.service), ...unexplored];
+  const primary = candidates.slice(0, topN);
+  const fallbacks = candidates.slice(topN);
+
+  // Exploração: providers novos recebem tráfego ocasional para entrar no ranking
+  const explorable = fallbacks.find(service => unexplored.includes(service));
+  if (explorable && random() < explorationRate) {
+    primary.push(explorable);
+    fallbacks.splice(fallbacks.indexOf(explorable), 1);
+  }
+
+  return { primary, fallbacks };
+}
+
+/**
+ * Cria o erro de validação da configuração da seleção adaptativa
+ */
+function createConfigError(message, received) {
+  return new ValidationError(
+    'Configuração da seleção adaptativa inválida',
+    [{
+      message,
+      service: 'adaptive_selection_config',
+      received
+    }]
+  );
+}
+
+/**
+ * Configura a seleção adaptativa de providers (selection: 'adaptive')
+ *
+ * @param {Object} [options={}] - Opções de configuração
+ * @param {number} [options.topN] - Providers consultados na corrida (padrão: 2)
+ * @param {number} [options.windowSize] - Requisições recentes consideradas por provider (padrão: 50)
+ * @param {number} [options.minSamples] - Requisições necessárias para entrar no ranking (padrão: 5)
+ * @param {number} [options.explorationRate] - Probabilidade de consultar um provider sem dados suficientes (padrão: 0.1)
+ * @returns {Object} Configuração efetiva
+ * @throws {ValidationError} Se alguma opção é inválida
+ */
+function configureAdaptiveSelection(options = {}) {
+  const { topN, windowSize, minSamples, explorationRate } = options;
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+  if (topN !== undefined && !isPositiveInteger(topN)) {
+    throw createConfigError('topN deve ser um inteiro maior que zero', topN);
+  }
+
+  if (windowSize !== undefined && !isPositiveInteger(windowSize)) {
+    throw createConfigError('windowSize deve ser um inteiro maior que zero', windowSize);
+  }
+
+  if (minSamples !== undefined && !isPositiveInteger(minSamples)) {
+    throw createConfigError('minSamples deve ser um inteiro maior que zero', minSamples);
+  }
+
+  if (explorationRate !== undefined &&
+      (typeof explorationRate !== 'number' || !(explorationRate >= 0 && explorationRate <= 1))) {
+    throw createConfigError('explorationRate deve ser um número entre 0 e 1', explorationRate);
+  }
+
+  Object.entries({ topN, windowSize, minSamples, explorationRate }).forEach(([key, value]) => {
+    if (value !== undefined) {
+      adaptiveConfig[key] = value;
+    }
+  });
+
+  return { ...adaptiveConfig };
+}
+
+/**
+ * Descarta o desempenho registrado de um provider, ou de todos os providers
+ *
+ * @param {string} [provider] - Nome do provider
+ */
+function resetProviderPerformance(provider) {
+  if (provider !== undefined) {
+    windows.delete(String(provider).trim().toLowerCase());
+    return;
+  }
+
+  windows.clear();
+}
+
+/**
+ * Restaura a configuração padrão e descarta o desempenho registrado
+ */
+function resetAdaptiveSelectionConfig() {
+  Object.assign(adaptiveConfig, DEFAULT_ADAPTIVE_OPTIONS);
+  windows.clear();
+}
+
+module.exports = {
+  DEFAULT_ADAPTIVE_OPTIONS,
+  recordSample,
+  getProviderPerformance,
+  withPerformanceTracking,
+  selectAdaptiveServices,
+  configureAdaptiveSelection,
+  resetProviderPerformance,
+  resetAdaptiveSelectionConfig
+};
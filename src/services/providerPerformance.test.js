@@ -0,0 +1,175 @@
+const {
+  recordSample,
+  getProviderPerformance,
+  withPerformanceTracking,
+  selectAdaptiveServices,
+  configureAdaptiveSelection,
+  resetProviderPerformance,
+  resetAdaptiveSelectionConfig
+} = require('./providerPerformance');
+const { ValidationError, ServiceError } = require('../errors/CepError');
+
+const service = (name) => ({ name });
+const names = (services) => services.map(item => item.name);
+
+const recordMany = (provider, count, sample) => {
+  for (let i = 0; i < count; i++) {
+    recordSample(provider, sample);
+  }
+};
+
+describe('providerPerformance', () => {
+  beforeEach(() => {
+    configureAdaptiveSelection({ topN: 2, minSamples: 2, explorationRate: 0 });
+  });
+
+  afterEach(() => {
+    resetAdaptiveSelectionConfig();
+  });
+
+  describe('getProviderPerformance', () => {
+    test('deve calcular taxa de sucesso, latência média e score', () => {
+      recordSample('viacep', { latency: 100, success: true });
+      recordSample('viacep', { latency: 300, success: false });
+
+      expect(getProviderPerformance('viacep')).toEqual({
+        provider: 'viacep',
+        samples: 2,
+        censored: 0,
+        successRate: 0.5,
+        averageLatency: 200,
+        score: 400
+      });
+      expect(getProviderPerformance('widenet').samples).toBe(0);
+    });
+
+    test('deve somar a latência das amostras censuradas e dividir pelas requisições concluídas', () => {
+      recordSample('viacep', { latency: 100, success: true });
+      recordSample('viacep', { latency: 50, censored: true });
+      recordSample('brasilapi', { latency: 50, censored: true });
+
+      expect(getProviderPerformance('viacep')).toMatchObject({
+        samples: 2,
+        censored: 1,
+        successRate: 1,
+        averageLatency: 150,
+        score: 150
+      });
+      expect(getProviderPerformance('brasilapi')).toMatchObject({
+        censored: 1,
+        successRate: null,
+        averageLatency: Infinity,
+        score: Infinity
+      });
+    });
+
+    test('deve manter apenas as requisições mais recentes', () => {
+      configureAdaptiveSelection({ windowSize: 3 });
+      recordMany('viacep', 3, { latency: 1000, success: false });
+      recordMany('viacep', 3, { latency: 100, success: true });
+
+      expect(getProviderPerformance('viacep')).toMatchObject({ samples: 3, successRate: 1, averageLatency: 100 });
+    });
+
+    test('resetProviderPerformance deve descartar o desempenho de um provider', () => {
+      recordSample('viacep', { latency: 100, success: true });
+      recordSample('brasilapi', { latency: 100, success: true });
+      resetProviderPerformance('ViaCEP');
+
+      expect(getProviderPerformance('viacep').samples).toBe(0);
+      expect(getProviderPerformance('brasilapi').samples).toBe(1);
+    });
+  });
+
+  describe('selectAdaptiveServices', () => {
+    const services = [service('brasilapi'), service('viacep'), service('widenet'), service('novo')];
+
+    test('sem dados suficientes deve manter a ordem de prioridade', () => {
+      const { primary, fallbacks } = selectAdaptiveServices(services);
+
+      expect(names(primary)).toEqual(['brasilapi', 'viacep']);
+      expect(names(fallbacks)).toEqual(['widenet', 'novo']);
+    });
+
+    test('deve colocar na corrida os providers com melhor desempenho recente', () => {
+      recordMany('brasilapi', 2, { latency: 500, success: true });
+      recordMany('viacep', 2, { latency: 100, success: false });
+      recordMany('widenet', 2, { latency: 200, success: true });
+
+      const { primary, fallbacks } = selectAdaptiveServices(services);
+
+      expect(names(primary)).toEqual(['widenet', 'brasilapi']);
+      expect(names(fallbacks)).toEqual(['viacep', 'novo']);
+    });
+
+    test('deve enviar tráfego de exploração para providers sem dados suficientes', () => {
+      configureAdaptiveSelection({ explorationRate: 0.5 });
+      ['brasilapi', 'viacep', 'widenet'].forEach(name => recordMany(name, 2, { latency: 100, success: true }));
+
+      expect(names(selectAdaptiveServices(services, () => 0.4).primary)).toEqual(['brasilapi', 'viacep', 'novo']);
+      expect(names(selectAdaptiveServices(services, () => 0.6).primary)).toEqual(['brasilapi', 'viacep']);
+    });
+  });
+
+  describe('withPerformanceTracking', () => {
+    const track = (search) => withPerformanceTracking({ name: 'viacep', defaultTimeout: 1000, search });
+
+    test('deve registrar respostas e falhas, e cancelamentos como censurados', async () => {
+      await track(() => Promise.resolve({ cep: '01310100' })).search('01310100');
+      await track(() => Promise.reject(new ServiceError('CEP não encontrado', [{
+        message: 'CEP não encontrado',
+        service: 'viacep',
+        status: 404
+      }]))).search('99999999').catch(() => {});
+      await track(() => Promise.reject(new ServiceError('Erro de conexão', [{
+        message: 'Não foi possível conectar',
+        service: 'viacep',
+        code: 'ECONNREFUSED'
+      }]))).search('01310100').catch(() => {});
+      await track(() => Promise.reject(Object.assign(new Error('aborted'), { name: 'AbortError' })))
+        .search('01310100').catch(() => {});
+
+      expect(getProviderPerformance('viacep')).toMatchObject({ samples: 4, censored: 1, successRate: 2 / 3 });
+    });
+
+    test('deve registrar os perdedores cancelados da corrida', async () => {
+      // Corrida entre providers que rejeitam com AbortError quando o sinal é abortado
+      const race = async (delays) => {
+        const controller = new AbortController();
+        const searches = Object.entries(delays).map(([name, delay]) => withPerformanceTracking({
+          name,
+          defaultTimeout: 1000,
+          search: () => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve({ cep: '01310100', service: name }), delay);
+            controller.signal.addEventListener('abort', () => {
+              clearTimeout(timer);
+              reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+            });
+          })
+        }).search('01310100'));
+
+        const winner = await Promise.any(searches);
+        controller.abort();
+        await Promise.allSettled(searches);
+        return winner;
+      };
+
+      await race({ brasilapi: 5, viacep: 500 });
+      await race({ brasilapi: 5, viacep: 500 });
+
+      expect(getProviderPerformance('brasilapi')).toMatchObject({ samples: 2, censored: 0, successRate: 1 });
+      expect(getProviderPerformance('viacep')).toMatchObject({ samples: 2, censored: 2, score: Infinity });
+      expect(getProviderPerformance('viacep').averageLatency).toBeGreaterThan(0);
+
+      const { primary } = selectAdaptiveServices([service('viacep'), service('brasilapi')]);
+      expect(names(primary)).toEqual(['brasilapi', 'viacep']);
+    });
+  });
+
+  test('deve validar a configuração', () => {
+    expect(() => configureAdaptiveSelection({ topN: 0 })).toThrow(ValidationError);
+    expect(() => configureAdaptiveSelection({ windowSize: 1.5 })).toThrow(ValidationError);
+    expect(() => configureAdaptiveSelection({ minSamples: -1 })).toThrow(ValidationError);
+    expect(() => configureAdaptiveSelection({ explorationRate: 2 })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,212 @@
+const { isCancellation } = require('./circuitBreaker');
+const { getCacheStats, resetCacheStats } = require('../utils/cache');
+
+/**
+ * Quantidade de latências recentes guardadas por provider para o cálculo dos percentis
+ */
+const LATENCY_SAMPLE_SIZE = 1000;
+
+/**
+ * Tipos de falha contabilizados por provider
+ * - notFound: CEP não encontrado (status 404)
+ * - rateLimited: provider recusou por limite de requisições (status 429) e foi pausado
+ * - http: outros status HTTP de erro
+ * - timeout: requisição excedeu o timeout
+ * - connection: erro de conexão (ECONNREFUSED, ENOTFOUND, ...)
+ * - aborted: requisição cancelada porque outro provider respondeu primeiro
+ * - other: demais erros
+ */
+const FAILURE_TYPES = ['notFound', 'rateLimited', 'http', 'timeout', 'connection', 'aborted', 'other'];
+
+/**
+ * Estatísticas acumuladas por provider
+ */
+const stats = new Map();
+
+/**
+ * Retorna (criando se necessário) as estatísticas de um provider
+ */
+function getEntry(provider) {
+  if (!stats.has(provider)) {
+    stats.set(provider, {
+      requests: 0,
+      successes: 0,
+      wins: 0,
+      failures: Object.fromEntries(FAILURE_TYPES.map(type => [type, 0])),
+      latencies: []
+    });
+  }
+  return stats.get(provider);
+}
+
+/**
+ * Classifica o erro de uma requisição em um dos tipos de FAILURE_TYPES
+ *
+ * @param {Error} error - Erro lançado pelo serviço
+ * @param {number} latency - Duração da requisição em milissegundos
+ * @param {number} timeout - Timeout do serviço em milissegundos
+ */
+function classifyFailure(error, latency, timeout) {
+  // Cancelamentos após o timeout são o próprio timeout da busca
+  if (isCancellation(error)) {
+    return latency >= timeout ? 'timeout' : 'aborted';
+  }
+
+  const detail = error && Array.isArray(error.errors) && error.errors.length > 0
+    ? error.errors[0]
+    : {};
+
+  if (detail.status === 404) {
+    return 'notFound';
+  }
+  if (detail.status === 429) {
+    return 'rateLimited';
+  }
+  if (detail.status !== undefined) {
+    return 'http';
+  }
+  if (detail.timeout !== undefined || (typeof detail.message === 'string' && detail.message.includes('timeout'))) {
+    return 'timeout';
+  }
+  if (detail.code) {
+    return 'connection';
+  }
+  return 'other';
+}
+
+/**
+ * Registra uma requisição concluída de um provider
+ *
+ * @param {string} provider - Nome do provider
+ * @param {Object} request - { latency, failure } (failure ausente em caso de sucesso)
+ */
+function recordRequest(provider, { latency, failure }) {
+  const entry = getEntry(provider);
+  entry.requests++;
+
+  if (failure) {
+    entry.failures[failure]++;
+  } else {
+    entry.successes++;
+  }
+
+  // Requisições canceladas não têm latência significativa
+  if (failure !== 'aborted') {
+    entry.latencies.push(latency);
+    if (entry.latencies.length > LATENCY_SAMPLE_SIZE) {
+      entry.latencies.shift();
+    }
+  }
+}
+
+/**
+ * Registra o provider cujo resultado foi retornado pela busca
+ *
+ * @param {string} provider - Nome do provider
+ */
+function recordWin(provider) {
+  if (provider) {
+    getEntry(provider).wins++;
+  }
+}
+
+/**
+ * Conecta o método search do serviço às estatísticas do provider
+ */
+function withStatsTracking(service) {
+  const search = service.search.bind(service);
+
+  service.search = async function(cep) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await search(cep);
+      recordRequest(service.name, { latency: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      const latency = Date.now() - startedAt;
+      recordRequest(service.name, {
+        latency,
+        failure: classifyFailure(error, latency, service.defaultTimeout)
+      });
+      throw error;
+    }
+  };
+
+  return service;
+}
+
+/**
+ * Percentil (nearest-rank) de uma lista ordenada
+ */
+function percentile(sorted, p) {
+  const index = Math.max(0, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[index];
+}
+
+/**
+ * Estatísticas de um provider para exposição (percentis calculados sobre as últimas requisições)
+ */
+function toProviderStats(provider, entry) {
+  const sorted = [...entry.latencies].sort((a, b) => a - b);
+  const latency = sorted.length === 0
+    ? { p50: null, p90: null, p95: null, p99: null }
+    : {
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99)
+    };
+
+  return {
+    provider,
+    requests: entry.requests,
+    successes: entry.successes,
+    wins: entry.wins,
+    failures: { ...entry.failures },
+    latency
+  };
+}
+
+/**
+ * Retorna as estatísticas dos providers consultados e os contadores do cache
+ *
+ * @returns {Object} { providers: { [nome]: { provider, requests, successes, wins, failures, latency } }, cache: { hits, misses } }
+ *
+ * @example
+ * const { providers, cache } = getProviderStats();
+ * console.log(providers.viacep.wins, providers.viacep.latency.p95, cache.hits);
+ */
+function getProviderStats() {
+  const providers = {};
+  stats.forEach((entry, provider) => {
+    providers[provider] = toProviderStats(provider, entry);
+  });
+
+  return { providers, cache: getCacheStats() };
+}
+
+/**
+ * Zera as estatísticas de um provider, ou de todos os providers e do cache
+ *
+ * @param {string} [provider] - Nome do provider
+ */
+function resetProviderStats(provider) {
+  if (provider !== undefined) {
+    stats.delete(String(provider).trim().toLowerCase());
+    return;
+  }
+
+  stats.clear();
+  resetCacheStats();
+}
+
+module.exports = {
+  FAILURE_TYPES,
+  classifyFailure,
+  recordRequest,
+  recordWin,
+  withStatsTracking,
+  getProviderStats,
+  resetProviderStats
+};
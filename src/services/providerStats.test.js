@@ -0,0 +1,72 @@
+const {
+  classifyFailure,
+  recordRequest,
+  recordWin,
+  withStatsTracking,
+  getProviderStats,
+  resetProviderStats
+} = require('./providerStats');
+const { ServiceError } = require('../errors/CepError');
+
+const serviceError = (detail) => new ServiceError('Erro', [{ message: 'Erro', service: 'viacep', ...detail }]);
+
+describe('providerStats', () => {
+  afterEach(() => {
+    resetProviderStats();
+  });
+
+  test('classifyFailure deve identificar o tipo de erro', () => {
+    const cancelled = new ServiceError('Requisição cancelada para viacep', [{ message: 'Requisição foi cancelada', service: 'viacep' }]);
+
+    expect(classifyFailure(serviceError({ status: 404 }), 10, 1000)).toBe('notFound');
+    expect(classifyFailure(serviceError({ status: 429, retryAfter: 1000 }), 10, 1000)).toBe('rateLimited');
+    expect(classifyFailure(serviceError({ status: 503 }), 10, 1000)).toBe('http');
+    expect(classifyFailure(serviceError({ message: 'Requisição excedeu o timeout de 1000ms', timeout: 1000 }), 1000, 1000)).toBe('timeout');
+    expect(classifyFailure(serviceError({ code: 'ECONNREFUSED' }), 10, 1000)).toBe('connection');
+    expect(classifyFailure(cancelled, 10, 1000)).toBe('aborted');
+    expect(classifyFailure(cancelled, 1000, 1000)).toBe('timeout');
+    expect(classifyFailure(new Error('falha'), 10, 1000)).toBe('other');
+  });
+
+  test('deve acumular requisições, vitórias, falhas e percentis de latência', () => {
+    for (let latency = 1; latency <= 100; latency++) {
+      recordRequest('viacep', { latency });
+    }
+    recordRequest('viacep', { latency: 5000, failure: 'timeout' });
+    recordRequest('viacep', { latency: 3, failure: 'aborted' });
+    recordWin('viacep');
+
+    const { providers } = getProviderStats();
+
+    expect(providers.viacep).toMatchObject({
+      provider: 'viacep',
+      requests: 102,
+      successes: 100,
+      wins: 1,
+      failures: { notFound: 0, rateLimited: 0, http: 0, timeout: 1, connection: 0, aborted: 1, other: 0 },
+      latency: { p50: 51, p90: 91, p95: 96, p99: 100 }
+    });
+  });
+
+  test('withStatsTracking deve registrar o resultado de cada busca', async () => {
+    const track = (search) => withStatsTracking({ name: 'viacep', defaultTimeout: 1000, search });
+
+    await track(() => Promise.resolve({ cep: '01310100' })).search('01310100');
+    await track(() => Promise.reject(serviceError({ status: 404 }))).search('99999999').catch(() => {});
+
+    expect(getProviderStats().providers.viacep).toMatchObject({
+      requests: 2,
+      successes: 1,
+      failures: { notFound: 1 }
+    });
+  });
+
+  test('resetProviderStats deve zerar as estatísticas de um provider', () => {
+    recordRequest('viacep', { latency: 10 });
+    recordRequest('brasilapi', { latency: 10 });
+    resetProviderStats('ViaCEP');
+
+    expect(Object.keys(getProviderStats().providers)).toEqual(['brasilapi']);
+    expect(getProviderStats().cache).toEqual(expect.objectContaining({ hits: expect.any(Number), misses: expect.any(Number) }));
+  });
+});
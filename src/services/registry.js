@@ -0,0 +1,213 @@
+const BaseCepService = require('./baseService');
+const BrasilApiService = require('./brasilApiService');
+const ViaCepService = require('./viaCepService');
+const WideNetService = require('./wideNetService');
+const CorreiosService = require('./correiosService');
+const { ValidationError, ServiceError } = require('../errors/CepError');
+
+/**
+ * Registro de providers disponíveis para busca de CEP
+ * Cada entrada guarda a factory que cria o serviço e se ele faz parte do conjunto padrão
+ */
+const registry = new Map();
+
+/**
+ * Nomes dos providers registrados, na ordem de registro
+ * O array é atualizado no lugar para que referências exportadas continuem válidas
+ */
+const PROVIDER_NAMES = [];
+
+/**
+ * Serviço que adapta um provider simples ({ name, search(cep, ctx) }) para BaseCepService
+ */
+class PluginCepService extends BaseCepService {
+  constructor(name, plugin, timeout) {
+    super(name, timeout);
+    this.plugin = plugin;
+  }
+
+  async search(cep) {
+    // O contexto usa this.fetch de forma tardia para respeitar o cancelamento aplicado em searchCep
+    const context = {
+      timeout: this.defaultTimeout,
+      fetch: (url, options) => this.fetch(url, options)
+    };
+
+    let data;
+    try {
+      data = await this.plugin.search(cep, context);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+
+      throw new ServiceError(
+        `Erro ao consultar ${this.name}: ${error.message}`,
+        [{
+          message: error.message,
+          service: this.name,
+          originalError: error.message
+        }]
+      );
+    }
+
+    if (!data || !data.cep) {
+      throw new ServiceError(
+        `CEP não encontrado na base do ${this.name}`,
+        [{
+          message: 'CEP não encontrado',
+          service: this.name,
+          status: 404
+        }]
+      );
+    }
+
+    return {
+      ...data,
+      ...this.normalizeResponse(data)
+    };
+  }
+}
+
+/**
+ * Converte o que foi passado para registerProvider em uma factory (timeout) => serviço
+ */
+function toFactory(name, provider) {
+  // Subclasse de BaseCepService
+  if (typeof provider === 'function' && provider.prototype instanceof BaseCepService) {
+    return (timeout) => {
+      const service = new provider(timeout);
+      service.name = name;
+      return service;
+    };
+  }
+
+  // Objeto simples com método search
+  if (provider && typeof provider === 'object' && typeof provider.search === 'function') {
+    return (timeout) => new PluginCepService(name, provider, timeout);
+  }
+
+  throw new ValidationError(
+    `Provider "${name}" inválido`,
+    [{
+      message: 'O provider deve ser uma subclasse de BaseCepService ou um objeto com o método search(cep, ctx)',
+      service: 'provider_registration',
+      provider: name
+    }]
+  );
+}
+
+/**
+ * Normaliza e valida o nome de um provider
+ */
+function normalizeProviderName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new ValidationError(
+      'Nome do provider deve ser uma string não vazia',
+      [{
+        message: 'O nome do provider deve ser uma string não vazia',
+        service: 'provider_registration',
+        received: typeof name
+      }]
+    );
+  }
+
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Registra um provider de CEP
+ *
+ * @param {string} name - Nome do provider (usado em options.providers)
+ * @param {Function|Object} provider - Subclasse de BaseCepService ou objeto { search(cep, ctx) }
+ * @param {Object} [options={}] - Opções de registro
+ * @param {boolean} [options.includeInDefault=false] - Se deve ser consultado quando options.providers está vazio
+ * @param {boolean} [options.override=false] - Se pode substituir um provider já registrado
+ * @returns {string} Nome normalizado do provider
+ * @throws {ValidationError} Se o nome ou o provider são inválidos, ou se o nome já está registrado
+ */
+function registerProvider(name, provider, options = {}) {
+  const {
+    includeInDefault = false,
+    override = false
+  } = options;
+
+  const providerName = normalizeProviderName(name);
+
+  if (registry.has(providerName) && !override) {
+    throw new ValidationError(
+      `Provider "${providerName}" já está registrado`,
+      [{
+        message: `Já existe um provider registrado com o nome ${providerName}. Use { override: true } para substituí-lo.`,
+        service: 'provider_registration',
+        provider: providerName
+      }]
+    );
+  }
+
+  registry.set(providerName, {
+    factory: toFactory(providerName, provider),
+    includeInDefault: Boolean(includeInDefault)
+  });
+
+  if (!PROVIDER_NAMES.includes(providerName)) {
+    PROVIDER_NAMES.push(providerName);
+  }
+
+  return providerName;
+}
+
+/**
+ * Remove um provider registrado
+ *
+ * @param {string} name - Nome do provider
+ * @returns {boolean} true se o provider existia e foi removido
+ */
+function unregisterProvider(name) {
+  const providerName = String(name).trim().toLowerCase();
+
+  if (!registry.delete(providerName)) {
+    return false;
+  }
+
+  PROVIDER_NAMES.splice(PROVIDER_NAMES.indexOf(providerName), 1);
+  return true;
+}
+
+/**
+ * Verifica se um provider está registrado
+ */
+function hasProvider(name) {
+  return registry.has(name);
+}
+
+/**
+ * Retorna os nomes dos providers consultados por padrão
+ */
+function getDefaultProviderNames() {
+  return PROVIDER_NAMES.filter(name => registry.get(name).includeInDefault);
+}
+
+/**
+ * Cria uma instância do provider registrado
+ */
+function createRegisteredService(name, timeout) {
+  const entry = registry.get(name);
+  return entry ? entry.factory(timeout) : null;
+}
+
+// Providers nativos
+registerProvider('brasilapi', BrasilApiService, { includeInDefault: true });
+registerProvider('viacep', ViaCepService, { includeInDefault: true });
+registerProvider('widenet', WideNetService, { includeInDefault: true });
+registerProvider('correios', CorreiosService, { includeInDefault: true });
+
+module.exports = {
+  PROVIDER_NAMES,
+  PluginCepService,
+  registerProvider,
+  unregisterProvider,
+  hasProvider,
+  getDefaultProviderNames,
+  createRegisteredService
+};
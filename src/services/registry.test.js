@@ -0,0 +1,106 @@
+const BaseCepService = require('./baseService');
+const {
+  PROVIDER_NAMES,
+  registerProvider,
+  unregisterProvider,
+  hasProvider,
+  getDefaultProviderNames,
+  createRegisteredService
+} = require('./registry');
+const { getAllServices, getServicesByNames } = require('./index');
+const { isValidProvider, validateProviders } = require('../utils/providerValidator');
+const { ValidationError, ServiceError } = require('../errors/CepError');
+
+const address = {
+  cep: '01310100',
+  state: 'SP',
+  city: 'São Paulo',
+  street: 'Avenida Paulista',
+  neighborhood: 'Bela Vista'
+};
+
+describe('registry', () => {
+  afterEach(() => {
+    unregisterProvider('interno');
+  });
+
+  test('deve registrar os providers nativos por padrão', () => {
+    expect(PROVIDER_NAMES).toEqual(['brasilapi', 'viacep', 'widenet', 'correios']);
+    expect(getDefaultProviderNames()).toEqual(['brasilapi', 'viacep', 'widenet', 'correios']);
+  });
+
+  test('deve registrar um objeto simples e adaptá-lo para BaseCepService', async () => {
+    const plugin = { search: jest.fn().mockResolvedValue(address) };
+    const name = registerProvider(' Interno ', plugin);
+
+    expect(name).toBe('interno');
+    expect(hasProvider('interno')).toBe(true);
+
+    const service = createRegisteredService('interno', 5000);
+    expect(service).toBeInstanceOf(BaseCepService);
+    expect(service.name).toBe('interno');
+
+    const result = await service.search('01310100');
+    expect(result).toMatchObject({ ...address, service: 'interno' });
+    expect(plugin.search).toHaveBeenCalledWith('01310100', expect.objectContaining({
+      timeout: 5000,
+      fetch: expect.any(Function)
+    }));
+  });
+
+  test('deve converter erros e respostas vazias do plugin em ServiceError', async () => {
+    registerProvider('interno', { search: jest.fn().mockRejectedValue(new Error('falhou')) });
+    await expect(createRegisteredService('interno').search('01310100')).rejects.toThrow(ServiceError);
+
+    registerProvider('interno', { search: jest.fn().mockResolvedValue(null) }, { override: true });
+    await expect(createRegisteredService('interno').search('01310100')).rejects.toThrow(ServiceError);
+  });
+
+  test('deve registrar uma subclasse de BaseCepService', async () => {
+    class InternalService extends BaseCepService {
+      constructor(timeout) {
+        super('internal-service', timeout);
+      }
+
+      async search() {
+        return this.normalizeResponse(address);
+      }
+    }
+
+    registerProvider('interno', InternalService);
+    const service = createRegisteredService('interno', 1000);
+
+    expect(service).toBeInstanceOf(InternalService);
+    expect(service.name).toBe('interno');
+    expect(service.defaultTimeout).toBe(1000);
+  });
+
+  test('deve refletir o registro na validação de providers', () => {
+    expect(isValidProvider('interno')).toBe(false);
+
+    registerProvider('interno', { search: jest.fn() });
+    expect(isValidProvider('interno')).toBe(true);
+    expect(() => validateProviders(['brasilapi', 'interno'])).not.toThrow();
+
+    expect(unregisterProvider('interno')).toBe(true);
+    expect(isValidProvider('interno')).toBe(false);
+    expect(unregisterProvider('interno')).toBe(false);
+  });
+
+  test('deve incluir no conjunto padrão apenas quando solicitado', () => {
+    registerProvider('interno', { search: jest.fn() });
+    expect(getAllServices().map(service => service.name)).toEqual(['brasilapi', 'viacep', 'widenet', 'correios']);
+    expect(getServicesByNames(['interno']).map(service => service.name)).toEqual(['interno']);
+
+    registerProvider('interno', { search: jest.fn() }, { includeInDefault: true, override: true });
+    expect(getAllServices().map(service => service.name))
+      .toEqual(['brasilapi', 'viacep', 'widenet', 'correios', 'interno']);
+  });
+
+  test('deve rejeitar registros inválidos', () => {
+    expect(() => registerProvider('', { search: jest.fn() })).toThrow(ValidationError);
+    expect(() => registerProvider('interno', {})).toThrow(ValidationError);
+    expect(() => registerProvider('interno', class {})).toThrow(ValidationError);
+    expect(() => registerProvider('viacep', { search: jest.fn() })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,459 @@
+const { ValidationError, ServiceError } = require('../errors/CepError');
+
+/**
+ * Configuração padrão do agendador de requisições (compartilhado por todo o processo)
+ * - maxConcurrent: requisições simultâneas no total
+ * - maxConcurrentPerProvider: requisições simultâneas por provider
+ * - requestsPerSecond: taxa do token bucket por provider (null = sem limite de taxa)
+ * - burst: capacidade do token bucket (padrão: requestsPerSecond)
+ * - defaultRetryAfter: pausa em milissegundos após um 429 sem o header Retry-After
+ * - maxRetryAfter: pausa máxima em milissegundos após um 429
+ * - enabled: se o agendador está ativo (opt-in: a fila e os limites podem atrasar requisições, e a espera
+ *   conta para o timeout da busca)
+ */
+const DEFAULT_SCHEDULER_OPTIONS = {
+  maxConcurrent: 20,
+  maxConcurrentPerProvider: 6,
+  requestsPerSecond: null,
+  burst: null,
+  defaultRetryAfter: 1000,
+  maxRetryAfter: 60000,
+  enabled: false
+};
+
+const schedulerConfig = { ...DEFAULT_SCHEDULER_OPTIONS, providers: {} };
+
+/**
+ * Estado de cada provider: requisições ativas, tokens disponíveis e pausa após 429
+ */
+const providerStates = new Map();
+
+/**
+ * Requisições aguardando: { provider, task, priority, sequence, deadline, signal, resolve, reject }
+ */
+const queue = [];
+
+let activeRequests = 0;
+let sequence = 0;
+let wakeTimer = null;
+
+/**
+ * Retorna (criando se necessário) o estado de um provider
+ */
+function getProviderState(provider) {
+  if (!providerStates.has(provider)) {
+    providerStates.set(provider, { active: 0, tokens: null, refilledAt: 0, pausedUntil: 0 });
+  }
+  return providerStates.get(provider);
+}
+
+/**
+ * Limites efetivos de um provider (configuração global completada pela do provider)
+ */
+function getProviderLimits(provider) {
+  const overrides = schedulerConfig.providers[provider] || {};
+  const requestsPerSecond = overrides.requestsPerSecond !== undefined
+    ? overrides.requestsPerSecond
+    : schedulerConfig.requestsPerSecond;
+  const burst = overrides.burst !== undefined ? overrides.burst : schedulerConfig.burst;
+
+  return {
+    maxConcurrent: overrides.maxConcurrent !== undefined
+      ? overrides.maxConcurrent
+      : schedulerConfig.maxConcurrentPerProvider,
+    requestsPerSecond,
+    capacity: requestsPerSecond ? burst || Math.max(1, requestsPerSecond) : Infinity
+  };
+}
+
+/**
+ * Repõe os tokens do bucket proporcionalmente ao tempo decorrido
+ */
+function refill(state, limits, now) {
+  if (!limits.requestsPerSecond) {
+    state.tokens = Infinity;
+    return;
+  }
+
+  if (state.tokens === null || state.tokens === Infinity) {
+    state.tokens = limits.capacity;
+  } else {
+    const elapsed = Math.max(0, now - state.refilledAt);
+    state.tokens = Math.min(limits.capacity, state.tokens + elapsed * limits.requestsPerSecond / 1000);
+  }
+  state.refilledAt = now;
+}
+
+/**
+ * Tempo em milissegundos até o provider aceitar uma nova requisição (pausa ou próximo token)
+ */
+function getWaitTime(state, limits, now) {
+  const pause = Math.max(0, state.pausedUntil - now);
+  const token = state.tokens >= 1 ? 0 : Math.ceil((1 - state.tokens) * 1000 / limits.requestsPerSecond);
+  return Math.max(pause, token);
+}
+
+/**
+ * Cria o erro de quando o provider respondeu 429 (ou está pausado por causa de um 429)
+ *
+ * @param {string} provider - Nome do provider
+ * @param {number} retryAfter - Tempo em milissegundos até o provider voltar a ser consultado
+ */
+function createRateLimitError(provider, retryAfter) {
+  return new ServiceError(
+    `Limite de requisições excedido em ${provider}`,
+    [{
+      message: `O provider pediu para aguardar ${retryAfter}ms antes de novas requisições`,
+      service: provider,
+      status: 429,
+      retryAfter
+    }]
+  );
+}
+
+/**
+ * Erro de uma requisição cancelada enquanto aguardava na fila
+ */
+function createQueueAbortError() {
+  const error = new Error('Requisição cancelada enquanto aguardava na fila');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Remove uma requisição da fila
+ */
+function removeFromQueue(item) {
+  const index = queue.indexOf(item);
+  if (index !== -1) {
+    queue.splice(index, 1);
+  }
+  if (item.signal) {
+    item.signal.removeEventListener('abort', item.onAbort);
+  }
+}
+
+/**
+ * Inicia uma requisição, ocupando as vagas de concorrência e um token do provider
+ */
+function start(item, state) {
+  activeRequests++;
+  state.active++;
+  state.tokens--;
+
+  Promise.resolve()
+    .then(item.task)
+    .then(item.resolve, item.reject)
+    .finally(() => {
+      activeRequests--;
+      state.active--;
+      drain();
+    });
+}
+
+/**
+ * Inicia as requisições da fila que cabem nos limites, por prioridade e ordem de chegada
+ * Requisições de providers pausados além do próprio prazo são rejeitadas com o erro de 429
+ */
+function drain() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  const now = Date.now();
+  let nextWake = Infinity;
+  queue.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+
+  for (let i = 0; i < queue.length && activeRequests < schedulerConfig.maxConcurrent;) {
+    const item = queue[i];
+    const state = getProviderState(item.provider);
+    const limits = getProviderLimits(item.provider);
+    refill(state, limits, now);
+
+    if (state.pausedUntil > item.deadline) {
+      removeFromQueue(item);
+      item.reject(createRateLimitError(item.provider, state.pausedUntil - now));
+      continue;
+    }
+
+    const wait = getWaitTime(state, limits, now);
+    if (state.active >= limits.maxConcurrent || wait > 0) {
+      if (wait > 0) {
+        nextWake = Math.min(nextWake, wait);
+      }
+      i++;
+      continue;
+    }
+
+    removeFromQueue(item);
+    start(item, state);
+  }
+
+  // Acorda quando a pausa terminar ou o próximo token estiver disponível
+  if (queue.length > 0 && nextWake !== Infinity) {
+    wakeTimer = setTimeout(drain, nextWake);
+    if (typeof wakeTimer.unref === 'function') {
+      wakeTimer.unref();
+    }
+  }
+}
+
+/**
+ * Agenda uma requisição a um provider
+ * A requisição aguarda na fila enquanto os limites de concorrência, a taxa ou a pausa após 429
+ * não permitem iniciá-la. Com o agendador desativado (padrão), é executada diretamente
+ *
+ * @param {string} provider - Nome do provider
+ * @param {Function} task - () => Promise com a requisição
+ * @param {Object} [options={}] - Opções da requisição
+ * @param {number} [options.priority=0] - Prioridade (maior é atendida primeiro)
+ * @param {AbortSignal} [options.signal] - Cancela a requisição enquanto aguarda na fila
+ * @param {number} [options.deadline=Infinity] - Momento (ms desde epoch) em que a requisição expira
+ * @returns {Promise} Resultado da requisição
+ */
+function scheduleRequest(provider, task, options = {}) {
+  if (!schedulerConfig.enabled) {
+    // Sem fila, um provider pausado após 429 falha imediatamente até o fim da pausa
+    const pause = getProviderState(provider).pausedUntil - Date.now();
+    return pause > 0
+      ? Promise.reject(createRateLimitError(provider, pause))
+      : Promise.resolve().then(task);
+  }
+
+  const { priority = 0, signal, deadline = Infinity } = options;
+  if (signal && signal.aborted) {
+    return Promise.reject(createQueueAbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const item = { provider, task, priority, sequence: sequence++, deadline, signal, resolve, reject };
+
+    if (signal) {
+      item.onAbort = () => {
+        removeFromQueue(item);
+        reject(createQueueAbortError());
+      };
+      signal.addEventListener('abort', item.onAbort, { once: true });
+    }
+
+    queue.push(item);
+    drain();
+  });
+}
+
+/**
+ * Converte o header Retry-After (segundos ou data HTTP) em milissegundos
+ * Sem header (ou com valor inválido) usa defaultRetryAfter; o resultado é limitado a maxRetryAfter
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  let delay = schedulerConfig.defaultRetryAfter;
+
+  if (value !== undefined && value !== null && String(value).trim() !== '') {
+    const seconds = Number(value);
+    const parsed = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - now;
+    if (Number.isFinite(parsed)) {
+      delay = parsed;
+    }
+  }
+
+  return Math.min(Math.max(0, Math.ceil(delay)), schedulerConfig.maxRetryAfter);
+}
+
+/**
+ * Pausa um provider após uma resposta 429
+ * Novas requisições ao provider aguardam na fila até o fim da pausa (ou falham se o prazo delas terminar antes)
+ *
+ * @param {string} provider - Nome do provider
+ * @param {string|number} [retryAfter] - Valor do header Retry-After
+ * @returns {number} Duração da pausa em milissegundos
+ */
+function pauseProvider(provider, retryAfter) {
+  const now = Date.now();
+  const delay = parseRetryAfter(retryAfter, now);
+  const state = getProviderState(provider);
+  state.pausedUntil = Math.max(state.pausedUntil, now + delay);
+  drain();
+  return delay;
+}
+
+/**
+ * Valida um limite que deve ser um inteiro positivo
+ */
+function validatePositiveInteger(name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new ValidationError(
+      `${name} deve ser um número inteiro maior que zero`,
+      [{
+        message: `O parâmetro ${name} deve ser um inteiro positivo`,
+        service: 'scheduler_config',
+        received: value
+      }]
+    );
+  }
+}
+
+/**
+ * Valida uma taxa ou duração que deve ser um número positivo (ou zero, se permitido)
+ */
+function validateNumber(name, value, { allowZero = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+    throw new ValidationError(
+      `${name} deve ser um número ${allowZero ? 'maior ou igual a zero' : 'positivo'}`,
+      [{
+        message: `O parâmetro ${name} deve ser um número ${allowZero ? 'não negativo' : 'maior que zero'}`,
+        service: 'scheduler_config',
+        received: value
+      }]
+    );
+  }
+}
+
+/**
+ * Valida os limites de um provider (ou os limites globais por provider)
+ */
+function validateProviderLimits({ maxConcurrent, requestsPerSecond, burst }) {
+  if (maxConcurrent !== undefined) {
+    validatePositiveInteger('maxConcurrent', maxConcurrent);
+  }
+  if (requestsPerSecond !== undefined && requestsPerSecond !== null) {
+    validateNumber('requestsPerSecond', requestsPerSecond);
+  }
+  if (burst !== undefined && burst !== null) {
+    validatePositiveInteger('burst', burst);
+  }
+}
+
+/**
+ * Configura o agendador de requisições de todos os providers
+ *
+ * @param {Object} [options={}] - Opções de configuração
+ * @param {number} [options.maxConcurrent] - Requisições simultâneas no total (padrão: 20)
+ * @param {number} [options.maxConcurrentPerProvider] - Requisições simultâneas por provider (padrão: 6)
+ * @param {number|null} [options.requestsPerSecond] - Taxa do token bucket por provider (padrão: null - sem limite)
+ * @param {number|null} [options.burst] - Capacidade do token bucket (padrão: requestsPerSecond)
+ * @param {number} [options.defaultRetryAfter] - Pausa após 429 sem Retry-After em milissegundos (padrão: 1000)
+ * @param {number} [options.maxRetryAfter] - Pausa máxima após 429 em milissegundos (padrão: 60000)
+ * @param {Object} [options.providers] - Limites por provider: { viacep: { maxConcurrent, requestsPerSecond, burst } }
+ * @param {boolean} [options.enabled] - Se o agendador está ativo (padrão: false)
+ * @returns {Object} Configuração efetiva
+ * @throws {ValidationError} Se alguma opção é inválida
+ */
+function configureScheduler(options = {}) {
+  const {
+    maxConcurrent,
+    maxConcurrentPerProvider,
+    requestsPerSecond,
+    burst,
+    defaultRetryAfter,
+    maxRetryAfter,
+    providers,
+    enabled
+  } = options;
+
+  if (maxConcurrent !== undefined) {
+    validatePositiveInteger('maxConcurrent', maxConcurrent);
+  }
+  if (maxConcurrentPerProvider !== undefined) {
+    validatePositiveInteger('maxConcurrentPerProvider', maxConcurrentPerProvider);
+  }
+  validateProviderLimits({ requestsPerSecond, burst });
+  if (defaultRetryAfter !== undefined) {
+    validateNumber('defaultRetryAfter', defaultRetryAfter, { allowZero: true });
+  }
+  if (maxRetryAfter !== undefined) {
+    validateNumber('maxRetryAfter', maxRetryAfter, { allowZero: true });
+  }
+  if (providers !== undefined) {
+    if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+      throw new ValidationError(
+        'providers deve ser um objeto com os limites de cada provider',
+        [{
+          message: 'Exemplo: { viacep: { requestsPerSecond: 5 } }',
+          service: 'scheduler_config',
+          received: typeof providers
+        }]
+      );
+    }
+    Object.values(providers).forEach(limits => validateProviderLimits(limits || {}));
+  }
+
+  const updates = { maxConcurrent, maxConcurrentPerProvider, requestsPerSecond, burst, defaultRetryAfter, maxRetryAfter };
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value !== undefined) {
+      schedulerConfig[key] = value;
+    }
+  });
+  if (providers !== undefined) {
+    schedulerConfig.providers = Object.fromEntries(Object.entries(providers)
+      .map(([name, limits]) => [String(name).trim().toLowerCase(), { ...limits }]));
+  }
+  if (enabled !== undefined) {
+    schedulerConfig.enabled = Boolean(enabled);
+  }
+
+  // Novos limites podem liberar requisições da fila
+  drain();
+
+  return { ...schedulerConfig, providers: { ...schedulerConfig.providers } };
+}
+
+/**
+ * Retorna o estado do agendador: requisições ativas e na fila, no total e por provider
+ *
+ * @returns {Object} { active, queued, providers: { [nome]: { active, queued, tokens, pausedUntil } } }
+ */
+function getSchedulerState() {
+  const now = Date.now();
+  const providers = {};
+
+  providerStates.forEach((state, provider) => {
+    const limits = getProviderLimits(provider);
+    refill(state, limits, now);
+    providers[provider] = {
+      active: state.active,
+      queued: queue.filter(item => item.provider === provider).length,
+      tokens: state.tokens === Infinity ? null : Math.floor(state.tokens),
+      pausedUntil: state.pausedUntil > now ? state.pausedUntil : null
+    };
+  });
+
+  return { active: activeRequests, queued: queue.length, providers };
+}
+
+/**
+ * Remove a pausa e restaura os tokens de um provider, ou de todos os providers
+ *
+ * @param {string} [provider] - Nome do provider
+ */
+function resetScheduler(provider) {
+  const states = provider !== undefined
+    ? [providerStates.get(String(provider).trim().toLowerCase())].filter(Boolean)
+    : [...providerStates.values()];
+
+  states.forEach(state => {
+    state.tokens = null;
+    state.pausedUntil = 0;
+  });
+  drain();
+}
+
+/**
+ * Restaura a configuração padrão e remove pausas e tokens consumidos
+ */
+function resetSchedulerConfig() {
+  Object.assign(schedulerConfig, DEFAULT_SCHEDULER_OPTIONS, { providers: {} });
+  resetScheduler();
+}
+
+module.exports = {
+  scheduleRequest,
+  pauseProvider,
+  parseRetryAfter,
+  createRateLimitError,
+  configureScheduler,
+  getSchedulerState,
+  resetScheduler,
+  resetSchedulerConfig,
+  DEFAULT_SCHEDULER_OPTIONS
+};
@@ -0,0 +1,216 @@
+const {
+  scheduleRequest,
+  pauseProvider,
+  parseRetryAfter,
+  configureScheduler,
+  getSchedulerState,
+  resetScheduler,
+  resetSchedulerConfig
+} = require('./scheduler');
+const { ValidationError, ServiceError } = require('../errors/CepError');
+
+describe('scheduler', () => {
+  // Requisição que só termina quando o teste chama finish
+  const createTask = (value) => {
+    const task = { started: false };
+    task.run = jest.fn(() => new Promise(resolve => {
+      task.started = true;
+      task.finish = () => resolve(value);
+    }));
+    return task;
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    configureScheduler({ enabled: true });
+  });
+
+  afterEach(() => {
+    resetSchedulerConfig();
+  });
+
+  test('deve limitar as requisições simultâneas no total e por provider', async () => {
+    configureScheduler({ maxConcurrent: 3, maxConcurrentPerProvider: 2 });
+    const tasks = [createTask('a1'), createTask('a2'), createTask('a3'), createTask('b1'), createTask('b2')];
+
+    const results = [
+      scheduleRequest('a', tasks[0].run),
+      scheduleRequest('a', tasks[1].run),
+      scheduleRequest('a', tasks[2].run),
+      scheduleRequest('b', tasks[3].run),
+      scheduleRequest('b', tasks[4].run)
+    ];
+    await flush();
+
+    expect(tasks.map(task => task.started)).toEqual([true, true, false, true, false]);
+    expect(getSchedulerState()).toMatchObject({
+      active: 3,
+      queued: 2,
+      providers: { a: { active: 2, queued: 1 }, b: { active: 1, queued: 1 } }
+    });
+
+    tasks[0].finish();
+    await flush();
+    expect(tasks[2].started).toBe(true);
+    expect(tasks[4].started).toBe(false);
+
+    tasks[3].finish();
+    await flush();
+    expect(tasks[4].started).toBe(true);
+
+    tasks.forEach(task => task.finish());
+    await expect(Promise.all(results)).resolves.toEqual(['a1', 'a2', 'a3', 'b1', 'b2']);
+    expect(getSchedulerState()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  test('deve atender primeiro as requisições de maior prioridade', async () => {
+    configureScheduler({ maxConcurrent: 1 });
+    const order = [];
+    const blocker = createTask();
+
+    const first = scheduleRequest('a', blocker.run);
+    const others = [
+      scheduleRequest('a', () => order.push('baixa'), { priority: -1 }),
+      scheduleRequest('a', () => order.push('normal')),
+      scheduleRequest('b', () => order.push('alta'), { priority: 10 }),
+      scheduleRequest('a', () => order.push('normal 2'))
+    ];
+    await flush();
+
+    blocker.finish();
+    await Promise.all([first, ...others]);
+
+    expect(order).toEqual(['alta', 'normal', 'normal 2', 'baixa']);
+  });
+
+  test('deve aplicar o token bucket por provider', async () => {
+    jest.useFakeTimers();
+    try {
+      configureScheduler({ requestsPerSecond: 2, burst: 2, providers: { livre: { requestsPerSecond: null } } });
+      const started = [];
+
+      const results = [1, 2, 3].map(n => scheduleRequest('a', () => started.push(n)));
+      const free = [1, 2, 3].map(n => scheduleRequest('livre', () => n));
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(started).toEqual([1, 2]);
+      await expect(Promise.all(free)).resolves.toEqual([1, 2, 3]);
+
+      // Um token a cada 500ms
+      await jest.advanceTimersByTimeAsync(499);
+      expect(started).toEqual([1, 2]);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(started).toEqual([1, 2, 3]);
+
+      await Promise.all(results);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('deve rejeitar com AbortError a requisição cancelada na fila', async () => {
+    configureScheduler({ maxConcurrentPerProvider: 1 });
+    const blocker = createTask('ok');
+    const controller = new AbortController();
+    const queued = jest.fn();
+
+    const first = scheduleRequest('a', blocker.run);
+    const cancelled = scheduleRequest('a', queued, { signal: controller.signal });
+    await flush();
+
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    expect(getSchedulerState().queued).toBe(0);
+
+    blocker.finish();
+    await expect(first).resolves.toBe('ok');
+    expect(queued).not.toHaveBeenCalled();
+
+    await expect(scheduleRequest('a', queued, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('deve pausar o provider após um 429 até o fim do Retry-After', async () => {
+    jest.useFakeTimers();
+    try {
+      expect(pauseProvider('a', '2')).toBe(2000);
+      const task = jest.fn(() => 'ok');
+
+      const result = scheduleRequest('a', task);
+      const other = scheduleRequest('b', () => 'b');
+      await expect(other).resolves.toBe('b');
+      expect(getSchedulerState().providers.a).toMatchObject({ queued: 1, pausedUntil: Date.now() + 2000 });
+
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(task).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(result).resolves.toBe('ok');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('deve rejeitar com o erro de 429 quando a pausa termina depois do prazo', async () => {
+    pauseProvider('a', '5');
+
+    const error = await scheduleRequest('a', () => 'ok', { deadline: Date.now() + 1000 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors[0]).toMatchObject({ service: 'a', status: 429 });
+
+    resetScheduler('a');
+    await expect(scheduleRequest('a', () => 'ok', { deadline: Date.now() + 1000 })).resolves.toBe('ok');
+  });
+
+  test('parseRetryAfter deve aceitar segundos ou data HTTP', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(null, now)).toBe(1000);
+    expect(parseRetryAfter('inválido', now)).toBe(1000);
+    expect(parseRetryAfter('-5', now)).toBe(0);
+    expect(parseRetryAfter('3600', now)).toBe(60000);
+  });
+
+  test('deve executar diretamente quando desativado', async () => {
+    configureScheduler({ enabled: false, maxConcurrent: 1 });
+    const blocker = createTask();
+
+    scheduleRequest('a', blocker.run);
+    await expect(scheduleRequest('a', () => 'ok')).resolves.toBe('ok');
+    blocker.finish();
+  });
+
+  test('deve ficar desativado por padrão, falhando sem fila enquanto o provider está pausado', async () => {
+    resetSchedulerConfig();
+    expect(configureScheduler().enabled).toBe(false);
+
+    pauseProvider('a', '5');
+    const task = jest.fn(() => 'ok');
+    const error = await scheduleRequest('a', task).catch(e => e);
+
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors[0]).toMatchObject({ service: 'a', status: 429 });
+    expect(task).not.toHaveBeenCalled();
+    await expect(scheduleRequest('b', () => 'b')).resolves.toBe('b');
+
+    resetScheduler('a');
+    await expect(scheduleRequest('a', task)).resolves.toBe('ok');
+  });
+
+  test('deve validar a configuração', () => {
+    expect(() => configureScheduler({ maxConcurrent: 0 })).toThrow(ValidationError);
+    expect(() => configureScheduler({ maxConcurrentPerProvider: 1.5 })).toThrow(ValidationError);
+    expect(() => configureScheduler({ requestsPerSecond: -1 })).toThrow(ValidationError);
+    expect(() => configureScheduler({ burst: 0 })).toThrow(ValidationError);
+    expect(() => configureScheduler({ defaultRetryAfter: 'x' })).toThrow(ValidationError);
+    expect(() => configureScheduler({ providers: [] })).toThrow(ValidationError);
+    expect(() => configureScheduler({ providers: { viacep: { maxConcurrent: 0 } } })).toThrow(ValidationError);
+
+    expect(configureScheduler({ providers: { ViaCEP: { requestsPerSecond: 5 } } }).providers)
+      .toEqual({ viacep: { requestsPerSecond: 5 } });
+  });
+});
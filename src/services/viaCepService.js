@@ -37,7 +37,8 @@ class ViaCepService extends BaseCepService {
           'CEP não encontrado na base do ViaCEP',
           [{
             message: 'CEP não encontrado',
-            service: this.name
+            service: this.name,
+            status: 404
           }]
         );
       }
@@ -76,6 +77,68 @@ class ViaCepService extends BaseCepService {
     }
   }
 
+  /**
+   * Busca CEPs a partir de UF, cidade e logradouro (busca reversa)
+   * Retorna uma lista de resultados normalizados (vazia se nada for encontrado)
+   */
+  async searchByAddress(state, city, street) {
+    try {
+      const path = [state, city, street].map(encodeURIComponent).join('/');
+      const url = `${this.baseUrl}/${path}/json/`;
+      const response = await this.fetch(url, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cep-parallel-search'
+        },
+        timeout: this.defaultTimeout
+      });
+
+      if (!response.ok) {
+        throw new ServiceError(
+          `Erro HTTP ${response.status} ao consultar endereço no ViaCEP`,
+          [{
+            message: `Status ${response.status}`,
+            service: this.name,
+            status: response.status
+          }]
+        );
+      }
+
+      const data = await response.json();
+
+      if (!Array.isArray(data)) {
+        throw new ServiceError(
+          'Resposta inválida do ViaCEP',
+          [{
+            message: 'A busca por endereço deveria retornar uma lista',
+            service: this.name
+          }]
+        );
+      }
+
+      return data
+        .filter(item => item && item.cep)
+        .map(item => this.normalizeResponse({
+          ...item,
+          cep: item.cep.replace(/-/g, '')
+        }));
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        throw error;
+      }
+
+      throw new ServiceError(
+        `Erro ao consultar endereço no ViaCEP: ${error.message}`,
+        [{
+          message: error.message,
+          service: this.name,
+          originalError: error.message
+        }]
+      );
+    }
+  }
+
   /**
    * Normaliza a resposta do ViaCEP incluindo todos os campos disponíveis
    */
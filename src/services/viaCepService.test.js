@@ -0,0 +1,104 @@
+const fetch = require('node-fetch');
+const ViaCepService = require('./viaCepService');
+const { ServiceError } = require('../errors/CepError');
+const { getSchedulerState, resetSchedulerConfig } = require('./scheduler');
+
+jest.mock('node-fetch', () => jest.fn());
+
+const mockResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: jest.fn().mockResolvedValue(body)
+});
+
+describe('ViaCepService', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  afterEach(() => {
+    resetSchedulerConfig();
+  });
+
+  describe('search', () => {
+    test('deve normalizar a resposta do ViaCEP', async () => {
+      fetch.mockResolvedValue(mockResponse({
+        cep: '01310-100',
+        logradouro: 'Avenida Paulista',
+        bairro: 'Bela Vista',
+        localidade: 'São Paulo',
+        uf: 'SP',
+        ibge: '3550308',
+        ddd: '11'
+      }));
+
+      const result = await new ViaCepService().search('01310100');
+
+      expect(fetch.mock.calls[0][0]).toBe('https://viacep.com.br/ws/01310100/json/');
+      expect(result).toMatchObject({
+        cep: '01310100',
+        state: 'SP',
+        city: 'São Paulo',
+        street: 'Avenida Paulista',
+        neighborhood: 'Bela Vista',
+        service: 'viacep',
+        ibge: '3550308',
+        ddd: '11'
+      });
+    });
+
+    test('deve lançar ServiceError quando o CEP não existe', async () => {
+      fetch.mockResolvedValue(mockResponse({ erro: true }));
+
+      await expect(new ViaCepService().search('99999999')).rejects.toThrow(ServiceError);
+    });
+
+    test('deve pausar o provider quando a resposta é 429', async () => {
+      fetch.mockResolvedValue({ ...mockResponse({}, 429), headers: { get: () => '2' } });
+
+      const error = await new ViaCepService().search('01310100').catch(e => e);
+
+      expect(error).toBeInstanceOf(ServiceError);
+      expect(error.errors[0]).toMatchObject({ service: 'viacep', status: 429, retryAfter: 2000 });
+      expect(getSchedulerState().providers.viacep.pausedUntil).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('searchByAddress', () => {
+    test('deve montar a URL codificada e normalizar cada resultado', async () => {
+      fetch.mockResolvedValue(mockResponse([
+        { cep: '01310-100', logradouro: 'Avenida Paulista', bairro: 'Bela Vista', localidade: 'São Paulo', uf: 'SP' },
+        { cep: '01310-200', logradouro: 'Avenida Paulista', bairro: 'Bela Vista', localidade: 'São Paulo', uf: 'SP' }
+      ]));
+
+      const results = await new ViaCepService().searchByAddress('SP', 'São Paulo', 'Avenida Paulista');
+
+      expect(fetch.mock.calls[0][0])
+        .toBe('https://viacep.com.br/ws/SP/S%C3%A3o%20Paulo/Avenida%20Paulista/json/');
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({ cep: '01310100', city: 'São Paulo', service: 'viacep' });
+      expect(results[1].cep).toBe('01310200');
+    });
+
+    test('deve retornar lista vazia quando nada é encontrado', async () => {
+      fetch.mockResolvedValue(mockResponse([]));
+
+      await expect(new ViaCepService().searchByAddress('SP', 'São Paulo', 'Rua Inexistente'))
+        .resolves.toEqual([]);
+    });
+
+    test('deve lançar ServiceError em erro HTTP', async () => {
+      fetch.mockResolvedValue(mockResponse({}, 400));
+
+      await expect(new ViaCepService().searchByAddress('SP', 'São Paulo', 'Paulista'))
+        .rejects.toThrow(ServiceError);
+    });
+
+    test('deve lançar ServiceError se a resposta não for uma lista', async () => {
+      fetch.mockResolvedValue(mockResponse({ erro: true }));
+
+      await expect(new ViaCepService().searchByAddress('SP', 'São Paulo', 'Paulista'))
+        .rejects.toThrow(ServiceError);
+    });
+  });
+});
@@ -7,6 +7,20 @@ class WideNetService extends BaseCepService {
     this.baseUrl = 'https://cdn.apicep.com/file/apicep';
   }
 
+  /**
+   * Cria o erro de CEP não encontrado no formato padrão
+   */
+  createNotFoundError(message) {
+    return new ServiceError(
+      'CEP não encontrado na base do WideNet',
+      [{
+        message: message || 'CEP não encontrado',
+        service: this.name,
+        status: 404
+      }]
+    );
+  }
+
   async search(cep) {
     try {
       // Formata CEP com hífen: 12345678 -> 12345-678
@@ -23,56 +37,101 @@ class WideNetService extends BaseCepService {
       });
 
       if (!response.ok) {
+        // O CDN responde 404 quando o arquivo do CEP não existe
+        // Um 403 (bloqueio ou falha de permissão no bucket) é falha do serviço, não "CEP não encontrado"
         if (response.status === 404) {
+          throw this.createNotFoundError();
+        }
+
+        throw new ServiceError(
+          `Erro HTTP ${response.status} ao consultar WideNet`,
+          [{
+            message: `Status ${response.status}`,
+            service: this.name,
+            status: response.status
+          }]
+        );
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw new ServiceError(
+          'Resposta inválida do WideNet',
+          [{
+            message: 'A resposta não é um JSON válido',
+            service: this.name,
+            originalError: error.message
+          }]
+        );
+      }
+
+      if (!data || typeof data !== 'object') {
+        throw new ServiceError(
+          'Resposta inválida do WideNet',
+          [{
+            message: 'Dados de CEP não encontrados na resposta',
+            service: this.name
+          }]
+        );
+      }
+
+      // A API informa o status no corpo, mesmo quando o HTTP é 200
+      const bodyStatus = Number(data.status) || 200;
+      if (data.ok === false || bodyStatus !== 200) {
+        if (bodyStatus === 404 || data.statusText === 'not_found') {
+          throw this.createNotFoundError(data.message);
+        }
+
+        if (bodyStatus === 400 || data.statusText === 'bad_request') {
           throw new ServiceError(
-            'CEP não encontrado na base do WideNet',
+            'CEP inválido para o WideNet',
             [{
-              message: 'CEP não encontrado',
+              message: data.message || 'CEP informado é inválido',
               service: this.name,
-              status: response.status
+              status: 400
             }]
           );
         }
 
         throw new ServiceError(
-          `Erro HTTP ${response.status} ao consultar WideNet`,
+          `Erro ${bodyStatus} ao consultar WideNet`,
           [{
-            message: `Status ${response.status}`,
+            message: data.message || `Status ${bodyStatus}`,
             service: this.name,
-            status: response.status
+            status: bodyStatus
           }]
         );
       }
 
-      const data = await response.json();
+      // O código pode vir com ou sem hífen (ex: 01310-100 ou 01310100)
+      const code = String(data.code || '').replace(/\D/g, '');
 
-      if (data.ok === false || data.status !== 200) {
+      if (!code) {
         throw new ServiceError(
-          'CEP não encontrado na base do WideNet',
+          'Resposta inválida do WideNet',
           [{
-            message: data.message || 'CEP não encontrado',
+            message: 'Dados de CEP não encontrados na resposta',
             service: this.name
           }]
         );
       }
 
-      if (!data || !data.code) {
+      if (code !== cep) {
         throw new ServiceError(
           'Resposta inválida do WideNet',
           [{
-            message: 'Dados de CEP não encontrados na resposta',
+            message: `CEP retornado (${code}) é diferente do consultado (${cep})`,
             service: this.name
           }]
         );
       }
 
-      // Remove hífen do CEP se presente
-      const normalizedData = {
+      return this.normalizeResponse({
         ...data,
-        cep: data.code.replace(/-/g, '')
-      };
-
-      return this.normalizeResponse(normalizedData);
+        cep: code
+      });
     } catch (error) {
       if (error instanceof ServiceError) {
         throw error;
@@ -88,8 +147,21 @@ class WideNetService extends BaseCepService {
       );
     }
   }
+
+  /**
+   * Normaliza a resposta do WideNet
+   * CEPs gerais de cidades pequenas não têm logradouro nem bairro
+   */
+  normalizeResponse(data) {
+    return {
+      cep: data.cep,
+      state: data.state || '',
+      city: data.city || '',
+      street: data.address || '',
+      neighborhood: data.district || '',
+      service: this.name
+    };
+  }
 }
 
 module.exports = WideNetService;
-
-
@@ -0,0 +1,130 @@
+const fetch = require('node-fetch');
+const WideNetService = require('./wideNetService');
+const { ServiceError } = require('../errors/CepError');
+
+jest.mock('node-fetch', () => jest.fn());
+
+const mockResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: typeof body === 'function' ? jest.fn(body) : jest.fn().mockResolvedValue(body)
+});
+
+const searchError = (cep = '01310100') =>
+  new WideNetService().search(cep).catch(error => error);
+
+describe('WideNetService', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('deve consultar o CEP com hífen e normalizar a resposta', async () => {
+    fetch.mockResolvedValue(mockResponse({
+      status: 200,
+      ok: true,
+      code: '01310-100',
+      state: 'SP',
+      city: 'São Paulo',
+      district: 'Bela Vista',
+      address: 'Avenida Paulista',
+      statusText: 'ok'
+    }));
+
+    const result = await new WideNetService().search('01310100');
+
+    expect(fetch.mock.calls[0][0]).toBe('https://cdn.apicep.com/file/apicep/01310-100.json');
+    expect(result).toEqual({
+      cep: '01310100',
+      state: 'SP',
+      city: 'São Paulo',
+      street: 'Avenida Paulista',
+      neighborhood: 'Bela Vista',
+      service: 'widenet'
+    });
+  });
+
+  test('deve aceitar código sem hífen e CEP geral sem logradouro', async () => {
+    fetch.mockResolvedValue(mockResponse({
+      code: '78175000',
+      state: 'MT',
+      city: 'Poconé'
+    }));
+
+    const result = await new WideNetService().search('78175000');
+
+    expect(result).toMatchObject({ cep: '78175000', city: 'Poconé', street: '', neighborhood: '' });
+  });
+
+  test('deve mapear 404 HTTP para CEP não encontrado', async () => {
+    fetch.mockResolvedValue(mockResponse({}, 404));
+
+    const error = await searchError();
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors[0]).toMatchObject({ service: 'widenet', status: 404 });
+  });
+
+  test('deve tratar 403 HTTP como falha do serviço, e não como CEP não encontrado', async () => {
+    fetch.mockResolvedValue(mockResponse({}, 403));
+
+    const error = await searchError();
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.message).toBe('Erro HTTP 403 ao consultar WideNet');
+    expect(error.errors[0]).toMatchObject({ service: 'widenet', status: 403 });
+  });
+
+  test('deve mapear status 404 no corpo para CEP não encontrado', async () => {
+    fetch.mockResolvedValue(mockResponse({
+      status: 404,
+      ok: false,
+      message: 'CEP não encontrado',
+      statusText: 'not_found'
+    }));
+
+    const error = await searchError();
+    expect(error.message).toBe('CEP não encontrado na base do WideNet');
+    expect(error.errors[0].status).toBe(404);
+  });
+
+  test('deve mapear status 400 no corpo para CEP inválido', async () => {
+    fetch.mockResolvedValue(mockResponse({
+      status: 400,
+      ok: false,
+      message: 'CEP informado é inválido',
+      statusText: 'bad_request'
+    }));
+
+    const error = await searchError();
+    expect(error.errors[0]).toMatchObject({ status: 400, message: 'CEP informado é inválido' });
+  });
+
+  test('deve mapear outros erros HTTP', async () => {
+    fetch.mockResolvedValue(mockResponse({}, 500));
+
+    const error = await searchError();
+    expect(error.message).toBe('Erro HTTP 500 ao consultar WideNet');
+    expect(error.errors[0].status).toBe(500);
+  });
+
+  test('deve rejeitar resposta que não é JSON', async () => {
+    fetch.mockResolvedValue(mockResponse(() => Promise.reject(new SyntaxError('Unexpected token <'))));
+
+    const error = await searchError();
+    expect(error.message).toBe('Resposta inválida do WideNet');
+  });
+
+  test('deve rejeitar resposta sem código ou com código diferente do consultado', async () => {
+    fetch.mockResolvedValue(mockResponse({ status: 200, ok: true }));
+    expect((await searchError()).message).toBe('Resposta inválida do WideNet');
+
+    fetch.mockResolvedValue(mockResponse({ status: 200, ok: true, code: '20040-020' }));
+    expect((await searchError()).message).toBe('Resposta inválida do WideNet');
+  });
+
+  test('deve mapear erros de conexão', async () => {
+    fetch.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const error = await searchError();
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.errors[0]).toMatchObject({ service: 'widenet', code: 'ECONNREFUSED' });
+  });
+});
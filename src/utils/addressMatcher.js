@@ -0,0 +1,269 @@
+const { ValidationError } = require('../errors/CepError');
+const { normalizeText, getEditDistance, getSimilarity } = require('./textUtils');
+const { CEP_RANGES } = require('./cepRanges');
+
+/**
+ * Campos do endereço comparados por verifyAddress
+ */
+const ADDRESS_FIELDS = ['state', 'city', 'neighborhood', 'street'];
+
+/**
+ * Similaridade mínima padrão para um campo ser considerado igual
+ */
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Abreviações comuns em endereços e a palavra por extenso (já normalizadas)
+ */
+const ADDRESS_ABBREVIATIONS = {
+  av: 'avenida',
+  avda: 'avenida',
+  r: 'rua',
+  al: 'alameda',
+  tv: 'travessa',
+  trav: 'travessa',
+  pc: 'praca',
+  pca: 'praca',
+  rod: 'rodovia',
+  estr: 'estrada',
+  lgo: 'largo',
+  jd: 'jardim',
+  jard: 'jardim',
+  vl: 'vila',
+  pq: 'parque',
+  res: 'residencial',
+  cj: 'conjunto',
+  conj: 'conjunto',
+  st: 'setor',
+  qd: 'quadra',
+  dr: 'doutor',
+  dra: 'doutora',
+  prof: 'professor',
+  profa: 'professora',
+  eng: 'engenheiro',
+  pres: 'presidente',
+  gov: 'governador',
+  gen: 'general',
+  mal: 'marechal',
+  cel: 'coronel',
+  cap: 'capitao',
+  ten: 'tenente',
+  sen: 'senador',
+  dep: 'deputado',
+  pe: 'padre',
+  sta: 'santa',
+  sto: 'santo',
+  sra: 'senhora'
+};
+
+/**
+ * Tipos de logradouro reconhecidos no início do logradouro
+ * Ignorados quando apenas um dos lados informa o tipo ("Paulista" x "Avenida Paulista")
+ */
+const STREET_TYPES = ['rua', 'avenida', 'alameda', 'travessa', 'praca', 'rodovia', 'estrada', 'largo'];
+
+/**
+ * UF de cada nome de estado normalizado ('sao paulo' => 'SP')
+ */
+const STATE_NAMES = new Map(CEP_RANGES.map(({ uf, state }) => [normalizeText(state), uf]));
+
+/**
+ * Normaliza um texto de endereço para comparação
+ * Remove acentos e pontuação, converte para minúsculas e expande abreviações
+ *
+ * @example
+ * normalizeAddressText('Av. Pres. Vargas'); // 'avenida presidente vargas'
+ */
+function normalizeAddressText(value) {
+  return normalizeText(value)
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Separa o tipo de logradouro (rua, avenida...) do nome no texto normalizado
+ *
+ * @returns {{ type: string|null, name: string }}
+ */
+function splitStreetType(text) {
+  const [first, ...rest] = text.split(' ');
+  return STREET_TYPES.includes(first) && rest.length > 0
+    ? { type: first, name: rest.join(' ') }
+    : { type: null, name: text };
+}
+
+/**
+ * Verifica se duas palavras diferem apenas na terminação de gênero (augusta x augusto, santos x santas)
+ */
+function isGenderVariant(a, b) {
+  const [, stemA, endingA] = a.match(/^(.+?)(as|os|a|o)$/) || [];
+  const [, stemB, endingB] = b.match(/^(.+?)(as|os|a|o)$/) || [];
+
+  return Boolean(stemA) && stemA === stemB && endingA !== endingB && endingA.length === endingB.length;
+}
+
+/**
+ * Similaridade entre dois nomes de logradouro
+ * Palavras que diferem apenas no gênero são nomes diferentes, e não erros de digitação:
+ * contam como totalmente divergentes ("augusta" x "augusto" = 0)
+ */
+function getNameSimilarity(a, b) {
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+
+  if (wordsA.length !== wordsB.length || !wordsA.some((word, index) => isGenderVariant(word, wordsB[index]))) {
+    return getSimilarity(a, b);
+  }
+
+  const distance = wordsA.reduce((sum, word, index) => sum + (isGenderVariant(word, wordsB[index])
+    ? Math.max(word.length, wordsB[index].length)
+    : getEditDistance(word, wordsB[index])), 0);
+
+  return Math.max(0, 1 - distance / Math.max(a.length, b.length));
+}
+
+/**
+ * Similaridade entre dois logradouros normalizados
+ * O nome é comparado sem o tipo; se os dois lados informam tipos diferentes (rua x avenida),
+ * a similaridade é limitada à dos textos completos
+ */
+function getStreetScore(a, b) {
+  const streetA = splitStreetType(a);
+  const streetB = splitStreetType(b);
+  const score = getNameSimilarity(streetA.name, streetB.name);
+
+  return streetA.type && streetB.type && streetA.type !== streetB.type
+    ? Math.min(score, getSimilarity(a, b))
+    : score;
+}
+
+/**
+ * Converte o estado informado (UF ou nome) em UF
+ */
+function toStateCode(value) {
+  const text = normalizeText(value);
+  return STATE_NAMES.get(text) || text.toUpperCase();
+}
+
+/**
+ * Similaridade entre o valor informado e o valor encontrado de um campo, de 0 a 1
+ * O estado é comparado pela UF (aceita a sigla ou o nome); os demais campos por similaridade de texto
+ */
+function getFieldScore(field, input, found) {
+  if (field === 'state') {
+    return toStateCode(input) === toStateCode(found) ? 1 : 0;
+  }
+
+  const a = normalizeAddressText(input);
+  const b = normalizeAddressText(found);
+  if (!a || !b) {
+    return a === b ? 1 : 0;
+  }
+
+  return field === 'street' ? getStreetScore(a, b) : getSimilarity(a, b);
+}
+
+/**
+ * Arredonda a pontuação para duas casas decimais
+ */
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Valida o endereço e as opções de verifyAddress
+ * Retorna os campos informados (ao menos um de state, city, neighborhood e street)
+ */
+function validateVerification(address, threshold) {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    throw new ValidationError(
+      'Endereço deve ser um objeto com state, city, neighborhood e/ou street.',
+      [{
+        message: 'O parâmetro de endereço deve ser um objeto.',
+        service: 'address_verification',
+        received: Array.isArray(address) ? 'array' : typeof address
+      }]
+    );
+  }
+
+  const fields = ADDRESS_FIELDS.filter(field => address[field] !== undefined && address[field] !== null);
+
+  fields.forEach(field => {
+    if (typeof address[field] !== 'string') {
+      throw new ValidationError(
+        `O campo ${field} deve ser uma string.`,
+        [{
+          message: `O campo ${field} do endereço deve ser uma string.`,
+          service: 'address_verification',
+          field,
+          received: typeof address[field]
+        }]
+      );
+    }
+  });
+
+  if (fields.length === 0) {
+    throw new ValidationError(
+      'Informe ao menos um campo do endereço para verificar.',
+      [{
+        message: `Campos aceitos: ${ADDRESS_FIELDS.join(', ')}.`,
+        service: 'address_verification'
+      }]
+    );
+  }
+
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new ValidationError(
+      'threshold deve ser um número entre 0 e 1.',
+      [{
+        message: 'O parâmetro threshold é a similaridade mínima para um campo ser considerado igual.',
+        service: 'address_verification',
+        received: threshold
+      }]
+    );
+  }
+
+  return fields;
+}
+
+/**
+ * Compara um endereço informado com o resultado da busca do CEP
+ *
+ * @param {Object} address - Endereço informado ({ state, city, neighborhood, street }, ao menos um campo)
+ * @param {Object} result - Resultado da busca do CEP
+ * @param {Object} [options={}] - Opções de comparação
+ * @param {number} [options.threshold=0.8] - Similaridade mínima para um campo ser considerado igual
+ * @returns {Object} { match, score, fields: { [campo]: { input, found, score, match } } }
+ * @throws {ValidationError} Se o endereço ou o threshold são inválidos
+ */
+function matchAddress(address, result, { threshold = DEFAULT_MATCH_THRESHOLD } = {}) {
+  const fields = validateVerification(address, threshold);
+  const comparisons = {};
+
+  fields.forEach(field => {
+    const found = result[field] || '';
+    const score = roundScore(getFieldScore(field, address[field], found));
+    comparisons[field] = { input: address[field], found, score, match: score >= threshold };
+  });
+
+  const scores = fields.map(field => comparisons[field].score);
+
+  return {
+    match: fields.every(field => comparisons[field].match),
+    score: roundScore(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    fields: comparisons
+  };
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  ADDRESS_ABBREVIATIONS,
+  DEFAULT_MATCH_THRESHOLD,
+  normalizeAddressText,
+  validateVerification,
+  matchAddress
+};
@@ -0,0 +1,89 @@
+const { normalizeAddressText, matchAddress } = require('./addressMatcher');
+const { ValidationError } = require('../errors/CepError');
+
+const result = {
+  cep: '01310100',
+  state: 'SP',
+  city: 'São Paulo',
+  street: 'Avenida Paulista',
+  neighborhood: 'Bela Vista',
+  service: 'viacep'
+};
+
+describe('addressMatcher', () => {
+  describe('normalizeAddressText', () => {
+    test('deve remover acentos e pontuação e expandir abreviações', () => {
+      expect(normalizeAddressText('Av. Pres. Vargas')).toBe('avenida presidente vargas');
+      expect(normalizeAddressText('R. Dr. João-Pessoa, 12')).toBe('rua doutor joao pessoa 12');
+      expect(normalizeAddressText('Jd. Sta. Cecília')).toBe('jardim santa cecilia');
+    });
+  });
+
+  describe('matchAddress', () => {
+    test('deve ignorar acentos, maiúsculas e abreviações', () => {
+      const verification = matchAddress({ state: 'sp', city: 'SAO PAULO', street: 'Av. Paulista' }, result);
+
+      expect(verification).toEqual({
+        match: true,
+        score: 1,
+        fields: {
+          state: { input: 'sp', found: 'SP', score: 1, match: true },
+          city: { input: 'SAO PAULO', found: 'São Paulo', score: 1, match: true },
+          street: { input: 'Av. Paulista', found: 'Avenida Paulista', score: 1, match: true }
+        }
+      });
+    });
+
+    test('deve tolerar erros de digitação', () => {
+      const verification = matchAddress({ street: 'Av. Paulsta', neighborhood: 'Bela Vsta' }, result);
+
+      expect(verification.match).toBe(true);
+      expect(verification.fields.street.score).toBe(0.88);
+      expect(verification.fields.neighborhood.score).toBe(0.9);
+    });
+
+    test('deve aceitar o nome do estado e o logradouro sem o tipo', () => {
+      const verification = matchAddress({ state: 'São Paulo', street: 'Paulista' }, result);
+
+      expect(verification).toMatchObject({ match: true, score: 1 });
+    });
+
+    test('não deve considerar iguais logradouros com nomes ou tipos diferentes', () => {
+      const score = (input, found) => matchAddress({ street: input }, { ...result, street: found }).fields.street;
+
+      expect(score('Rua A', 'Rua B')).toMatchObject({ score: 0, match: false });
+      expect(score('Rua Augusta', 'Rua Augusto')).toMatchObject({ score: 0, match: false });
+      expect(score('R. Santos Dumont', 'Rua Santas Dumont').match).toBe(false);
+      expect(score('Rua Paulista', 'Avenida Paulista').match).toBe(false);
+      expect(score('Augusta', 'Rua Augusta')).toMatchObject({ score: 1, match: true });
+    });
+
+    test('deve apontar os campos divergentes', () => {
+      const verification = matchAddress({ state: 'RJ', city: 'Campinas', street: 'Avenida Paulista' }, result);
+
+      expect(verification.match).toBe(false);
+      expect(verification.fields.state).toMatchObject({ score: 0, match: false });
+      expect(verification.fields.city.match).toBe(false);
+      expect(verification.fields.street.match).toBe(true);
+      expect(verification.score).toBeLessThan(0.8);
+    });
+
+    test('deve respeitar o threshold', () => {
+      expect(matchAddress({ street: 'Av. Paulsta' }, result, { threshold: 0.95 }).match).toBe(false);
+      expect(matchAddress({ city: 'Sampa' }, result, { threshold: 0 }).match).toBe(true);
+    });
+
+    test('deve comparar campos ausentes no resultado como vazios', () => {
+      const verification = matchAddress({ street: 'Rua Nova' }, { ...result, street: '' });
+
+      expect(verification.fields.street).toEqual({ input: 'Rua Nova', found: '', score: 0, match: false });
+    });
+
+    test('deve validar o endereço e o threshold', () => {
+      expect(() => matchAddress(null, result)).toThrow(ValidationError);
+      expect(() => matchAddress({}, result)).toThrow(ValidationError);
+      expect(() => matchAddress({ city: 123 }, result)).toThrow(ValidationError);
+      expect(() => matchAddress({ city: 'São Paulo' }, result, { threshold: 2 })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { ValidationError } = require('../errors/CepError');
+
+/**
+ * Siglas das unidades federativas aceitas na busca por endereço
+ */
+const VALID_STATES = [
+  'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO',
+  'MA', 'MT', 'MS', 'MG', 'PA', 'PB', 'PR', 'PE', 'PI',
+  'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
+
+/**
+ * Tamanho mínimo de cidade e logradouro exigido pelo ViaCEP
+ */
+const MIN_TEXT_LENGTH = 3;
+
+/**
+ * Valida um campo de texto do endereço (cidade ou logradouro)
+ */
+function validateTextField(value, field, label) {
+  if (typeof value !== 'string' || value.trim().length < MIN_TEXT_LENGTH) {
+    throw new ValidationError(
+      `${label} deve conter pelo menos ${MIN_TEXT_LENGTH} caracteres.`,
+      [{
+        message: `O campo ${field} deve ser uma string com pelo menos ${MIN_TEXT_LENGTH} caracteres.`,
+        service: 'address_validation',
+        field: field,
+        received: value
+      }]
+    );
+  }
+
+  return value.trim();
+}
+
+/**
+ * Valida e normaliza os dados de uma busca por endereço
+ * Retorna { state, city, street } com a UF em maiúsculas e textos sem espaços nas pontas
+ */
+function validateAddressQuery(address) {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    throw new ValidationError(
+      'Endereço deve ser um objeto com state, city e street.',
+      [{
+        message: 'O parâmetro de endereço deve ser um objeto.',
+        service: 'address_validation',
+        received: Array.isArray(address) ? 'array' : typeof address
+      }]
+    );
+  }
+
+  const state = typeof address.state === 'string' ? address.state.trim().toUpperCase() : '';
+
+  if (!VALID_STATES.includes(state)) {
+    throw new ValidationError(
+      `UF inválida: ${address.state}`,
+      [{
+        message: 'O campo state deve ser a sigla de uma unidade federativa (ex: SP).',
+        service: 'address_validation',
+        field: 'state',
+        received: address.state,
+        validStates: VALID_STATES
+      }]
+    );
+  }
+
+  return {
+    state,
+    city: validateTextField(address.city, 'city', 'Cidade'),
+    street: validateTextField(address.street, 'street', 'Logradouro')
+  };
+}
+
+module.exports = {
+  VALID_STATES,
+  MIN_TEXT_LENGTH,
+  validateAddressQuery
+};
@@ -0,0 +1,48 @@
+const { VALID_STATES, validateAddressQuery } = require('./addressValidator');
+const { ValidationError } = require('../errors/CepError');
+
+describe('addressValidator', () => {
+  describe('VALID_STATES', () => {
+    test('deve conter as 27 unidades federativas', () => {
+      expect(VALID_STATES).toHaveLength(27);
+      expect(VALID_STATES).toContain('SP');
+      expect(VALID_STATES).toContain('DF');
+    });
+  });
+
+  describe('validateAddressQuery', () => {
+    test('deve normalizar UF e remover espaços das pontas', () => {
+      expect(validateAddressQuery({
+        state: ' sp ',
+        city: ' São Paulo ',
+        street: 'Avenida Paulista '
+      })).toEqual({
+        state: 'SP',
+        city: 'São Paulo',
+        street: 'Avenida Paulista'
+      });
+    });
+
+    test('deve rejeitar se não for objeto', () => {
+      expect(() => validateAddressQuery(null)).toThrow(ValidationError);
+      expect(() => validateAddressQuery('SP')).toThrow(ValidationError);
+      expect(() => validateAddressQuery([])).toThrow(ValidationError);
+    });
+
+    test('deve rejeitar UF inválida', () => {
+      expect(() => validateAddressQuery({ state: 'XX', city: 'São Paulo', street: 'Paulista' }))
+        .toThrow(ValidationError);
+      expect(() => validateAddressQuery({ city: 'São Paulo', street: 'Paulista' }))
+        .toThrow(ValidationError);
+    });
+
+    test('deve rejeitar cidade ou logradouro com menos de 3 caracteres', () => {
+      expect(() => validateAddressQuery({ state: 'SP', city: 'SP', street: 'Paulista' }))
+        .toThrow(ValidationError);
+      expect(() => validateAddressQuery({ state: 'SP', city: 'São Paulo', street: ' Av ' }))
+        .toThrow(ValidationError);
+      expect(() => validateAddressQuery({ state: 'SP', city: 'São Paulo' }))
+        .toThrow(ValidationError);
+    });
+  });
+});
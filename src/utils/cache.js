@@ -1,144 +1,281 @@
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+const { FileCacheAdapter, validateCacheAdapter } = require('../cache');
+const { ValidationError } = require('../errors/CepError');
 
-const CACHE_DIR = path.join(os.homedir(), '.cep-parallel-search');
-const CACHE_FILE = path.join(CACHE_DIR, 'cache.json');
+const CACHE_DIR = FileCacheAdapter.DEFAULT_CACHE_DIR;
+const CACHE_FILE = FileCacheAdapter.DEFAULT_CACHE_FILE;
 const CACHE_DURATION_MS = 15 * 24 * 60 * 60 * 1000; // 15 dias em milissegundos
+const NOT_FOUND_CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 1 dia em milissegundos
 
 /**
- * Garante que o diretório de cache existe
+ * Configuração global do cache
+ * - ttl: duração das entradas em milissegundos
+ * - notFoundTtl: duração das entradas de CEP não encontrado (cache negativo) em milissegundos
+ * - maxStale: por quanto tempo um resultado expirado é mantido para os modos stale em milissegundos
+ * - namespace: prefixo das chaves, para que várias aplicações compartilhem o mesmo armazenamento
  */
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
+const cacheConfig = {
+  ttl: CACHE_DURATION_MS,
+  notFoundTtl: NOT_FOUND_CACHE_DURATION_MS,
+  maxStale: CACHE_DURATION_MS,
+  namespace: ''
+};
+
+/**
+ * Adapter de cache global
+ * Criado sob demanda para respeitar variáveis de ambiente definidas após o carregamento do módulo
+ */
+let globalAdapter = null;
+
+/**
+ * Contadores de acertos e falhas de getCachedResult (expostos em getProviderStats)
+ */
+const cacheStats = { hits: 0, misses: 0 };
+
+/**
+ * Valida a duração do cache (em milissegundos)
+ */
+function validateTtl(ttl) {
+  if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0) {
+    throw new ValidationError(
+      'TTL do cache deve ser um número positivo (em milissegundos)',
+      [{
+        message: 'O TTL do cache deve ser um número maior que zero',
+        service: 'cache_config',
+        received: ttl
+      }]
+    );
   }
+
+  return true;
 }
 
 /**
- * Carrega o cache do arquivo (sem limpeza automática para performance)
+ * Modos de uso do cache em searchCep
+ * - 'default': usa apenas resultados válidos
+ * - 'staleWhileRevalidate': retorna o resultado expirado e atualiza em background
+ * - 'staleIfError': retorna o resultado expirado apenas se todos os provedores falharem
  */
-// Cache em memória para evitar múltiplas leituras do arquivo
-let memoryCache = null;
-let cacheLastModified = 0;
+const VALID_CACHE_MODES = ['default', 'staleWhileRevalidate', 'staleIfError'];
 
-function loadCache() {
-  try {
-    // Verifica se o arquivo existe antes de tentar ler
-    if (!fs.existsSync(CACHE_FILE)) {
-      memoryCache = {};
-      return memoryCache;
-    }
+/**
+ * Valida o modo de uso do cache
+ */
+function validateCacheMode(mode) {
+  if (!VALID_CACHE_MODES.includes(mode)) {
+    throw new ValidationError(
+      `Modo de cache inválido: ${mode}`,
+      [{
+        message: `Modos válidos: ${VALID_CACHE_MODES.join(', ')}`,
+        service: 'cache_config',
+        received: mode
+      }]
+    );
+  }
 
-    // Verifica se precisa recarregar do arquivo
-    const stats = fs.statSync(CACHE_FILE);
-    if (memoryCache && stats.mtimeMs === cacheLastModified) {
-      return memoryCache;
-    }
+  return true;
+}
 
-    ensureCacheDir();
-    const cacheData = fs.readFileSync(CACHE_FILE, 'utf8');
-    const result = JSON.parse(cacheData);
-    memoryCache = result;
-    cacheLastModified = stats.mtimeMs;
-    return result;
-  } catch (error) {
-    // Se houver erro ao ler o cache, retorna cache vazio
-    memoryCache = {};
-    return memoryCache;
+/**
+ * Valida o namespace do cache
+ */
+function validateNamespace(namespace) {
+  if (typeof namespace !== 'string' || namespace.includes(':')) {
+    throw new ValidationError(
+      'Namespace do cache inválido',
+      [{
+        message: 'O namespace deve ser uma string sem o caractere ":"',
+        service: 'cache_config',
+        received: namespace
+      }]
+    );
   }
+
+  return true;
 }
 
 /**
- * Salva o cache no arquivo (sem limpeza para evitar bloqueio)
+ * Define o adapter de cache global
  */
-function saveCache(cache) {
-  try {
-    ensureCacheDir();
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2), 'utf8');
-    // Atualiza cache em memória
-    memoryCache = cache;
-    const stats = fs.statSync(CACHE_FILE);
-    cacheLastModified = stats.mtimeMs;
-    return true;
-  } catch (error) {
-    // Se houver erro ao salvar, retorna false (não quebra a aplicação)
-    return false;
+function setCacheAdapter(adapter) {
+  validateCacheAdapter(adapter);
+  globalAdapter = adapter;
+  return adapter;
+}
+
+/**
+ * Retorna o adapter de cache global
+ * Padrão: arquivo JSON (CEP_PARALLEL_SEARCH_CACHE_FILE, CEP_PARALLEL_SEARCH_CACHE_DIR
+ * ou ~/.cep-parallel-search/cache.json)
+ */
+function getCacheAdapter() {
+  if (!globalAdapter) {
+    globalAdapter = new FileCacheAdapter();
   }
+  return globalAdapter;
 }
 
 /**
- * Remove entradas expiradas do cache (versão otimizada, sem salvar automaticamente)
+ * Configura o cache globalmente
+ *
+ * @param {Object} [options={}] - Opções de configuração
+ * @param {number} [options.ttl] - Duração das entradas em milissegundos (padrão: 15 dias)
+ * @param {number} [options.notFoundTtl] - Duração das entradas de CEP não encontrado em milissegundos (padrão: 1 dia)
+ * @param {number} [options.maxStale] - Por quanto tempo um resultado expirado é mantido para os modos stale (padrão: 15 dias)
+ * @param {string} [options.namespace] - Prefixo das chaves (padrão: '' - sem namespace)
+ * @param {string} [options.dir] - Diretório do arquivo de cache (usa FileCacheAdapter)
+ * @param {string} [options.filePath] - Caminho completo do arquivo de cache (usa FileCacheAdapter)
+ * @returns {Object} Configuração efetiva ({ ttl, notFoundTtl, maxStale, namespace })
+ * @throws {ValidationError} Se alguma opção é inválida
  */
-function cleanExpiredEntries(cache, saveAfterClean = false) {
-  const now = Date.now();
-  const cleaned = {};
+function configureCache(options = {}) {
+  const { ttl, notFoundTtl, maxStale, namespace, dir, filePath } = options;
 
-  for (const [key, value] of Object.entries(cache)) {
-    if (value && value.timestamp && (now - value.timestamp) < CACHE_DURATION_MS) {
-      cleaned[key] = value;
-    }
+  if (ttl !== undefined) {
+    validateTtl(ttl);
+  }
+  if (notFoundTtl !== undefined) {
+    validateTtl(notFoundTtl);
+  }
+  // maxStale aceita zero (resultados expirados são descartados imediatamente)
+  if (maxStale !== undefined && maxStale !== 0) {
+    validateTtl(maxStale);
+  }
+  if (namespace !== undefined) {
+    validateNamespace(namespace);
   }
 
-  // Só salva se explicitamente solicitado e se houve limpeza
-  if (saveAfterClean && Object.keys(cleaned).length !== Object.keys(cache).length) {
-    // Salva de forma assíncrona para não bloquear
-    setImmediate(() => {
-      try {
-        saveCache(cleaned);
-      } catch (error) {
-        // Ignora erros de salvamento em background
-      }
-    });
+  if (ttl !== undefined) {
+    cacheConfig.ttl = ttl;
+  }
+  if (notFoundTtl !== undefined) {
+    cacheConfig.notFoundTtl = notFoundTtl;
+  }
+  if (maxStale !== undefined) {
+    cacheConfig.maxStale = maxStale;
+  }
+  if (namespace !== undefined) {
+    cacheConfig.namespace = namespace;
+  }
+  if (dir || filePath) {
+    globalAdapter = new FileCacheAdapter({ dir, filePath });
+  }
+
+  return { ...cacheConfig };
+}
+
+/**
+ * Restaura a configuração padrão do cache (TTL, namespace e adapter)
+ */
+function resetCacheConfig() {
+  cacheConfig.ttl = CACHE_DURATION_MS;
+  cacheConfig.notFoundTtl = NOT_FOUND_CACHE_DURATION_MS;
+  cacheConfig.maxStale = CACHE_DURATION_MS;
+  cacheConfig.namespace = '';
+  globalAdapter = null;
+}
+
+/**
+ * Resolve as opções de uma operação de cache a partir da configuração global
+ */
+function resolveOptions(options = {}) {
+  return {
+    adapter: options.adapter || getCacheAdapter(),
+    ttl: options.ttl !== undefined ? options.ttl : cacheConfig.ttl,
+    notFoundTtl: cacheConfig.notFoundTtl,
+    maxStale: cacheConfig.maxStale,
+    namespace: options.namespace !== undefined ? options.namespace : cacheConfig.namespace
+  };
+}
+
+/**
+ * Tempo restante, em milissegundos, até a entrada poder ser descartada
+ * Repassado aos adapters com expiração nativa (ex: KeyValueCacheAdapter)
+ */
+function getRetention(entry, { ttl, notFoundTtl, maxStale }, now = Date.now()) {
+  const lifetime = entry.notFound ? notFoundTtl : ttl + maxStale;
+  return lifetime - (now - entry.timestamp);
+}
+
+/**
+ * Verifica se uma entrada de cache expirou
+ */
+function isExpired(entry, ttl = cacheConfig.ttl, now = Date.now()) {
+  return !entry || !entry.timestamp || (now - entry.timestamp) >= ttl;
+}
+
+/**
+ * Verifica se uma entrada de cache expirou considerando o seu tipo
+ * Entradas de CEP não encontrado usam o TTL próprio (mais curto)
+ */
+function isEntryExpired(entry, { ttl, notFoundTtl }, now = Date.now()) {
+  return isExpired(entry, entry && entry.notFound ? notFoundTtl : ttl, now);
+}
+
+/**
+ * Verifica se uma entrada pode ser descartada
+ * Resultados expirados são mantidos por mais maxStale para os modos stale;
+ * entradas de CEP não encontrado são descartadas assim que expiram
+ */
+function isDiscardable(entry, { ttl, notFoundTtl, maxStale }, now = Date.now()) {
+  if (entry && entry.notFound) {
+    return isExpired(entry, notFoundTtl, now);
   }
+  return isExpired(entry, ttl + maxStale, now);
+}
 
-  return cleaned;
+/**
+ * Prefixo das chaves de um namespace
+ */
+function getKeyPrefix(namespace = cacheConfig.namespace) {
+  return namespace ? `${namespace}:cep_` : 'cep_';
 }
 
 /**
  * Gera chave de cache baseada no CEP
  */
-function getCacheKey(cep) {
+function getCacheKey(cep, namespace = cacheConfig.namespace) {
   // Normaliza o CEP para garantir consistência
   const normalizedCep = String(cep).replace(/\D/g, '').padStart(8, '0');
-  const key = `cep_${normalizedCep}`;
+  const key = `${getKeyPrefix(namespace)}${normalizedCep}`;
   return key;
 }
 
 /**
- * Verifica se existe cache válido para um CEP (otimizado, sem bloqueio)
+ * Retorna as entradas do adapter que pertencem ao namespace
+ */
+async function getNamespaceEntries(adapter, namespace) {
+  const prefix = getKeyPrefix(namespace);
+  const entries = await adapter.entries();
+  return entries.filter(([key]) => key.startsWith(prefix));
+}
+
+/**
+ * Lê a entrada de um CEP e indica se ela expirou
+ * Retorna null se não houver cache, se a entrada pode ser descartada ou se houver erro no adapter
  */
-function getCachedResult(cep) {
+async function readEntry(cep, options) {
+  const resolved = resolveOptions(options);
+  const { adapter, namespace } = resolved;
+
   try {
-    const cache = loadCache();
-    const key = getCacheKey(cep);
-    const cached = cache[key];
+    const key = getCacheKey(cep, namespace);
+    const cached = await adapter.get(key);
 
     if (!cached) {
       return null;
     }
 
-    const now = Date.now();
-    const age = now - cached.timestamp;
-
-    // Verifica se o cache ainda é válido (menos de 30 dias)
-    if (age >= CACHE_DURATION_MS) {
-      // Remove entrada expirada de forma assíncrona (não bloqueia)
-      setImmediate(() => {
-        try {
-          const currentCache = loadCache();
-          if (currentCache[key] && (Date.now() - currentCache[key].timestamp) >= CACHE_DURATION_MS) {
-            delete currentCache[key];
-            saveCache(currentCache);
-          }
-        } catch (error) {
+    if (isDiscardable(cached, resolved)) {
+      // Remove entrada em background, apenas se também pode ser descartada pela configuração global
+      if (isDiscardable(cached, cacheConfig)) {
+        Promise.resolve(adapter.delete(key)).catch(() => {
           // Ignora erros em background
-        }
-      });
+        });
+      }
       return null;
     }
 
-    return cached.data;
+    return { entry: cached, expired: isEntryExpired(cached, resolved) };
   } catch (error) {
     // Se houver erro ao ler cache, retorna null (não bloqueia)
     return null;
@@ -146,37 +283,91 @@ function getCachedResult(cep) {
 }
 
 /**
- * Salva resultado no cache (otimizado, salva apenas a entrada específica quando possível)
+ * Lê a entrada válida (não expirada) de um CEP (resultado ou CEP não encontrado)
  */
-function setCachedResult(cep, data) {
-  // Salva tudo de forma assíncrona para não bloquear
-  setImmediate(() => {
-    try {
-      const cache = loadCache();
-      const key = getCacheKey(cep);
-      
-      cache[key] = {
-        timestamp: Date.now(),
-        data: data
-      };
+async function getValidEntry(cep, options) {
+  const read = await readEntry(cep, options);
+  return read && !read.expired ? read.entry : null;
+}
 
-      saveCache(cache);
-    } catch (error) {
-      // Ignora erros em background
-    }
-  });
-  
-  return true;
+/**
+ * Verifica se existe cache válido para um CEP
+ * Retorna null se não houver cache, se estiver expirado, se o CEP está em cache
+ * como não encontrado ou se houver erro no adapter
+ *
+ * @param {string} cep - CEP normalizado
+ * @param {Object} [options={}] - { adapter, ttl, namespace } (padrão: configuração global)
+ */
+async function getCachedResult(cep, options = {}) {
+  const entry = await getValidEntry(cep, options);
+  const data = entry && !entry.notFound ? entry.data : null;
+
+  if (data) {
+    cacheStats.hits++;
+  } else {
+    cacheStats.misses++;
+  }
+
+  return data;
+}
+
+/**
+ * Retorna os contadores de acertos (hits) e falhas (misses) de getCachedResult
+ */
+function getCacheStats() {
+  return { ...cacheStats };
+}
+
+/**
+ * Zera os contadores de acertos e falhas do cache
+ */
+function resetCacheStats() {
+  cacheStats.hits = 0;
+  cacheStats.misses = 0;
 }
 
 /**
- * Limpa todo o cache
+ * Verifica se o CEP está em cache como não encontrado (cache negativo)
+ * Retorna os erros dos provedores salvos com a entrada, ou null
+ *
+ * @param {string} cep - CEP normalizado
+ * @param {Object} [options={}] - { adapter, namespace } (padrão: configuração global)
  */
-function clearCache() {
+async function getCachedNotFound(cep, options = {}) {
+  const entry = await getValidEntry(cep, options);
+  return entry && entry.notFound ? entry.errors || [] : null;
+}
+
+/**
+ * Retorna um resultado expirado que ainda está dentro da janela maxStale
+ * Usado pelos modos 'staleWhileRevalidate' e 'staleIfError'
+ *
+ * @param {string} cep - CEP normalizado
+ * @param {Object} [options={}] - { adapter, ttl, namespace } (padrão: configuração global)
+ */
+async function getStaleResult(cep, options = {}) {
+  const read = await readEntry(cep, options);
+  return read && read.expired && !read.entry.notFound ? read.entry.data : null;
+}
+
+/**
+ * Salva resultado no cache
+ * Nunca rejeita: resolve com false se o adapter falhar
+ *
+ * @param {string} cep - CEP normalizado
+ * @param {Object} data - Resultado da busca
+ * @param {Object} [options={}] - { adapter, namespace } (padrão: configuração global)
+ */
+async function setCachedResult(cep, data, options = {}) {
+  const resolved = resolveOptions(options);
+  const { adapter, namespace } = resolved;
+  const entry = {
+    timestamp: Date.now(),
+    data: data
+  };
+
   try {
-    if (fs.existsSync(CACHE_FILE)) {
-      fs.unlinkSync(CACHE_FILE);
-    }
+    await adapter.set(getCacheKey(cep, namespace), entry, { ttl: getRetention(entry, resolved) });
     return true;
   } catch (error) {
     return false;
@@ -184,70 +375,298 @@ function clearCache() {
 }
 
 /**
- * Limpa apenas entradas expiradas (versão otimizada, assíncrona)
+ * Salva no cache que o CEP não foi encontrado por nenhum provedor
+ * A entrada usa o TTL de CEP não encontrado (notFoundTtl) e nunca rejeita
+ *
+ * @param {string} cep - CEP normalizado
+ * @param {Object[]} errors - Erros retornados pelos provedores
+ * @param {Object} [options={}] - { adapter, namespace } (padrão: configuração global)
  */
-function clearExpiredCache() {
+async function setCachedNotFound(cep, errors, options = {}) {
+  const resolved = resolveOptions(options);
+  const { adapter, namespace } = resolved;
+  const entry = {
+    timestamp: Date.now(),
+    notFound: true,
+    errors: errors.map(({ message, service, status }) => ({ message, service, status }))
+  };
+
   try {
-    const cache = loadCache();
-    const cleaned = cleanExpiredEntries(cache, false);
-    const removedCount = Object.keys(cache).length - Object.keys(cleaned).length;
-    
-    // Salva de forma assíncrona para não bloquear
-    if (removedCount > 0) {
-      setImmediate(() => {
-        try {
-          saveCache(cleaned);
-        } catch (error) {
-          // Ignora erros em background
-        }
-      });
-    }
-    
-    return removedCount;
+    await adapter.set(getCacheKey(cep, namespace), entry, { ttl: getRetention(entry, resolved) });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove várias chaves do adapter (em lote quando o adapter suporta)
+ */
+async function deleteKeys(adapter, keys) {
+  if (keys.length === 0) {
+    return;
+  }
+
+  // Adapters podem oferecer remoção em lote (ex: arquivo é salvo uma única vez)
+  if (typeof adapter.deleteMany === 'function') {
+    await adapter.deleteMany(keys);
+  } else {
+    await Promise.all(keys.map(key => adapter.delete(key)));
+  }
+}
+
+/**
+ * Salva várias entradas no adapter (em lote quando o adapter suporta)
+ */
+async function setEntries(adapter, entries, options) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  if (typeof adapter.setMany === 'function') {
+    await adapter.setMany(entries);
+  } else {
+    await Promise.all(entries.map(([key, entry]) => adapter.set(key, entry, { ttl: getRetention(entry, options) })));
+  }
+}
+
+/**
+ * Limpa as entradas do namespace configurado
+ * Sem namespace, remove apenas as chaves sem prefixo de namespace (cep_*), preservando as dos demais
+ * namespaces que compartilham o mesmo adapter
+ */
+async function clearCache(adapter) {
+  const { adapter: cacheAdapter, namespace } = resolveOptions({ adapter });
+
+  try {
+    const entries = await getNamespaceEntries(cacheAdapter, namespace);
+    await deleteKeys(cacheAdapter, entries.map(([key]) => key));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Limpa apenas entradas expiradas do namespace configurado
+ * Retorna o número de entradas removidas
+ */
+async function clearExpiredCache(adapter) {
+  const resolved = resolveOptions({ adapter });
+  const { adapter: cacheAdapter, namespace } = resolved;
+
+  try {
+    const now = Date.now();
+    const expiredKeys = (await getNamespaceEntries(cacheAdapter, namespace))
+      .filter(([, entry]) => isEntryExpired(entry, resolved, now))
+      .map(([key]) => key);
+
+    await deleteKeys(cacheAdapter, expiredKeys);
+    return expiredKeys.length;
   } catch (error) {
     return 0;
   }
 }
 
 /**
- * Retorna informações sobre o cache
+ * Retorna informações sobre o cache e a configuração efetiva
  */
-function getCacheInfo() {
-  const cache = loadCache();
+async function getCacheInfo(adapter) {
+  const resolved = resolveOptions({ adapter });
+  const { adapter: cacheAdapter, ttl, notFoundTtl, namespace } = resolved;
+  const entries = await getNamespaceEntries(cacheAdapter, namespace);
   const now = Date.now();
   let validEntries = 0;
+  let notFoundEntries = 0;
   let expiredEntries = 0;
   let totalSize = 0;
 
-  for (const [key, value] of Object.entries(cache)) {
+  for (const [, value] of entries) {
     if (value && value.timestamp) {
-      const age = now - value.timestamp;
-      if (age < CACHE_DURATION_MS) {
-        validEntries++;
-      } else {
+      if (isEntryExpired(value, resolved, now)) {
         expiredEntries++;
+      } else if (value.notFound) {
+        notFoundEntries++;
+      } else {
+        validEntries++;
       }
       totalSize += JSON.stringify(value).length;
     }
   }
 
   return {
-    totalEntries: Object.keys(cache).length,
+    adapter: cacheAdapter.name || 'custom',
+    ttl,
+    notFoundTtl,
+    maxStale: resolved.maxStale,
+    namespace,
+    totalEntries: entries.length,
     validEntries,
+    notFoundEntries,
     expiredEntries,
-    cacheFile: CACHE_FILE,
-    cacheDir: CACHE_DIR,
+    cacheFile: cacheAdapter.filePath || null,
+    cacheDir: cacheAdapter.filePath ? cacheAdapter.dir : null,
     estimatedSize: totalSize
   };
 }
 
+/**
+ * Versão do formato gerado por exportCache
+ */
+const CACHE_EXPORT_VERSION = 1;
+
+/**
+ * Situação de uma entrada: 'valid', 'notFound' ou 'expired'
+ */
+function getEntryStatus(entry, options, now = Date.now()) {
+  if (isEntryExpired(entry, options, now)) {
+    return 'expired';
+  }
+  return entry.notFound ? 'notFound' : 'valid';
+}
+
+/**
+ * Lista as entradas do namespace configurado, ordenadas pelo CEP
+ *
+ * @param {Object} [adapter] - Adapter de cache (padrão: adapter global)
+ * @returns {Promise<Object[]>} [{ cep, status, timestamp, data, errors }]
+ */
+async function listCacheEntries(adapter) {
+  const resolved = resolveOptions({ adapter });
+  const prefix = getKeyPrefix(resolved.namespace);
+  const now = Date.now();
+  const entries = await getNamespaceEntries(resolved.adapter, resolved.namespace);
+
+  return entries
+    .filter(([, entry]) => entry && entry.timestamp)
+    .map(([key, entry]) => ({
+      cep: key.slice(prefix.length),
+      status: getEntryStatus(entry, resolved, now),
+      timestamp: entry.timestamp,
+      data: entry.data || null,
+      errors: entry.errors || null
+    }))
+    .sort((a, b) => a.cep.localeCompare(b.cep));
+}
+
+/**
+ * Remove a entrada de um CEP do namespace configurado
+ * Retorna true se a entrada existia
+ *
+ * @param {string} cep - CEP (com ou sem máscara)
+ * @param {Object} [adapter] - Adapter de cache (padrão: adapter global)
+ */
+async function deleteCachedEntry(cep, adapter) {
+  const { adapter: cacheAdapter, namespace } = resolveOptions({ adapter });
+  const key = getCacheKey(cep, namespace);
+
+  if (!(await cacheAdapter.get(key))) {
+    return false;
+  }
+
+  await cacheAdapter.delete(key);
+  return true;
+}
+
+/**
+ * Exporta as entradas do namespace configurado
+ * As chaves são salvas sem o namespace, para que possam ser importadas em outro
+ *
+ * @param {Object} [adapter] - Adapter de cache (padrão: adapter global)
+ * @returns {Promise<Object>} { version, exportedAt, entries: { [cep]: entrada } }
+ */
+async function exportCache(adapter) {
+  const { adapter: cacheAdapter, namespace } = resolveOptions({ adapter });
+  const prefix = getKeyPrefix(namespace);
+  const entries = await getNamespaceEntries(cacheAdapter, namespace);
+
+  return {
+    version: CACHE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: Object.fromEntries(entries.map(([key, entry]) => [key.slice(prefix.length), entry]))
+  };
+}
+
+/**
+ * Verifica se uma entrada importada tem o formato salvo pelo cache
+ */
+function isValidEntry(entry) {
+  return Boolean(entry) &&
+    typeof entry === 'object' &&
+    typeof entry.timestamp === 'number' &&
+    (entry.notFound === true ? Array.isArray(entry.errors) : Boolean(entry.data) && typeof entry.data === 'object');
+}
+
+/**
+ * Importa entradas geradas por exportCache no namespace configurado
+ * Entradas inválidas, já descartáveis ou mais antigas que a entrada atual do mesmo CEP são ignoradas
+ *
+ * @param {Object} dump - Resultado de exportCache
+ * @param {Object} [adapter] - Adapter de cache (padrão: adapter global)
+ * @returns {Promise<Object>} { imported, skipped }
+ * @throws {ValidationError} Se o conteúdo não foi gerado por exportCache
+ */
+async function importCache(dump, adapter) {
+  if (!dump || typeof dump !== 'object' || dump.version !== CACHE_EXPORT_VERSION ||
+    !dump.entries || typeof dump.entries !== 'object') {
+    throw new ValidationError(
+      'Conteúdo de importação do cache inválido',
+      [{
+        message: `Esperado o resultado de exportCache (versão ${CACHE_EXPORT_VERSION})`,
+        service: 'cache_import',
+        received: dump && dump.version
+      }]
+    );
+  }
+
+  const resolved = resolveOptions({ adapter });
+  const { adapter: cacheAdapter, namespace } = resolved;
+  const entries = Object.entries(dump.entries);
+  const toImport = [];
+
+  for (const [cep, entry] of entries) {
+    if (!/^\d{8}$/.test(cep) || !isValidEntry(entry) || isDiscardable(entry, resolved)) {
+      continue;
+    }
+
+    const key = getCacheKey(cep, namespace);
+    const current = await cacheAdapter.get(key);
+    if (!current || current.timestamp < entry.timestamp) {
+      toImport.push([key, entry]);
+    }
+  }
+
+  await setEntries(cacheAdapter, toImport, resolved);
+  return { imported: toImport.length, skipped: entries.length - toImport.length };
+}
+
 module.exports = {
   getCachedResult,
   setCachedResult,
+  getCachedNotFound,
+  setCachedNotFound,
+  getStaleResult,
   clearCache,
   clearExpiredCache,
   getCacheInfo,
+  listCacheEntries,
+  deleteCachedEntry,
+  exportCache,
+  importCache,
+  getCacheStats,
+  resetCacheStats,
+  setCacheAdapter,
+  getCacheAdapter,
+  configureCache,
+  resetCacheConfig,
+  validateTtl,
+  validateNamespace,
+  validateCacheMode,
+  VALID_CACHE_MODES,
+  getCacheKey,
+  CACHE_EXPORT_VERSION,
   CACHE_DURATION_MS,
+  NOT_FOUND_CACHE_DURATION_MS,
+  CACHE_DIR,
   CACHE_FILE
 };
-
@@ -0,0 +1,356 @@
+const path = require('path');
+const {
+  getCachedResult,
+  setCachedResult,
+  clearCache,
+  clearExpiredCache,
+  getCacheInfo,
+  listCacheEntries,
+  deleteCachedEntry,
+  exportCache,
+  importCache,
+  setCacheAdapter,
+  getCacheAdapter,
+  getCachedNotFound,
+  setCachedNotFound,
+  getStaleResult,
+  getCacheStats,
+  resetCacheStats,
+  configureCache,
+  resetCacheConfig,
+  getCacheKey,
+  CACHE_DURATION_MS,
+  NOT_FOUND_CACHE_DURATION_MS
+} = require('./cache');
+const { MemoryCacheAdapter, FileCacheAdapter } = require('../cache');
+const { ValidationError } = require('../errors/CepError');
+
+const address = {
+  cep: '01310100',
+  state: 'SP',
+  city: 'São Paulo',
+  service: 'viacep'
+};
+
+describe('cache', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new MemoryCacheAdapter();
+  });
+
+  afterEach(() => {
+    resetCacheConfig();
+  });
+
+  describe('getCacheKey', () => {
+    test('deve normalizar o CEP na chave', () => {
+      expect(getCacheKey('01310-100')).toBe('cep_01310100');
+      expect(getCacheKey(1310100)).toBe('cep_01310100');
+    });
+
+    test('deve prefixar a chave com o namespace', () => {
+      expect(getCacheKey('01310100', 'app')).toBe('app:cep_01310100');
+    });
+  });
+
+  describe('adapter global', () => {
+    test('deve usar o arquivo JSON como padrão', () => {
+      expect(getCacheAdapter()).toBeInstanceOf(FileCacheAdapter);
+    });
+
+    test('deve permitir trocar o adapter global', () => {
+      const original = getCacheAdapter();
+      setCacheAdapter(adapter);
+      expect(getCacheAdapter()).toBe(adapter);
+      setCacheAdapter(original);
+    });
+
+    test('deve rejeitar adapter sem os métodos obrigatórios', () => {
+      expect(() => setCacheAdapter({ get: jest.fn() })).toThrow(ValidationError);
+      expect(() => setCacheAdapter(null)).toThrow(ValidationError);
+    });
+  });
+
+  describe('getCachedResult / setCachedResult', () => {
+    test('deve salvar e recuperar um resultado', async () => {
+      await expect(setCachedResult('01310100', address, { adapter })).resolves.toBe(true);
+      await expect(getCachedResult('01310-100', { adapter })).resolves.toEqual(address);
+    });
+
+    test('deve retornar null quando não há cache', async () => {
+      await expect(getCachedResult('01310100', { adapter })).resolves.toBeNull();
+    });
+
+    test('deve descartar entradas expiradas e manter as que ainda servem aos modos stale', async () => {
+      await adapter.set('cep_01310100', { timestamp: Date.now() - CACHE_DURATION_MS, data: address });
+
+      await expect(getCachedResult('01310100', { adapter })).resolves.toBeNull();
+      await new Promise(resolve => setImmediate(resolve));
+      await expect(adapter.get('cep_01310100')).resolves.toBeDefined();
+    });
+
+    test('deve remover entradas expiradas há mais tempo que maxStale', async () => {
+      await adapter.set('cep_01310100', { timestamp: Date.now() - CACHE_DURATION_MS * 2, data: address });
+
+      await expect(getCachedResult('01310100', { adapter })).resolves.toBeNull();
+      await new Promise(resolve => setImmediate(resolve));
+      await expect(adapter.get('cep_01310100')).resolves.toBeUndefined();
+    });
+
+    test('deve retornar o resultado expirado com getStaleResult', async () => {
+      await setCachedResult('01310100', address, { adapter });
+      await expect(getStaleResult('01310100', { adapter })).resolves.toBeNull();
+
+      await adapter.set('cep_01310100', { timestamp: Date.now() - CACHE_DURATION_MS - 1, data: address });
+      await expect(getStaleResult('01310100', { adapter })).resolves.toEqual(address);
+
+      configureCache({ maxStale: 0 });
+      await expect(getStaleResult('01310100', { adapter })).resolves.toBeNull();
+    });
+
+    test('deve contar acertos e falhas do cache', async () => {
+      resetCacheStats();
+      await setCachedResult('01310100', address, { adapter });
+
+      await getCachedResult('01310100', { adapter });
+      await getCachedResult('20040020', { adapter });
+      await getCachedResult('20040020', { adapter });
+
+      expect(getCacheStats()).toEqual({ hits: 1, misses: 2 });
+      resetCacheStats();
+      expect(getCacheStats()).toEqual({ hits: 0, misses: 0 });
+    });
+
+    test('não deve rejeitar quando o adapter falha', async () => {
+      const failing = {
+        ...adapter,
+        get: jest.fn().mockRejectedValue(new Error('offline')),
+        set: jest.fn().mockRejectedValue(new Error('offline'))
+      };
+
+      await expect(getCachedResult('01310100', { adapter: failing })).resolves.toBeNull();
+      await expect(setCachedResult('01310100', address, { adapter: failing })).resolves.toBe(false);
+    });
+  });
+
+  describe('clearCache / clearExpiredCache / getCacheInfo', () => {
+    beforeEach(async () => {
+      await adapter.set('cep_01310100', { timestamp: Date.now(), data: address });
+      await adapter.set('cep_20040020', { timestamp: Date.now() - CACHE_DURATION_MS - 1, data: address });
+    });
+
+    test('deve informar entradas válidas e expiradas', async () => {
+      const info = await getCacheInfo(adapter);
+
+      expect(info).toMatchObject({
+        adapter: 'memory',
+        totalEntries: 2,
+        validEntries: 1,
+        expiredEntries: 1,
+        cacheFile: null,
+        cacheDir: null
+      });
+      expect(info.estimatedSize).toBeGreaterThan(0);
+    });
+
+    test('deve remover apenas entradas expiradas', async () => {
+      await expect(clearExpiredCache(adapter)).resolves.toBe(1);
+      await expect(adapter.entries()).resolves.toHaveLength(1);
+    });
+
+    test('deve limpar todo o cache', async () => {
+      await expect(clearCache(adapter)).resolves.toBe(true);
+      await expect(adapter.entries()).resolves.toEqual([]);
+    });
+  });
+
+  describe('listCacheEntries / deleteCachedEntry', () => {
+    test('deve listar as entradas do namespace com a sua situação', async () => {
+      const now = Date.now();
+      await adapter.set('cep_20040020', { timestamp: now - CACHE_DURATION_MS - 1, data: address });
+      await adapter.set('cep_01310100', { timestamp: now, data: address });
+      await adapter.set('cep_99999999', { timestamp: now, notFound: true, errors: [] });
+      await adapter.set('outro:cep_01310100', { timestamp: now, data: address });
+
+      const entries = await listCacheEntries(adapter);
+
+      expect(entries.map(({ cep, status }) => [cep, status])).toEqual([
+        ['01310100', 'valid'],
+        ['20040020', 'expired'],
+        ['99999999', 'notFound']
+      ]);
+      expect(entries[0]).toMatchObject({ timestamp: now, data: address, errors: null });
+    });
+
+    test('deve remover a entrada de um único CEP', async () => {
+      await setCachedResult('01310100', address, { adapter });
+      await setCachedResult('20040020', address, { adapter });
+
+      await expect(deleteCachedEntry('01310-100', adapter)).resolves.toBe(true);
+      await expect(deleteCachedEntry('01310100', adapter)).resolves.toBe(false);
+      await expect(adapter.entries()).resolves.toHaveLength(1);
+    });
+  });
+
+  describe('exportCache / importCache', () => {
+    test('deve exportar sem o namespace e importar em outro namespace', async () => {
+      configureCache({ namespace: 'origem' });
+      await setCachedResult('01310100', address, { adapter });
+      await setCachedNotFound('99999999', [{ message: 'não encontrado', service: 'viacep', status: 404 }], { adapter });
+
+      const dump = await exportCache(adapter);
+      expect(Object.keys(dump.entries).sort()).toEqual(['01310100', '99999999']);
+
+      configureCache({ namespace: 'destino' });
+      const target = new MemoryCacheAdapter();
+      await expect(importCache(JSON.parse(JSON.stringify(dump)), target)).resolves.toEqual({ imported: 2, skipped: 0 });
+      await expect(getCachedResult('01310100', { adapter: target })).resolves.toEqual(address);
+      await expect(target.get('destino:cep_99999999')).resolves.toMatchObject({ notFound: true });
+    });
+
+    test('deve manter entradas mais recentes e ignorar entradas inválidas ou descartáveis', async () => {
+      const now = Date.now();
+      await adapter.set('cep_01310100', { timestamp: now, data: { ...address, city: 'Atual' } });
+
+      const result = await importCache({
+        version: 1,
+        entries: {
+          '01310100': { timestamp: now - 1000, data: address },
+          '20040020': { timestamp: now, data: address },
+          '30140071': { timestamp: now - 2 * CACHE_DURATION_MS - 1, data: address },
+          '123': { timestamp: now, data: address },
+          '40020000': { timestamp: now }
+        }
+      }, adapter);
+
+      expect(result).toEqual({ imported: 1, skipped: 4 });
+      await expect(adapter.get('cep_01310100')).resolves.toMatchObject({ data: { city: 'Atual' } });
+      await expect(adapter.get('cep_20040020')).resolves.toBeDefined();
+    });
+
+    test('deve rejeitar conteúdo que não foi gerado por exportCache', async () => {
+      await expect(importCache({ cep_01310100: {} }, adapter)).rejects.toThrow(ValidationError);
+      await expect(importCache(null, adapter)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('configureCache', () => {
+    test('deve rejeitar TTL e namespace inválidos', () => {
+      expect(() => configureCache({ ttl: 0 })).toThrow(ValidationError);
+      expect(() => configureCache({ ttl: 'abc' })).toThrow(ValidationError);
+      expect(() => configureCache({ namespace: 'a:b' })).toThrow(ValidationError);
+    });
+
+    test('deve usar o TTL configurado ao ler o cache', async () => {
+      await adapter.set('cep_01310100', { timestamp: Date.now() - 2000, data: address });
+
+      await expect(getCachedResult('01310100', { adapter })).resolves.toEqual(address);
+      await expect(getCachedResult('01310100', { adapter, ttl: 1000 })).resolves.toBeNull();
+      configureCache({ ttl: 1000 });
+      await expect(getCachedResult('01310100', { adapter, ttl: 5000 })).resolves.toEqual(address);
+      await expect(getCachedResult('01310100', { adapter })).resolves.toBeNull();
+    });
+
+    test('deve isolar entradas por namespace', async () => {
+      await setCachedResult('01310100', address, { adapter, namespace: 'app' });
+
+      await expect(getCachedResult('01310100', { adapter })).resolves.toBeNull();
+      await expect(getCachedResult('01310100', { adapter, namespace: 'app' })).resolves.toEqual(address);
+    });
+
+    test('deve limpar apenas o namespace configurado', async () => {
+      await setCachedResult('01310100', address, { adapter });
+      await setCachedResult('01310100', address, { adapter, namespace: 'app' });
+      configureCache({ namespace: 'app' });
+
+      const info = await getCacheInfo(adapter);
+      expect(info).toMatchObject({ namespace: 'app', ttl: CACHE_DURATION_MS, totalEntries: 1 });
+
+      await clearCache(adapter);
+      await expect(adapter.entries()).resolves.toEqual([
+        ['cep_01310100', expect.any(Object)]
+      ]);
+    });
+
+    test('sem namespace, não deve remover as entradas de outros namespaces do mesmo arquivo', async () => {
+      const fs = require('fs');
+      const os = require('os');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cep-cache-ns-'));
+      const fileAdapter = new FileCacheAdapter({ filePath: path.join(dir, 'cache.json') });
+
+      try {
+        await setCachedResult('01310100', address, { adapter: fileAdapter });
+        await setCachedResult('01310100', address, { adapter: fileAdapter, namespace: 'appb' });
+
+        await expect(clearCache(fileAdapter)).resolves.toBe(true);
+
+        await expect(getCachedResult('01310100', { adapter: fileAdapter })).resolves.toBeNull();
+        await expect(getCachedResult('01310100', { adapter: fileAdapter, namespace: 'appb' })).resolves.toEqual(address);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('deve trocar o arquivo do adapter global', () => {
+      configureCache({ dir: '/tmp/cep-cache-test' });
+
+      expect(getCacheAdapter()).toBeInstanceOf(FileCacheAdapter);
+      expect(getCacheAdapter().dir).toBe(path.resolve('/tmp/cep-cache-test'));
+    });
+  });
+
+  describe('cache de CEP não encontrado', () => {
+    const errors = [{ message: 'CEP não encontrado', service: 'viacep', status: 404, originalError: 'x' }];
+
+    test('deve salvar e recuperar os erros dos provedores', async () => {
+      await expect(setCachedNotFound('99999999', errors, { adapter })).resolves.toBe(true);
+
+      await expect(getCachedNotFound('99999999', { adapter })).resolves.toEqual([
+        { message: 'CEP não encontrado', service: 'viacep', status: 404 }
+      ]);
+      await expect(getCachedResult('99999999', { adapter })).resolves.toBeNull();
+    });
+
+    test('deve informar ao adapter o TTL nativo de cada entrada', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      try {
+        configureCache({ ttl: 1000, notFoundTtl: 500, maxStale: 200 });
+        const set = jest.spyOn(adapter, 'set');
+
+        await setCachedResult('01310100', address, { adapter });
+        await setCachedNotFound('99999999', errors, { adapter });
+
+        // Resultados ficam disponíveis por ttl + maxStale; não encontrados, por notFoundTtl
+        expect(set).toHaveBeenNthCalledWith(1, 'cep_01310100', expect.any(Object), { ttl: 1200 });
+        expect(set).toHaveBeenNthCalledWith(2, 'cep_99999999', expect.any(Object), { ttl: 500 });
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+
+    test('deve expirar com o TTL próprio', async () => {
+      await adapter.set('cep_99999999', { timestamp: Date.now() - NOT_FOUND_CACHE_DURATION_MS, notFound: true, errors });
+
+      await expect(getCachedNotFound('99999999', { adapter })).resolves.toBeNull();
+      configureCache({ notFoundTtl: NOT_FOUND_CACHE_DURATION_MS * 2 });
+      await adapter.set('cep_99999999', { timestamp: Date.now() - NOT_FOUND_CACHE_DURATION_MS, notFound: true, errors });
+      await expect(getCachedNotFound('99999999', { adapter })).resolves.toHaveLength(1);
+    });
+
+    test('deve contar as entradas separadamente em getCacheInfo', async () => {
+      await setCachedResult('01310100', address, { adapter });
+      await setCachedNotFound('99999999', errors, { adapter });
+      await adapter.set('cep_88888888', { timestamp: Date.now() - NOT_FOUND_CACHE_DURATION_MS, notFound: true, errors });
+
+      await expect(getCacheInfo(adapter)).resolves.toMatchObject({
+        totalEntries: 3,
+        validEntries: 1,
+        notFoundEntries: 1,
+        expiredEntries: 1,
+        notFoundTtl: NOT_FOUND_CACHE_DURATION_MS
+      });
+      await expect(clearExpiredCache(adapter)).resolves.toBe(1);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const { ValidationError } = require('../errors/CepError');
+const {
+  CEP_SIZE,
+  validateInputType,
+  removeSpecialCharacters,
+  leftPadWithZeros,
+  validateInputLength
+} = require('./cepValidator');
+
+/**
+ * Máscara padrão do CEP ('#' é substituído por um dígito)
+ */
+const DEFAULT_CEP_MASK = '#####-###';
+
+/**
+ * Templates de endereço prontos para formatAddress
+ * - singleLine: uma linha (Avenida Paulista, 1000, apto 12 - Bela Vista, São Paulo - SP, 01310-100)
+ * - multiLine: etiqueta postal (logradouro, número e complemento / bairro / CEP, cidade e UF)
+ *
+ * Trechos entre colchetes só aparecem se todos os campos dentro deles estiverem preenchidos
+ */
+const ADDRESS_TEMPLATES = {
+  singleLine: '[{street}][, {number}][, {complement}][ - {neighborhood}][, {city}][ - {state}][, {cep}]',
+  multiLine: '[{street}][, {number}][ - {complement}]\n[{neighborhood}]\n[{cep} ][{city}][/{state}]'
+};
+
+/**
+ * Campos aceitos nos templates de endereço
+ */
+const ADDRESS_PLACEHOLDERS = ['cep', 'street', 'number', 'complement', 'neighborhood', 'city', 'state'];
+
+/**
+ * Resolve a opção mask: true (ou ausente) usa a máscara padrão, false retorna apenas os dígitos
+ */
+function resolveMask(mask) {
+  if (mask === undefined || mask === true) {
+    return DEFAULT_CEP_MASK;
+  }
+  if (mask === false) {
+    return '#'.repeat(CEP_SIZE);
+  }
+
+  const placeholders = typeof mask === 'string' ? (mask.match(/#/g) || []).length : 0;
+  if (placeholders !== CEP_SIZE) {
+    throw new ValidationError(
+      `A máscara deve conter exatamente ${CEP_SIZE} caracteres '#'.`,
+      [{
+        message: 'O parâmetro mask deve ser true, false ou uma string como \'#####-###\'.',
+        service: 'cep_format',
+        received: mask
+      }]
+    );
+  }
+
+  return mask;
+}
+
+/**
+ * Aplica a máscara aos dígitos informados
+ * Os caracteres fixos da máscara só são incluídos antes de um dígito (formatação progressiva)
+ */
+function applyMask(digits, mask) {
+  let output = '';
+  let index = 0;
+
+  for (const char of mask) {
+    if (index >= digits.length) {
+      break;
+    }
+    if (char === '#') {
+      output += digits[index++];
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Formata um CEP completo com a máscara
+ *
+ * @param {string|number} cep - CEP (com ou sem hífen; números são completados com zeros à esquerda)
+ * @param {Object} [options={}] - Opções de formatação
+ * @param {boolean|string} [options.mask=true] - true usa '#####-###', false retorna apenas os 8 dígitos,
+ *   ou uma máscara própria com 8 caracteres '#' (ex: '##.###-###')
+ * @returns {string} CEP formatado
+ * @throws {ValidationError} Se o CEP ou a máscara são inválidos
+ *
+ * @example
+ * formatCep('01310100'); // '01310-100'
+ * formatCep(1310100); // '01310-100'
+ * formatCep('01310-100', { mask: false }); // '01310100'
+ * formatCep('01310100', { mask: '##.###-###' }); // '01.310-100'
+ */
+function formatCep(cep, { mask } = {}) {
+  const pattern = resolveMask(mask);
+  const normalizedCep = validateInputLength(leftPadWithZeros(removeSpecialCharacters(validateInputType(cep))));
+
+  return applyMask(normalizedCep, pattern);
+}
+
+/**
+ * Formata progressivamente um CEP parcialmente digitado (ex: campo de formulário)
+ * Ignora caracteres que não são dígitos e o que passar de 8 dígitos; não lança erros
+ * Números não guardam os zeros à esquerda, por isso são tratados como CEPs completos e preenchidos
+ * com zeros (como em formatCep); números que não são inteiros positivos resultam em ''
+ *
+ * @param {string|number} value - Valor digitado (string) ou CEP completo (número)
+ * @param {Object} [options={}] - Opções de formatação
+ * @param {boolean|string} [options.mask=true] - Máscara, como em formatCep
+ * @returns {string} Valor formatado até o último dígito digitado
+ *
+ * @example
+ * maskCepInput('0131'); // '0131'
+ * maskCepInput('013101'); // '01310-1'
+ * maskCepInput('01310-1009'); // '01310-100'
+ * maskCepInput(1310100); // '01310-100'
+ */
+function maskCepInput(value, { mask } = {}) {
+  const pattern = resolveMask(mask);
+
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) && value > 0
+      ? applyMask(String(value).padStart(CEP_SIZE, '0').slice(0, CEP_SIZE), pattern)
+      : '';
+  }
+
+  if (typeof value !== 'string') {
+    return '';
+  }
+
+  return applyMask(removeSpecialCharacters(value).slice(0, CEP_SIZE), pattern);
+}
+
+/**
+ * Valor de um campo do endereço no template ('' se ausente)
+ */
+function getPlaceholderValue(address, field, mask) {
+  if (field === 'cep') {
+    return address.cep === undefined || address.cep === null || address.cep === ''
+      ? ''
+      : formatCep(address.cep, { mask });
+  }
+
+  const value = address[field];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Substitui os campos de um trecho do template
+ * Trechos opcionais (entre colchetes) viram '' se algum campo está vazio
+ */
+function renderSection(section, values, optional) {
+  let complete = true;
+
+  const rendered = section.replace(/\{(\w+)\}/g, (match, field) => {
+    if (!ADDRESS_PLACEHOLDERS.includes(field)) {
+      throw new ValidationError(
+        `Campo desconhecido no template: {${field}}`,
+        [{
+          message: `Campos aceitos: ${ADDRESS_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}.`,
+          service: 'address_format',
+          field
+        }]
+      );
+    }
+    if (!values[field]) {
+      complete = false;
+    }
+    return values[field];
+  });
+
+  return complete || !optional ? rendered : '';
+}
+
+/**
+ * Formata um resultado de searchCep como endereço em uma linha ou etiqueta postal
+ * Número e complemento não vêm da busca: informe-os no próprio objeto (number e complement)
+ *
+ * @param {Object} address - Resultado de searchCep, opcionalmente com number e complement
+ * @param {string} [template='singleLine'] - 'singleLine', 'multiLine' ou um template próprio com os campos
+ *   {cep}, {street}, {number}, {complement}, {neighborhood}, {city} e {state}. Trechos entre colchetes
+ *   (ex: '[, {number}]') são omitidos se algum campo dentro deles estiver vazio
+ * @param {Object} [options={}] - Opções de formatação
+ * @param {boolean|string} [options.mask=true] - Máscara do CEP, como em formatCep
+ * @returns {string} Endereço formatado (linhas vazias são removidas)
+ * @throws {ValidationError} Se o endereço, o template ou o CEP são inválidos
+ *
+ * @example
+ * const result = await searchCep('01310100');
+ * formatAddress({ ...result, number: '1000', complement: 'apto 12' });
+ * // 'Avenida Paulista, 1000, apto 12 - Bela Vista, São Paulo - SP, 01310-100'
+ *
+ * formatAddress({ ...result, number: '1000' }, 'multiLine');
+ * // 'Avenida Paulista, 1000\nBela Vista\n01310-100 São Paulo/SP'
+ */
+function formatAddress(address, template = 'singleLine', { mask } = {}) {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    throw new ValidationError(
+      'Endereço deve ser um objeto (resultado de searchCep).',
+      [{
+        message: 'O parâmetro de endereço deve ser um objeto.',
+        service: 'address_format',
+        received: Array.isArray(address) ? 'array' : typeof address
+      }]
+    );
+  }
+
+  const pattern = Object.prototype.hasOwnProperty.call(ADDRESS_TEMPLATES, template)
+    ? ADDRESS_TEMPLATES[template]
+    : template;
+
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new ValidationError(
+      'Template de endereço inválido.',
+      [{
+        message: `Use ${Object.keys(ADDRESS_TEMPLATES).map(name => `'${name}'`).join(', ')} ou um template com campos como {street}.`,
+        service: 'address_format',
+        received: template
+      }]
+    );
+  }
+
+  const values = Object.fromEntries(ADDRESS_PLACEHOLDERS.map(field => [field, getPlaceholderValue(address, field, mask)]));
+
+  return pattern
+    .split('\n')
+    .map(line => line
+      .replace(/\[([^\]]*)\]|[^[]+/g, (match, section) => (section === undefined
+        ? renderSection(match, values, false)
+        : renderSection(section, values, true)))
+      // Separadores que ficaram no início da linha (ex: logradouro ausente)
+      .replace(/^[\s,/-]+/, '')
+      .trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+module.exports = {
+  DEFAULT_CEP_MASK,
+  ADDRESS_TEMPLATES,
+  ADDRESS_PLACEHOLDERS,
+  formatCep,
+  maskCepInput,
+  formatAddress
+};
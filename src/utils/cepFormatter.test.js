@@ -0,0 +1,98 @@
+const { formatCep, maskCepInput, formatAddress } = require('./cepFormatter');
+const { ValidationError } = require('../errors/CepError');
+
+const result = {
+  cep: '01310100',
+  state: 'SP',
+  city: 'São Paulo',
+  street: 'Avenida Paulista',
+  neighborhood: 'Bela Vista',
+  service: 'viacep'
+};
+
+describe('cepFormatter', () => {
+  describe('formatCep', () => {
+    test('deve formatar com a máscara padrão', () => {
+      expect(formatCep('01310100')).toBe('01310-100');
+      expect(formatCep('01310-100')).toBe('01310-100');
+      expect(formatCep(1310100)).toBe('01310-100');
+    });
+
+    test('deve aceitar máscara própria ou apenas os dígitos', () => {
+      expect(formatCep('01310-100', { mask: false })).toBe('01310100');
+      expect(formatCep('01310100', { mask: '##.###-###' })).toBe('01.310-100');
+    });
+
+    test('deve rejeitar CEP ou máscara inválidos', () => {
+      expect(() => formatCep('123456789')).toThrow(ValidationError);
+      expect(() => formatCep(null)).toThrow(ValidationError);
+      expect(() => formatCep('01310100', { mask: '####-###' })).toThrow(ValidationError);
+      expect(() => formatCep('01310100', { mask: 8 })).toThrow(ValidationError);
+    });
+  });
+
+  describe('maskCepInput', () => {
+    test('deve formatar progressivamente o valor digitado', () => {
+      expect(maskCepInput('')).toBe('');
+      expect(maskCepInput('0131')).toBe('0131');
+      expect(maskCepInput('01310')).toBe('01310');
+      expect(maskCepInput('013101')).toBe('01310-1');
+      expect(maskCepInput('01310100')).toBe('01310-100');
+    });
+
+    test('deve ignorar caracteres que não são dígitos e o excesso de dígitos', () => {
+      expect(maskCepInput('01310-')).toBe('01310');
+      expect(maskCepInput('0a1b3')).toBe('013');
+      expect(maskCepInput('01310-1009')).toBe('01310-100');
+    });
+
+    test('deve tratar números como CEPs completos e preencher os zeros à esquerda', () => {
+      expect(maskCepInput(1310100)).toBe('01310-100');
+      expect(maskCepInput(1310100, { mask: false })).toBe('01310100');
+      expect(maskCepInput(-1310100)).toBe('');
+      expect(maskCepInput(1310.5)).toBe('');
+    });
+
+    test('deve aplicar a máscara própria e não lançar erros para tipos inválidos', () => {
+      expect(maskCepInput('0131', { mask: '##.###-###' })).toBe('01.31');
+      expect(maskCepInput(null)).toBe('');
+      expect(maskCepInput({})).toBe('');
+    });
+  });
+
+  describe('formatAddress', () => {
+    test('deve formatar em uma linha com número e complemento', () => {
+      expect(formatAddress({ ...result, number: '1000', complement: 'apto 12' }))
+        .toBe('Avenida Paulista, 1000, apto 12 - Bela Vista, São Paulo - SP, 01310-100');
+      expect(formatAddress(result, 'singleLine'))
+        .toBe('Avenida Paulista - Bela Vista, São Paulo - SP, 01310-100');
+    });
+
+    test('deve formatar como etiqueta postal', () => {
+      expect(formatAddress({ ...result, number: 1000, complement: 'apto 12' }, 'multiLine'))
+        .toBe('Avenida Paulista, 1000 - apto 12\nBela Vista\n01310-100 São Paulo/SP');
+    });
+
+    test('deve omitir campos vazios (CEP geral de cidade)', () => {
+      const cityCep = { ...result, cep: '13165000', city: 'Engenheiro Coelho', street: '', neighborhood: '' };
+
+      expect(formatAddress(cityCep)).toBe('Engenheiro Coelho - SP, 13165-000');
+      expect(formatAddress(cityCep, 'multiLine')).toBe('13165-000 Engenheiro Coelho/SP');
+    });
+
+    test('deve aceitar template próprio e a máscara do CEP', () => {
+      expect(formatAddress(result, 'CEP {cep}: {street}[, nº {number}]', { mask: false }))
+        .toBe('CEP 01310100: Avenida Paulista');
+      expect(formatAddress({ ...result, number: '1000' }, '{street}[, nº {number}]\n{city}'))
+        .toBe('Avenida Paulista, nº 1000\nSão Paulo');
+    });
+
+    test('deve validar o endereço e o template', () => {
+      expect(() => formatAddress(null)).toThrow(ValidationError);
+      expect(() => formatAddress(result, '')).toThrow(ValidationError);
+      expect(() => formatAddress(result, 42)).toThrow(ValidationError);
+      expect(() => formatAddress(result, '{rua}')).toThrow(ValidationError);
+      expect(() => formatAddress({ ...result, cep: '123456789' })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Faixas de CEP atribuídas pelos Correios a cada estado
+ * Cada faixa é [início, fim] nos 5 primeiros dígitos do CEP (inclusive)
+ */
+const CEP_RANGES = [
+  { uf: 'SP', state: 'São Paulo', region: 'Sudeste', ranges: [[1000, 19999]] },
+  { uf: 'RJ', state: 'Rio de Janeiro', region: 'Sudeste', ranges: [[20000, 28999]] },
+  { uf: 'ES', state: 'Espírito Santo', region: 'Sudeste', ranges: [[29000, 29999]] },
+  { uf: 'MG', state: 'Minas Gerais', region: 'Sudeste', ranges: [[30000, 39999]] },
+  { uf: 'BA', state: 'Bahia', region: 'Nordeste', ranges: [[40000, 48999]] },
+  { uf: 'SE', state: 'Sergipe', region: 'Nordeste', ranges: [[49000, 49999]] },
+  { uf: 'PE', state: 'Pernambuco', region: 'Nordeste', ranges: [[50000, 56999]] },
+  { uf: 'AL', state: 'Alagoas', region: 'Nordeste', ranges: [[57000, 57999]] },
+  { uf: 'PB', state: 'Paraíba', region: 'Nordeste', ranges: [[58000, 58999]] },
+  { uf: 'RN', state: 'Rio Grande do Norte', region: 'Nordeste', ranges: [[59000, 59999]] },
+  { uf: 'CE', state: 'Ceará', region: 'Nordeste', ranges: [[60000, 63999]] },
+  { uf: 'PI', state: 'Piauí', region: 'Nordeste', ranges: [[64000, 64999]] },
+  { uf: 'MA', state: 'Maranhão', region: 'Nordeste', ranges: [[65000, 65999]] },
+  { uf: 'PA', state: 'Pará', region: 'Norte', ranges: [[66000, 68899]] },
+  { uf: 'AP', state: 'Amapá', region: 'Norte', ranges: [[68900, 68999]] },
+  { uf: 'AM', state: 'Amazonas', region: 'Norte', ranges: [[69000, 69299], [69400, 69899]] },
+  { uf: 'RR', state: 'Roraima', region: 'Norte', ranges: [[69300, 69399]] },
+  { uf: 'AC', state: 'Acre', region: 'Norte', ranges: [[69900, 69999]] },
+  { uf: 'DF', state: 'Distrito Federal', region: 'Centro-Oeste', ranges: [[70000, 72799], [73000, 73699]] },
+  { uf: 'GO', state: 'Goiás', region: 'Centro-Oeste', ranges: [[72800, 72999], [73700, 76799]] },
+  { uf: 'RO', state: 'Rondônia', region: 'Norte', ranges: [[76800, 76999]] },
+  { uf: 'TO', state: 'Tocantins', region: 'Norte', ranges: [[77000, 77999]] },
+  { uf: 'MT', state: 'Mato Grosso', region: 'Centro-Oeste', ranges: [[78000, 78899]] },
+  { uf: 'MS', state: 'Mato Grosso do Sul', region: 'Centro-Oeste', ranges: [[79000, 79999]] },
+  { uf: 'PR', state: 'Paraná', region: 'Sul', ranges: [[80000, 87999]] },
+  { uf: 'SC', state: 'Santa Catarina', region: 'Sul', ranges: [[88000, 89999]] },
+  { uf: 'RS', state: 'Rio Grande do Sul', region: 'Sul', ranges: [[90000, 99999]] }
+];
+
+/**
+ * Retorna o estado da faixa que contém um CEP já normalizado (8 dígitos), ou null
+ */
+function findStateByNormalizedCep(normalizedCep) {
+  const prefix = Number(normalizedCep.slice(0, 5));
+  const entry = CEP_RANGES.find(({ ranges }) => ranges.some(([start, end]) => prefix >= start && prefix <= end));
+
+  return entry ? { uf: entry.uf, state: entry.state, region: entry.region } : null;
+}
+
+module.exports = {
+  CEP_RANGES,
+  findStateByNormalizedCep
+};
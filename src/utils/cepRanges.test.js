@@ -0,0 +1,29 @@
+const { CEP_RANGES, findStateByNormalizedCep } = require('./cepRanges');
+
+describe('cepRanges', () => {
+  test('deve ter uma entrada para cada UF', () => {
+    expect(CEP_RANGES).toHaveLength(27);
+    expect(new Set(CEP_RANGES.map(entry => entry.uf)).size).toBe(27);
+  });
+
+  test('as faixas não devem se sobrepor', () => {
+    const ranges = CEP_RANGES
+      .flatMap(({ uf, ranges }) => ranges.map(([start, end]) => ({ uf, start, end })))
+      .sort((a, b) => a.start - b.start);
+
+    ranges.forEach((range, index) => {
+      expect(range.start).toBeLessThanOrEqual(range.end);
+      if (index > 0) {
+        expect(range.start).toBeGreaterThan(ranges[index - 1].end);
+      }
+    });
+  });
+
+  test('findStateByNormalizedCep deve considerar os limites das faixas', () => {
+    expect(findStateByNormalizedCep('01000000')).toMatchObject({ uf: 'SP' });
+    expect(findStateByNormalizedCep('19999999')).toMatchObject({ uf: 'SP' });
+    expect(findStateByNormalizedCep('00999999')).toBeNull();
+    expect(findStateByNormalizedCep('68899999')).toMatchObject({ uf: 'PA' });
+    expect(findStateByNormalizedCep('68900000')).toMatchObject({ uf: 'AP' });
+  });
+});
@@ -1,4 +1,5 @@
 const { ValidationError } = require('../errors/CepError');
+const { findStateByNormalizedCep } = require('./cepRanges');
 
 const CEP_SIZE = 8;
 
@@ -90,15 +91,52 @@ function validateInputLength(cepWithLeftPad) {
   );
 }
 
+/**
+ * Valida (modo estrito) se o CEP pertence a alguma faixa atribuída pelos Correios
+ */
+function validateCepRange(cepWithLeftPad) {
+  if (findStateByNormalizedCep(cepWithLeftPad)) {
+    return cepWithLeftPad;
+  }
+
+  throw new ValidationError(
+    'CEP fora das faixas atribuídas pelos Correios.',
+    [{
+      message: `CEP informado (${cepWithLeftPad}) não pertence à faixa de nenhum estado.`,
+      service: 'cep_validation',
+      cep: cepWithLeftPad
+    }]
+  );
+}
+
 /**
  * Normaliza e valida o CEP completo
+ * No modo estrito, também rejeita CEPs fora das faixas atribuídas
  */
-function normalizeAndValidateCep(cepRawValue) {
-  return Promise.resolve(cepRawValue)
+function normalizeAndValidateCep(cepRawValue, { strict = false } = {}) {
+  const normalized = Promise.resolve(cepRawValue)
     .then(validateInputType)
     .then(removeSpecialCharacters)
     .then(leftPadWithZeros)
     .then(validateInputLength);
+
+  return strict ? normalized.then(validateCepRange) : normalized;
+}
+
+/**
+ * Identifica o estado de um CEP pelas faixas atribuídas pelos Correios, sem consultar os provedores
+ *
+ * @param {string|number} cep - CEP a ser consultado (pode ser string ou número)
+ * @returns {Object|null} { uf, state, region }, ou null se o CEP está fora das faixas atribuídas
+ * @throws {ValidationError} Se o CEP tem formato inválido
+ *
+ * @example
+ * getStateFromCep('01310-100'); // { uf: 'SP', state: 'São Paulo', region: 'Sudeste' }
+ * getStateFromCep('00000000'); // null (fora das faixas)
+ */
+function getStateFromCep(cep) {
+  const normalizedCep = validateInputLength(leftPadWithZeros(removeSpecialCharacters(validateInputType(cep))));
+  return findStateByNormalizedCep(normalizedCep);
 }
 
 /**
@@ -107,6 +145,8 @@ function normalizeAndValidateCep(cepRawValue) {
  * Não lança erros, apenas retorna boolean
  * 
  * @param {string|number} cep - CEP a ser validado
+ * @param {Object} [options={}] - Opções de validação
+ * @param {boolean} [options.strict=false] - Também exige que o CEP pertença a alguma faixa atribuída
  * @returns {boolean} true se o CEP tem formato válido, false caso contrário
  * 
  * @example
@@ -115,8 +155,9 @@ function normalizeAndValidateCep(cepRawValue) {
  * isValidCep('8434850001'); // false (mais de 8 dígitos)
  * isValidCep('12345'); // false (menos de 8 dígitos)
  * isValidCep('abc12345'); // false (contém letras)
+ * isValidCep('00000000', { strict: true }); // false (fora das faixas)
  */
-function isValidCep(cep) {
+function isValidCep(cep, { strict = false } = {}) {
   // Verifica se o CEP é null, undefined ou vazio
   if (cep === null || cep === undefined || cep === '') {
     return false;
@@ -134,7 +175,7 @@ function isValidCep(cep) {
     
     // Verifica se tem exatamente 8 dígitos
     if (cepClean.length === CEP_SIZE) {
-      return true;
+      return !strict || findStateByNormalizedCep(cepClean) !== null;
     }
     
     return false;
@@ -150,7 +191,9 @@ module.exports = {
   removeSpecialCharacters,
   leftPadWithZeros,
   validateInputLength,
+  validateCepRange,
   normalizeAndValidateCep,
+  getStateFromCep,
   isValidCep
 };
 
@@ -3,7 +3,9 @@ const {
   removeSpecialCharacters,
   leftPadWithZeros,
   validateInputLength,
+  validateCepRange,
   normalizeAndValidateCep,
+  getStateFromCep,
   isValidCep
 } = require('./cepValidator');
 const { ValidationError } = require('../errors/CepError');
@@ -78,6 +80,50 @@ describe('cepValidator', () => {
     test('deve rejeitar CEP inválido', async () => {
       await expect(normalizeAndValidateCep('123456789')).rejects.toThrow(ValidationError);
     });
+
+    test('modo estrito deve rejeitar CEP fora das faixas atribuídas', async () => {
+      await expect(normalizeAndValidateCep('00000-000')).resolves.toBe('00000000');
+      await expect(normalizeAndValidateCep('00000-000', { strict: true })).rejects.toThrow(ValidationError);
+      await expect(normalizeAndValidateCep('01310-100', { strict: true })).resolves.toBe('01310100');
+    });
+  });
+
+  describe('validateCepRange', () => {
+    test('deve aceitar CEP dentro de uma faixa', () => {
+      expect(validateCepRange('69301000')).toBe('69301000');
+    });
+
+    test('deve rejeitar CEP fora das faixas', () => {
+      expect(() => validateCepRange('00999999')).toThrow(ValidationError);
+      expect(() => validateCepRange('72900000')).not.toThrow();
+    });
+  });
+
+  describe('getStateFromCep', () => {
+    test('deve identificar o estado e a região pela faixa', () => {
+      expect(getStateFromCep('01310-100')).toEqual({ uf: 'SP', state: 'São Paulo', region: 'Sudeste' });
+      expect(getStateFromCep(20040002)).toEqual({ uf: 'RJ', state: 'Rio de Janeiro', region: 'Sudeste' });
+      expect(getStateFromCep('70040-010')).toMatchObject({ uf: 'DF', region: 'Centro-Oeste' });
+      expect(getStateFromCep('72800-000')).toMatchObject({ uf: 'GO' });
+      expect(getStateFromCep('69400-000')).toMatchObject({ uf: 'AM', region: 'Norte' });
+      expect(getStateFromCep('69300-000')).toMatchObject({ uf: 'RR' });
+      expect(getStateFromCep('90010-000')).toMatchObject({ uf: 'RS', region: 'Sul' });
+    });
+
+    test('deve completar com zeros à esquerda', () => {
+      expect(getStateFromCep(1310100)).toMatchObject({ uf: 'SP' });
+    });
+
+    test('deve retornar null para CEP fora das faixas', () => {
+      expect(getStateFromCep('00500000')).toBeNull();
+      expect(getStateFromCep('78900000')).toBeNull();
+    });
+
+    test('deve lançar ValidationError para formato inválido', () => {
+      expect(() => getStateFromCep('123456789')).toThrow(ValidationError);
+      expect(() => getStateFromCep('')).toThrow(ValidationError);
+      expect(() => getStateFromCep(null)).toThrow(ValidationError);
+    });
   });
 
   describe('isValidCep', () => {
@@ -124,6 +170,12 @@ describe('cepValidator', () => {
       expect(isValidCep(true)).toBe(false);
     });
 
+    test('modo estrito deve exigir CEP dentro de uma faixa atribuída', () => {
+      expect(isValidCep('00000000', { strict: true })).toBe(false);
+      expect(isValidCep('00000000')).toBe(true);
+      expect(isValidCep('92500-000', { strict: true })).toBe(true);
+    });
+
     test('deve aceitar CEP com espaços e outros caracteres especiais (remove e valida)', () => {
       expect(isValidCep('92500 000')).toBe(true);
       expect(isValidCep('925.00.000')).toBe(true);
@@ -0,0 +1,145 @@
+const { ValidationError } = require('../errors/CepError');
+
+/**
+ * Eventos do ciclo de vida da busca
+ * - request:start: uma requisição a um provider foi iniciada
+ * - provider:success: o provider retornou dados
+ * - provider:error: o provider falhou (inclusive "CEP não encontrado")
+ * - provider:aborted: a requisição foi cancelada porque outro provider respondeu primeiro
+ * - cache:hit / cache:miss: consulta ao cache antes da busca
+ * - cache:write: resultado (ou CEP não encontrado) salvo no cache
+ * - search:complete: a busca terminou, com sucesso ou erro
+ */
+const HOOK_EVENTS = [
+  'request:start',
+  'provider:success',
+  'provider:error',
+  'provider:aborted',
+  'cache:hit',
+  'cache:miss',
+  'cache:write',
+  'search:complete'
+];
+
+/**
+ * Hooks registrados por evento
+ */
+const hooks = new Map(HOOK_EVENTS.map(event => [event, []]));
+
+/**
+ * Valida o nome do evento
+ */
+function validateEvent(event) {
+  if (!HOOK_EVENTS.includes(event)) {
+    throw new ValidationError(
+      `Evento inválido: ${event}`,
+      [{
+        message: `O evento deve ser um dos seguintes: ${HOOK_EVENTS.join(', ')}`,
+        service: 'hook_validation',
+        received: event,
+        validEvents: HOOK_EVENTS
+      }]
+    );
+  }
+}
+
+/**
+ * Registra um hook para um evento do ciclo de vida da busca
+ *
+ * @param {string} event - Nome do evento (veja HOOK_EVENTS)
+ * @param {Function} handler - Função chamada com o payload do evento
+ * @returns {Function} Função que remove o hook
+ * @throws {ValidationError} Se o evento ou o handler são inválidos
+ *
+ * @example
+ * const remove = addHook('provider:error', ({ cep, provider, duration, error }) => {
+ *   logger.warn(`${provider} falhou para ${cep} em ${duration}ms: ${error.message}`);
+ * });
+ */
+function addHook(event, handler) {
+  validateEvent(event);
+
+  if (typeof handler !== 'function') {
+    throw new ValidationError(
+      'O hook deve ser uma função',
+      [{
+        message: 'O parâmetro handler deve ser uma função',
+        service: 'hook_validation',
+        received: typeof handler
+      }]
+    );
+  }
+
+  hooks.get(event).push(handler);
+  return () => removeHook(event, handler);
+}
+
+/**
+ * Remove um hook registrado
+ *
+ * @param {string} event - Nome do evento
+ * @param {Function} handler - Função registrada com addHook
+ * @returns {boolean} true se o hook existia e foi removido
+ */
+function removeHook(event, handler) {
+  const handlers = hooks.get(event);
+  const index = handlers ? handlers.indexOf(handler) : -1;
+
+  if (index === -1) {
+    return false;
+  }
+
+  handlers.splice(index, 1);
+  return true;
+}
+
+/**
+ * Remove todos os hooks de um evento, ou de todos os eventos
+ *
+ * @param {string} [event] - Nome do evento
+ */
+function clearHooks(event) {
+  if (event !== undefined) {
+    validateEvent(event);
+    hooks.set(event, []);
+    return;
+  }
+
+  HOOK_EVENTS.forEach(name => hooks.set(name, []));
+}
+
+/**
+ * Chama os hooks de um evento
+ * Exceções (e promises rejeitadas) dos hooks são ignoradas para nunca interromper a busca
+ *
+ * @param {string} event - Nome do evento
+ * @param {Object} payload - Dados do evento
+ */
+function emitHook(event, payload) {
+  const handlers = hooks.get(event);
+  if (!handlers || handlers.length === 0) {
+    return;
+  }
+
+  const data = { event, timestamp: Date.now(), ...payload };
+
+  // Copia a lista para que hooks removidos durante a chamada não afetem os demais
+  [...handlers].forEach(handler => {
+    try {
+      const result = handler(data);
+      if (result && typeof result.catch === 'function') {
+        result.catch(() => {});
+      }
+    } catch (error) {
+      // Erros nos hooks não interrompem a busca
+    }
+  });
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  addHook,
+  removeHook,
+  clearHooks,
+  emitHook
+};
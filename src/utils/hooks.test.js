@@ -0,0 +1,54 @@
+const { HOOK_EVENTS, addHook, removeHook, clearHooks, emitHook } = require('./hooks');
+const { ValidationError } = require('../errors/CepError');
+
+describe('hooks', () => {
+  afterEach(() => {
+    clearHooks();
+  });
+
+  test('deve chamar os hooks do evento com o payload', () => {
+    const handler = jest.fn();
+    addHook('cache:hit', handler);
+
+    emitHook('cache:hit', { cep: '01310100' });
+    emitHook('cache:miss', { cep: '01310100' });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ event: 'cache:hit', timestamp: expect.any(Number), cep: '01310100' });
+  });
+
+  test('deve remover hooks', () => {
+    const handler = jest.fn();
+    const remove = addHook('cache:hit', handler);
+    const other = jest.fn();
+    addHook('cache:miss', other);
+
+    remove();
+    expect(removeHook('cache:hit', handler)).toBe(false);
+    clearHooks('cache:miss');
+
+    emitHook('cache:hit', {});
+    emitHook('cache:miss', {});
+    expect(handler).not.toHaveBeenCalled();
+    expect(other).not.toHaveBeenCalled();
+  });
+
+  test('exceções dos hooks não devem interromper os demais', async () => {
+    const handler = jest.fn();
+    addHook('search:complete', () => {
+      throw new Error('falha no hook');
+    });
+    addHook('search:complete', () => Promise.reject(new Error('falha assíncrona')));
+    addHook('search:complete', handler);
+
+    expect(() => emitHook('search:complete', {})).not.toThrow();
+    expect(handler).toHaveBeenCalledTimes(1);
+    await new Promise(resolve => setImmediate(resolve));
+  });
+
+  test('deve validar o evento e o handler', () => {
+    expect(HOOK_EVENTS).toContain('provider:aborted');
+    expect(() => addHook('search:start', () => {})).toThrow(ValidationError);
+    expect(() => addHook('cache:hit', 'handler')).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,63 @@
+const { withAbortSignal } = require('./promiseUtils');
+
+/**
+ * Operações em andamento por chave: { promise, controller, subscribers }
+ */
+const inFlight = new Map();
+
+/**
+ * Compartilha uma operação em andamento entre os chamadores com a mesma chave
+ * O primeiro chamador inicia a operação; os seguintes recebem a mesma promise até ela terminar.
+ *
+ * O cancelamento é por chamador: quem aborta o próprio signal é rejeitado com AbortError sem afetar
+ * os demais. A operação só é cancelada (pelo signal que recebe) quando todos os chamadores cancelaram.
+ *
+ * @param {string} key - Chave da operação (chamadores com a mesma chave compartilham o resultado)
+ * @param {Function} operation - (signal) => Promise; o signal aborta quando todos cancelaram
+ * @param {AbortSignal} [signal] - Signal do chamador
+ * @returns {Promise} Resultado da operação compartilhada
+ */
+function joinInFlight(key, operation, signal) {
+  let entry = inFlight.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, subscribers: 0 };
+    entry.promise = Promise.resolve()
+      .then(() => operation(controller.signal))
+      .finally(() => {
+        if (inFlight.get(key) === entry) {
+          inFlight.delete(key);
+        }
+      });
+    inFlight.set(key, entry);
+  }
+
+  const current = entry;
+  current.subscribers++;
+
+  // Chamador cancelou: sem nenhum chamador restante, a operação é abortada e novos chamadores iniciam outra
+  const leave = () => {
+    current.subscribers--;
+    if (current.subscribers === 0) {
+      if (inFlight.get(key) === current) {
+        inFlight.delete(key);
+      }
+      current.controller.abort();
+    }
+  };
+
+  return withAbortSignal(current.promise, signal, [leave]);
+}
+
+/**
+ * Número de operações em andamento
+ */
+function getInFlightCount() {
+  return inFlight.size;
+}
+
+module.exports = {
+  joinInFlight,
+  getInFlightCount
+};
@@ -0,0 +1,76 @@
+const { joinInFlight, getInFlightCount } = require('./inFlight');
+
+describe('inFlight', () => {
+  // Operação que só termina quando o teste chama resolve
+  const createOperation = () => {
+    const state = {};
+    const operation = jest.fn(signal => {
+      state.signal = signal;
+      return new Promise(resolve => {
+        state.resolve = resolve;
+      });
+    });
+    return { operation, state };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('deve compartilhar a operação entre chamadores com a mesma chave', async () => {
+    const { operation, state } = createOperation();
+
+    const first = joinInFlight('a', operation);
+    const second = joinInFlight('a', operation);
+    const other = joinInFlight('b', () => Promise.resolve('b'));
+    await flush();
+
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(getInFlightCount()).toBe(1);
+
+    state.resolve('a');
+    await expect(Promise.all([first, second, other])).resolves.toEqual(['a', 'a', 'b']);
+    expect(getInFlightCount()).toBe(0);
+  });
+
+  test('deve compartilhar também a rejeição e liberar a chave', async () => {
+    const operation = jest.fn(() => Promise.reject(new Error('falhou')));
+
+    await expect(Promise.all([joinInFlight('a', operation), joinInFlight('a', operation)]))
+      .rejects.toThrow('falhou');
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(getInFlightCount()).toBe(0);
+  });
+
+  test('deve cancelar apenas o chamador que abortou', async () => {
+    const { operation, state } = createOperation();
+    const controller = new AbortController();
+
+    const cancelled = joinInFlight('a', operation, controller.signal);
+    const other = joinInFlight('a', operation);
+    await flush();
+    controller.abort();
+
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    expect(state.signal.aborted).toBe(false);
+
+    state.resolve('ok');
+    await expect(other).resolves.toBe('ok');
+  });
+
+  test('deve abortar a operação quando todos os chamadores cancelaram', async () => {
+    const { operation, state } = createOperation();
+    const controllers = [new AbortController(), new AbortController()];
+
+    const calls = controllers.map(controller => joinInFlight('a', operation, controller.signal));
+    await flush();
+    controllers.forEach(controller => controller.abort());
+
+    await Promise.all(calls.map(call => expect(call).rejects.toMatchObject({ name: 'AbortError' })));
+    expect(state.signal.aborted).toBe(true);
+    expect(getInFlightCount()).toBe(0);
+
+    // Um novo chamador inicia outra operação
+    const next = joinInFlight('a', () => Promise.resolve('nova'));
+    await expect(next).resolves.toBe('nova');
+    state.resolve('antiga');
+  });
+});
@@ -66,15 +66,9 @@ function promiseAny(promises, cancelCallbacks = []) {
           }
 
           if (rejectedCount === promises.length && !resolved) {
-            // Filtra erros de cancelamento antes de criar AggregateError
-            const realErrors = errors.filter(e => e !== undefined);
-            // Cria um AggregateError se disponível, senão usa Error
-            const aggregateError = realErrors.length > 0
-              ? (new AggregateError
-                  ? new AggregateError(realErrors, 'Todas as promises foram rejeitadas')
-                  : Object.assign(new Error('Todas as promises foram rejeitadas'), { errors: realErrors }))
-              : new Error('Todas as promises foram canceladas ou rejeitadas');
-            reject(aggregateError);
+            // Os erros ficam na posição da promise de origem, como no Promise.any nativo
+            // (cancelamentos ficam como undefined)
+            reject(createAggregateError(errors, promises.length));
           }
         });
     });
@@ -118,6 +112,204 @@ function withTimeout(promise, timeoutMs, timeoutMessage = 'Operação excedeu o
   };
 }
 
+/**
+ * Verifica se o erro é um cancelamento (outra promise resolveu primeiro)
+ */
+function isAbortError(error) {
+  return Boolean(error) && (
+    error.name === 'AbortError' ||
+    error.type === 'aborted' ||
+    (error instanceof Error && error.message && error.message.includes('cancelada'))
+  );
+}
+
+/**
+ * Cria o erro agregado de quando todas as promises falharam
+ * Cada erro fica na posição da tarefa de origem; tarefas canceladas ou não iniciadas ficam como undefined
+ *
+ * @param {Array} errors - Erros por posição (pode ter posições vazias)
+ * @param {number} [length=errors.length] - Quantidade de tarefas
+ */
+function createAggregateError(errors, length = errors.length) {
+  if (!errors.some(error => error !== undefined)) {
+    return new Error('Todas as promises foram canceladas ou rejeitadas');
+  }
+
+  const aligned = Array.from({ length }, (_, index) => errors[index]);
+  return typeof AggregateError === 'function'
+    ? new AggregateError(aligned, 'Todas as promises foram rejeitadas')
+    : Object.assign(new Error('Todas as promises foram rejeitadas'), { errors: aligned });
+}
+
+/**
+ * Executa os callbacks de cancelamento, ignorando erros
+ */
+function runCancelCallbacks(cancelCallbacks) {
+  cancelCallbacks.forEach(cancel => {
+    try {
+      cancel();
+    } catch (e) {
+      // Ignora erros ao cancelar
+    }
+  });
+}
+
+/**
+ * Cria o erro de quando a operação foi cancelada pelo AbortSignal do chamador
+ */
+function createSignalAbortError() {
+  const error = new Error('Operação cancelada pelo AbortSignal');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Rejeita assim que o signal for abortado, executando os callbacks de cancelamento
+ * (que abortam as requisições e limpam os timeouts pendentes)
+ *
+ * @param {Promise} promise - Operação em andamento
+ * @param {AbortSignal} [signal] - Signal do chamador
+ * @param {Function[]} [cancelCallbacks=[]] - Callbacks executados no cancelamento
+ */
+function withAbortSignal(promise, signal, cancelCallbacks = []) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      runCancelCallbacks(cancelCallbacks);
+      reject(createSignalAbortError());
+    };
+
+    promise.then(value => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(value);
+    }, error => {
+      signal.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Executa tarefas de forma escalonada (hedging) com um timeout total
+ * Inicia a primeira tarefa e só inicia a próxima se nenhuma resposta chegar em hedgeDelay
+ * ou se uma tarefa iniciada falhar antes disso. A primeira que resolver vence e as demais são canceladas
+ *
+ * @param {Function[]} tasks - Funções que iniciam cada operação e retornam uma Promise, em ordem de prioridade
+ * @param {number} timeoutMs - Timeout total em milissegundos (contado a partir da primeira tarefa)
+ * @param {number} hedgeDelay - Espera em milissegundos antes de iniciar a próxima tarefa
+ * @param {Function[]} [cancelCallbacks=[]] - Callbacks de cancelamento executados ao final
+ * @param {AbortSignal} [signal] - Signal do chamador: interrompe as tarefas e os timers quando abortado
+ */
+function hedgeWithTimeout(tasks, timeoutMs, hedgeDelay, cancelCallbacks = [], signal) {
+  return new Promise((resolve, reject) => {
+    const errors = [];
+    const pending = new Set();
+    let started = 0;
+    let finished = false;
+    let hedgeTimer = null;
+    let deadlineTimer = null;
+
+    const onAbort = () => {
+      if (!finished) {
+        finish();
+        reject(createSignalAbortError());
+      }
+    };
+
+    const finish = () => {
+      finished = true;
+      clearTimeout(hedgeTimer);
+      clearTimeout(deadlineTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      runCancelCallbacks(cancelCallbacks);
+    };
+
+    const fail = () => {
+      finish();
+      reject(createAggregateError(errors, tasks.length));
+    };
+
+    const startNext = () => {
+      if (finished || started >= tasks.length) {
+        return;
+      }
+
+      const index = started++;
+      pending.add(index);
+
+      // Agenda a próxima tarefa caso esta não responda a tempo
+      clearTimeout(hedgeTimer);
+      if (started < tasks.length) {
+        hedgeTimer = setTimeout(startNext, hedgeDelay);
+      }
+
+      Promise.resolve()
+        .then(() => tasks[index]())
+        .then(result => {
+          if (!finished) {
+            finish();
+            resolve(result);
+          }
+        }, error => {
+          pending.delete(index);
+          if (finished) {
+            return;
+          }
+
+          // Cancelamentos não contam como erro real
+          if (!isAbortError(error)) {
+            errors[index] = error;
+          }
+
+          if (started >= tasks.length && pending.size === 0) {
+            fail();
+          } else {
+            // Falha antecipada: inicia a próxima tarefa sem esperar o hedgeDelay
+            startNext();
+          }
+        });
+    };
+
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      reject(createAggregateError([]));
+      return;
+    }
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    deadlineTimer = setTimeout(() => {
+      if (finished) {
+        return;
+      }
+
+      // As tarefas ainda pendentes excederam o timeout
+      pending.forEach(index => {
+        errors[index] = new Error(`Requisição ${index + 1} excedeu o timeout de ${timeoutMs}ms`);
+      });
+      fail();
+    }, timeoutMs);
+
+    startNext();
+  });
+}
+
 /**
  * Executa múltiplas promises em paralelo com timeout individual
  * Cancela automaticamente os timeouts e requisições pendentes quando uma resolve
@@ -130,8 +322,16 @@ function withTimeout(promise, timeoutMs, timeoutMessage = 'Operação excedeu o
  * @param {Promise[]} promises - Array de promises para executar
  * @param {number} timeoutMs - Timeout em milissegundos
  * @param {Function[]} [additionalCancelCallbacks=[]] - Callbacks adicionais de cancelamento (ex: para abortar requisições HTTP)
+ * @param {Object} [options={}] - Opções de execução
+ * @param {number} [options.hedgeDelay] - Ativa o modo hedging: `promises` passa a ser uma lista de funções
+ *   que iniciam cada operação, executadas de forma escalonada (veja hedgeWithTimeout)
+ * @param {AbortSignal} [options.signal] - Signal do chamador: cancela as requisições e os timeouts quando abortado
  */
-function parallelWithTimeout(promises, timeoutMs, additionalCancelCallbacks = []) {
+function parallelWithTimeout(promises, timeoutMs, additionalCancelCallbacks = [], options = {}) {
+  if (options.hedgeDelay !== undefined) {
+    return hedgeWithTimeout(promises, timeoutMs, options.hedgeDelay, additionalCancelCallbacks, options.signal);
+  }
+
   // Mapeia promises existentes e cria timeouts canceláveis
   const timeoutWrappers = promises.map((promise, index) => {
     return withTimeout(
@@ -142,13 +342,8 @@ function parallelWithTimeout(promises, timeoutMs, additionalCancelCallbacks = []
   });
 
   // Extrai as promises e callbacks de cancelamento
-  const promisesWithTimeout = timeoutWrappers.map((wrapper, index) => 
-    wrapper.promise.catch(error => {
-      // Adiciona informação sobre qual requisição falhou
-      error.requestIndex = index;
-      throw error;
-    })
-  );
+  // Os erros do AggregateError ficam na posição de cada requisição
+  const promisesWithTimeout = timeoutWrappers.map(wrapper => wrapper.promise);
   
   // Combina callbacks de cancelamento de timeouts com callbacks adicionais
   const cancelCallbacks = [
@@ -156,13 +351,83 @@ function parallelWithTimeout(promises, timeoutMs, additionalCancelCallbacks = []
     ...additionalCancelCallbacks
   ];
 
-  return promiseAny(promisesWithTimeout, cancelCallbacks);
+  return withAbortSignal(promiseAny(promisesWithTimeout, cancelCallbacks), options.signal, cancelCallbacks);
+}
+
+/**
+ * Aguarda todas as promises (cada uma com timeout individual) e retorna o resultado de cada uma
+ * Equivalente a Promise.allSettled, executando os callbacks de cancelamento ao final
+ * para liberar requisições que ainda estejam pendentes
+ *
+ * @param {Promise[]} promises - Array de promises para executar
+ * @param {number} timeoutMs - Timeout em milissegundos
+ * @param {Function[]} [cancelCallbacks=[]] - Callbacks de cancelamento executados ao final
+ * @param {AbortSignal} [signal] - Signal do chamador: cancela as requisições e os timeouts quando abortado
+ * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} Resultado de cada promise, na mesma ordem
+ */
+function settleWithTimeout(promises, timeoutMs, cancelCallbacks = [], signal) {
+  const timeoutWrappers = promises.map((promise, index) => withTimeout(
+    promise,
+    timeoutMs,
+    `Requisição ${index + 1} excedeu o timeout de ${timeoutMs}ms`
+  ));
+
+  const settled = timeoutWrappers.map(wrapper => {
+    return wrapper.promise.then(
+      value => ({ status: 'fulfilled', value }),
+      reason => ({ status: 'rejected', reason })
+    );
+  });
+
+  const all = Promise.all(settled).then(results => {
+    runCancelCallbacks(cancelCallbacks);
+    return results;
+  });
+
+  return withAbortSignal(all, signal, [
+    ...timeoutWrappers.map(wrapper => wrapper.cancel),
+    ...cancelCallbacks
+  ]);
+}
+
+/**
+ * Executa uma função assíncrona para cada item com limite de concorrência
+ * Os resultados mantêm a mesma ordem dos itens de entrada
+ *
+ * @param {Array} items - Itens a serem processados
+ * @param {number} limit - Número máximo de execuções simultâneas
+ * @param {Function} mapper - Função (item, index) => Promise
+ * @returns {Promise<Array>} Promise que resolve com os resultados na ordem original
+ */
+function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let nextIndex = 0;
+
+  // Cada worker consome o próximo item disponível até esgotar a lista
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(worker());
+  }
+
+  return Promise.all(workers).then(() => results);
 }
 
 module.exports = {
   promiseAny,
   withTimeout,
-  parallelWithTimeout
+  parallelWithTimeout,
+  hedgeWithTimeout,
+  settleWithTimeout,
+  withAbortSignal,
+  mapWithConcurrency
 };
 
 
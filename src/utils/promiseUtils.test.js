@@ -0,0 +1,106 @@
+const { parallelWithTimeout, hedgeWithTimeout, settleWithTimeout, withAbortSignal } = require('./promiseUtils');
+
+const delay = (ms, value, fail = false) => new Promise((resolve, reject) =>
+  setTimeout(() => (fail ? reject(value) : resolve(value)), ms)
+);
+
+describe('hedgeWithTimeout', () => {
+  test('não deve iniciar a próxima tarefa se a primeira responder dentro do hedgeDelay', async () => {
+    const first = jest.fn(() => delay(5, 'primeiro'));
+    const second = jest.fn(() => delay(5, 'segundo'));
+
+    await expect(hedgeWithTimeout([first, second], 1000, 50)).resolves.toBe('primeiro');
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  test('deve iniciar a próxima tarefa após o hedgeDelay e cancelar as demais', async () => {
+    const cancel = jest.fn();
+    const first = jest.fn(() => delay(100, 'primeiro'));
+    const second = jest.fn(() => delay(5, 'segundo'));
+
+    await expect(hedgeWithTimeout([first, second], 1000, 10, [cancel])).resolves.toBe('segundo');
+    expect(first).toHaveBeenCalled();
+    expect(cancel).toHaveBeenCalled();
+  });
+
+  test('deve iniciar a próxima tarefa imediatamente quando a anterior falha', async () => {
+    const startedAt = Date.now();
+    const first = jest.fn(() => Promise.reject({ message: 'Status 500', service: 'a' }));
+    const second = jest.fn(() => delay(5, 'segundo'));
+
+    await expect(hedgeWithTimeout([first, second], 1000, 500)).resolves.toBe('segundo');
+    expect(Date.now() - startedAt).toBeLessThan(400);
+  });
+
+  test('deve rejeitar com os erros de todas as tarefas', async () => {
+    const error = await hedgeWithTimeout([
+      () => Promise.reject({ message: 'Status 500', service: 'a' }),
+      () => Promise.reject({ message: 'Status 503', service: 'b' })
+    ], 1000, 10).catch(e => e);
+
+    expect(error.errors).toEqual([
+      { message: 'Status 500', service: 'a' },
+      { message: 'Status 503', service: 'b' }
+    ]);
+  });
+
+  test('deve rejeitar as tarefas pendentes no timeout total', async () => {
+    const third = jest.fn(() => delay(5, 'terceiro'));
+    const error = await hedgeWithTimeout([
+      () => delay(200, 'primeiro'),
+      () => delay(200, 'segundo'),
+      third
+    ], 30, 20).catch(e => e);
+
+    // Cada erro fica na posição da tarefa; a terceira não chegou a ser iniciada
+    expect(error.errors).toHaveLength(3);
+    expect(error.errors[0].message).toContain('Requisição 1 excedeu o timeout');
+    expect(error.errors[1].message).toContain('Requisição 2 excedeu o timeout');
+    expect(error.errors[2]).toBeUndefined();
+    expect(third).not.toHaveBeenCalled();
+  });
+
+  test('parallelWithTimeout deve usar o modo hedging com a opção hedgeDelay', async () => {
+    const second = jest.fn(() => delay(5, 'segundo'));
+
+    await expect(parallelWithTimeout([() => delay(5, 'primeiro'), second], 1000, [], { hedgeDelay: 50 }))
+      .resolves.toBe('primeiro');
+    expect(second).not.toHaveBeenCalled();
+  });
+});
+
+describe('AbortSignal', () => {
+  test('withAbortSignal deve rejeitar e executar os cancelamentos quando o signal é abortado', async () => {
+    const controller = new AbortController();
+    const cancel = jest.fn();
+    const promise = withAbortSignal(new Promise(() => {}), controller.signal, [cancel]);
+
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(cancel).toHaveBeenCalledTimes(1);
+  });
+
+  test('parallelWithTimeout e settleWithTimeout devem respeitar o signal', async () => {
+    const controller = new AbortController();
+    const parallel = parallelWithTimeout([delay(1000, 'a')], 2000, [], { signal: controller.signal });
+    const settle = settleWithTimeout([delay(1000, 'a')], 2000, [], controller.signal);
+
+    controller.abort();
+
+    await expect(parallel).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(settle).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('hedgeWithTimeout não deve iniciar novas tarefas após o signal ser abortado', async () => {
+    const controller = new AbortController();
+    const second = jest.fn(() => delay(5, 'segundo'));
+    const promise = hedgeWithTimeout([() => new Promise(() => {}), second], 1000, 20, [], controller.signal);
+
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    await delay(40);
+    expect(second).not.toHaveBeenCalled();
+  });
+});
@@ -1,10 +1,12 @@
 const { ValidationError } = require('../errors/CepError');
 
+const { PROVIDER_NAMES } = require('../services/registry');
+
 /**
  * Lista de providers válidos
+ * Referência ao registro de providers: reflete registerProvider/unregisterProvider
  */
-
-const VALID_PROVIDERS = ['brasilapi', 'viacep'];
+const VALID_PROVIDERS = PROVIDER_NAMES;
 
 /**
  * Valida se um provider é válido
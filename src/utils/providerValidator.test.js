@@ -8,10 +8,12 @@ const { ValidationError } = require('../errors/CepError');
 
 describe('providerValidator', () => {
   describe('VALID_PROVIDERS', () => {
-    test('deve conter os 2 providers válidos', () => {
-      expect(VALID_PROVIDERS).toHaveLength(2);
+    test('deve conter os 4 providers válidos', () => {
+      expect(VALID_PROVIDERS).toHaveLength(4);
       expect(VALID_PROVIDERS).toContain('brasilapi');
       expect(VALID_PROVIDERS).toContain('viacep');
+      expect(VALID_PROVIDERS).toContain('widenet');
+      expect(VALID_PROVIDERS).toContain('correios');
     });
   });
 
@@ -19,13 +21,13 @@ describe('providerValidator', () => {
     test('deve retornar true para providers válidos', () => {
       expect(isValidProvider('brasilapi')).toBe(true);
       expect(isValidProvider('viacep')).toBe(true);
+      expect(isValidProvider('widenet')).toBe(true);
+      expect(isValidProvider('correios')).toBe(true);
     });
 
     test('deve retornar false para providers inválidos', () => {
       expect(isValidProvider('invalid')).toBe(false);
       expect(isValidProvider('')).toBe(false);
-      expect(isValidProvider('widenet')).toBe(false); // Temporariamente desabilitado
-      expect(isValidProvider('correios')).toBe(false); // Temporariamente desabilitado
       expect(isValidProvider('BRASILAPI')).toBe(false); // case sensitive
     });
   });
@@ -39,6 +41,7 @@ describe('providerValidator', () => {
       expect(() => validateProviders(['brasilapi', 'viacep'])).not.toThrow();
       expect(() => validateProviders(['brasilapi'])).not.toThrow();
       expect(() => validateProviders(['viacep'])).not.toThrow();
+      expect(() => validateProviders(['widenet', 'correios'])).not.toThrow();
       expect(() => validateProviders(VALID_PROVIDERS)).not.toThrow();
     });
 
@@ -0,0 +1,169 @@
+const { normalizeText } = require('./textUtils');
+
+/**
+ * Campos que não são combinados entre providers
+ */
+const IGNORED_FIELDS = ['service', 'sources', 'discrepancies', 'confidence'];
+
+/**
+ * Campos comparados na estratégia de consenso (campos básicos de normalizeResponse)
+ */
+const CONSENSUS_FIELDS = ['cep', 'state', 'city', 'street', 'neighborhood'];
+
+/**
+ * Verifica se um valor está preenchido (não nulo e não vazio)
+ */
+function hasValue(value) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+
+  if (typeof value === 'string') {
+    return value.trim() !== '';
+  }
+
+  return true;
+}
+
+/**
+ * Combina os resultados de vários providers em um único resultado, campo a campo
+ * Para cada campo, usa o primeiro valor preenchido seguindo a ordem de prioridade recebida
+ *
+ * @param {Object[]} results - Resultados normalizados, em ordem de prioridade
+ * @returns {Object} Resultado combinado com o mapa `sources` (campo -> provider que forneceu o valor)
+ *
+ * @example
+ * mergeResults([
+ *   { cep: '01310100', city: 'São Paulo', ibge: '', service: 'brasilapi' },
+ *   { cep: '01310100', city: 'São Paulo', ibge: '3550308', service: 'viacep' }
+ * ]);
+ * // { cep: '01310100', city: 'São Paulo', ibge: '3550308', service: 'brasilapi',
+ * //   sources: { cep: 'brasilapi', city: 'brasilapi', ibge: 'viacep' } }
+ */
+function mergeResults(results) {
+  const merged = {};
+  const sources = {};
+
+  results.forEach(result => {
+    Object.keys(result).forEach(field => {
+      if (IGNORED_FIELDS.includes(field) || sources[field]) {
+        return;
+      }
+
+      if (hasValue(result[field])) {
+        merged[field] = result[field];
+        sources[field] = result.service;
+      } else if (!(field in merged)) {
+        // Mantém o campo (vazio) até que outro provider o preencha
+        merged[field] = result[field];
+      }
+    });
+  });
+
+  return {
+    ...merged,
+    service: results.length > 0 ? results[0].service : undefined,
+    sources
+  };
+}
+
+/**
+ * Escolhe o valor majoritário de um campo entre os providers
+ * A comparação ignora acentos, maiúsculas e espaços extras
+ * Em caso de empate, vence o grupo que contém o provider de maior prioridade
+ */
+function voteField(results, field) {
+  const groups = [];
+
+  results.forEach(result => {
+    if (!hasValue(result[field])) {
+      return;
+    }
+
+    const key = normalizeText(result[field]);
+    let group = groups.find(item => item.key === key);
+    if (!group) {
+      // O primeiro provider do grupo (maior prioridade) define o valor original retornado
+      group = { key, value: result[field], service: result.service, votes: 0 };
+      groups.push(group);
+    }
+    group.votes++;
+  });
+
+  // sort é estável: em empate, mantém o grupo que apareceu primeiro
+  const ranked = [...groups].sort((a, b) => b.votes - a.votes);
+  const respondents = groups.reduce((total, group) => total + group.votes, 0);
+
+  return {
+    winner: ranked[0] || null,
+    respondents,
+    distinctValues: groups.length
+  };
+}
+
+/**
+ * Monta um resultado por consenso entre os providers
+ * Para os campos básicos, usa o valor da maioria; os demais campos são combinados como em mergeResults
+ * Providers consultados que falharam contam como discordantes na confiança: uma única resposta
+ * entre três providers consultados não tem confiança 1
+ *
+ * @param {Object[]} results - Resultados normalizados, em ordem de prioridade
+ * @param {number} [queried=results.length] - Quantidade de providers consultados (inclusive os que falharam)
+ * @returns {Object} Resultado com `sources`, `discrepancies` (divergências por campo)
+ * e `confidence` (0 a 1, média da concordância dos campos básicos)
+ *
+ * @example
+ * buildConsensus([
+ *   { cep: '01310100', city: 'São Paulo', street: 'Avenida Paulista', service: 'brasilapi' },
+ *   { cep: '01310100', city: 'Sao Paulo', street: 'Avenida Paulista', service: 'viacep' },
+ *   { cep: '01310100', city: 'São Paulo', street: 'Av. Paulista', service: 'widenet' }
+ * ]);
+ * // { ..., street: 'Avenida Paulista', confidence: 0.89,
+ * //   discrepancies: [{ field: 'street', values: { brasilapi: 'Avenida Paulista', ... }, chosen: 'Avenida Paulista' }] }
+ */
+function buildConsensus(results, queried = results.length) {
+  const merged = mergeResults(results);
+  const failed = Math.max(0, queried - results.length);
+  const discrepancies = [];
+  const agreements = [];
+
+  CONSENSUS_FIELDS.forEach(field => {
+    const { winner, respondents, distinctValues } = voteField(results, field);
+
+    if (!winner) {
+      return;
+    }
+
+    merged[field] = winner.value;
+    merged.sources[field] = winner.service;
+    agreements.push(winner.votes / (respondents + failed));
+
+    if (distinctValues > 1) {
+      const values = {};
+      results.forEach(result => {
+        if (hasValue(result[field])) {
+          values[result.service] = result[field];
+        }
+      });
+
+      discrepancies.push({ field, values, chosen: winner.value });
+    }
+  });
+
+  const confidence = agreements.length > 0
+    ? agreements.reduce((total, value) => total + value, 0) / agreements.length
+    : 0;
+
+  return {
+    ...merged,
+    discrepancies,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
+module.exports = {
+  CONSENSUS_FIELDS,
+  hasValue,
+  mergeResults,
+  buildConsensus
+};
@@ -0,0 +1,135 @@
+const { hasValue, mergeResults, buildConsensus } = require('./resultMerger');
+
+describe('resultMerger', () => {
+  describe('hasValue', () => {
+    test('deve considerar nulos e strings vazias como não preenchidos', () => {
+      expect(hasValue(undefined)).toBe(false);
+      expect(hasValue(null)).toBe(false);
+      expect(hasValue('')).toBe(false);
+      expect(hasValue('   ')).toBe(false);
+    });
+
+    test('deve considerar demais valores como preenchidos', () => {
+      expect(hasValue('SP')).toBe(true);
+      expect(hasValue(0)).toBe(true);
+      expect(hasValue(false)).toBe(true);
+    });
+  });
+
+  describe('mergeResults', () => {
+    test('deve usar o primeiro valor preenchido seguindo a ordem de prioridade', () => {
+      const merged = mergeResults([
+        { cep: '01310100', state: 'SP', city: 'São Paulo', street: '', neighborhood: 'Bela Vista', service: 'brasilapi' },
+        { cep: '01310100', state: 'SP', city: 'Sao Paulo', street: 'Avenida Paulista', neighborhood: '', ibge: '3550308', ddd: '11', service: 'viacep' }
+      ]);
+
+      expect(merged).toEqual({
+        cep: '01310100',
+        state: 'SP',
+        city: 'São Paulo',
+        street: 'Avenida Paulista',
+        neighborhood: 'Bela Vista',
+        ibge: '3550308',
+        ddd: '11',
+        service: 'brasilapi',
+        sources: {
+          cep: 'brasilapi',
+          state: 'brasilapi',
+          city: 'brasilapi',
+          street: 'viacep',
+          neighborhood: 'brasilapi',
+          ibge: 'viacep',
+          ddd: 'viacep'
+        }
+      });
+    });
+
+    test('deve manter campos vazios sem fonte quando nenhum provider os preenche', () => {
+      const merged = mergeResults([
+        { cep: '78175000', city: 'Poconé', street: '', service: 'widenet' },
+        { cep: '78175000', city: 'Poconé', street: '', service: 'viacep' }
+      ]);
+
+      expect(merged.street).toBe('');
+      expect(merged.sources).not.toHaveProperty('street');
+    });
+
+    test('deve retornar um único resultado com todas as fontes apontando para ele', () => {
+      const merged = mergeResults([{ cep: '01310100', city: 'São Paulo', service: 'viacep' }]);
+
+      expect(merged.service).toBe('viacep');
+      expect(merged.sources).toEqual({ cep: 'viacep', city: 'viacep' });
+    });
+  });
+
+  describe('buildConsensus', () => {
+    const base = {
+      cep: '01310100',
+      state: 'SP',
+      city: 'São Paulo',
+      street: 'Avenida Paulista',
+      neighborhood: 'Bela Vista'
+    };
+
+    test('deve ter confiança 1 e nenhuma divergência quando todos concordam', () => {
+      const result = buildConsensus([
+        { ...base, service: 'brasilapi' },
+        { ...base, city: 'SAO PAULO', service: 'viacep' }
+      ]);
+
+      expect(result.city).toBe('São Paulo');
+      expect(result.discrepancies).toEqual([]);
+      expect(result.confidence).toBe(1);
+    });
+
+    test('deve escolher o valor da maioria e reportar a divergência', () => {
+      const result = buildConsensus([
+        { ...base, neighborhood: 'Cerqueira César', service: 'brasilapi' },
+        { ...base, service: 'viacep' },
+        { ...base, neighborhood: 'bela vista', service: 'widenet' }
+      ]);
+
+      expect(result.neighborhood).toBe('Bela Vista');
+      expect(result.sources.neighborhood).toBe('viacep');
+      expect(result.discrepancies).toEqual([{
+        field: 'neighborhood',
+        values: { brasilapi: 'Cerqueira César', viacep: 'Bela Vista', widenet: 'bela vista' },
+        chosen: 'Bela Vista'
+      }]);
+      // 4 campos com concordância total e 1 campo com 2/3
+      expect(result.confidence).toBe(0.93);
+    });
+
+    test('deve desempatar pela ordem de prioridade dos providers', () => {
+      const result = buildConsensus([
+        { ...base, street: 'Rua Antiga', service: 'brasilapi' },
+        { ...base, street: 'Rua Nova', service: 'viacep' }
+      ]);
+
+      expect(result.street).toBe('Rua Antiga');
+      expect(result.discrepancies[0].field).toBe('street');
+      expect(result.confidence).toBe(0.9);
+    });
+
+    test('deve contar os providers que falharam na confiança', () => {
+      const result = buildConsensus([{ ...base, service: 'viacep' }], 3);
+
+      expect(result.city).toBe('São Paulo');
+      expect(result.discrepancies).toEqual([]);
+      expect(result.confidence).toBe(0.33);
+      expect(buildConsensus([{ ...base, service: 'viacep' }]).confidence).toBe(1);
+    });
+
+    test('não deve contar campos vazios como divergência', () => {
+      const result = buildConsensus([
+        { ...base, street: '', service: 'widenet' },
+        { ...base, ibge: '3550308', service: 'viacep' }
+      ]);
+
+      expect(result.street).toBe('Avenida Paulista');
+      expect(result.ibge).toBe('3550308');
+      expect(result.discrepancies).toEqual([]);
+      expect(result.confidence).toBe(1);
+    });
+  });
+});
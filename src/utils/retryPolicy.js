@@ -0,0 +1,133 @@
+const { ValidationError } = require('../errors/CepError');
+
+/**
+ * Política de retry padrão (usada com retry: true ou completada com as opções informadas)
+ * - maxAttempts: número máximo de tentativas por provider (incluindo a primeira)
+ * - baseDelay: espera antes da segunda tentativa em milissegundos (dobra a cada tentativa)
+ * - maxDelay: espera máxima entre tentativas em milissegundos
+ * - jitter: fração aleatória (0 a 1) removida da espera para evitar tentativas sincronizadas
+ * - retryableErrors: tipos de erro que permitem nova tentativa (códigos de conexão ou 'timeout')
+ * - retryableStatuses: status HTTP que permitem nova tentativa
+ * - attemptTimeout: timeout de cada tentativa em milissegundos (opcional; sem ele, cada tentativa
+ *   pode usar todo o timeout da busca e uma tentativa que excede o timeout não é repetida)
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 100,
+  maxDelay: 2000,
+  jitter: 0.5,
+  retryableErrors: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'timeout'],
+  retryableStatuses: [500, 502, 503, 504]
+};
+
+/**
+ * Política sem retry (comportamento padrão de searchCep)
+ */
+const NO_RETRY = { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+
+/**
+ * Cria o erro de validação da política de retry
+ */
+function createRetryValidationError(message, received) {
+  return new ValidationError(
+    'Política de retry inválida',
+    [{
+      message,
+      service: 'retry_validation',
+      received
+    }]
+  );
+}
+
+/**
+ * Valida a opção retry e retorna a política completa
+ *
+ * @param {boolean|Object} [retry] - false/undefined (sem retry), true (política padrão) ou opções da política
+ * @returns {Object} Política de retry
+ * @throws {ValidationError} Se alguma opção é inválida
+ */
+function normalizeRetryPolicy(retry) {
+  if (retry === undefined || retry === false) {
+    return NO_RETRY;
+  }
+
+  if (retry === true) {
+    return DEFAULT_RETRY_POLICY;
+  }
+
+  if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+    throw createRetryValidationError('A opção retry deve ser um booleano ou um objeto', typeof retry);
+  }
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw createRetryValidationError('maxAttempts deve ser um inteiro maior que zero', policy.maxAttempts);
+  }
+
+  if (!isNonNegative(policy.baseDelay) || !isNonNegative(policy.maxDelay)) {
+    throw createRetryValidationError('baseDelay e maxDelay devem ser números maiores ou iguais a zero', policy.baseDelay);
+  }
+
+  if (!isNonNegative(policy.jitter) || policy.jitter > 1) {
+    throw createRetryValidationError('jitter deve ser um número entre 0 e 1', policy.jitter);
+  }
+
+  if (!Array.isArray(policy.retryableErrors) || !Array.isArray(policy.retryableStatuses)) {
+    throw createRetryValidationError('retryableErrors e retryableStatuses devem ser arrays', typeof policy.retryableErrors);
+  }
+
+  if (policy.attemptTimeout !== undefined &&
+    (!isNonNegative(policy.attemptTimeout) || policy.attemptTimeout === 0)) {
+    throw createRetryValidationError('attemptTimeout deve ser um número maior que zero', policy.attemptTimeout);
+  }
+
+  return policy;
+}
+
+/**
+ * Verifica se o erro de uma tentativa permite nova tentativa
+ *
+ * @param {Object} detail - Detalhe do erro ({ message, service, status?, code?, timeout? })
+ * @param {Object} policy - Política de retry
+ */
+function isRetryable(detail, policy) {
+  if (!detail) {
+    return false;
+  }
+
+  if (detail.status !== undefined) {
+    return policy.retryableStatuses.includes(detail.status);
+  }
+
+  if (detail.code && policy.retryableErrors.includes(detail.code)) {
+    return true;
+  }
+
+  const isTimeout = detail.timeout !== undefined ||
+    (typeof detail.message === 'string' && detail.message.includes('timeout'));
+
+  return isTimeout && policy.retryableErrors.includes('timeout');
+}
+
+/**
+ * Calcula a espera antes da próxima tentativa (backoff exponencial com jitter)
+ *
+ * @param {number} attempt - Número da tentativa que falhou (1 = primeira)
+ * @param {Object} policy - Política de retry
+ * @param {Function} [random=Math.random] - Gerador de números aleatórios
+ * @returns {number} Espera em milissegundos
+ */
+function getRetryDelay(attempt, policy, random = Math.random) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  NO_RETRY,
+  normalizeRetryPolicy,
+  isRetryable,
+  getRetryDelay
+};
@@ -0,0 +1,75 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  NO_RETRY,
+  normalizeRetryPolicy,
+  isRetryable,
+  getRetryDelay
+} = require('./retryPolicy');
+const { ValidationError } = require('../errors/CepError');
+
+describe('retryPolicy', () => {
+  describe('normalizeRetryPolicy', () => {
+    test('deve desativar o retry por padrão', () => {
+      expect(normalizeRetryPolicy()).toBe(NO_RETRY);
+      expect(normalizeRetryPolicy(false).maxAttempts).toBe(1);
+    });
+
+    test('deve usar a política padrão com retry: true', () => {
+      expect(normalizeRetryPolicy(true)).toBe(DEFAULT_RETRY_POLICY);
+    });
+
+    test('deve completar as opções com a política padrão', () => {
+      expect(normalizeRetryPolicy({ maxAttempts: 5, retryableStatuses: [503] })).toEqual({
+        ...DEFAULT_RETRY_POLICY,
+        maxAttempts: 5,
+        retryableStatuses: [503]
+      });
+    });
+
+    test('deve rejeitar opções inválidas', () => {
+      expect(() => normalizeRetryPolicy('sempre')).toThrow(ValidationError);
+      expect(() => normalizeRetryPolicy({ maxAttempts: 0 })).toThrow(ValidationError);
+      expect(() => normalizeRetryPolicy({ baseDelay: -1 })).toThrow(ValidationError);
+      expect(() => normalizeRetryPolicy({ jitter: 2 })).toThrow(ValidationError);
+      expect(() => normalizeRetryPolicy({ retryableStatuses: 503 })).toThrow(ValidationError);
+      expect(() => normalizeRetryPolicy({ attemptTimeout: 0 })).toThrow(ValidationError);
+      expect(() => normalizeRetryPolicy({ attemptTimeout: '1s' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('isRetryable', () => {
+    test('deve considerar status, códigos de conexão e timeouts', () => {
+      expect(isRetryable({ service: 'viacep', status: 503 }, DEFAULT_RETRY_POLICY)).toBe(true);
+      expect(isRetryable({ service: 'viacep', status: 404 }, DEFAULT_RETRY_POLICY)).toBe(false);
+      expect(isRetryable({ service: 'viacep', code: 'ECONNREFUSED' }, DEFAULT_RETRY_POLICY)).toBe(true);
+      expect(isRetryable({ service: 'viacep', code: 'ENOTFOUND' }, DEFAULT_RETRY_POLICY)).toBe(false);
+      expect(isRetryable({ message: 'Requisição excedeu o timeout de 100ms', timeout: 100 }, DEFAULT_RETRY_POLICY)).toBe(true);
+      expect(isRetryable({ message: 'Dados inválidos' }, DEFAULT_RETRY_POLICY)).toBe(false);
+    });
+
+    test('deve respeitar as listas configuradas', () => {
+      const policy = normalizeRetryPolicy({ retryableErrors: [], retryableStatuses: [429] });
+
+      expect(isRetryable({ status: 429 }, policy)).toBe(true);
+      expect(isRetryable({ status: 503 }, policy)).toBe(false);
+      expect(isRetryable({ message: 'timeout', timeout: 100 }, policy)).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('deve dobrar a espera a cada tentativa até maxDelay', () => {
+      const policy = normalizeRetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 0 });
+
+      expect(getRetryDelay(1, policy)).toBe(100);
+      expect(getRetryDelay(2, policy)).toBe(200);
+      expect(getRetryDelay(3, policy)).toBe(300);
+    });
+
+    test('deve aplicar o jitter', () => {
+      const policy = normalizeRetryPolicy({ baseDelay: 100, jitter: 0.5 });
+
+      expect(getRetryDelay(1, policy, () => 1)).toBe(50);
+      expect(getRetryDelay(1, policy, () => 0)).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { ValidationError } = require('../errors/CepError');
+
+/**
+ * Estratégias de busca válidas
+ * - race: retorna a primeira resposta bem-sucedida
+ * - merge: aguarda todos os providers e combina os campos
+ * - consensus: aguarda todos os providers e usa o valor da maioria em cada campo
+ */
+const VALID_STRATEGIES = ['race', 'merge', 'consensus'];
+
+/**
+ * Modos de seleção de providers válidos
+ * - all: consulta todos os providers selecionados
+ * - adaptive: consulta os providers com melhor desempenho recente e mantém os demais como fallback
+ */
+const VALID_SELECTIONS = ['all', 'adaptive'];
+
+/**
+ * Valida se uma estratégia é válida
+ */
+function isValidStrategy(strategy) {
+  return VALID_STRATEGIES.includes(strategy);
+}
+
+/**
+ * Valida a estratégia de busca
+ */
+function validateStrategy(strategy) {
+  if (!isValidStrategy(strategy)) {
+    throw new ValidationError(
+      `Estratégia inválida: ${strategy}`,
+      [{
+        message: `A estratégia deve ser uma das seguintes: ${VALID_STRATEGIES.join(', ')}`,
+        service: 'strategy_validation',
+        received: strategy,
+        validStrategies: VALID_STRATEGIES
+      }]
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Valida o modo de seleção de providers
+ * A seleção adaptativa só se aplica à estratégia 'race': 'merge' e 'consensus' precisam de todos os providers
+ */
+function validateSelection(selection, strategy) {
+  if (!VALID_SELECTIONS.includes(selection)) {
+    throw new ValidationError(
+      `Seleção inválida: ${selection}`,
+      [{
+        message: `A seleção deve ser uma das seguintes: ${VALID_SELECTIONS.join(', ')}`,
+        service: 'selection_validation',
+        received: selection,
+        validSelections: VALID_SELECTIONS
+      }]
+    );
+  }
+
+  if (selection === 'adaptive' && strategy !== 'race') {
+    throw new ValidationError(
+      `A seleção adaptativa não é suportada com a estratégia "${strategy}"`,
+      [{
+        message: 'A seleção adaptativa só pode ser usada com a estratégia race',
+        service: 'selection_validation',
+        received: strategy
+      }]
+    );
+  }
+
+  return true;
+}
+
+module.exports = {
+  VALID_STRATEGIES,
+  VALID_SELECTIONS,
+  isValidStrategy,
+  validateStrategy,
+  validateSelection
+};
@@ -0,0 +1,66 @@
+/**
+ * Normaliza um texto para comparação
+ * Remove acentos, converte para minúsculas e colapsa espaços
+ *
+ * @param {*} value - Valor a ser normalizado
+ * @returns {string} Texto normalizado ('' para valores nulos)
+ *
+ * @example
+ * normalizeText('  São   Paulo '); // 'sao paulo'
+ */
+function normalizeText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Distância de edição (Levenshtein) entre dois textos
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similaridade entre dois textos, de 0 (diferentes) a 1 (iguais)
+ * Calculada pela distância de edição sobre o tamanho do maior texto
+ *
+ * @param {string} a - Primeiro texto
+ * @param {string} b - Segundo texto
+ * @returns {number} Similaridade entre 0 e 1
+ *
+ * @example
+ * getSimilarity('paulista', 'paulsta'); // 0.875
+ */
+function getSimilarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  if (length === 0) {
+    return 1;
+  }
+
+  return 1 - getEditDistance(a, b) / length;
+}
+
+module.exports = {
+  normalizeText,
+  getEditDistance,
+  getSimilarity
+};
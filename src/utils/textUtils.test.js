@@ -0,0 +1,34 @@
+const { normalizeText, getEditDistance, getSimilarity } = require('./textUtils');
+
+describe('textUtils', () => {
+  describe('normalizeText', () => {
+    test('deve remover acentos e converter para minúsculas', () => {
+      expect(normalizeText('São Paulo')).toBe('sao paulo');
+      expect(normalizeText('CONCEIÇÃO')).toBe('conceicao');
+    });
+
+    test('deve colapsar espaços', () => {
+      expect(normalizeText('  Avenida   Paulista ')).toBe('avenida paulista');
+    });
+
+    test('deve retornar string vazia para valores nulos', () => {
+      expect(normalizeText(null)).toBe('');
+      expect(normalizeText(undefined)).toBe('');
+    });
+  });
+
+  describe('getSimilarity', () => {
+    test('deve calcular a distância de edição', () => {
+      expect(getEditDistance('paulista', 'paulista')).toBe(0);
+      expect(getEditDistance('paulista', 'paulsta')).toBe(1);
+      expect(getEditDistance('', 'rua')).toBe(3);
+    });
+
+    test('deve retornar a similaridade entre 0 e 1', () => {
+      expect(getSimilarity('paulista', 'paulista')).toBe(1);
+      expect(getSimilarity('paulista', 'paulsta')).toBe(0.875);
+      expect(getSimilarity('abc', 'xyz')).toBe(0);
+      expect(getSimilarity('', '')).toBe(1);
+    });
+  });
+});